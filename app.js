@@ -10,6 +10,23 @@ const certificateRoutes = require("./app/routes/certificateRoutes");
 const vaultRoutes = require("./app/routes/vaultRoutes");
 const healthRoutes = require("./app/routes/healthRoutes");
 const docsRoutes = require("./app/routes/docsRoutes");
+const issuerRoutes = require("./app/routes/issuerRoutes");
+const transactionRoutes = require("./app/routes/transactionRoutes");
+const privacyRoutes = require("./app/routes/privacyRoutes");
+const jobRoutes = require("./app/routes/jobRoutes");
+const sagaRoutes = require("./app/routes/sagaRoutes");
+const uploadRoutes = require("./app/routes/uploadRoutes");
+const keyRoutes = require("./app/routes/keyRoutes");
+
+// Import services
+const StorageService = require("./app/services/storageService");
+const SignerService = require("./app/services/signerService");
+const BlockchainService = require("./app/services/blockchainService");
+const MerkleService = require("./app/services/merkleService");
+const UploadService = require("./app/services/uploadService");
+const IndexerService = require("./app/services/indexerService");
+const SagaService = require("./app/services/sagaService");
+const JobService = require("./app/services/jobService");
 
 // Import middleware
 const errorHandler = require("./app/middleware/errorHandler");
@@ -18,11 +35,38 @@ const vaultSchemeHandler = require("./app/middleware/vaultSchemeHandler");
 class VaultApp {
   constructor() {
     this.app = express();
+    this.services = this.createServices();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
   }
 
+  /**
+   * Build every service once; routers share them, so there is a single
+   * signer registry, indexer, job runner and saga log per process
+   */
+  createServices() {
+    const storageService = new StorageService();
+    const signerService = new SignerService();
+    const blockchainService = new BlockchainService(signerService);
+    const sagaService = new SagaService(storageService, blockchainService);
+
+    return {
+      storageService,
+      signerService,
+      blockchainService,
+      merkleService: new MerkleService(),
+      uploadService: new UploadService(),
+      indexerService: new IndexerService(blockchainService),
+      sagaService,
+      jobService: new JobService(
+        storageService,
+        blockchainService,
+        sagaService
+      ),
+    };
+  }
+
   setupMiddleware() {
     // Security middleware with relaxed CSP for demo
     this.app.use(
@@ -58,8 +102,25 @@ class VaultApp {
     this.app.use(
       cors({
         origin: process.env.CORS_ORIGIN || "*",
-        methods: ["GET", "POST", "PUT", "DELETE"],
-        allowedHeaders: ["Content-Type", "Authorization", "X-Vault-Scheme"],
+        methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD"],
+        allowedHeaders: [
+          "Content-Type",
+          "Authorization",
+          "X-Vault-Scheme",
+          "Tus-Resumable",
+          "Upload-Length",
+          "Upload-Offset",
+          "Upload-Metadata",
+        ],
+        // Read by browser tus clients to resume uploads
+        exposedHeaders: [
+          "Location",
+          "Tus-Resumable",
+          "Tus-Version",
+          "Upload-Offset",
+          "Upload-Length",
+          "Upload-Expires",
+        ],
       })
     );
 
@@ -88,10 +149,17 @@ class VaultApp {
 
   setupRoutes() {
     // API routes
-    this.app.use("/api/certificates", certificateRoutes);
-    this.app.use("/api/vault", vaultRoutes);
-    this.app.use("/api/health", healthRoutes);
+    this.app.use("/api/certificates", certificateRoutes(this.services));
+    this.app.use("/api/vault", vaultRoutes(this.services));
+    this.app.use("/api/health", healthRoutes(this.services));
     this.app.use("/api/docs", docsRoutes);
+    this.app.use("/api/issuers", issuerRoutes(this.services));
+    this.app.use("/api/transactions", transactionRoutes(this.services));
+    this.app.use("/api/privacy-groups", privacyRoutes(this.services));
+    this.app.use("/api/jobs", jobRoutes(this.services));
+    this.app.use("/api/sagas", sagaRoutes(this.services));
+    this.app.use("/api/uploads", uploadRoutes(this.services));
+    this.app.use("/api/keys", keyRoutes(this.services));
 
     // Serve demo page
     this.app.get("/", (req, res) => {
@@ -109,6 +177,13 @@ class VaultApp {
           vault: "/api/vault",
           health: "/api/health",
           docs: "/api/docs",
+          issuers: "/api/issuers",
+          transactions: "/api/transactions",
+          privacyGroups: "/api/privacy-groups",
+          jobs: "/api/jobs",
+          sagas: "/api/sagas",
+          uploads: "/api/uploads",
+          keys: "/api/keys",
         },
         documentation: "/api/docs",
       });
@@ -126,6 +201,7 @@ class VaultApp {
       res.status(404).json({
         success: false,
         message: "Route not found",
+        code: "ROUTE_NOT_FOUND",
         path: req.originalUrl,
       });
     });
@@ -135,14 +211,44 @@ class VaultApp {
   }
 
   start(port = process.env.PORT || 3000) {
-    this.app.listen(port, () => {
+    const server = this.app.listen(port, () => {
       console.log(`========VAULT PROTOCOL API SERVER STARTED========`);
       console.log(`VAULT Protocol API server running on port ${port}`);
       console.log(`API Documentation: http://localhost:${port}/api/docs`);
       console.log(`API Docs UI: http://localhost:${port}/docs`);
       console.log(`Health Check: http://localhost:${port}/api/health`);
       console.log(`Demo Interface: http://localhost:${port}/`);
+      this.startBackgroundTasks();
     });
+
+    // Uploads and downloads of large files outlast Node's default
+    // five-minute request timeout
+    server.requestTimeout = parseInt(
+      process.env.REQUEST_TIMEOUT_MS || String(60 * 60 * 1000)
+    );
+  }
+
+  /**
+   * Start the work that runs beside requests, once the server is listening
+   */
+  startBackgroundTasks() {
+    const { jobService, sagaService, indexerService, uploadService } =
+      this.services;
+
+    // Pick up async issuance jobs a previous process left unfinished, and
+    // compensate the operations it left half-done
+    jobService.resumeUnfinished();
+    sagaService.recoverPending().catch((error) => {
+      console.error("Error recovering sagas:", error);
+    });
+
+    // Follow contract events into the local read model
+    if (process.env.INDEXER_ENABLED !== "false") {
+      indexerService.start();
+    }
+
+    // Expire abandoned upload sessions
+    uploadService.startSweeper();
   }
 }
 
@@ -1,10 +1,42 @@
 const { v4: uuidv4 } = require("uuid");
 const Joi = require("joi");
+const { pipeline } = require("stream/promises");
+const BlockchainService = require("../services/blockchainService");
+const Utils = require("../../utils");
+
+// Maximum number of files accepted by a single batch request
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 100;
+
+// Privacy fields accepted by write endpoints; recipients (Tessera keys or
+// member names) and privacy groups (ID or name) imply a private transaction
+const privacyFields = {
+  isPrivate: Joi.boolean(),
+  privateFor: Joi.array()
+    .items(Joi.string())
+    .single()
+    .min(1)
+    .when("isPrivate", { is: false, then: Joi.forbidden() }),
+  privacyGroup: Joi.string().when("isPrivate", {
+    is: false,
+    then: Joi.forbidden(),
+  }),
+};
 
 class CertificateController {
-  constructor(ipfsService, blockchainService) {
-    this.ipfsService = ipfsService;
+  constructor(
+    storageService,
+    blockchainService,
+    merkleService,
+    indexerService,
+    jobService,
+    sagaService
+  ) {
+    this.storageService = storageService;
     this.blockchainService = blockchainService;
+    this.merkleService = merkleService;
+    this.indexerService = indexerService;
+    this.jobService = jobService;
+    this.sagaService = sagaService;
   }
 
   async issueCertificate(req, res) {
@@ -12,15 +44,25 @@ class CertificateController {
       // Validate request
       const schema = Joi.object({
         email: Joi.string().email().required(),
-        isPrivate: Joi.boolean().default(false),
-      });
+        ...privacyFields,
+        validUntil: Joi.date().iso().greater("now"),
+        hashEmail: Joi.boolean().default(process.env.HASH_EMAILS === "true"),
+      }).oxor("privateFor", "privacyGroup");
 
       const { error, value } = schema.validate(req.body);
-      if (error) {
+      const { error: queryError, value: query } = Joi.object({
+        dryRun: Joi.boolean().default(false),
+        async: Joi.boolean()
+          .default(false)
+          .when("dryRun", { is: true, then: Joi.valid(false) })
+          .messages({ "any.only": "async cannot be combined with dryRun" }),
+      }).validate(req.query);
+      if (error || queryError) {
         return res.status(400).json({
           success: false,
           message: "Validation error",
-          error: error.details[0].message,
+          code: "VALIDATION_ERROR",
+          error: (error || queryError).details[0].message,
         });
       }
 
@@ -28,28 +70,110 @@ class CertificateController {
         return res.status(400).json({
           success: false,
           message: "No file uploaded",
+          code: "FILE_REQUIRED",
         });
       }
 
+      // Resolve recipients before anything is uploaded
+      const privacy = await this.blockchainService.resolvePrivacy(
+        this.requestedPrivacy(value, false)
+      );
+
       // Generate FID
       const fid = `cert_${uuidv4()}`;
+      const validUntil = value.validUntil
+        ? Math.floor(value.validUntil.getTime() / 1000)
+        : 0;
+      // Only the salted commitment goes on-chain; the salt goes back to the holder
+      const emailCommitment = value.hashEmail
+        ? this.blockchainService.createEmailCommitment(value.email)
+        : null;
 
-      // Upload file to IPFS
-      const cid = await this.ipfsService.uploadFile(
-        req.file.buffer,
-        req.file.originalname
-      );
+      const issuance = {
+        email: value.email,
+        emailCommitment,
+        privacy,
+        validUntil,
+        signer: req.signer,
+      };
+
+      // Dry run: the file is encrypted and hashed but not pinned, and the
+      // transaction is only simulated
+      if (query.dryRun) {
+        const cid = await this.storageService.uploadFileFromPath(
+          req.file.path,
+          req.file.originalname,
+          { dryRun: true }
+        );
+        const simulation = await this.issueOnChain(fid, cid, issuance, {
+          dryRun: true,
+        });
+        return res.json({
+          success: true,
+          message: "Dry run succeeded; nothing was pinned or sent",
+          data: {
+            fid,
+            cid,
+            email: value.email,
+            emailHashed: value.hashEmail,
+            validUntil: value.validUntil
+              ? value.validUntil.toISOString()
+              : null,
+            ...this.formatDryRun(simulation),
+          },
+        });
+      }
 
-      // Issue certificate on blockchain
-      const txResult = await this.blockchainService.issueCertificate(
+      // Async mode: answer right away and let the caller poll the job
+      if (query.async) {
+        const job = this.jobService.startIssueJob(
+          { fid, ...issuance },
+          req.file
+        );
+        return res
+          .status(202)
+          .location(`/api/jobs/${job.id}`)
+          .json({
+            success: true,
+            message: "Certificate issuance accepted",
+            data: {
+              jobId: job.id,
+              fid,
+              status: job.status,
+              statusUrl: `/api/jobs/${job.id}`,
+              // Returned only here, the job does not keep the salt
+              emailHashed: value.hashEmail,
+              emailCommitment: emailCommitment
+                ? emailCommitment.commitment
+                : null,
+              emailSalt: emailCommitment ? emailCommitment.salt : null,
+            },
+          });
+      }
+
+      // Upload and issue as a saga: a failed transaction unpins the upload
+      const { cid, txResult } = await this.sagaService.run(
+        "issue",
         fid,
-        cid,
-        value.email,
-        value.isPrivate
+        { privacy },
+        async (saga) => {
+          // Encrypt and store the file
+          const cid = await this.storageService.uploadFileFromPath(
+            req.file.path,
+            req.file.originalname
+          );
+          saga.record("uploaded", { cid });
+
+          // Issue certificate on blockchain
+          const txResult = await this.issueOnChain(fid, cid, issuance, {
+            onSubmitted: saga.onSubmitted,
+          });
+          return { cid, txResult };
+        }
       );
 
       // Generate vault URL
-      const vaultUrl = this.ipfsService.getVaultUrl(fid, cid);
+      const vaultUrl = Utils.getVaultUrl(fid, cid);
 
       res.json({
         success: true,
@@ -58,44 +182,398 @@ class CertificateController {
           fid,
           cid,
           email: value.email,
+          emailHashed: value.hashEmail,
+          emailCommitment: emailCommitment ? emailCommitment.commitment : null,
+          emailSalt: emailCommitment ? emailCommitment.salt : null,
+          validUntil: value.validUntil ? value.validUntil.toISOString() : null,
           transactionHash: txResult.transactionHash,
+          gas: txResult.gas,
           vaultUrl,
-          gatewayUrl: this.ipfsService.getGatewayUrl(cid),
+          gatewayUrl: this.storageService.getGatewayUrl(cid),
           isPrivate: txResult.isPrivate,
+          privacyGroupId: this.formatPrivacyGroup(txResult.privacy),
         },
       });
     } catch (error) {
       console.error("Error issuing certificate:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to issue certificate",
-        error: error.message,
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to issue certificate", error));
+    }
+  }
+
+  async batchIssueCertificates(req, res) {
+    try {
+      // Validate request
+      const schema = Joi.object({
+        manifest: Joi.string().required(),
+        ...privacyFields,
+        mode: Joi.string().valid("onchain", "anchored").default("onchain"),
+        hashEmail: Joi.boolean().default(process.env.HASH_EMAILS === "true"),
+      }).oxor("privateFor", "privacyGroup");
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      let manifest;
+      try {
+        manifest = JSON.parse(value.manifest);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: "manifest must be valid JSON",
+        });
+      }
+
+      const { error: manifestError } = Joi.array()
+        .items(Joi.object())
+        .min(1)
+        .max(MAX_BATCH_FILES)
+        .label("manifest")
+        .validate(manifest);
+      if (manifestError) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: manifestError.details[0].message,
+        });
+      }
+
+      // Anchored roots are verified against public state
+      if (value.mode === "anchored" && this.requestedPrivacy(value, false)) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: "Anchored batches cannot be private",
+        });
+      }
+
+      const privacy = await this.blockchainService.resolvePrivacy(
+        this.requestedPrivacy(value, false)
+      );
+
+      const itemSchema = Joi.object({
+        file: Joi.string().required(),
+        email: Joi.string().email().required(),
+      });
+      const files = new Map(
+        (req.files || []).map((file) => [file.originalname, file])
+      );
+      const usedFiles = new Set();
+
+      // Validate and upload each item; failures are reported per item
+      const results = [];
+      const pending = [];
+      for (const [index, entry] of manifest.entries()) {
+        const result = {
+          index,
+          file: entry.file || null,
+          email: entry.email || null,
+          success: false,
+        };
+        results.push(result);
+
+        const { error: itemError } = itemSchema.validate(entry);
+        if (itemError) {
+          result.error = itemError.details[0].message;
+          continue;
+        }
+
+        const file = files.get(entry.file);
+        if (!file) {
+          result.error = "File not uploaded";
+          continue;
+        }
+        if (usedFiles.has(entry.file)) {
+          result.error = "File listed more than once in manifest";
+          continue;
+        }
+        usedFiles.add(entry.file);
+
+        // One saga per item, so a failed transaction removes each upload
+        const fid = `cert_${uuidv4()}`;
+        const saga = this.sagaService.begin(
+          value.mode === "anchored" ? "anchor" : "issue",
+          fid,
+          { privacy }
+        );
+        try {
+          const cid = await this.storageService.uploadFileFromPath(
+            file.path,
+            file.originalname
+          );
+          this.sagaService.record(saga.id, "uploaded", { cid });
+          pending.push({
+            fid,
+            cid,
+            email: entry.email,
+            result,
+            sagaId: saga.id,
+          });
+        } catch (uploadError) {
+          await this.sagaService.fail(saga.id, uploadError);
+          result.error = uploadError.message;
+        }
+      }
+
+      let root = null;
+      if (value.mode === "anchored") {
+        root = await this.anchorBatch(pending, req.signer);
+      } else {
+        await this.issueBatch(pending, privacy, req.signer, value.hashEmail);
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+      const failed = results.length - succeeded;
+
+      let message = "Certificates issued successfully";
+      if (succeeded === 0) {
+        message = "Failed to issue certificates";
+      } else if (failed > 0) {
+        message = "Some certificates could not be issued";
+      }
+
+      res.json({
+        success: failed === 0,
+        message,
+        data: {
+          total: results.length,
+          succeeded,
+          failed,
+          isPrivate: privacy !== null,
+          privacyGroupId: this.formatPrivacyGroup(privacy),
+          mode: value.mode,
+          root,
+          results,
+        },
       });
+    } catch (error) {
+      console.error("Error issuing certificate batch:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to issue certificates", error));
+    }
+  }
+
+  /**
+   * Issue uploaded batch items on-chain, one transaction per contract batch
+   * @param {Array<Object>} pending - Uploaded items ({fid, cid, email, result})
+   * @param {Object|null} privacy - Resolved privacy target, null for public
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {boolean} hashEmail - Store only salted email commitments on-chain
+   */
+  async issueBatch(pending, privacy, signer, hashEmail = false) {
+    const batchSize = BlockchainService.MAX_BATCH_SIZE;
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      const options = { onSubmitted: this.recordBatchSubmitted(batch) };
+      try {
+        let txResult;
+        if (hashEmail) {
+          for (const item of batch) {
+            const { commitment, salt } =
+              this.blockchainService.createEmailCommitment(item.email);
+            Object.assign(item, { emailCommitment: commitment, salt });
+          }
+          txResult =
+            await this.blockchainService.issueCertificatesWithCommitment(
+              batch,
+              privacy,
+              signer,
+              options
+            );
+        } else {
+          txResult = await this.blockchainService.issueCertificates(
+            batch,
+            privacy,
+            signer,
+            options
+          );
+        }
+        batch.forEach(({ sagaId }) => this.sagaService.complete(sagaId));
+        batch.forEach(({ fid, cid, emailCommitment, salt, result }) => {
+          Object.assign(result, {
+            success: true,
+            fid,
+            cid,
+            transactionHash: txResult.transactionHash,
+            gas: txResult.gas,
+            vaultUrl: Utils.getVaultUrl(fid, cid),
+            gatewayUrl: this.storageService.getGatewayUrl(cid),
+            emailHashed: hashEmail,
+            emailCommitment: emailCommitment || null,
+            emailSalt: salt || null,
+          });
+        });
+      } catch (issueError) {
+        await this.failBatchSagas(batch, issueError);
+        batch.forEach(({ result }) => {
+          result.error = issueError.message;
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a batch transaction on the saga of every item in it
+   * @param {Array<Object>} items - Batch items ({sagaId})
+   * @returns {Function} onSubmitted callback for the transaction
+   */
+  recordBatchSubmitted(items) {
+    return (transactionHash) => {
+      for (const { sagaId } of items) {
+        this.sagaService.record(sagaId, "submitted", { transactionHash });
+      }
+    };
+  }
+
+  /**
+   * Fail the saga of every item of a batch, removing each uploaded file
+   * unless the transaction went through after all
+   * @param {Array<Object>} items - Batch items ({sagaId})
+   * @param {Error} error - Error of the batch transaction
+   * @returns {Promise<void>}
+   */
+  async failBatchSagas(items, error) {
+    for (const { sagaId } of items) {
+      await this.sagaService.fail(sagaId, error);
+    }
+  }
+
+  /**
+   * Anchor uploaded batch items as a single Merkle root and attach each
+   * holder's proof bundle to its result
+   * @param {Array<Object>} pending - Uploaded items ({fid, cid, email, result})
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @returns {Promise<string|null>} Anchored root, or null if nothing was anchored
+   */
+  async anchorBatch(pending, signer) {
+    if (pending.length === 0) {
+      return null;
+    }
+
+    const items = pending.map((item) => {
+      const { commitment, salt } = this.blockchainService.createEmailCommitment(
+        item.email
+      );
+      return {
+        ...item,
+        salt,
+        leaf: this.merkleService.computeLeaf(item.fid, item.cid, commitment),
+      };
+    });
+    const tree = this.merkleService.buildTree(items.map((item) => item.leaf));
+
+    try {
+      const txResult = await this.blockchainService.anchorBatch(
+        tree.root,
+        items.length,
+        signer,
+        { onSubmitted: this.recordBatchSubmitted(items) }
+      );
+      items.forEach(({ sagaId }) => this.sagaService.complete(sagaId));
+      items.forEach(({ fid, cid, salt, result }, index) => {
+        Object.assign(result, {
+          success: true,
+          fid,
+          cid,
+          transactionHash: txResult.transactionHash,
+          gas: txResult.gas,
+          gatewayUrl: this.storageService.getGatewayUrl(cid),
+          proofBundle: {
+            root: tree.root,
+            fid,
+            cid,
+            salt,
+            proof: this.merkleService.getProof(tree, index),
+          },
+        });
+      });
+      return tree.root;
+    } catch (anchorError) {
+      await this.failBatchSagas(items, anchorError);
+      items.forEach(({ result }) => {
+        result.error = anchorError.message;
+      });
+      return null;
     }
   }
 
   async verifyCertificate(req, res) {
     try {
       // Validate request
+      const bytes32 = Joi.string()
+        .pattern(/^0x[0-9a-fA-F]{64}$/)
+        .messages({
+          "string.pattern.base": "{#label} must be a 32-byte hex string",
+        });
       const schema = Joi.object({
-        fid: Joi.string().required(),
+        fid: Joi.string(),
         email: Joi.string().email().required(),
-      });
+        salt: bytes32,
+        bundle: Joi.object({
+          root: bytes32.required(),
+          fid: Joi.string().required(),
+          cid: Joi.string().required(),
+          salt: bytes32.required(),
+          proof: Joi.array().items(bytes32).max(64).required(),
+        }),
+      }).xor("fid", "bundle");
 
       const { error, value } = schema.validate(req.body);
       if (error) {
         return res.status(400).json({
           success: false,
           message: "Validation error",
+          code: "VALIDATION_ERROR",
           error: error.details[0].message,
         });
       }
 
+      if (value.bundle) {
+        return await this.verifyAnchoredCertificate(value, res);
+      }
+
       // Get certificate details from blockchain
       const certificate = await this.blockchainService.getCertificate(
         value.fid
       );
 
+      if (certificate.emailCommitment && !value.salt) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: "salt is required for certificates with a hashed email",
+        });
+      }
+
+      if (certificate.revocation) {
+        return res.json({
+          success: false,
+          message: "Certificate verification failed",
+          data: {
+            fid: value.fid,
+            email: value.email,
+            isValid: false,
+            status: "revoked",
+            reason: "Certificate has been revoked",
+            revocation: this.formatRevocation(certificate.revocation),
+          },
+        });
+      }
+
       if (!certificate.isActive) {
         return res.json({
           success: false,
@@ -104,15 +582,32 @@ class CertificateController {
             fid: value.fid,
             email: value.email,
             isValid: false,
+            status: "inactive",
             reason: "Certificate is not active",
           },
         });
       }
 
+      if (certificate.isExpired) {
+        return res.json({
+          success: false,
+          message: "Certificate verification failed",
+          data: {
+            fid: value.fid,
+            email: value.email,
+            isValid: false,
+            status: "expired",
+            reason: "Certificate has expired",
+            validUntil: this.formatTimestamp(certificate.validUntil),
+          },
+        });
+      }
+
       // Verify certificate
       const isValid = await this.blockchainService.verifyCertificate(
         value.fid,
-        value.email
+        value.email,
+        certificate.emailCommitment ? value.salt : null
       );
 
       res.json({
@@ -124,56 +619,174 @@ class CertificateController {
           fid: value.fid,
           email: value.email,
           isValid,
+          status: certificate.status,
+          validUntil: this.formatTimestamp(certificate.validUntil),
           certificate: isValid ? certificate : null,
         },
       });
     } catch (error) {
       console.error("Error verifying certificate:", error);
-      res.status(500).json({
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to verify certificate", error));
+    }
+  }
+
+  /**
+   * Verify a certificate from a Merkle proof bundle against its anchored root
+   * @param {Object} value - Validated request body ({email, bundle})
+   * @param {Object} res - Express response
+   */
+  async verifyAnchoredCertificate({ email, bundle }, res) {
+    const batch = await this.blockchainService.getBatch(bundle.root);
+    if (!batch) {
+      return res.json({
         success: false,
-        message: "Failed to verify certificate",
-        error: error.message,
+        message: "Certificate verification failed",
+        data: {
+          fid: bundle.fid,
+          email,
+          isValid: false,
+          status: "unanchored",
+          reason: "Batch root is not anchored",
+        },
       });
     }
+
+    const { commitment } = this.blockchainService.createEmailCommitment(
+      email,
+      bundle.salt
+    );
+    const isValid = await this.blockchainService.verifyBatchProof({
+      root: bundle.root,
+      fid: bundle.fid,
+      cid: bundle.cid,
+      emailCommitment: commitment,
+      proof: bundle.proof,
+    });
+
+    res.json({
+      success: true,
+      message: isValid
+        ? "Certificate verification successful"
+        : "Certificate verification failed",
+      data: {
+        fid: bundle.fid,
+        email,
+        isValid,
+        status: "anchored",
+        batch: {
+          root: batch.root,
+          count: batch.count,
+          anchoredAt: this.formatTimestamp(batch.anchoredAt),
+          issuer: batch.issuer,
+        },
+        cid: isValid ? bundle.cid : null,
+      },
+    });
   }
 
   async updateCertificate(req, res) {
     try {
       const { fid } = req.params;
 
+      // Validate request
+      const schema = Joi.object(privacyFields)
+        .oxor("privateFor", "privacyGroup")
+        .unknown();
+
+      const { error, value } = schema.validate(req.body);
+      const { error: queryError, value: query } = Joi.object({
+        dryRun: Joi.boolean().default(false),
+      }).validate(req.query);
+      if (error || queryError) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: (error || queryError).details[0].message,
+        });
+      }
+
       if (!req.file) {
         return res.status(400).json({
           success: false,
           message: "No file uploaded",
+          code: "FILE_REQUIRED",
         });
       }
 
+      // Private certificates are only ever modified within their privacy group
+      const privacy = await this.blockchainService.getCertificatePrivacy(
+        fid,
+        this.requestedPrivacy(value, null)
+      );
+
       // Get current certificate
       const currentCertificate = await this.blockchainService.getCertificate(
         fid
       );
 
       if (!currentCertificate.isActive) {
-        return res.status(400).json({
+        return res.status(409).json({
           success: false,
           message: "Cannot update inactive certificate",
+          code: "CERTIFICATE_INACTIVE",
         });
       }
 
-      // Upload new file to IPFS
-      const newCid = await this.ipfsService.uploadFile(
-        req.file.buffer,
-        req.file.originalname
-      );
+      if (query.dryRun) {
+        const newCid = await this.storageService.uploadFileFromPath(
+          req.file.path,
+          req.file.originalname,
+          { dryRun: true }
+        );
+        const simulation = await this.blockchainService.updateCertificate(
+          fid,
+          newCid,
+          privacy,
+          req.signer,
+          { dryRun: true }
+        );
+        return res.json({
+          success: true,
+          message: "Dry run succeeded; nothing was pinned or sent",
+          data: {
+            fid,
+            oldCid: currentCertificate.cid,
+            newCid,
+            ...this.formatDryRun(simulation),
+          },
+        });
+      }
 
-      // Update certificate on blockchain
-      const txResult = await this.blockchainService.updateCertificate(
+      // Upload and update as a saga: a failed transaction unpins the upload
+      const { newCid, txResult } = await this.sagaService.run(
+        "update",
         fid,
-        newCid
+        { privacy, previousCid: currentCertificate.cid },
+        async (saga) => {
+          // Encrypt and store the new file
+          const newCid = await this.storageService.uploadFileFromPath(
+            req.file.path,
+            req.file.originalname
+          );
+          saga.record("uploaded", { cid: newCid });
+
+          // Update certificate on blockchain
+          const txResult = await this.blockchainService.updateCertificate(
+            fid,
+            newCid,
+            privacy,
+            req.signer,
+            { onSubmitted: saga.onSubmitted }
+          );
+          return { newCid, txResult };
+        }
       );
 
       // Generate new vault URL
-      const vaultUrl = this.ipfsService.getVaultUrl(fid, newCid);
+      const vaultUrl = Utils.getVaultUrl(fid, newCid);
 
       res.json({
         success: true,
@@ -184,16 +797,80 @@ class CertificateController {
           newCid,
           transactionHash: txResult.transactionHash,
           vaultUrl,
-          gatewayUrl: this.ipfsService.getGatewayUrl(newCid),
+          gatewayUrl: this.storageService.getGatewayUrl(newCid),
+          isPrivate: txResult.isPrivate,
+          privacyGroupId: this.formatPrivacyGroup(txResult.privacy),
         },
       });
     } catch (error) {
       console.error("Error updating certificate:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to update certificate",
-        error: error.message,
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to update certificate", error));
+    }
+  }
+
+  async listCertificates(req, res) {
+    try {
+      // Validate query
+      const schema = Joi.object({
+        email: Joi.string().email(),
+        issuer: Joi.string()
+          .pattern(/^0x[a-fA-F0-9]{40}$/)
+          .messages({ "string.pattern.base": "Invalid issuer address" }),
+        status: Joi.string().valid("active", "expired", "revoked", "inactive"),
+        issuedAfter: Joi.date().iso(),
+        issuedBefore: Joi.date().iso(),
+        page: Joi.number().integer().min(1).default(1),
+        pageSize: Joi.number().integer().min(1).max(100).default(20),
       });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      // Served from the local index once it has caught up with the chain
+      const useIndex = this.isIndexReady();
+      const source = useIndex ? this.indexerService : this.blockchainService;
+      const { total, certificates } = await source.listCertificates({
+        email: value.email,
+        issuer: value.issuer,
+        status: value.status,
+        issuedAfter: value.issuedAfter
+          ? Math.floor(value.issuedAfter.getTime() / 1000)
+          : undefined,
+        issuedBefore: value.issuedBefore
+          ? Math.floor(value.issuedBefore.getTime() / 1000)
+          : undefined,
+        page: value.page,
+        pageSize: value.pageSize,
+      });
+
+      res.json({
+        success: true,
+        message: "Certificates retrieved successfully",
+        data: {
+          total,
+          page: value.page,
+          pageSize: value.pageSize,
+          totalPages: Math.ceil(total / value.pageSize),
+          source: useIndex ? "index" : "chain",
+          certificates: certificates.map((certificate) =>
+            this.formatCertificate(certificate)
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error listing certificates:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to list certificates", error));
     }
   }
 
@@ -203,36 +880,261 @@ class CertificateController {
 
       const certificate = await this.blockchainService.getCertificate(fid);
 
-      if (!certificate.isActive) {
+      // Revoked certificates stay visible so verifiers can see why
+      if (!certificate.isActive && !certificate.revocation) {
         return res.status(404).json({
           success: false,
           message: "Certificate not found or inactive",
+          code: "CERTIFICATE_NOT_FOUND",
         });
       }
 
       res.json({
         success: true,
         message: "Certificate retrieved successfully",
+        data: this.formatCertificate(certificate),
+      });
+    } catch (error) {
+      console.error("Error getting certificate:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to get certificate", error));
+    }
+  }
+
+  async revokeCertificate(req, res) {
+    try {
+      const { fid } = req.params;
+
+      // Validate request
+      const schema = Joi.object({
+        reason: Joi.string()
+          .valid(...BlockchainService.REVOCATION_REASONS)
+          .required(),
+        note: Joi.string().max(500).allow("").default(""),
+        ...privacyFields,
+      }).oxor("privateFor", "privacyGroup");
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      // Private certificates are only ever modified within their privacy group
+      const privacy = await this.blockchainService.getCertificatePrivacy(
+        fid,
+        this.requestedPrivacy(value, null)
+      );
+
+      // Get current certificate
+      const certificate = await this.blockchainService.getCertificate(fid);
+
+      if (!certificate.isActive) {
+        return res.status(409).json({
+          success: false,
+          message: "Cannot revoke inactive certificate",
+          code: "CERTIFICATE_INACTIVE",
+        });
+      }
+
+      // Revoke on blockchain; the file stays pinned as evidence
+      const txResult = await this.blockchainService.revokeCertificate(
+        fid,
+        value.reason,
+        value.note,
+        privacy,
+        req.signer
+      );
+
+      res.json({
+        success: true,
+        message: "Certificate revoked successfully",
         data: {
-          fid: certificate.fid,
+          fid,
           cid: certificate.cid,
-          email: certificate.email,
-          issueDate: new Date(certificate.issueDate * 1000).toISOString(),
-          lastModified: new Date(certificate.lastModified * 1000).toISOString(),
-          issuer: certificate.issuer,
-          isActive: certificate.isActive,
-          versionHistory: certificate.versionHistory,
-          vaultUrl: this.ipfsService.getVaultUrl(fid, certificate.cid),
-          gatewayUrl: this.ipfsService.getGatewayUrl(certificate.cid),
+          reason: value.reason,
+          note: value.note,
+          transactionHash: txResult.transactionHash,
+          isPrivate: txResult.isPrivate,
+          privacyGroupId: this.formatPrivacyGroup(txResult.privacy),
         },
       });
     } catch (error) {
-      console.error("Error getting certificate:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to get certificate",
-        error: error.message,
+      console.error("Error revoking certificate:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to revoke certificate", error));
+    }
+  }
+
+  async downloadEvidence(req, res) {
+    try {
+      const { fid } = req.params;
+
+      const certificate = await this.blockchainService.getCertificate(fid);
+
+      // Deleted certificates have their content unpinned
+      if (!certificate.isActive && !certificate.revocation) {
+        return res.status(404).json({
+          success: false,
+          message: "Certificate content has been deleted",
+          code: "CONTENT_DELETED",
+        });
+      }
+
+      console.log(`🔓 Retrieving evidence file for certificate: ${fid}`);
+      const decryptedFile = await this.storageService.retrieveFileStream(
+        certificate.cid
+      );
+
+      res.set({
+        "Content-Type": this.getContentType(decryptedFile.fileName),
+        "Content-Disposition": `attachment; filename="${decryptedFile.fileName}"`,
+        "Content-Length": decryptedFile.originalSize.toString(),
+        "X-Vault-FID": fid,
+        "X-Vault-CID": certificate.cid,
+        "X-Vault-File-Name": decryptedFile.fileName,
+        "X-Vault-Status": certificate.status,
+      });
+
+      await pipeline(decryptedFile.stream, res);
+    } catch (error) {
+      console.error("Error downloading evidence:", error);
+      // Once streaming has started, the status can no longer change; the
+      // response is cut short instead
+      if (res.headersSent) {
+        return;
+      }
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to download evidence", error));
+    }
+  }
+
+  async renewCertificate(req, res) {
+    try {
+      const { fid } = req.params;
+
+      // Validate request
+      const schema = Joi.object({
+        validUntil: Joi.date().iso().greater("now").required(),
+        ...privacyFields,
+      }).oxor("privateFor", "privacyGroup");
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      // Private certificates are only ever modified within their privacy group
+      const privacy = await this.blockchainService.getCertificatePrivacy(
+        fid,
+        this.requestedPrivacy(value, null)
+      );
+
+      // Get current certificate
+      const currentCertificate = await this.blockchainService.getCertificate(
+        fid
+      );
+
+      if (!currentCertificate.isActive) {
+        return res.status(409).json({
+          success: false,
+          message: "Cannot renew inactive certificate",
+          code: "CERTIFICATE_INACTIVE",
+        });
+      }
+
+      if (!currentCertificate.validUntil) {
+        return res.status(409).json({
+          success: false,
+          message: "Certificate does not expire",
+          code: "CERTIFICATE_DOES_NOT_EXPIRE",
+        });
+      }
+
+      // Extend expiry on blockchain
+      const validUntil = Math.floor(value.validUntil.getTime() / 1000);
+      const txResult = await this.blockchainService.renewCertificate(
+        fid,
+        validUntil,
+        privacy,
+        req.signer
+      );
+
+      res.json({
+        success: true,
+        message: "Certificate renewed successfully",
+        data: {
+          fid,
+          previousValidUntil: this.formatTimestamp(
+            currentCertificate.validUntil
+          ),
+          validUntil: value.validUntil.toISOString(),
+          transactionHash: txResult.transactionHash,
+          isPrivate: txResult.isPrivate,
+          privacyGroupId: this.formatPrivacyGroup(txResult.privacy),
+        },
       });
+    } catch (error) {
+      console.error("Error renewing certificate:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to renew certificate", error));
+    }
+  }
+
+  async getCertificateVersions(req, res) {
+    try {
+      const { fid } = req.params;
+
+      // Private and not yet indexed certificates are read from the chain
+      const indexed =
+        this.isIndexReady() && !this.blockchainService.privacyRegistry.get(fid)
+          ? this.indexerService.getCertificate(fid)
+          : null;
+      const certificate =
+        indexed || (await this.blockchainService.getCertificate(fid));
+      const versions = indexed
+        ? this.indexerService.getVersionHistory(fid)
+        : await this.blockchainService.getVersionHistory(fid);
+
+      res.json({
+        success: true,
+        message: "Certificate versions retrieved successfully",
+        data: {
+          fid,
+          currentCid: certificate.cid,
+          isActive: certificate.isActive,
+          totalVersions: versions.length,
+          source: indexed ? "index" : "chain",
+          versions: versions.map((version) => ({
+            version: version.index,
+            cid: version.cid,
+            timestamp: new Date(version.timestamp * 1000).toISOString(),
+            modifiedBy: version.modifiedBy,
+            isCurrent: version.index === versions.length - 1,
+            vaultUrl: Utils.getVaultUrl(fid, version.cid),
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error getting certificate versions:", error);
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to get certificate versions", error)
+        );
     }
   }
 
@@ -240,14 +1142,69 @@ class CertificateController {
     try {
       const { fid } = req.params;
 
+      // Validate query (DELETE requests carry no body)
+      const schema = Joi.object({
+        ...privacyFields,
+        dryRun: Joi.boolean().default(false),
+      }).oxor("privateFor", "privacyGroup");
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      // Private certificates are only ever modified within their privacy group
+      const privacy = await this.blockchainService.getCertificatePrivacy(
+        fid,
+        this.requestedPrivacy(value, null)
+      );
+
       // Get certificate details
       const certificate = await this.blockchainService.getCertificate(fid);
 
-      // Remove file from IPFS
-      await this.ipfsService.removeFile(certificate.cid);
+      // Dry run: the file stays pinned and the transaction is only simulated
+      if (value.dryRun) {
+        const simulation = await this.blockchainService.deleteCertificate(
+          fid,
+          privacy,
+          req.signer,
+          { dryRun: true }
+        );
+        return res.json({
+          success: true,
+          message: "Dry run succeeded; nothing was unpinned or sent",
+          data: {
+            fid,
+            cid: certificate.cid,
+            ...this.formatDryRun(simulation),
+          },
+        });
+      }
+
+      // Unpin and delete as a saga: a failed transaction pins the file again
+      const txResult = await this.sagaService.run(
+        "delete",
+        fid,
+        { privacy, cid: certificate.cid, wasActive: certificate.isActive },
+        async (saga) => {
+          // Remove the file from storage
+          await this.storageService.removeFile(certificate.cid);
+          saga.record("unpinned");
 
-      // Delete certificate on blockchain
-      const txResult = await this.blockchainService.deleteCertificate(fid);
+          // Delete certificate on blockchain
+          return this.blockchainService.deleteCertificate(
+            fid,
+            privacy,
+            req.signer,
+            { onSubmitted: saga.onSubmitted }
+          );
+        }
+      );
 
       res.json({
         success: true,
@@ -256,15 +1213,15 @@ class CertificateController {
           fid,
           cid: certificate.cid,
           transactionHash: txResult.transactionHash,
+          isPrivate: txResult.isPrivate,
+          privacyGroupId: this.formatPrivacyGroup(txResult.privacy),
         },
       });
     } catch (error) {
       console.error("Error deleting certificate:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to delete certificate",
-        error: error.message,
-      });
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to delete certificate", error));
     }
   }
 
@@ -277,6 +1234,7 @@ class CertificateController {
         return res.status(400).json({
           success: false,
           message: "Missing required parameters: fid and cid",
+          code: "VALIDATION_ERROR",
         });
       }
 
@@ -289,20 +1247,27 @@ class CertificateController {
         return res.status(404).json({
           success: false,
           message: "Certificate not found or inactive",
+          code: "CERTIFICATE_NOT_FOUND",
         });
       }
 
-      // Verify CID matches
-      if (certificate.cid !== cid) {
+      // Verify CID belongs to the certificate's version history
+      const isSuperseded = certificate.cid !== cid;
+      if (isSuperseded && !certificate.versionHistory.includes(cid)) {
         return res.status(400).json({
           success: false,
           message: "CID does not match certificate",
+          code: "CID_MISMATCH",
         });
       }
 
-      // Retrieve and decrypt the file from IPFS
-      console.log(`🔓 Retrieving and decrypting file for download...`);
-      const decryptedFile = await this.ipfsService.retrieveFile(cid);
+      // Retrieve and decrypt the file
+      console.log(
+        `🔓 Retrieving and decrypting ${
+          isSuperseded ? "superseded version" : "file"
+        } for download...`
+      );
+      const decryptedFile = await this.storageService.retrieveFileStream(cid);
 
       // Determine content type based on file extension
       const contentType = this.getContentType(decryptedFile.fileName);
@@ -311,7 +1276,7 @@ class CertificateController {
       res.set({
         "Content-Type": contentType,
         "Content-Disposition": `attachment; filename="${decryptedFile.fileName}"`,
-        "Content-Length": decryptedFile.content.length.toString(),
+        "Content-Length": decryptedFile.originalSize.toString(),
         "X-Vault-FID": fid,
         "X-Vault-CID": cid,
         "X-Vault-File-Name": decryptedFile.fileName,
@@ -319,22 +1284,164 @@ class CertificateController {
         "X-Vault-Encrypted-Size": decryptedFile.encryptedSize.toString(),
         "X-Vault-Algorithm": decryptedFile.algorithm,
         "X-Vault-Timestamp": decryptedFile.timestamp.toString(),
+        "X-Vault-Superseded": isSuperseded.toString(),
+        "X-Vault-Current-CID": certificate.cid,
       });
 
       console.log(
-        `✅ File ready for download: ${decryptedFile.fileName} (${decryptedFile.content.length} bytes)`
+        `✅ File ready for download: ${decryptedFile.fileName} (${decryptedFile.originalSize} bytes)`
       );
 
-      // Send the decrypted file content
-      res.send(decryptedFile.content);
+      // Stream the decrypted file content
+      await pipeline(decryptedFile.stream, res);
     } catch (error) {
       console.error("Error downloading certificate:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to download certificate",
-        error: error.message,
-      });
+      // Once streaming has started, the status can no longer change; the
+      // response is cut short instead
+      if (res.headersSent) {
+        return;
+      }
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to download certificate", error)
+        );
+    }
+  }
+
+  /**
+   * Whether reads can be served from the local event index
+   * @returns {boolean} True when an indexer is configured and caught up
+   */
+  isIndexReady() {
+    return Boolean(this.indexerService && this.indexerService.isReady());
+  }
+
+  /**
+   * Format certificate details for API responses
+   * @param {Object} certificate - Certificate from blockchain service
+   * @returns {Object} Formatted certificate
+   */
+  formatCertificate(certificate) {
+    return {
+      fid: certificate.fid,
+      cid: certificate.cid,
+      email: certificate.email || null,
+      emailCommitment: certificate.emailCommitment,
+      issueDate: new Date(certificate.issueDate * 1000).toISOString(),
+      lastModified: new Date(certificate.lastModified * 1000).toISOString(),
+      issuer: certificate.issuer,
+      isActive: certificate.isActive,
+      status: certificate.status,
+      validUntil: this.formatTimestamp(certificate.validUntil),
+      isExpired: certificate.isExpired,
+      revocation: this.formatRevocation(certificate.revocation),
+      versionHistory: certificate.versionHistory,
+      isPrivate: certificate.isPrivate,
+      privacyGroupId: certificate.privacyGroupId,
+      vaultUrl: Utils.getVaultUrl(certificate.fid, certificate.cid),
+      gatewayUrl: this.storageService.getGatewayUrl(certificate.cid),
+    };
+  }
+
+  /**
+   * Format revocation details for API responses
+   * @param {Object|null} revocation - Revocation from blockchain service
+   * @returns {Object|null} Formatted revocation
+   */
+  formatRevocation(revocation) {
+    if (!revocation) {
+      return null;
+    }
+
+    return {
+      reason: revocation.reason,
+      reasonCode: revocation.reasonCode,
+      note: revocation.note,
+      revokedAt: this.formatTimestamp(revocation.revokedAt),
+      revokedBy: revocation.revokedBy,
+    };
+  }
+
+  /**
+   * Format a unix timestamp (seconds) as ISO string
+   * @param {number} timestamp - Unix timestamp, 0 when unset
+   * @returns {string|null} ISO date or null
+   */
+  formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+  }
+
+  /**
+   * Issue a certificate on-chain, with its email in plaintext or as a
+   * salted commitment
+   * @param {string} fid - File ID
+   * @param {string} cid - Content ID
+   * @param {Object} issuance - {email, emailCommitment, privacy, validUntil, signer}
+   * @param {Object} options - Transaction options (onSubmitted, dryRun)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  issueOnChain(fid, cid, issuance, options) {
+    const { email, emailCommitment, privacy, validUntil, signer } = issuance;
+    return emailCommitment
+      ? this.blockchainService.issueCertificateWithCommitment(
+          fid,
+          cid,
+          emailCommitment.commitment,
+          privacy,
+          validUntil,
+          signer,
+          options
+        )
+      : this.blockchainService.issueCertificate(
+          fid,
+          cid,
+          email,
+          privacy,
+          validUntil,
+          signer,
+          options
+        );
+  }
+
+  /**
+   * Format the simulated transaction of a dry run
+   * @param {Object} simulation - Dry run result of the blockchain service
+   * @returns {Object} - Response fields
+   */
+  formatDryRun(simulation) {
+    return {
+      dryRun: true,
+      from: simulation.from,
+      gas: simulation.gas,
+      isPrivate: simulation.isPrivate,
+      privacyGroupId: this.formatPrivacyGroup(simulation.privacy),
+    };
+  }
+
+  /**
+   * Turn validated privacy fields into a BlockchainService privacy argument
+   * @param {Object} value - Validated request (isPrivate, privateFor, privacyGroup)
+   * @param {boolean|null} fallback - Privacy when no field is given
+   * @returns {boolean|Object|null} Privacy argument
+   */
+  requestedPrivacy({ isPrivate, privateFor, privacyGroup }, fallback) {
+    if (privateFor) {
+      return { privateFor };
     }
+    if (privacyGroup) {
+      return { privacyGroup };
+    }
+    return isPrivate === undefined ? fallback : isPrivate;
+  }
+
+  /**
+   * Format the privacy group of a transaction for API responses
+   * @param {Object|null} privacy - Resolved privacy target
+   * @returns {string|null} Privacy group ID, null for public transactions
+   */
+  formatPrivacyGroup(privacy) {
+    return privacy ? privacy.privacyGroupId : null;
   }
 
   /**
@@ -368,4 +1475,6 @@ class CertificateController {
   }
 }
 
+CertificateController.MAX_BATCH_FILES = MAX_BATCH_FILES;
+
 module.exports = CertificateController;
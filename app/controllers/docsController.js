@@ -108,8 +108,8 @@ class DocsController {
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4"></path>
                     </svg>
                 </div>
-                <h3 class="font-semibold text-slate-900 mb-2">IPFS Storage</h3>
-                <p class="text-sm text-slate-600">Decentralized file storage with content addressing</p>
+                <h3 class="font-semibold text-slate-900 mb-2">Pluggable Storage</h3>
+                <p class="text-sm text-slate-600">Content-addressed files on IPFS, a local directory or S3</p>
             </div>
             <div class="bg-white border border-slate-200 rounded-xl p-6 hover:border-blue-300 hover:shadow-lg transition-all duration-300">
                 <div class="w-10 h-10 bg-gradient-to-br from-blue-100 to-indigo-100 rounded-lg flex items-center justify-center mb-3">
@@ -138,7 +138,7 @@ class DocsController {
 
         <!-- Footer -->
         <div class="mt-16 pt-8 border-t border-slate-200 text-center text-slate-600">
-            <p class="text-sm">Built with Express.js, IPFS, and Quorum Blockchain</p>
+            <p class="text-sm">Built with Express.js, IPFS/S3 storage, and Quorum Blockchain</p>
         </div>
     </div>
 
@@ -375,7 +375,7 @@ class DocsController {
         title: "VAULT Protocol API",
         version: "1.0.0",
         description:
-          "Blockchain-based Certificate Management System with Enterprise-Grade Encryption",
+          "Blockchain-based Certificate Management System with Enterprise-Grade Encryption. Errors are returned as {success: false, message, error, code}; contract reverts are decoded into a stable code (e.g. CERTIFICATE_EXISTS, 409) and the revert reason.",
         contact: {
           name: "VAULT Protocol Team",
         },
@@ -450,11 +450,32 @@ class DocsController {
         properties: {
           fid: { type: "string", description: "File ID" },
           cid: { type: "string", description: "Content ID" },
-          email: { type: "string", format: "email" },
+          email: {
+            type: "string",
+            description: "Holder email, empty when only a commitment is stored",
+          },
+          emailCommitment: {
+            type: "string",
+            description:
+              "keccak256 of the normalized email and salt, null for plaintext emails",
+          },
           issueDate: { type: "integer" },
           lastModified: { type: "integer" },
           issuer: { type: "string" },
           isActive: { type: "boolean" },
+          validUntil: {
+            type: "integer",
+            description: "Expiry timestamp, 0 if the certificate never expires",
+          },
+          isPrivate: {
+            type: "boolean",
+            description: "Whether the certificate lives in a privacy group",
+          },
+          privacyGroupId: {
+            type: "string",
+            description:
+              "Privacy group the certificate was read from, null if public",
+          },
         },
       },
       Error: {
@@ -463,6 +484,15 @@ class DocsController {
           success: { type: "boolean" },
           message: { type: "string" },
           error: { type: "string" },
+          code: {
+            type: "string",
+            description:
+              "Stable error code to branch on, e.g. CERTIFICATE_EXISTS or NOT_CERTIFICATE_ISSUER",
+          },
+          reason: {
+            type: "string",
+            description: "Decoded contract revert reason, for contract errors",
+          },
         },
       },
     };
@@ -481,7 +511,7 @@ class DocsController {
             method: "GET",
             path: "/api/health",
             description:
-              "Check the health status of the VAULT Protocol system including IPFS and blockchain connections.",
+              "Check the health status of the VAULT Protocol system including the storage provider (IPFS, filesystem or S3) and blockchain connections.",
             responses: [
               { code: 200, description: "System health status" },
               { code: 500, description: "System health check failed" },
@@ -492,18 +522,94 @@ class DocsController {
       {
         title: "Certificate Management",
         endpoints: [
+          {
+            method: "GET",
+            path: "/api/certificates",
+            description:
+              "List certificates in issuance order with optional filters. Results are paginated and include the total number of matches. Served from the local event index once it has caught up with the chain (source: index), otherwise read from the contract (source: chain), where the status and issue date filters are unavailable; private certificates are not listed.",
+            parameters: [
+              {
+                name: "email",
+                in: "query",
+                type: "string",
+                description: "Only certificates issued to this email",
+                required: false,
+              },
+              {
+                name: "issuer",
+                in: "query",
+                type: "string",
+                description: "Only certificates issued by this address",
+                required: false,
+              },
+              {
+                name: "status",
+                in: "query",
+                type: "string",
+                description: "active, expired, revoked or inactive",
+                required: false,
+              },
+              {
+                name: "issuedAfter",
+                in: "query",
+                type: "string",
+                description:
+                  "ISO 8601 date; only certificates issued on or after it",
+                required: false,
+              },
+              {
+                name: "issuedBefore",
+                in: "query",
+                type: "string",
+                description:
+                  "ISO 8601 date; only certificates issued on or before it",
+                required: false,
+              },
+              {
+                name: "page",
+                in: "query",
+                type: "integer",
+                description: "Page number, starting at 1 (default 1)",
+                required: false,
+              },
+              {
+                name: "pageSize",
+                in: "query",
+                type: "integer",
+                description: "Certificates per page, 1-100 (default 20)",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Certificates retrieved successfully" },
+              { code: 400, description: "Invalid query parameters" },
+              { code: 500, description: "Failed to list certificates" },
+              {
+                code: 503,
+                description:
+                  "Status or issue date filter while the event index is not ready",
+              },
+            ],
+          },
           {
             method: "POST",
             path: "/api/certificates/issue",
             description:
-              "Upload a file and create a new certificate with AES-256-GCM encryption. The file is encrypted before being stored on IPFS, and certificate metadata is stored on the blockchain.",
+              "Upload a file and create a new certificate with AES-256-GCM encryption. The file is encrypted before being stored with the configured storage provider (IPFS, filesystem or S3), and certificate metadata is stored on the blockchain. Public issuance reports the gas limit, gas used, effective gas price and cost (wei) of the transaction. The transaction is simulated from the signer's address first, so reverts fail fast with their reason. If the transaction fails, the upload is removed. With async=true the request returns 202 Accepted and a job ID as soon as the upload is validated; poll /api/jobs/{id} for progress.",
             parameters: [
               {
                 name: "file",
                 type: "file",
                 description:
-                  "Certificate file to upload (PNG, JPEG, PDF, TXT, HTML, JSON)",
-                required: true,
+                  "Certificate file to upload (PNG, JPEG, PDF, TXT, HTML, JSON), up to MAX_FILE_SIZE (default 5GB). Files are streamed to disk and encrypted in segments, so large datasets are not held in memory. Required unless uploadId is given",
+                required: false,
+              },
+              {
+                name: "uploadId",
+                type: "string",
+                description:
+                  "ID of a finished resumable upload (/api/uploads) to use instead of file. The upload is deleted once the certificate is issued, and kept after a failure or dry run so the request can be retried; 409 if it is incomplete or in use",
+                required: false,
               },
               {
                 name: "email",
@@ -514,30 +620,173 @@ class DocsController {
               {
                 name: "isPrivate",
                 type: "boolean",
-                description: "Whether the certificate should be private",
+                description:
+                  "Whether the certificate should be private (default recipient: member2)",
+                required: false,
+              },
+              {
+                name: "privateFor",
+                type: "array",
+                description:
+                  "Private recipients: Tessera public keys or member names (member1..3). Implies isPrivate",
+                required: false,
+              },
+              {
+                name: "privacyGroup",
+                type: "string",
+                description:
+                  "Besu privacy group ID or name to issue to instead of privateFor. Implies isPrivate",
+                required: false,
+              },
+              {
+                name: "validUntil",
+                type: "string",
+                description:
+                  "Optional ISO 8601 expiry date; the certificate stops verifying after it",
+                required: false,
+              },
+              {
+                name: "X-Signer",
+                in: "header",
+                type: "string",
+                description:
+                  "Configured signer to send the transaction with (admin key required); issuer API keys select their own signer",
+                required: false,
+              },
+              {
+                name: "hashEmail",
+                type: "boolean",
+                description:
+                  "Store only a salted commitment of the email on-chain (defaults to HASH_EMAILS). The response returns the salt, which the holder needs to verify",
+                required: false,
+              },
+              {
+                name: "async",
+                in: "query",
+                type: "boolean",
+                description:
+                  "Issue in the background and return a job ID instead of waiting for the transaction",
+                required: false,
+              },
+              {
+                name: "dryRun",
+                in: "query",
+                type: "boolean",
+                description:
+                  "Validate without side effects: the file is encrypted and hashed but not pinned, and the transaction is simulated from the signer's address. The returned FID and CID are not reserved",
                 required: false,
               },
             ],
             responses: [
               { code: 200, description: "Certificate issued successfully" },
+              {
+                code: 202,
+                description:
+                  "Issuance accepted (async=true); Location is the job URL",
+              },
               {
                 code: 400,
                 description: "Invalid file type or missing parameters",
               },
+              {
+                code: 403,
+                description:
+                  "Signer is not an active issuer (NOT_ACTIVE_ISSUER)",
+              },
+              {
+                code: 409,
+                description:
+                  "A certificate with this FID already exists (CERTIFICATE_EXISTS)",
+              },
               { code: 500, description: "Failed to issue certificate" },
             ],
           },
+          {
+            method: "POST",
+            path: "/api/certificates/batch",
+            description:
+              "Upload multiple files and issue their certificates in as few transactions as possible (up to 20 certificates per transaction). A JSON manifest maps each uploaded file to its holder email; the response reports success or failure for every manifest entry.",
+            parameters: [
+              {
+                name: "files",
+                type: "file",
+                description:
+                  "Certificate files to upload (up to MAX_BATCH_FILES, default 100)",
+                required: true,
+              },
+              {
+                name: "manifest",
+                type: "string",
+                description:
+                  'JSON array of {"file": "<uploaded filename>", "email": "<holder email>"} entries',
+                required: true,
+              },
+              {
+                name: "isPrivate",
+                type: "boolean",
+                description:
+                  "Whether the certificates should be private (default recipient: member2)",
+                required: false,
+              },
+              {
+                name: "privateFor",
+                type: "array",
+                description:
+                  "Private recipients: Tessera public keys or member names (member1..3). Implies isPrivate",
+                required: false,
+              },
+              {
+                name: "privacyGroup",
+                type: "string",
+                description:
+                  "Besu privacy group ID or name to issue to instead of privateFor. Implies isPrivate",
+                required: false,
+              },
+              {
+                name: "X-Signer",
+                in: "header",
+                type: "string",
+                description:
+                  "Configured signer to send the transactions with (admin key required)",
+                required: false,
+              },
+              {
+                name: "mode",
+                type: "string",
+                description:
+                  "onchain (default) stores every certificate on-chain; anchored stores only a Merkle root and returns a proof bundle per certificate. Anchored batches are public: they cannot be combined with isPrivate, privateFor or privacyGroup",
+                required: false,
+              },
+              {
+                name: "hashEmail",
+                type: "boolean",
+                description:
+                  "In onchain mode, store only a salted commitment of each email (defaults to HASH_EMAILS). Each result returns its salt, which the holder needs to verify. Anchored batches always commit emails",
+                required: false,
+              },
+            ],
+            responses: [
+              {
+                code: 200,
+                description:
+                  "Per-item results; success is false if any item failed",
+              },
+              { code: 400, description: "Invalid manifest or too many files" },
+              { code: 500, description: "Failed to issue certificates" },
+            ],
+          },
           {
             method: "POST",
             path: "/api/certificates/verify",
             description:
-              "Verify the authenticity of a certificate by checking the blockchain record and validating the associated email address.",
+              "Verify the authenticity of a certificate by checking the blockchain record and validating the associated email address. The response status is active, expired, revoked or inactive, so lapsed and revoked certificates are reported distinctly from deleted ones. Revoked certificates include the reason code, note and revocation date. Certificates from an anchored batch are verified with their proof bundle instead of an FID.",
             parameters: [
               {
                 name: "fid",
                 type: "string",
-                description: "File ID of the certificate to verify",
-                required: true,
+                description:
+                  "File ID of the certificate to verify (omit when sending a bundle)",
+                required: false,
               },
               {
                 name: "email",
@@ -545,6 +794,20 @@ class DocsController {
                 description: "Email address to verify against",
                 required: true,
               },
+              {
+                name: "salt",
+                type: "string",
+                description:
+                  "Email salt returned at issuance; required for certificates with a hashed email",
+                required: false,
+              },
+              {
+                name: "bundle",
+                type: "object",
+                description:
+                  "Proof bundle {root, fid, cid, salt, proof} returned by an anchored batch",
+                required: false,
+              },
             ],
             responses: [
               { code: 200, description: "Certificate verification successful" },
@@ -575,11 +838,73 @@ class DocsController {
               { code: 500, description: "Failed to retrieve certificate" },
             ],
           },
+          {
+            method: "POST",
+            path: "/api/certificates/{fid}/revoke",
+            description:
+              "Revoke a certificate with a standard reason (unspecified, superseded, key_compromise, misconduct, issuer_error, affiliation_changed, cessation_of_operation). Unlike deletion, the encrypted file stays pinned as evidence.",
+            parameters: [
+              {
+                name: "fid",
+                type: "string",
+                description: "File ID of the certificate to revoke",
+                required: true,
+              },
+              {
+                name: "reason",
+                type: "string",
+                description: "Revocation reason code",
+                required: true,
+              },
+              {
+                name: "note",
+                type: "string",
+                description: "Free-text explanation (max 500 characters)",
+                required: false,
+              },
+              {
+                name: "isPrivate",
+                type: "boolean",
+                description:
+                  "Optional. The transaction always uses the privacy the certificate was issued with; a conflicting value is rejected",
+                required: false,
+              },
+              {
+                name: "privateFor",
+                type: "array",
+                description:
+                  "Optional. Must match the certificate's recipients",
+                required: false,
+              },
+              {
+                name: "privacyGroup",
+                type: "string",
+                description:
+                  "Optional. Must match the certificate's privacy group",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Certificate revoked successfully" },
+              { code: 400, description: "Invalid reason" },
+              {
+                code: 403,
+                description: "Signer is not the certificate's issuer",
+              },
+              { code: 404, description: "Certificate not found" },
+              {
+                code: 409,
+                description:
+                  "Inactive certificate (CERTIFICATE_INACTIVE) or requested privacy differs from the certificate's",
+              },
+              { code: 500, description: "Failed to revoke certificate" },
+            ],
+          },
           {
             method: "GET",
-            path: "/api/certificates/{fid}/download/{cid}",
+            path: "/api/certificates/{fid}/evidence",
             description:
-              "Download the decrypted certificate file directly using FID and CID. The file is automatically decrypted from IPFS before being returned.",
+              "Download the current file of an active or revoked certificate. Admin only; intended for retrieving evidence after revocation.",
             parameters: [
               {
                 name: "fid",
@@ -588,75 +913,774 @@ class DocsController {
                 required: true,
               },
               {
-                name: "cid",
+                name: "Authorization",
+                in: "header",
                 type: "string",
-                description: "Content ID of the file version",
-                required: true,
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
               },
             ],
             responses: [
               {
                 code: 200,
-                description: "File downloaded successfully",
+                description: "Evidence file downloaded successfully",
                 content: { type: "application/octet-stream" },
               },
-              { code: 400, description: "CID does not match certificate" },
-              { code: 404, description: "Certificate not found or inactive" },
-              { code: 500, description: "Failed to download certificate" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              {
+                code: 404,
+                description: "Certificate content has been deleted",
+              },
+              { code: 500, description: "Failed to download evidence" },
             ],
           },
           {
-            method: "PUT",
-            path: "/api/certificates/{fid}",
+            method: "POST",
+            path: "/api/certificates/{fid}/renew",
             description:
-              "Update an existing certificate with a new file. The new file is encrypted and stored on IPFS, and the blockchain record is updated with the new CID.",
+              "Extend the expiry date of a certificate. Only the issuing account can renew, and the new date must be later than the current one.",
             parameters: [
               {
                 name: "fid",
                 type: "string",
-                description: "File ID of the certificate to update",
+                description: "File ID of the certificate to renew",
                 required: true,
               },
               {
-                name: "file",
-                type: "file",
-                description: "New certificate file",
+                name: "validUntil",
+                type: "string",
+                description: "New ISO 8601 expiry date",
                 required: true,
               },
               {
-                name: "email",
+                name: "isPrivate",
+                type: "boolean",
+                description:
+                  "Optional. The transaction always uses the privacy the certificate was issued with; a conflicting value is rejected",
+                required: false,
+              },
+              {
+                name: "privateFor",
+                type: "array",
+                description:
+                  "Optional. Must match the certificate's recipients",
+                required: false,
+              },
+              {
+                name: "privacyGroup",
                 type: "string",
-                description: "Email address",
-                required: true,
+                description:
+                  "Optional. Must match the certificate's privacy group",
+                required: false,
               },
             ],
             responses: [
-              { code: 200, description: "Certificate updated successfully" },
+              { code: 200, description: "Certificate renewed successfully" },
+              { code: 400, description: "Invalid expiry (INVALID_EXPIRY)" },
               {
-                code: 400,
-                description: "Invalid file type or missing parameters",
+                code: 403,
+                description: "Signer is not the certificate's issuer",
               },
               { code: 404, description: "Certificate not found" },
-              { code: 500, description: "Failed to update certificate" },
+              {
+                code: 409,
+                description:
+                  "Inactive certificate, certificate without expiry or requested privacy differs from the certificate's",
+              },
+              { code: 500, description: "Failed to renew certificate" },
             ],
           },
           {
-            method: "DELETE",
-            path: "/api/certificates/{fid}",
+            method: "GET",
+            path: "/api/certificates/{fid}/versions",
             description:
-              "Delete a certificate from both IPFS and blockchain, removing the encrypted file and marking the certificate as inactive.",
+              "List every version recorded on-chain for a certificate, oldest first, with the CID, timestamp and modifier address of each entry. Public certificates are read from the local event index when available; source tells which was used.",
             parameters: [
               {
                 name: "fid",
                 type: "string",
-                description: "File ID of the certificate to delete",
+                description: "File ID of the certificate",
                 required: true,
               },
             ],
             responses: [
-              { code: 200, description: "Certificate deleted successfully" },
-              { code: 404, description: "Certificate not found" },
-              { code: 500, description: "Failed to delete certificate" },
+              {
+                code: 200,
+                description: "Certificate versions retrieved successfully",
+              },
+              { code: 500, description: "Failed to get certificate versions" },
+            ],
+          },
+          {
+            method: "GET",
+            path: "/api/certificates/{fid}/download/{cid}",
+            description:
+              "Download the decrypted certificate file directly using FID and CID. The file is decrypted as it streams, each segment authenticated before it is sent; a corrupted stored file ends the response early instead of returning bad bytes. Any CID from the certificate's version history is accepted; older versions are flagged with X-Vault-Superseded: true and X-Vault-Current-CID points to the current version.",
+            parameters: [
+              {
+                name: "fid",
+                type: "string",
+                description: "File ID of the certificate",
+                required: true,
+              },
+              {
+                name: "cid",
+                type: "string",
+                description: "Content ID of the file version",
+                required: true,
+              },
+            ],
+            responses: [
+              {
+                code: 200,
+                description: "File downloaded successfully",
+                content: { type: "application/octet-stream" },
+              },
+              {
+                code: 400,
+                description: "CID is not part of the certificate's history",
+              },
+              { code: 404, description: "Certificate not found or inactive" },
+              { code: 500, description: "Failed to download certificate" },
+            ],
+          },
+          {
+            method: "PUT",
+            path: "/api/certificates/{fid}",
+            description:
+              "Update an existing certificate with a new file. The new file is encrypted and stored, and the blockchain record is updated with the new CID. If the transaction fails, the new upload is removed.",
+            parameters: [
+              {
+                name: "fid",
+                type: "string",
+                description: "File ID of the certificate to update",
+                required: true,
+              },
+              {
+                name: "file",
+                type: "file",
+                description:
+                  "New certificate file. Required unless uploadId is given",
+                required: false,
+              },
+              {
+                name: "uploadId",
+                type: "string",
+                description:
+                  "ID of a finished resumable upload (/api/uploads) to use instead of file",
+                required: false,
+              },
+              {
+                name: "email",
+                type: "string",
+                description: "Email address",
+                required: true,
+              },
+              {
+                name: "isPrivate",
+                type: "boolean",
+                description:
+                  "Optional. The transaction always uses the privacy the certificate was issued with; a conflicting value is rejected",
+                required: false,
+              },
+              {
+                name: "privateFor",
+                type: "array",
+                description:
+                  "Optional. Must match the certificate's recipients",
+                required: false,
+              },
+              {
+                name: "privacyGroup",
+                type: "string",
+                description:
+                  "Optional. Must match the certificate's privacy group",
+                required: false,
+              },
+              {
+                name: "dryRun",
+                in: "query",
+                type: "boolean",
+                description:
+                  "Validate without side effects: the new file is encrypted and hashed but not pinned, and the transaction is simulated",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Certificate updated successfully" },
+              {
+                code: 400,
+                description: "Invalid file type or missing parameters",
+              },
+              {
+                code: 403,
+                description:
+                  "Signer is not the certificate's issuer (NOT_CERTIFICATE_ISSUER)",
+              },
+              { code: 404, description: "Certificate not found" },
+              {
+                code: 409,
+                description:
+                  "Inactive certificate or requested privacy differs from the certificate's",
+              },
+              { code: 500, description: "Failed to update certificate" },
+            ],
+          },
+          {
+            method: "DELETE",
+            path: "/api/certificates/{fid}",
+            description:
+              "Delete a certificate from both storage and blockchain, removing the encrypted file and marking the certificate as inactive. If the transaction fails, the file is restored. Privacy fields are passed as query parameters.",
+            parameters: [
+              {
+                name: "fid",
+                type: "string",
+                description: "File ID of the certificate to delete",
+                required: true,
+              },
+              {
+                name: "isPrivate",
+                type: "boolean",
+                description:
+                  "Optional. The transaction always uses the privacy the certificate was issued with; a conflicting value is rejected",
+                required: false,
+              },
+              {
+                name: "privateFor",
+                type: "array",
+                description:
+                  "Optional. Must match the certificate's recipients",
+                required: false,
+              },
+              {
+                name: "privacyGroup",
+                type: "string",
+                description:
+                  "Optional. Must match the certificate's privacy group",
+                required: false,
+              },
+              {
+                name: "dryRun",
+                type: "boolean",
+                description:
+                  "Validate without side effects: the file stays pinned and the transaction is simulated",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Certificate deleted successfully" },
+              {
+                code: 403,
+                description: "Signer is not the certificate's issuer",
+              },
+              { code: 404, description: "Certificate not found" },
+              {
+                code: 409,
+                description:
+                  "Inactive certificate or requested privacy differs from the certificate's",
+              },
+              { code: 500, description: "Failed to delete certificate" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Issuer Management",
+        endpoints: [
+          {
+            method: "GET",
+            path: "/api/issuers",
+            description:
+              "List every issuer in the on-chain registry with display name and status. Requires an admin API key outside development.",
+            parameters: [
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Issuers retrieved successfully" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to list issuers" },
+            ],
+          },
+          {
+            method: "GET",
+            path: "/api/issuers/{address}",
+            description: "Get a single issuer registry entry.",
+            parameters: [
+              {
+                name: "address",
+                type: "string",
+                description: "Issuer account address",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Issuer retrieved successfully" },
+              { code: 400, description: "Invalid Ethereum address" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 404, description: "Issuer not found (ISSUER_NOT_FOUND)" },
+              { code: 500, description: "Failed to get issuer" },
+            ],
+          },
+          {
+            method: "POST",
+            path: "/api/issuers",
+            description:
+              "Grant the ISSUER role to an account and register its display name. Re-granting a revoked issuer re-activates it.",
+            parameters: [
+              {
+                name: "address",
+                type: "string",
+                description: "Issuer account address",
+                required: true,
+              },
+              {
+                name: "name",
+                type: "string",
+                description: "Issuer display name",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Issuer role granted successfully" },
+              { code: 400, description: "Invalid parameters" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to grant issuer role" },
+            ],
+          },
+          {
+            method: "DELETE",
+            path: "/api/issuers/{address}",
+            description:
+              "Revoke the ISSUER role. The registry entry is kept with status revoked.",
+            parameters: [
+              {
+                name: "address",
+                type: "string",
+                description: "Issuer account address",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Issuer role revoked successfully" },
+              { code: 400, description: "Invalid Ethereum address" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              {
+                code: 409,
+                description:
+                  "Account is not an active issuer (ISSUER_NOT_ACTIVE)",
+              },
+              { code: 500, description: "Failed to revoke issuer role" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Transactions",
+        endpoints: [
+          {
+            method: "GET",
+            path: "/api/transactions/queue",
+            description:
+              "Inspect the transaction queue: depth and next local nonce per signer account, and every queued or pending transaction. Requires an admin API key outside development.",
+            parameters: [
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              {
+                code: 200,
+                description: "Transaction queue retrieved successfully",
+              },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to get transaction queue" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Jobs",
+        endpoints: [
+          {
+            method: "GET",
+            path: "/api/jobs/{id}",
+            description:
+              "Get the status of an asynchronous issuance job: its stages (queued, uploaded, submitted, mined, confirmed or failed) with timestamps, the FID, CID and transaction hash once known, and the certificate data once confirmed. Jobs survive a server restart and resume from their last stage; finished jobs are kept for JOB_RETENTION_HOURS. Re-encryption jobs report reencrypting then completed, with total, processed, reencrypted, upToDate, skipped and failed. A job is visible to the signer that started it (issuer API key, X-Signer or the default signer); admins see every job. Jobs keep neither the email salt nor, for committed emails, the email: the salt is only returned with the 202 response.",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Job ID returned by the async issuance",
+                required: true,
+              },
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description:
+                  "Bearer <issuer API key> for jobs started with that key, or Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Job retrieved successfully" },
+              {
+                code: 404,
+                description: "Job not found, or started by another signer",
+              },
+              { code: 500, description: "Failed to get job" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Encryption Keys",
+        endpoints: [
+          {
+            method: "GET",
+            path: "/api/keys",
+            description:
+              "Get the encryption keyring: the algorithm, the ID of the active key new files are encrypted with, and the IDs of all keys kept for decryption (never the keys). Every stored file records the ID of its key. Requires an admin API key outside development.",
+            parameters: [
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              {
+                code: 200,
+                description: "Encryption keys retrieved successfully",
+              },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to get encryption keys" },
+            ],
+          },
+          {
+            method: "POST",
+            path: "/api/keys/reencrypt",
+            description:
+              "After adding a new key first in FILE_ENCRYPTION_KEYS, start a background job that walks all certificates, re-encrypts each current file under the active key and updates its CID on-chain with updateCertificate, signed by the certificate's issuer. Files already under the active key, inactive certificates and issuers without a configured signer are passed over. Poll /api/jobs/{id} for progress. Earlier versions keep their CIDs, so keep the old keys configured to download them.",
+            parameters: [
+              {
+                name: "dryRun",
+                in: "query",
+                type: "boolean",
+                description:
+                  "Re-encrypt and hash the files and simulate the updates; nothing is stored or sent",
+                required: false,
+              },
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 202, description: "Re-encryption accepted" },
+              { code: 400, description: "Validation error" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              {
+                code: 409,
+                description: "A re-encryption job is already running",
+              },
+              { code: 500, description: "Failed to start re-encryption" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Resumable Uploads",
+        endpoints: [
+          {
+            method: "POST",
+            path: "/api/uploads",
+            description:
+              "Create a resumable upload session (tus 1.0.0 with the creation, expiration and termination extensions). Send Upload-Length and Upload-Metadata (filename and filetype, base64) like any tus client, or a JSON body {size, fileName, fileType}. Once every byte has arrived, pass the uploadId to /api/certificates/issue or PUT /api/certificates/{fid} instead of a file. Sessions expire UPLOAD_SESSION_TTL_HOURS after their last chunk.",
+            parameters: [
+              {
+                name: "Upload-Length",
+                in: "header",
+                type: "integer",
+                description: "File size in bytes, up to MAX_FILE_SIZE",
+                required: false,
+              },
+              {
+                name: "Upload-Metadata",
+                in: "header",
+                type: "string",
+                description:
+                  "tus metadata: filename and filetype, base64-encoded, e.g. filename ZS5wZGY=,filetype YXBwbGljYXRpb24vcGRm",
+                required: false,
+              },
+            ],
+            responses: [
+              {
+                code: 201,
+                description:
+                  "Upload created; Location is the URL to send chunks to",
+              },
+              { code: 400, description: "Validation error" },
+              { code: 412, description: "Unsupported Tus-Resumable version" },
+              { code: 413, description: "File exceeds MAX_FILE_SIZE" },
+              { code: 500, description: "Failed to create upload" },
+            ],
+          },
+          {
+            method: "PATCH",
+            path: "/api/uploads/{id}",
+            description:
+              "Append a chunk at Upload-Offset (PUT is accepted too). The body is sent as application/offset+octet-stream. If the connection drops, the bytes that arrived are kept; ask for the offset with HEAD and continue from there.",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Upload ID",
+                required: true,
+              },
+              {
+                name: "Upload-Offset",
+                in: "header",
+                type: "integer",
+                description:
+                  "Offset of the chunk; must equal the upload offset",
+                required: true,
+              },
+            ],
+            responses: [
+              {
+                code: 204,
+                description: "Chunk stored; Upload-Offset is the new offset",
+              },
+              { code: 404, description: "Upload not found or expired" },
+              {
+                code: 409,
+                description:
+                  "Offset does not match the upload offset, or a chunk is already being written",
+              },
+              {
+                code: 413,
+                description: "Chunk goes past the upload length",
+              },
+              { code: 415, description: "Wrong Content-Type" },
+              { code: 500, description: "Failed to upload chunk" },
+            ],
+          },
+          {
+            method: "HEAD",
+            path: "/api/uploads/{id}",
+            description:
+              "Get the offset to resume from (Upload-Offset, Upload-Length and Upload-Expires headers)",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Upload ID",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Offset in the response headers" },
+              { code: 404, description: "Upload not found or expired" },
+            ],
+          },
+          {
+            method: "GET",
+            path: "/api/uploads/{id}",
+            description:
+              "Get the progress of an upload: offset, size, progress (0 to 1), whether it is complete, and its expiry",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Upload ID",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Upload retrieved successfully" },
+              { code: 404, description: "Upload not found or expired" },
+              { code: 500, description: "Failed to get upload" },
+            ],
+          },
+          {
+            method: "DELETE",
+            path: "/api/uploads/{id}",
+            description: "Abandon an upload and delete its data",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Upload ID",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 204, description: "Upload deleted" },
+              { code: 404, description: "Upload not found or expired" },
+              { code: 500, description: "Failed to delete upload" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Sagas",
+        endpoints: [
+          {
+            method: "GET",
+            path: "/api/sagas",
+            description:
+              "List certificate operations (issue, update, delete) by saga status. Each step is recorded as it happens; a failed transaction unpins the orphaned upload or re-pins the deleted file. Stuck sagas are those whose compensation failed, or that have been running for longer than SAGA_STUCK_AFTER_MINUTES. Requires an admin API key outside development.",
+            parameters: [
+              {
+                name: "status",
+                in: "query",
+                type: "string",
+                description:
+                  "stuck (default), running, completed, compensated or all",
+                required: false,
+              },
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Sagas retrieved successfully" },
+              { code: 400, description: "Invalid status" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to list sagas" },
+            ],
+          },
+          {
+            method: "GET",
+            path: "/api/sagas/{id}",
+            description:
+              "Get a saga with its steps, CID, transaction hash, error and compensation error.",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Saga ID",
+                required: true,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Saga retrieved successfully" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 404, description: "Saga not found" },
+              { code: 500, description: "Failed to get saga" },
+            ],
+          },
+          {
+            method: "POST",
+            path: "/api/sagas/{id}/retry",
+            description:
+              "Retry the compensation of a stuck saga. The chain is checked first, so an operation that went through after all is marked completed instead.",
+            parameters: [
+              {
+                name: "id",
+                type: "string",
+                description: "Saga ID",
+                required: true,
+              },
+            ],
+            responses: [
+              {
+                code: 200,
+                description: "Saga settled, or compensation failed again",
+              },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 404, description: "Saga not found" },
+              { code: 409, description: "Saga is not stuck" },
+              { code: 500, description: "Failed to retry saga" },
+            ],
+          },
+        ],
+      },
+      {
+        title: "Privacy Groups",
+        endpoints: [
+          {
+            method: "GET",
+            path: "/api/privacy-groups",
+            description:
+              "List the Besu privacy groups that contain the given members (this node by default). Requires an admin API key outside development.",
+            parameters: [
+              {
+                name: "members",
+                type: "array",
+                description:
+                  "Tessera public keys or member names (member1..3) the groups must contain",
+                required: false,
+              },
+              {
+                name: "Authorization",
+                in: "header",
+                type: "string",
+                description: "Bearer <ADMIN_API_KEY>",
+                required: false,
+              },
+            ],
+            responses: [
+              {
+                code: 200,
+                description: "Privacy groups retrieved successfully",
+              },
+              { code: 400, description: "Unknown Tessera recipient" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to list privacy groups" },
+            ],
+          },
+          {
+            method: "POST",
+            path: "/api/privacy-groups",
+            description:
+              "Create a Besu privacy group. This node is always a member. Certificates can then be issued to it by ID or name with privacyGroup.",
+            parameters: [
+              {
+                name: "members",
+                type: "array",
+                description:
+                  "Tessera public keys or member names (member1..3) of the other members",
+                required: true,
+              },
+              {
+                name: "name",
+                type: "string",
+                description: "Group name",
+                required: true,
+              },
+              {
+                name: "description",
+                type: "string",
+                description: "Group description",
+                required: false,
+              },
+            ],
+            responses: [
+              { code: 200, description: "Privacy group created successfully" },
+              { code: 400, description: "Invalid parameters" },
+              { code: 401, description: "Missing or invalid admin API key" },
+              { code: 500, description: "Failed to create privacy group" },
             ],
           },
         ],
@@ -668,7 +1692,7 @@ class DocsController {
             method: "GET",
             path: "/api/vault/{fid}/{cid}",
             description:
-              "Process vault:// URLs and return the decrypted file content. This endpoint handles the custom vault:// URL scheme and automatically decrypts files from IPFS.",
+              "Process vault:// URLs and return the decrypted file content. This endpoint handles the custom vault:// URL scheme and automatically decrypts the stored files. Links to superseded versions keep working and are marked with isSuperseded and the current CID.",
             parameters: [
               {
                 name: "fid",
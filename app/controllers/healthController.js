@@ -1,19 +1,19 @@
 class HealthController {
-  constructor(ipfsService, blockchainService) {
-    this.ipfsService = ipfsService;
+  constructor(storageService, blockchainService) {
+    this.storageService = storageService;
     this.blockchainService = blockchainService;
   }
 
   async checkHealth(req, res) {
     try {
-      const ipfsStatus = await this.ipfsService.testConnection();
+      const storageStatus = await this.storageService.testConnection();
       const blockchainStatus = await this.blockchainService.testConnection();
 
       res.json({
         success: true,
-        status: ipfsStatus && blockchainStatus ? "healthy" : "degraded",
+        status: storageStatus && blockchainStatus ? "healthy" : "degraded",
         services: {
-          ipfs: ipfsStatus ? "connected" : "disconnected",
+          storage: storageStatus ? "connected" : "disconnected",
           blockchain: blockchainStatus ? "connected" : "disconnected",
         },
         timestamp: new Date().toISOString(),
@@ -29,22 +29,28 @@ class HealthController {
 
   async getDetailedHealth(req, res) {
     try {
-      const ipfsStatus = await this.ipfsService.testConnection();
+      const storageStatus = await this.storageService.testConnection();
       const blockchainStatus = await this.blockchainService.testConnection();
-      const networkInfo = await this.blockchainService.getNetworkInfo();
+      // Endpoint states are reported even when no node is reachable
+      const networkInfo = blockchainStatus
+        ? await this.blockchainService.getNetworkInfo()
+        : null;
+      const rpcEndpoints = await this.blockchainService.getRpcStatus();
 
       res.json({
         success: true,
-        status: ipfsStatus && blockchainStatus ? "healthy" : "degraded",
+        status: storageStatus && blockchainStatus ? "healthy" : "degraded",
         services: {
-          ipfs: {
-            status: ipfsStatus ? "connected" : "disconnected",
-            url: process.env.IPFS_API_URL || "http://127.0.0.1:5001",
+          storage: {
+            status: storageStatus ? "connected" : "disconnected",
+            provider: this.storageService.providerName,
+            location: this.storageService.getLocation(),
           },
           blockchain: {
             status: blockchainStatus ? "connected" : "disconnected",
             network: networkInfo,
-            url: process.env.QUORUM_RPC_URL || "http://127.0.0.1:8545",
+            url: networkInfo ? networkInfo.rpcUrl : null,
+            endpoints: rpcEndpoints,
           },
         },
         system: {
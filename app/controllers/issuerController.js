@@ -0,0 +1,152 @@
+const Joi = require("joi");
+const Utils = require("../../utils");
+
+const addressSchema = Joi.string()
+  .pattern(/^0x[a-fA-F0-9]{40}$/)
+  .required()
+  .messages({ "string.pattern.base": "Invalid Ethereum address" });
+
+class IssuerController {
+  constructor(blockchainService) {
+    this.blockchainService = blockchainService;
+  }
+
+  async listIssuers(req, res) {
+    try {
+      const issuers = await this.blockchainService.listIssuers();
+
+      res.json({
+        success: true,
+        message: "Issuers retrieved successfully",
+        data: {
+          total: issuers.length,
+          issuers: issuers.map((issuer) => this.formatIssuer(issuer)),
+        },
+      });
+    } catch (error) {
+      console.error("Error listing issuers:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to list issuers", error));
+    }
+  }
+
+  async getIssuer(req, res) {
+    try {
+      const { error, value } = addressSchema.validate(req.params.address);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const issuer = await this.blockchainService.getIssuer(value);
+
+      res.json({
+        success: true,
+        message: "Issuer retrieved successfully",
+        data: this.formatIssuer(issuer),
+      });
+    } catch (error) {
+      console.error("Error getting issuer:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to get issuer", error));
+    }
+  }
+
+  async grantIssuer(req, res) {
+    try {
+      // Validate request
+      const schema = Joi.object({
+        address: addressSchema,
+        name: Joi.string().trim().min(1).max(100).required(),
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const txResult = await this.blockchainService.grantIssuer(
+        value.address,
+        value.name,
+        req.signer
+      );
+
+      res.json({
+        success: true,
+        message: "Issuer role granted successfully",
+        data: {
+          address: value.address,
+          name: value.name,
+          transactionHash: txResult.transactionHash,
+        },
+      });
+    } catch (error) {
+      console.error("Error granting issuer role:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to grant issuer role", error));
+    }
+  }
+
+  async revokeIssuer(req, res) {
+    try {
+      const { error, value } = addressSchema.validate(req.params.address);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const txResult = await this.blockchainService.revokeIssuer(
+        value,
+        req.signer
+      );
+
+      res.json({
+        success: true,
+        message: "Issuer role revoked successfully",
+        data: {
+          address: value,
+          transactionHash: txResult.transactionHash,
+        },
+      });
+    } catch (error) {
+      console.error("Error revoking issuer role:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to revoke issuer role", error));
+    }
+  }
+
+  /**
+   * Format issuer registry entry for API responses
+   * @param {Object} issuer - Issuer from blockchain service
+   * @returns {Object} Formatted issuer
+   */
+  formatIssuer(issuer) {
+    return {
+      address: issuer.address,
+      name: issuer.name,
+      status: issuer.isActive ? "active" : "revoked",
+      isActive: issuer.isActive,
+      registeredAt: new Date(issuer.registeredAt * 1000).toISOString(),
+      updatedAt: new Date(issuer.updatedAt * 1000).toISOString(),
+    };
+  }
+}
+
+module.exports = IssuerController;
@@ -0,0 +1,67 @@
+const Utils = require("../../utils");
+const { isAdmin } = require("../middleware/adminAuth");
+
+class JobController {
+  constructor(jobService) {
+    this.jobService = jobService;
+  }
+
+  async getJob(req, res) {
+    try {
+      const job = this.jobService.getJob(req.params.id);
+      if (!job || !this.canAccess(req, job)) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+          code: "JOB_NOT_FOUND",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Job retrieved successfully",
+        data: this.formatJob(job),
+      });
+    } catch (error) {
+      console.error("Error getting job:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to get job", error));
+    }
+  }
+
+  /**
+   * Check whether a request may see a job: admins see every job, others
+   * only issuance jobs started with the same signer (req.signer)
+   * @param {Object} req - Request after signerAuth
+   * @param {Object} job - Job from the job store
+   * @returns {boolean} Whether the job is visible
+   */
+  canAccess(req, job) {
+    if (isAdmin(req)) {
+      return true;
+    }
+    return job.type === "issue" && (job.params.signer || null) === req.signer;
+  }
+
+  /**
+   * Format a job for API responses
+   * @param {Object} job - Job from the job store
+   * @returns {Object} Stage history, outcome and certificate fields known so far
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stages: job.stages,
+      error: job.error,
+      fid: job.params.fid,
+      ...job.result,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+}
+
+module.exports = JobController;
@@ -0,0 +1,82 @@
+const Joi = require("joi");
+const Utils = require("../../utils");
+
+class KeyController {
+  constructor(encryptionService, jobService) {
+    this.encryptionService = encryptionService;
+    this.jobService = jobService;
+  }
+
+  /**
+   * Describe the keyring: key IDs only, never the keys
+   */
+  async getKeys(req, res) {
+    try {
+      const info = this.encryptionService.getEncryptionInfo();
+      res.json({
+        success: true,
+        message: "Encryption keys retrieved successfully",
+        data: {
+          algorithm: info.algorithm,
+          activeKeyId: info.keyId,
+          keyIds: info.keyIds,
+          keySource: info.keySource,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting encryption keys:", error);
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to get encryption keys", error)
+        );
+    }
+  }
+
+  /**
+   * Start re-encrypting every certificate file under the active key
+   */
+  async reencrypt(req, res) {
+    try {
+      const { error, value: query } = Joi.object({
+        dryRun: Joi.boolean().default(false),
+      }).validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const job = this.jobService.startReencryptionJob({
+        dryRun: query.dryRun,
+      });
+      res
+        .status(202)
+        .location(`/api/jobs/${job.id}`)
+        .json({
+          success: true,
+          message: query.dryRun
+            ? "Re-encryption dry run accepted; nothing will be stored or sent"
+            : "Re-encryption accepted",
+          data: {
+            jobId: job.id,
+            keyId: this.encryptionService.keyId,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+          },
+        });
+    } catch (error) {
+      console.error("Error starting re-encryption:", error);
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to start re-encryption", error)
+        );
+    }
+  }
+}
+
+module.exports = KeyController;
@@ -0,0 +1,93 @@
+const Joi = require("joi");
+const Utils = require("../../utils");
+
+// Tessera public keys or member names (member1..3)
+const membersSchema = Joi.array().items(Joi.string()).single().min(1);
+
+class PrivacyController {
+  constructor(blockchainService) {
+    this.blockchainService = blockchainService;
+  }
+
+  async listPrivacyGroups(req, res) {
+    try {
+      const schema = Joi.object({
+        members: membersSchema,
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const groups = await this.blockchainService.listPrivacyGroups(
+        value.members
+      );
+
+      res.json({
+        success: true,
+        message: "Privacy groups retrieved successfully",
+        data: {
+          total: groups.length,
+          privacyGroups: groups,
+        },
+      });
+    } catch (error) {
+      console.error("Error listing privacy groups:", error);
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to list privacy groups", error)
+        );
+    }
+  }
+
+  async createPrivacyGroup(req, res) {
+    try {
+      // Validate request
+      const schema = Joi.object({
+        members: membersSchema.required(),
+        name: Joi.string().trim().min(1).max(100).required(),
+        description: Joi.string().max(500).allow("").default(""),
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const privacyGroupId = await this.blockchainService.createPrivacyGroup(
+        value
+      );
+
+      res.json({
+        success: true,
+        message: "Privacy group created successfully",
+        data: {
+          privacyGroupId,
+          name: value.name,
+          description: value.description,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating privacy group:", error);
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to create privacy group", error)
+        );
+    }
+  }
+}
+
+module.exports = PrivacyController;
@@ -0,0 +1,130 @@
+const Joi = require("joi");
+const Utils = require("../../utils");
+
+class SagaController {
+  constructor(sagaService) {
+    this.sagaService = sagaService;
+  }
+
+  async listSagas(req, res) {
+    try {
+      const schema = Joi.object({
+        status: Joi.string()
+          .valid("stuck", "running", "completed", "compensated", "all")
+          .default("stuck"),
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const sagas = this.sagaService.listSagas(value.status);
+
+      res.json({
+        success: true,
+        message: "Sagas retrieved successfully",
+        data: {
+          total: sagas.length,
+          sagas: sagas.map((saga) => this.formatSaga(saga)),
+        },
+      });
+    } catch (error) {
+      console.error("Error listing sagas:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to list sagas", error));
+    }
+  }
+
+  async getSaga(req, res) {
+    try {
+      const saga = this.sagaService.getSaga(req.params.id);
+      if (!saga) {
+        return res.status(404).json({
+          success: false,
+          message: "Saga not found",
+          code: "SAGA_NOT_FOUND",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Saga retrieved successfully",
+        data: this.formatSaga(saga),
+      });
+    } catch (error) {
+      console.error("Error getting saga:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to get saga", error));
+    }
+  }
+
+  async retrySaga(req, res) {
+    try {
+      const saga = this.sagaService.getSaga(req.params.id);
+      if (!saga) {
+        return res.status(404).json({
+          success: false,
+          message: "Saga not found",
+          code: "SAGA_NOT_FOUND",
+        });
+      }
+      if (!this.sagaService.isStuck(saga)) {
+        return res.status(409).json({
+          success: false,
+          message: `Saga is ${saga.status}, only stuck sagas can be retried`,
+          code: "SAGA_NOT_STUCK",
+        });
+      }
+
+      const result = await this.sagaService.compensate(saga.id);
+
+      res.json({
+        success: result.status !== "stuck",
+        message:
+          result.status === "stuck"
+            ? "Compensation failed again"
+            : "Saga settled successfully",
+        data: this.formatSaga(result),
+      });
+    } catch (error) {
+      console.error("Error retrying saga:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to retry saga", error));
+    }
+  }
+
+  /**
+   * Format a saga for API responses
+   * @param {Object} saga - Saga from the saga store
+   * @returns {Object} Saga with its recorded data flattened and a stuck flag
+   */
+  formatSaga(saga) {
+    const { privacy, ...data } = saga.data;
+    return {
+      id: saga.id,
+      type: saga.type,
+      fid: saga.fid,
+      jobId: saga.jobId,
+      status: saga.status,
+      stuck: this.sagaService.isStuck(saga),
+      steps: saga.steps,
+      ...data,
+      privacyGroupId: privacy ? privacy.privacyGroupId : null,
+      error: saga.error,
+      compensationError: saga.compensationError,
+      createdAt: saga.createdAt,
+      updatedAt: saga.updatedAt,
+    };
+  }
+}
+
+module.exports = SagaController;
@@ -0,0 +1,28 @@
+const Utils = require("../../utils");
+
+class TransactionController {
+  constructor(blockchainService) {
+    this.blockchainService = blockchainService;
+  }
+
+  async getQueueStatus(req, res) {
+    try {
+      const status = this.blockchainService.getQueueStatus();
+
+      res.json({
+        success: true,
+        message: "Transaction queue retrieved successfully",
+        data: status,
+      });
+    } catch (error) {
+      console.error("Error getting transaction queue:", error);
+      res
+        .status(error.status || 500)
+        .json(
+          Utils.createErrorResponse("Failed to get transaction queue", error)
+        );
+    }
+  }
+}
+
+module.exports = TransactionController;
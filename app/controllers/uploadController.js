@@ -0,0 +1,256 @@
+const Joi = require("joi");
+const Utils = require("../../utils");
+
+const TUS_VERSION = "1.0.0";
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated "key base64value"
+ * pairs, the value being optional
+ * @param {string} header - Header value
+ * @returns {Object} Decoded values by key
+ */
+function parseUploadMetadata(header = "") {
+  const metadata = {};
+  for (const pair of header.split(",")) {
+    const [key, value] = pair.trim().split(" ");
+    if (key) {
+      metadata[key] = value
+        ? Buffer.from(value, "base64").toString("utf8")
+        : "";
+    }
+  }
+  return metadata;
+}
+
+class UploadController {
+  constructor(uploadService) {
+    this.uploadService = uploadService;
+  }
+
+  /**
+   * Mark responses with the tus version and refuse other protocol versions
+   */
+  tusHeaders(req, res, next) {
+    res.set("Tus-Resumable", TUS_VERSION);
+    const version = req.get("Tus-Resumable");
+    if (version && version !== TUS_VERSION) {
+      return res
+        .status(412)
+        .set("Tus-Version", TUS_VERSION)
+        .json({
+          success: false,
+          message: "Unsupported tus version",
+          code: "TUS_VERSION_UNSUPPORTED",
+          error: `Only tus ${TUS_VERSION} is supported`,
+        });
+    }
+    next();
+  }
+
+  async createUpload(req, res) {
+    try {
+      // tus clients describe the file in headers; others may send JSON
+      const metadata = parseUploadMetadata(req.get("Upload-Metadata"));
+      const input = req.get("Upload-Length")
+        ? {
+            size: req.get("Upload-Length"),
+            fileName: metadata.filename || metadata.name,
+            fileType: metadata.filetype || metadata.type,
+          }
+        : req.body || {};
+
+      const schema = Joi.object({
+        size: Joi.number().integer().min(0).required(),
+        fileName: Joi.string().max(255).required(),
+        fileType: Joi.string()
+          .valid(
+            ...(
+              process.env.ALLOWED_FILE_TYPES ||
+              "image/png,image/jpeg,application/pdf,text/plain,text/html,application/json"
+            ).split(",")
+          )
+          .required(),
+      });
+
+      const { error, value } = schema.validate(input);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const upload = await this.uploadService.createUpload(value);
+
+      res
+        .status(201)
+        .location(`/api/uploads/${upload.id}`)
+        .set({
+          "Upload-Offset": "0",
+          "Upload-Expires": new Date(upload.expiresAt).toUTCString(),
+        })
+        .json({
+          success: true,
+          message: "Upload created",
+          data: this.formatUpload(upload),
+        });
+    } catch (error) {
+      console.error("Error creating upload:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to create upload", error));
+    }
+  }
+
+  /**
+   * tus offset query (HEAD): progress in headers only
+   */
+  async getUploadOffset(req, res) {
+    try {
+      const upload = await this.uploadService.getUpload(req.params.id);
+      if (!upload) {
+        return res.status(404).end();
+      }
+
+      res
+        .set({
+          "Upload-Offset": upload.offset.toString(),
+          "Upload-Length": upload.size.toString(),
+          "Upload-Expires": new Date(upload.expiresAt).toUTCString(),
+          "Cache-Control": "no-store",
+        })
+        .end();
+    } catch (error) {
+      console.error("Error getting upload offset:", error);
+      res.status(error.status || 500).end();
+    }
+  }
+
+  async getUpload(req, res) {
+    try {
+      const upload = await this.uploadService.getUpload(req.params.id);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: "Upload not found",
+          code: "UPLOAD_NOT_FOUND",
+        });
+      }
+
+      res.set("Cache-Control", "no-store").json({
+        success: true,
+        message: "Upload retrieved successfully",
+        data: this.formatUpload(upload),
+      });
+    } catch (error) {
+      console.error("Error getting upload:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to get upload", error));
+    }
+  }
+
+  /**
+   * Append a chunk (tus PATCH, or PUT) at the offset in Upload-Offset
+   */
+  async uploadChunk(req, res) {
+    try {
+      if (
+        !req.is(["application/offset+octet-stream", "application/octet-stream"])
+      ) {
+        return res.status(415).json({
+          success: false,
+          message: "Unsupported media type",
+          code: "UNSUPPORTED_MEDIA_TYPE",
+          error: "Chunks must be sent as application/offset+octet-stream",
+        });
+      }
+
+      const { error, value: offset } = Joi.number()
+        .integer()
+        .min(0)
+        .required()
+        .label("Upload-Offset")
+        .validate(req.get("Upload-Offset"));
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: error.details[0].message,
+        });
+      }
+
+      const length = req.get("Content-Length");
+      const upload = await this.uploadService.appendChunk(
+        req.params.id,
+        offset,
+        req,
+        length === undefined ? null : parseInt(length)
+      );
+
+      res
+        .status(204)
+        .set({
+          "Upload-Offset": upload.offset.toString(),
+          "Upload-Expires": new Date(upload.expiresAt).toUTCString(),
+        })
+        .end();
+    } catch (error) {
+      console.error("Error uploading chunk:", error);
+      // The client may be gone; whatever arrived is kept and its offset
+      // reported on the next HEAD
+      if (res.headersSent || req.destroyed) {
+        return;
+      }
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to upload chunk", error));
+    }
+  }
+
+  async deleteUpload(req, res) {
+    try {
+      const upload = await this.uploadService.getUpload(req.params.id);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: "Upload not found",
+          code: "UPLOAD_NOT_FOUND",
+        });
+      }
+
+      await this.uploadService.deleteUpload(upload.id);
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error deleting upload:", error);
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to delete upload", error));
+    }
+  }
+
+  /**
+   * Format an upload session for API responses
+   * @param {Object} upload - Session from the upload service
+   * @returns {Object} Progress, expiry and the URL to send chunks to
+   */
+  formatUpload(upload) {
+    return {
+      uploadId: upload.id,
+      fileName: upload.fileName,
+      fileType: upload.fileType,
+      size: upload.size,
+      offset: upload.offset,
+      progress: upload.size ? upload.offset / upload.size : 1,
+      isComplete: upload.isComplete,
+      uploadUrl: `/api/uploads/${upload.id}`,
+      createdAt: upload.createdAt,
+      expiresAt: upload.expiresAt,
+    };
+  }
+}
+
+module.exports = UploadController;
@@ -1,6 +1,8 @@
+const Utils = require("../../utils");
+
 class VaultController {
-  constructor(ipfsService, blockchainService) {
-    this.ipfsService = ipfsService;
+  constructor(storageService, blockchainService) {
+    this.storageService = storageService;
     this.blockchainService = blockchainService;
   }
 
@@ -13,6 +15,7 @@ class VaultController {
         return res.status(400).json({
           success: false,
           message: "Invalid vault:// URL format",
+          code: "INVALID_VAULT_URL",
           error: "Missing FID or CID parameter",
         });
       }
@@ -34,22 +37,24 @@ class VaultController {
         return res.status(404).json({
           success: false,
           message: "Certificate not found or inactive",
+          code: "CERTIFICATE_NOT_FOUND",
         });
       }
 
-      // Verify CID matches
-      if (certificate.cid !== cid) {
+      // Verify CID belongs to the certificate's version history
+      const isSuperseded = certificate.cid !== cid;
+      if (isSuperseded && !certificate.versionHistory.includes(cid)) {
         return res.status(400).json({
           success: false,
           message: "CID does not match certificate",
+          code: "CID_MISMATCH",
         });
       }
 
-      // Retrieve and decrypt the file from IPFS
-      console.log(
-        `🔓 Retrieving and decrypting file for vault://${fid}/${cid}`
-      );
-      const decryptedFile = await this.ipfsService.retrieveFile(cid);
+      // Read the file's metadata; its content is not needed here
+      console.log(`🔓 Retrieving file metadata for vault://${fid}/${cid}`);
+      const decryptedFile = await this.storageService.retrieveFileStream(cid);
+      decryptedFile.stream.destroy();
 
       // Set appropriate content type based on file extension
       const contentType = this.getContentType(decryptedFile.fileName);
@@ -63,6 +68,8 @@ class VaultController {
         "X-Vault-Original-Size": decryptedFile.originalSize.toString(),
         "X-Vault-Encrypted-Size": decryptedFile.encryptedSize.toString(),
         "X-Vault-Algorithm": decryptedFile.algorithm,
+        "X-Vault-Superseded": isSuperseded.toString(),
+        "X-Vault-Current-CID": certificate.cid,
         "Content-Type": contentType,
         "Content-Disposition": `inline; filename="${decryptedFile.fileName}"`,
       });
@@ -75,14 +82,17 @@ class VaultController {
           fid: fid,
           cid: cid,
           fileName: decryptedFile.fileName,
-          fileSize: decryptedFile.content.length,
+          fileSize: decryptedFile.originalSize,
           originalSize: decryptedFile.originalSize,
           encryptedSize: decryptedFile.encryptedSize,
           contentType: contentType,
           algorithm: decryptedFile.algorithm,
           timestamp: decryptedFile.timestamp,
           vaultUrl: `vault://${fid}/${cid}`,
-          gatewayUrl: this.ipfsService.getGatewayUrl(cid),
+          gatewayUrl: this.storageService.getGatewayUrl(cid),
+          isSuperseded,
+          currentCid: certificate.cid,
+          currentVaultUrl: `vault://${fid}/${certificate.cid}`,
           certificate: {
             email: certificate.email,
             issueDate: new Date(certificate.issueDate * 1000).toISOString(),
@@ -92,11 +102,9 @@ class VaultController {
       });
     } catch (error) {
       console.error("Error handling vault request:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to process vault URL",
-        error: error.message,
-      });
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to process vault URL", error));
     }
   }
 
@@ -109,8 +117,9 @@ class VaultController {
       description: "VAULT Protocol URL Scheme Handler",
       features: [
         "Certificate management",
-        "IPFS integration",
+        "Pluggable file storage (IPFS, filesystem, S3)",
         "Blockchain verification",
+        "Historical version retrieval",
         "Browser compatibility headers",
         "RESTful API endpoints",
       ],
@@ -118,9 +127,12 @@ class VaultController {
       headers: {
         "X-Vault-Scheme": "Contains the full vault:// URL",
         "X-Vault-FID": "File ID (persistent identifier)",
-        "X-Vault-CID": "Content ID (IPFS hash)",
+        "X-Vault-CID": "Content ID (hash of the stored file)",
         "X-Vault-Protocol-Version": "Protocol version",
         "X-Vault-Timestamp": "Request timestamp",
+        "X-Vault-Superseded":
+          "Whether the requested CID is an older version of the certificate",
+        "X-Vault-Current-CID": "Content ID of the current certificate version",
       },
       endpoints: {
         certificate: "/api/certificates/{fid}",
@@ -0,0 +1,63 @@
+/**
+ * Protect admin routes with a shared API key
+ * Accepts "Authorization: Bearer <key>" matched against ADMIN_API_KEY.
+ * When no key is configured, admin routes are open in development only.
+ */
+const crypto = require("crypto");
+
+/**
+ * Check whether a request carries the admin API key
+ * @param {Object} req - Express request
+ * @returns {boolean} True for the admin key, or for any request in development without a key
+ */
+function isAdmin(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return (process.env.NODE_ENV || "development") === "development";
+  }
+  return matchesKey(req, adminKey);
+}
+
+function matchesKey(req, adminKey) {
+  const header = req.headers.authorization || "";
+  const providedKey = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+  const expected = Buffer.from(adminKey);
+  const provided = Buffer.from(providedKey);
+
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+function adminAuth(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    if ((process.env.NODE_ENV || "development") === "development") {
+      return next();
+    }
+
+    return res.status(503).json({
+      success: false,
+      message: "Admin API is not configured",
+      code: "ADMIN_API_DISABLED",
+      error: "Set ADMIN_API_KEY to enable admin routes",
+    });
+  }
+
+  if (!matchesKey(req, adminKey)) {
+    return res.status(401).json({
+      success: false,
+      message: "Unauthorized",
+      code: "UNAUTHORIZED",
+      error: "A valid admin API key is required",
+    });
+  }
+
+  next();
+}
+
+module.exports = adminAuth;
+module.exports.isAdmin = isAdmin;
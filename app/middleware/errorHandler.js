@@ -1,3 +1,5 @@
+const Utils = require("../../utils");
+
 /**
  * Error handling middleware
  */
@@ -9,14 +11,25 @@ function errorHandler(error, req, res, next) {
     return res.status(400).json({
       success: false,
       message: "File too large",
+      code: "FILE_TOO_LARGE",
       error: "File size exceeds maximum allowed size",
     });
   }
 
+  if (error.code === "LIMIT_FILE_COUNT") {
+    return res.status(400).json({
+      success: false,
+      message: "Too many files",
+      code: "TOO_MANY_FILES",
+      error: "File count exceeds maximum allowed per request",
+    });
+  }
+
   if (error.code === "LIMIT_UNEXPECTED_FILE") {
     return res.status(400).json({
       success: false,
       message: "Unexpected file field",
+      code: "UNEXPECTED_FILE",
       error: "Invalid file field name",
     });
   }
@@ -26,6 +39,7 @@ function errorHandler(error, req, res, next) {
     return res.status(400).json({
       success: false,
       message: "Validation error",
+      code: "VALIDATION_ERROR",
       error: error.message,
     });
   }
@@ -34,6 +48,7 @@ function errorHandler(error, req, res, next) {
   res.status(error.status || 500).json({
     success: false,
     message: error.message || "Internal server error",
+    code: Utils.getErrorCode(error),
     error:
       process.env.NODE_ENV === "development"
         ? error.stack
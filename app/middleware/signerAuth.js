@@ -0,0 +1,54 @@
+/**
+ * Choose the signer for a request's blockchain transactions
+ * - "Authorization: Bearer <issuer key>" signs as the signer bound to that key
+ * - "X-Signer: <name>" picks a configured signer by name (admin key required)
+ * - Otherwise the default signer is used
+ * The chosen signer name is stored on req.signer (null for the default).
+ */
+const adminAuth = require("./adminAuth");
+
+function signerAuth(signerService) {
+  return (req, res, next) => {
+    const header = req.headers.authorization || "";
+    const providedKey = header.startsWith("Bearer ") ? header.slice(7) : "";
+    const requestedSigner = req.headers["x-signer"];
+    const issuerSigner = providedKey
+      ? signerService.getSignerNameForApiKey(providedKey)
+      : null;
+
+    if (issuerSigner) {
+      if (requestedSigner && requestedSigner !== issuerSigner) {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden",
+          code: "FORBIDDEN",
+          error: "Issuer API keys cannot select another signer",
+        });
+      }
+
+      req.signer = issuerSigner;
+      return next();
+    }
+
+    if (requestedSigner) {
+      if (!signerService.hasSigner(requestedSigner)) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          error: `Unknown signer "${requestedSigner}"`,
+        });
+      }
+
+      return adminAuth(req, res, () => {
+        req.signer = requestedSigner;
+        next();
+      });
+    }
+
+    req.signer = null;
+    next();
+  };
+}
+
+module.exports = signerAuth;
@@ -0,0 +1,27 @@
+/**
+ * Remove the temp files of multipart uploads once the response is done
+ * Multer writes uploads to UPLOAD_TMP_DIR; whatever a handler did not take
+ * over (async issuance jobs move theirs aside) is deleted when the response
+ * finishes or the client goes away. Files of resumable upload sessions are
+ * left to the upload service.
+ */
+const fs = require("fs");
+
+function uploadCleanup(req, res, next) {
+  res.on("close", () => {
+    const files = [
+      ...(req.file ? [req.file] : []),
+      ...(Array.isArray(req.files)
+        ? req.files
+        : Object.values(req.files || {}).flat()),
+    ];
+    for (const file of files) {
+      if (file.path && !file.uploadId) {
+        fs.rm(file.path, { force: true }, () => {});
+      }
+    }
+  });
+  next();
+}
+
+module.exports = uploadCleanup;
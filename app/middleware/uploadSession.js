@@ -0,0 +1,59 @@
+/**
+ * Let issue and update requests use a finished resumable upload
+ * A request with an uploadId field instead of a file gets the upload as
+ * req.file, as if it had been sent with the request. The session is locked
+ * while the request runs and deleted once a certificate was issued or
+ * updated from it; after a failure it stays available for a retry.
+ */
+const Joi = require("joi");
+const Utils = require("../../utils");
+
+function uploadSession(uploadService) {
+  return async (req, res, next) => {
+    const uploadId = req.body && req.body.uploadId;
+    if (!uploadId) {
+      return next();
+    }
+
+    if (req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        code: "VALIDATION_ERROR",
+        error: "Send either a file or an uploadId, not both",
+      });
+    }
+
+    try {
+      const upload = await uploadService.claimUpload(uploadId);
+      delete req.body.uploadId;
+      req.file = {
+        fieldname: "file",
+        originalname: upload.fileName,
+        mimetype: upload.fileType,
+        size: upload.size,
+        path: upload.filePath,
+        uploadId,
+      };
+
+      const dryRun = Joi.boolean().validate(req.query.dryRun).value === true;
+      res.on("close", () => {
+        uploadService.releaseUpload(uploadId);
+        if (res.statusCode < 300 && !dryRun) {
+          uploadService
+            .deleteUpload(uploadId)
+            .catch((error) =>
+              console.error(`Error deleting upload ${uploadId}:`, error)
+            );
+        }
+      });
+      next();
+    } catch (error) {
+      res
+        .status(error.status || 500)
+        .json(Utils.createErrorResponse("Failed to use upload", error));
+    }
+  };
+}
+
+module.exports = uploadSession;
@@ -1,21 +1,20 @@
 /**
  * Handle vault:// URL scheme with HTTP headers
  */
-const IPFSService = require("../services/ipfsService");
-
-const ipfsService = new IPFSService();
+const Utils = require("../../utils");
 
 function handleVaultScheme(req, res, next) {
   const vaultHeader = req.headers["x-vault-scheme"];
 
   if (vaultHeader && vaultHeader.startsWith("vault://")) {
     try {
-      const { fid, cid } = ipfsService.parseVaultUrl(vaultHeader);
+      const { fid, cid } = Utils.parseVaultUrl(vaultHeader);
       req.vaultData = { fid, cid };
     } catch (error) {
       return res.status(400).json({
         success: false,
         message: "Invalid vault:// URL format",
+        code: "INVALID_VAULT_URL",
         error: error.message,
       });
     }
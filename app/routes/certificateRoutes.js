@@ -1,27 +1,25 @@
+const os = require("os");
+const path = require("path");
 const express = require("express");
 const multer = require("multer");
 const { v4: uuidv4 } = require("uuid");
 const Joi = require("joi");
 
 const CertificateController = require("../controllers/certificateController");
-const IPFSService = require("../services/ipfsService");
-const BlockchainService = require("../services/blockchainService");
+const adminAuth = require("../middleware/adminAuth");
+const signerAuth = require("../middleware/signerAuth");
+const uploadCleanup = require("../middleware/uploadCleanup");
+const uploadSession = require("../middleware/uploadSession");
 
-const router = express.Router();
-
-// Initialize services
-const ipfsService = new IPFSService();
-const blockchainService = new BlockchainService();
-const certificateController = new CertificateController(
-  ipfsService,
-  blockchainService
-);
-
-// File upload configuration
-const upload = multer({
-  storage: multer.memoryStorage(),
+// File upload configuration: uploads go to disk and are encrypted from
+// there as a stream, so large files never sit in memory
+const uploadOptions = {
+  storage: multer.diskStorage({
+    destination:
+      process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "vault-uploads"),
+  }),
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024, // 5GB
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = (
@@ -38,45 +36,114 @@ const upload = multer({
       );
     }
   },
+};
+const upload = multer(uploadOptions);
+const batchUpload = multer({
+  ...uploadOptions,
+  limits: {
+    ...uploadOptions.limits,
+    files: CertificateController.MAX_BATCH_FILES,
+  },
 });
 
 // Validation schemas
 const issueCertificateSchema = Joi.object({
   email: Joi.string().email().required(),
   isPrivate: Joi.boolean().default(false),
-});
+  privateFor: Joi.array().items(Joi.string()).single(),
+  privacyGroup: Joi.string(),
+  validUntil: Joi.date().iso().greater("now"),
+  hashEmail: Joi.boolean(),
+}).oxor("privateFor", "privacyGroup");
 
 const verifyCertificateSchema = Joi.object({
-  fid: Joi.string().required(),
+  fid: Joi.string(),
   email: Joi.string().email().required(),
-});
+  salt: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/),
+  bundle: Joi.object(),
+}).xor("fid", "bundle");
+
+function certificateRoutes({
+  storageService,
+  signerService,
+  blockchainService,
+  merkleService,
+  uploadService,
+  indexerService,
+  jobService,
+  sagaService,
+}) {
+  const router = express.Router();
+  const certificateController = new CertificateController(
+    storageService,
+    blockchainService,
+    merkleService,
+    indexerService,
+    jobService,
+    sagaService
+  );
+
+  // Transactions are signed per issuer API key or X-Signer header
+  router.use(signerAuth(signerService));
+  router.use(uploadCleanup);
+
+  // Routes
+  router.get(
+    "/",
+    certificateController.listCertificates.bind(certificateController)
+  );
+  router.post(
+    "/issue",
+    upload.single("file"),
+    uploadSession(uploadService),
+    certificateController.issueCertificate.bind(certificateController)
+  );
+  router.post(
+    "/batch",
+    batchUpload.array("files"),
+    certificateController.batchIssueCertificates.bind(certificateController)
+  );
+  router.post(
+    "/verify",
+    certificateController.verifyCertificate.bind(certificateController)
+  );
+  router.put(
+    "/:fid",
+    upload.single("file"),
+    uploadSession(uploadService),
+    certificateController.updateCertificate.bind(certificateController)
+  );
+  router.post(
+    "/:fid/revoke",
+    certificateController.revokeCertificate.bind(certificateController)
+  );
+  router.get(
+    "/:fid/evidence",
+    adminAuth,
+    certificateController.downloadEvidence.bind(certificateController)
+  );
+  router.post(
+    "/:fid/renew",
+    certificateController.renewCertificate.bind(certificateController)
+  );
+  router.get(
+    "/:fid/versions",
+    certificateController.getCertificateVersions.bind(certificateController)
+  );
+  router.get(
+    "/:fid/download/:cid",
+    certificateController.downloadCertificate.bind(certificateController)
+  );
+  router.get(
+    "/:fid",
+    certificateController.getCertificate.bind(certificateController)
+  );
+  router.delete(
+    "/:fid",
+    certificateController.deleteCertificate.bind(certificateController)
+  );
 
-// Routes
-router.post(
-  "/issue",
-  upload.single("file"),
-  certificateController.issueCertificate.bind(certificateController)
-);
-router.post(
-  "/verify",
-  certificateController.verifyCertificate.bind(certificateController)
-);
-router.put(
-  "/:fid",
-  upload.single("file"),
-  certificateController.updateCertificate.bind(certificateController)
-);
-router.get(
-  "/:fid/download/:cid",
-  certificateController.downloadCertificate.bind(certificateController)
-);
-router.get(
-  "/:fid",
-  certificateController.getCertificate.bind(certificateController)
-);
-router.delete(
-  "/:fid",
-  certificateController.deleteCertificate.bind(certificateController)
-);
+  return router;
+}
 
-module.exports = router;
+module.exports = certificateRoutes;
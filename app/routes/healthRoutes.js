@@ -1,18 +1,16 @@
 const express = require("express");
-const router = express.Router();
 
 const HealthController = require("../controllers/healthController");
-const IPFSService = require("../services/ipfsService");
-const BlockchainService = require("../services/blockchainService");
 
-// Initialize services
-const ipfsService = new IPFSService();
-const blockchainService = new BlockchainService();
-const healthController = new HealthController(ipfsService, blockchainService);
+function healthRoutes({ storageService, blockchainService }) {
+  const router = express.Router();
+  const healthController = new HealthController(storageService, blockchainService);
 
-// Routes
-router.get("/", healthController.checkHealth.bind(healthController));
-router.get("/detailed", healthController.getDetailedHealth.bind(healthController));
+  // Routes
+  router.get("/", healthController.checkHealth.bind(healthController));
+  router.get("/detailed", healthController.getDetailedHealth.bind(healthController));
 
-module.exports = router;
+  return router;
+}
 
+module.exports = healthRoutes;
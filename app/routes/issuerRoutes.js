@@ -0,0 +1,27 @@
+const express = require("express");
+
+const IssuerController = require("../controllers/issuerController");
+const adminAuth = require("../middleware/adminAuth");
+const signerAuth = require("../middleware/signerAuth");
+
+function issuerRoutes({ signerService, blockchainService }) {
+  const router = express.Router();
+  const issuerController = new IssuerController(blockchainService);
+
+  // All issuer management routes are admin only
+  router.use(adminAuth);
+  router.use(signerAuth(signerService));
+
+  // Routes
+  router.get("/", issuerController.listIssuers.bind(issuerController));
+  router.get("/:address", issuerController.getIssuer.bind(issuerController));
+  router.post("/", issuerController.grantIssuer.bind(issuerController));
+  router.delete(
+    "/:address",
+    issuerController.revokeIssuer.bind(issuerController)
+  );
+
+  return router;
+}
+
+module.exports = issuerRoutes;
@@ -0,0 +1,19 @@
+const express = require("express");
+
+const JobController = require("../controllers/jobController");
+const signerAuth = require("../middleware/signerAuth");
+
+function jobRoutes({ signerService, jobService }) {
+  const router = express.Router();
+  const jobController = new JobController(jobService);
+
+  // Jobs are visible to the signer that started them (see JobController)
+  router.use(signerAuth(signerService));
+
+  // Routes
+  router.get("/:id", jobController.getJob.bind(jobController));
+
+  return router;
+}
+
+module.exports = jobRoutes;
@@ -0,0 +1,23 @@
+const express = require("express");
+
+const KeyController = require("../controllers/keyController");
+const adminAuth = require("../middleware/adminAuth");
+
+function keyRoutes({ storageService, jobService }) {
+  const router = express.Router();
+  const keyController = new KeyController(
+    storageService.encryptionService,
+    jobService
+  );
+
+  // Key management is admin only
+  router.use(adminAuth);
+
+  // Routes
+  router.get("/", keyController.getKeys.bind(keyController));
+  router.post("/reencrypt", keyController.reencrypt.bind(keyController));
+
+  return router;
+}
+
+module.exports = keyRoutes;
@@ -0,0 +1,23 @@
+const express = require("express");
+
+const PrivacyController = require("../controllers/privacyController");
+const adminAuth = require("../middleware/adminAuth");
+
+function privacyRoutes({ blockchainService }) {
+  const router = express.Router();
+  const privacyController = new PrivacyController(blockchainService);
+
+  // Privacy group management is admin only
+  router.use(adminAuth);
+
+  // Routes
+  router.get("/", privacyController.listPrivacyGroups.bind(privacyController));
+  router.post(
+    "/",
+    privacyController.createPrivacyGroup.bind(privacyController)
+  );
+
+  return router;
+}
+
+module.exports = privacyRoutes;
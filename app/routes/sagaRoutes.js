@@ -0,0 +1,21 @@
+const express = require("express");
+
+const SagaController = require("../controllers/sagaController");
+const adminAuth = require("../middleware/adminAuth");
+
+function sagaRoutes({ sagaService }) {
+  const router = express.Router();
+  const sagaController = new SagaController(sagaService);
+
+  // Saga inspection and recovery is admin only
+  router.use(adminAuth);
+
+  // Routes
+  router.get("/", sagaController.listSagas.bind(sagaController));
+  router.get("/:id", sagaController.getSaga.bind(sagaController));
+  router.post("/:id/retry", sagaController.retrySaga.bind(sagaController));
+
+  return router;
+}
+
+module.exports = sagaRoutes;
@@ -0,0 +1,22 @@
+const express = require("express");
+
+const TransactionController = require("../controllers/transactionController");
+const adminAuth = require("../middleware/adminAuth");
+
+function transactionRoutes({ blockchainService }) {
+  const router = express.Router();
+  const transactionController = new TransactionController(blockchainService);
+
+  // Transaction queue inspection is admin only
+  router.use(adminAuth);
+
+  // Routes
+  router.get(
+    "/queue",
+    transactionController.getQueueStatus.bind(transactionController)
+  );
+
+  return router;
+}
+
+module.exports = transactionRoutes;
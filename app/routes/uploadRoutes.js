@@ -0,0 +1,23 @@
+const express = require("express");
+
+const UploadController = require("../controllers/uploadController");
+
+function uploadRoutes({ uploadService }) {
+  const router = express.Router();
+  const uploadController = new UploadController(uploadService);
+
+  // Resumable uploads (tus 1.0.0)
+  router.use(uploadController.tusHeaders.bind(uploadController));
+
+  // Routes
+  router.post("/", uploadController.createUpload.bind(uploadController));
+  router.head("/:id", uploadController.getUploadOffset.bind(uploadController));
+  router.get("/:id", uploadController.getUpload.bind(uploadController));
+  router.patch("/:id", uploadController.uploadChunk.bind(uploadController));
+  router.put("/:id", uploadController.uploadChunk.bind(uploadController));
+  router.delete("/:id", uploadController.deleteUpload.bind(uploadController));
+
+  return router;
+}
+
+module.exports = uploadRoutes;
@@ -2,10 +2,93 @@ const Web3 = require("web3");
 const Web3Quorum = require("web3js-quorum");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const SignerService = require("./signerService");
+const TransactionQueue = require("./transactionQueue");
+const PrivacyRegistry = require("./privacyRegistry");
+const FailoverProvider = require("./failoverProvider");
+const RevertDecoder = require("./revertDecoder");
+const Utils = require("../../utils");
+
+// Revocation reasons, indexed by the contract's RevocationReason enum
+const REVOCATION_REASONS = [
+  "unspecified",
+  "superseded",
+  "key_compromise",
+  "misconduct",
+  "issuer_error",
+  "affiliation_changed",
+  "cessation_of_operation",
+];
+
+// Mirrors CertificateManager.MAX_PAGE_SIZE
+const MAX_PAGE_SIZE = 100;
+
+// Mirrors CertificateManager.MAX_BATCH_SIZE
+const MAX_BATCH_SIZE = 20;
+
+// Gas budget for a private batch issuance, which eth_estimateGas cannot
+// simulate against private state
+const BATCH_GAS_OVERHEAD = 100000;
+const GAS_PER_BATCH_ITEM = 700000;
+
+// Fee markets: auto picks EIP-1559 when the latest block has a base fee
+const FEE_MARKETS = ["auto", "legacy", "eip1559"];
+
+// Blocks sampled by eth_feeHistory for the default priority fee
+const FEE_HISTORY_BLOCKS = 5;
+
+// Delay between receipt lookups of a transaction submitted earlier
+const RECEIPT_POLL_INTERVAL = 1000;
+
+// Shared by every BlockchainService instance, so nonces are coordinated
+// across routes that sign from the same account
+const transactionQueue = new TransactionQueue({
+  maxRetries: parseInt(process.env.TX_MAX_RETRIES || "3"),
+  retryDelay: parseInt(process.env.TX_RETRY_DELAY_MS || "500"),
+});
+
+// Privacy groups of privately issued certificates, shared like the queue
+const privacyRegistry = new PrivacyRegistry();
+
+// RPC endpoints with failover, shared so every service sees the same
+// circuit breaker state
+const rpcProvider = new FailoverProvider(
+  (
+    process.env.QUORUM_RPC_URLS ||
+    process.env.QUORUM_RPC_URL ||
+    "http://127.0.0.1:8545"
+  )
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean),
+  {
+    failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || "3"),
+    cooldown: parseInt(process.env.RPC_COOLDOWN_MS || "30000"),
+    timeout: parseInt(process.env.RPC_TIMEOUT_MS || "10000"),
+    readRetries: parseInt(process.env.RPC_READ_RETRIES || "2"),
+    retryDelay: parseInt(process.env.RPC_RETRY_DELAY_MS || "200"),
+  }
+);
+
+// Block of the latest public transaction mined through any instance, so
+// readers of the event index can tell whether it has seen their writes
+let lastWriteBlock = 0;
+
+// Tessera public keys and Besu privacy group IDs are base64-encoded 32 bytes
+const BASE64_KEY_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+
+function statusError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
 
 class BlockchainService {
-  constructor() {
-    this.web3 = new Web3(process.env.QUORUM_RPC_URL || "http://127.0.0.1:8545");
+  constructor(signerService = new SignerService()) {
+    this.rpcProvider = rpcProvider;
+    this.web3 = new Web3(rpcProvider);
     this.web3quorum = new Web3Quorum(
       this.web3,
       parseInt(process.env.QUORUM_CHAIN_ID || "1337")
@@ -28,18 +111,32 @@ class BlockchainService {
         "1iTZde/ndBHvzhcl7V68x44Vx7pl8nwx9LqnM/AfJUg=",
     };
 
-    // Private keys (development only)
-    this.privateKeys = {
-      member1:
-        process.env.PRIVATE_KEY_1 ||
-        "0x8f2a55949038a9610f50fb23b5883af3b4ecb3c3bb792cbcefbd1542c692be63",
-      member2:
-        process.env.PRIVATE_KEY_2 ||
-        "0xc87509a1c067bbde78beb793e6fa76530b6382a4c0241e5e4a9ec0a0f44dc0d3",
-      member3:
-        process.env.PRIVATE_KEY_3 ||
-        "0xae6ae8e5ccbfb04590405997ee2d52d2b330726137b875053c36d94e974d162f",
-    };
+    // Gas limits and fees of public transactions
+    this.gasMultiplier = parseFloat(
+      process.env.GAS_ESTIMATE_MULTIPLIER || "1.2"
+    );
+    this.feeMarket = process.env.TX_FEE_MARKET || "auto";
+    if (!FEE_MARKETS.includes(this.feeMarket)) {
+      throw new Error(
+        `TX_FEE_MARKET must be one of ${FEE_MARKETS.join(", ")}, got "${
+          this.feeMarket
+        }"`
+      );
+    }
+    this.priorityFee = process.env.TX_PRIORITY_FEE_GWEI
+      ? this.web3.utils.toWei(process.env.TX_PRIORITY_FEE_GWEI, "gwei")
+      : null;
+
+    // Structured errors for contract reverts
+    this.revertDecoder = new RevertDecoder(
+      this.contractABI || [],
+      this.web3.eth.abi
+    );
+
+    // Transaction signers (throws in production without a real key)
+    this.signerService = signerService;
+    this.transactionQueue = transactionQueue;
+    this.privacyRegistry = privacyRegistry;
   }
 
   /**
@@ -98,154 +195,985 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Resolve a Tessera recipient given by member name or public key
+   * @param {string} recipient - Member name (member1..3) or base64 public key
+   * @returns {string} - Tessera public key
+   */
+  resolveTesseraKey(recipient) {
+    if (this.tesseraKeys[recipient]) {
+      return this.tesseraKeys[recipient];
+    }
+    if (!BASE64_KEY_PATTERN.test(recipient)) {
+      throw statusError(
+        400,
+        `Unknown Tessera recipient "${recipient}"`,
+        "UNKNOWN_RECIPIENT"
+      );
+    }
+    return recipient;
+  }
+
+  /**
+   * Resolve the privacy target of a transaction
+   * @param {boolean|Object} privacy - false for public, true for the default
+   *   recipient, {privateFor: [recipients]} or {privacyGroup: id or name};
+   *   resolved targets are returned unchanged
+   * @returns {Promise<Object|null>} - {privateFrom, privateFor, privacyGroupId}, null for public
+   */
+  async resolvePrivacy(privacy) {
+    if (!privacy) {
+      return null;
+    }
+    if (privacy.privacyGroupId) {
+      return privacy;
+    }
+
+    const privateFrom = this.tesseraKeys.member1;
+
+    if (privacy.privacyGroup) {
+      if (BASE64_KEY_PATTERN.test(privacy.privacyGroup)) {
+        return {
+          privateFrom,
+          privateFor: null,
+          privacyGroupId: privacy.privacyGroup,
+        };
+      }
+
+      const groups = (await this.listPrivacyGroups()).filter(
+        (group) => group.name === privacy.privacyGroup
+      );
+      if (groups.length !== 1) {
+        throw statusError(
+          400,
+          groups.length === 0
+            ? `Unknown privacy group "${privacy.privacyGroup}"`
+            : `Privacy group name "${privacy.privacyGroup}" is ambiguous; use its ID`,
+          "UNKNOWN_PRIVACY_GROUP"
+        );
+      }
+      return {
+        privateFrom,
+        privateFor: null,
+        privacyGroupId: groups[0].privacyGroupId,
+      };
+    }
+
+    const privateFor = (
+      privacy === true ? ["member2"] : privacy.privateFor || []
+    ).map((recipient) => this.resolveTesseraKey(recipient));
+    if (privateFor.length === 0) {
+      throw statusError(
+        400,
+        "Private transactions need at least one recipient",
+        "NO_RECIPIENTS"
+      );
+    }
+
+    return {
+      privateFrom,
+      privateFor,
+      privacyGroupId: this.web3.utils.generatePrivacyGroup({
+        privateFrom,
+        privateFor,
+      }),
+    };
+  }
+
+  /**
+   * Get the privacy target for a transaction on an existing certificate
+   * Certificates keep the privacy group they were issued to: a private
+   * certificate is never modified publicly and vice versa.
+   * @param {string} fid - File ID
+   * @param {boolean|Object|null} requested - Requested privacy, null to follow the certificate
+   * @returns {Promise<Object|null>} - Resolved privacy target, null for public
+   */
+  async getCertificatePrivacy(fid, requested = null) {
+    const stored = this.privacyRegistry.get(fid);
+    const target = stored
+      ? { privateFrom: this.tesseraKeys.member1, ...stored }
+      : null;
+    if (requested === null || requested === undefined) {
+      return target;
+    }
+
+    const resolved = await this.resolvePrivacy(requested);
+    if (target && !resolved) {
+      throw statusError(
+        409,
+        `Certificate ${fid} is private; refusing to modify it with a public transaction`,
+        "PRIVACY_MISMATCH"
+      );
+    }
+    if (!target && resolved) {
+      throw statusError(
+        409,
+        `Certificate ${fid} was issued publicly`,
+        "PRIVACY_MISMATCH"
+      );
+    }
+    if (target && resolved.privacyGroupId !== target.privacyGroupId) {
+      throw statusError(
+        409,
+        `Certificate ${fid} belongs to privacy group ${target.privacyGroupId}`,
+        "PRIVACY_MISMATCH"
+      );
+    }
+    return target;
+  }
+
+  /**
+   * Call a contract view function, against the private state of a privacy
+   * group when one is given
+   * @param {Object} method - Contract method with arguments (this.contract.methods.x(...))
+   * @param {Object|null} privacy - Resolved privacy target, null for public state
+   * @returns {Promise<*>} - Decoded result, shaped like web3's call()
+   */
+  async callContract(method, privacy = null) {
+    if (!privacy) {
+      return method.call();
+    }
+
+    const data = method.encodeABI();
+    const { outputs } = this.contract.options.jsonInterface.find(
+      (item) => item.signature === data.slice(0, 10)
+    );
+    const result = await this.web3quorum.priv.call(
+      privacy.privacyGroupId,
+      { to: this.contractAddress, data },
+      "latest"
+    );
+    if (!result || result === "0x") {
+      throw new Error(
+        `No private state for the contract in privacy group ${privacy.privacyGroupId}`
+      );
+    }
+
+    const decoded = this.web3.eth.abi.decodeParameters(outputs, result);
+    return outputs.length === 1 ? decoded[0] : decoded;
+  }
+
+  /**
+   * Create a Besu privacy group
+   * @param {Object} options - Group options
+   * @param {Array<string>} options.members - Member names or Tessera public keys (this node is always added)
+   * @param {string} options.name - Group name
+   * @param {string} options.description - Group description
+   * @returns {Promise<string>} - Privacy group ID
+   */
+  async createPrivacyGroup({ members, name, description }) {
+    try {
+      const addresses = [
+        ...new Set([
+          this.tesseraKeys.member1,
+          ...members.map((member) => this.resolveTesseraKey(member)),
+        ]),
+      ];
+
+      return await this.web3quorum.priv.createPrivacyGroup({
+        addresses,
+        name,
+        description,
+      });
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error("Error creating privacy group:", error);
+      throw this.wrapError("Failed to create privacy group", error);
+    }
+  }
+
+  /**
+   * List the Besu privacy groups that contain the given members
+   * @param {Array<string>} members - Member names or Tessera public keys, this node when omitted
+   * @returns {Promise<Array>} - Privacy groups
+   */
+  async listPrivacyGroups(members = ["member1"]) {
+    try {
+      const groups = await this.web3quorum.priv.findPrivacyGroup(
+        members.map((member) => this.resolveTesseraKey(member))
+      );
+
+      return groups.map((group) => ({
+        privacyGroupId: group.privacyGroupId,
+        name: group.name || null,
+        description: group.description || null,
+        type: group.type,
+        members: group.members,
+      }));
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error("Error listing privacy groups:", error);
+      throw this.wrapError("Failed to list privacy groups", error);
+    }
+  }
+
+  /**
+   * Sign and send a transaction to the certificate contract
+   * Transactions are queued per signer account: nonces are assigned locally
+   * and transient RPC errors are retried (see TransactionQueue).
+   * @param {string} data - ABI-encoded contract call
+   * @param {Object} options - Transaction options
+   * @param {boolean|Object} options.privacy - Privacy target (see resolvePrivacy), public when false
+   * @param {string} options.signer - Signer name, the default signer when omitted
+   * @param {number} options.privateGas - Gas limit of a private transaction, defaults to the web3js-quorum limit; public limits are estimated
+   * @param {string} options.label - Description shown in the transaction queue
+   * @param {Function} options.onSubmitted - Called with the transaction hash once the node accepted it
+   * @param {boolean} options.simulate - Simulate the call first and fail fast if it reverts
+   * @param {boolean} options.dryRun - Only simulate: nothing is signed or sent
+   * @returns {Promise<Object>} - Transaction result, with gas usage and cost for public transactions; the simulation result for dry runs
+   */
+  async sendTransaction(
+    data,
+    {
+      privacy = false,
+      signer = null,
+      privateGas = null,
+      label = "transaction",
+      onSubmitted = null,
+      simulate = false,
+      dryRun = false,
+    } = {}
+  ) {
+    const txSigner = this.signerService.getSigner(signer);
+    const address = await txSigner.getAddress();
+    const target = await this.resolvePrivacy(privacy);
+
+    // web3js-quorum signs private transactions with the raw key
+    const fromPrivateKey = target ? await txSigner.getPrivateKey() : null;
+    if (target && !fromPrivateKey) {
+      throw new Error(
+        `A ${txSigner.type} signer cannot send private transactions`
+      );
+    }
+
+    if (dryRun) {
+      await this.simulateTransaction(data, address, target);
+      return this.getDryRunResult(data, address, target);
+    }
+    if (simulate) {
+      try {
+        await this.simulateTransaction(data, address, target);
+      } catch (error) {
+        // Only reverts are worth failing for; the transaction itself
+        // reports anything else
+        if (!this.revertDecoder.decode(error)) {
+          console.warn(`Could not simulate ${label}: ${error.message}`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    if (target) {
+      // Private transaction
+      // Legacy groups are addressed by their recipients, Besu groups by ID
+      const txOptions = {
+        to: this.contractAddress,
+        data,
+        privateKey: fromPrivateKey,
+        privateFrom: target.privateFrom,
+      };
+      if (target.privateFor) {
+        txOptions.privateFor = target.privateFor;
+      } else {
+        txOptions.privacyGroupId = target.privacyGroupId;
+      }
+      if (privateGas) {
+        txOptions.gasLimit = privateGas;
+      }
+
+      // Private nonces are tracked per privacy group, so web3js-quorum
+      // picks them; the queue only serializes the submissions
+      const { transactionHash, mined } = await this.transactionQueue.run(
+        address,
+        async () => {
+          const txHash =
+            await this.web3quorum.priv.generateAndSendRawTransaction(txOptions);
+          if (onSubmitted) {
+            onSubmitted(txHash);
+          }
+          return {
+            transactionHash: txHash,
+            mined: this.web3quorum.priv.waitForTransactionReceipt(txHash),
+          };
+        },
+        { label: `${label} (private)` }
+      );
+      const receipt = await mined;
+
+      // Private transactions are not estimated, so reverts only show here
+      if (receipt.status === "0x0" || receipt.status === false) {
+        const error = new Error(`Private ${label} reverted`);
+        error.receipt = receipt;
+        throw error;
+      }
+
+      return {
+        transactionHash,
+        receipt,
+        isPrivate: true,
+        privacy: target,
+        gas: null,
+      };
+    }
+
+    // Public transaction; estimating first also surfaces reverts before
+    // anything is signed
+    const gasLimit = await this.estimateGas({
+      from: address,
+      to: this.contractAddress,
+      data,
+    });
+    let fees;
+    let signed = null;
+    const { receipt } = await this.transactionQueue.run(
+      address,
+      async (nonce) => {
+        // A retry under the same nonce sends the same transaction again
+        if (!signed || signed.tx.nonce !== nonce) {
+          // Priced at submission, after earlier transactions of the lane
+          fees = await this.getFeeFields();
+          const tx = {
+            to: this.contractAddress,
+            data,
+            gas: gasLimit,
+            nonce,
+            ...fees,
+          };
+          signed = { tx, ...(await txSigner.signTransaction(this.web3, tx)) };
+        }
+        const submitted = await this.submitSignedTransaction(txSigner, signed);
+        if (onSubmitted) {
+          onSubmitted(submitted.transactionHash);
+        }
+        return submitted;
+      },
+      {
+        label,
+        fetchNonce: () => this.web3.eth.getTransactionCount(address, "pending"),
+        idempotent: txSigner.type !== "remote",
+      }
+    );
+    lastWriteBlock = Math.max(lastWriteBlock, Number(receipt.blockNumber));
+
+    return {
+      transactionHash: receipt.transactionHash,
+      receipt: receipt,
+      isPrivate: false,
+      privacy: null,
+      gas: await this.getGasReport(receipt, gasLimit, fees),
+    };
+  }
+
+  /**
+   * Get the block of the latest public transaction sent by this process
+   * @returns {number} - Block number, 0 before the first transaction
+   */
+  getLastWriteBlock() {
+    return lastWriteBlock;
+  }
+
+  /**
+   * Submit a public transaction; one signed earlier is sent as the same bytes,
+   * and counts as submitted if the node already knows it
+   * @param {Object} txSigner - Signer from signerService
+   * @param {Object} signed - {tx, rawTransaction, transactionHash}; remote signers have only tx
+   * @returns {Promise<Object>} - Transaction hash and receipt promise
+   */
+  async submitSignedTransaction(txSigner, signed) {
+    if (!signed.rawTransaction) {
+      return txSigner.submitTransaction(this.web3, signed.tx);
+    }
+
+    try {
+      return await txSigner.sendSignedTransaction(
+        this.web3,
+        signed.rawTransaction
+      );
+    } catch (error) {
+      // An earlier attempt may have reached the node before its connection
+      // dropped; the node then rejects the resend as known or its nonce as used
+      const known = await this.web3.eth
+        .getTransaction(signed.transactionHash)
+        .catch(() => null);
+      if (!known) {
+        throw error;
+      }
+      const receipt = this.waitForTransaction(signed.transactionHash).then(
+        (mined) => {
+          if (!mined.status) {
+            const revertError = new Error(
+              "Transaction has been reverted by the EVM"
+            );
+            revertError.receipt = mined;
+            throw revertError;
+          }
+          return mined;
+        }
+      );
+      return { transactionHash: signed.transactionHash, receipt };
+    }
+  }
+
+  /**
+   * Simulate a contract call with eth_call (priv_call for privacy groups)
+   * from the signer's address, without changing state
+   * @param {string} data - ABI-encoded contract call
+   * @param {string} from - Signer address
+   * @param {Object|null} privacy - Resolved privacy target, null for public
+   * @returns {Promise<string>} - Raw return data; reverts throw
+   */
+  async simulateTransaction(data, from, privacy = null) {
+    const call = { from, to: this.contractAddress, data };
+    if (privacy) {
+      return this.web3quorum.priv.call(privacy.privacyGroupId, call, "latest");
+    }
+    return this.web3.eth.call(call);
+  }
+
+  /**
+   * Describe the transaction a dry run would have sent
+   * @param {string} data - ABI-encoded contract call
+   * @param {string} from - Signer address
+   * @param {Object|null} privacy - Resolved privacy target, null for public
+   * @returns {Promise<Object>} - Sender, privacy and, for public transactions, the gas limit and maximum cost (wei)
+   */
+  async getDryRunResult(data, from, privacy) {
+    let gas = null;
+    if (!privacy) {
+      const limit = await this.estimateGas({
+        from,
+        to: this.contractAddress,
+        data,
+      });
+      const fees = await this.getFeeFields();
+      gas = {
+        limit,
+        feeMarket: fees.gasPrice === undefined ? "eip1559" : "legacy",
+        maxCost: this.web3.utils
+          .toBN(fees.maxFeePerGas || fees.gasPrice)
+          .muln(limit)
+          .toString(),
+      };
+    }
+
+    return {
+      dryRun: true,
+      from,
+      transactionHash: null,
+      isPrivate: Boolean(privacy),
+      privacy,
+      gas,
+    };
+  }
+
+  /**
+   * Estimate the gas limit of a public transaction
+   * @param {Object} tx - Transaction ({from, to, data})
+   * @returns {Promise<number>} - Estimate times GAS_ESTIMATE_MULTIPLIER
+   */
+  async estimateGas(tx) {
+    const estimate = await this.web3.eth.estimateGas(tx);
+    return Math.ceil(estimate * this.gasMultiplier);
+  }
+
+  /**
+   * Get the fee fields for the network's fee market
+   * @returns {Promise<Object>} - {maxFeePerGas, maxPriorityFeePerGas} (EIP-1559) or {gasPrice} (legacy), in wei
+   */
+  async getFeeFields() {
+    if (this.feeMarket !== "legacy") {
+      const block = await this.web3.eth.getBlock("latest");
+      const hasBaseFee =
+        block.baseFeePerGas !== undefined && block.baseFeePerGas !== null;
+
+      if (hasBaseFee) {
+        // Leave room for the base fee to double before inclusion
+        const { toBN } = this.web3.utils;
+        const priorityFee = toBN(await this.getPriorityFee());
+        return {
+          maxPriorityFeePerGas: priorityFee.toString(),
+          maxFeePerGas: toBN(block.baseFeePerGas)
+            .muln(2)
+            .add(priorityFee)
+            .toString(),
+        };
+      }
+      if (this.feeMarket === "eip1559") {
+        throw new Error("The network does not support EIP-1559 fees");
+      }
+    }
+
+    return { gasPrice: await this.web3.eth.getGasPrice() };
+  }
+
+  /**
+   * Get the priority fee (tip) of EIP-1559 transactions
+   * @returns {Promise<string>} - TX_PRIORITY_FEE_GWEI, or the median tip of recent blocks, in wei
+   */
+  async getPriorityFee() {
+    if (this.priorityFee !== null) {
+      return this.priorityFee;
+    }
+
+    const history = await this.web3.eth.getFeeHistory(
+      FEE_HISTORY_BLOCKS,
+      "latest",
+      [50]
+    );
+    const tips = (history.reward || [])
+      .map(([tip]) => this.web3.utils.toBN(tip))
+      .sort((a, b) => a.cmp(b));
+    return tips.length ? tips[Math.floor(tips.length / 2)].toString() : "0";
+  }
+
+  /**
+   * Summarize the gas usage and cost of a mined transaction
+   * @param {Object} receipt - Transaction receipt
+   * @param {number} gasLimit - Gas limit the transaction was sent with
+   * @param {Object} fees - Fee fields the transaction was sent with
+   * @returns {Promise<Object>} - Limit, used gas, effective price and cost (wei)
+   */
+  async getGasReport(receipt, gasLimit, fees) {
+    const { toBN } = this.web3.utils;
+    let effectiveGasPrice = receipt.effectiveGasPrice;
+    if (effectiveGasPrice === undefined || effectiveGasPrice === null) {
+      // Older nodes leave it out of receipts; mined transactions report it
+      effectiveGasPrice = (
+        await this.web3.eth.getTransaction(receipt.transactionHash)
+      ).gasPrice;
+    }
+
+    return {
+      limit: gasLimit,
+      used: Number(receipt.gasUsed),
+      effectiveGasPrice: toBN(effectiveGasPrice).toString(),
+      cost: toBN(effectiveGasPrice).mul(toBN(receipt.gasUsed)).toString(),
+      feeMarket: fees.gasPrice === undefined ? "eip1559" : "legacy",
+    };
+  }
+
+  /**
+   * Get the transaction queue status
+   * @returns {Object} - Queue depth per signer account and pending transactions
+   */
+  getQueueStatus() {
+    return this.transactionQueue.getStatus();
+  }
+
+  /**
+   * Wait for an already submitted transaction to be mined
+   * @param {string} transactionHash - Transaction hash
+   * @param {Object|null} privacy - Privacy target of a private transaction
+   * @param {number} timeout - Milliseconds to wait for the receipt
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async waitForTransaction(transactionHash, privacy = null, timeout = 300000) {
+    if (privacy) {
+      // Polled once a second
+      return this.web3quorum.priv.waitForTransactionReceipt(
+        transactionHash,
+        Math.ceil(timeout / 1000)
+      );
+    }
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const receipt = await this.web3.eth.getTransactionReceipt(
+        transactionHash
+      );
+      if (receipt) {
+        return receipt;
+      }
+      await Utils.sleep(RECEIPT_POLL_INTERVAL);
+    }
+    throw new Error(
+      `Transaction ${transactionHash} was not mined within ${timeout / 1000}s`
+    );
+  }
+
   /**
    * Issue a certificate
    * @param {string} fid - File ID
    * @param {string} cid - Content ID (IPFS hash)
    * @param {string} email - Email address
-   * @param {boolean} isPrivate - Whether to use private transaction
+   * @param {boolean|Object} privacy - false for public, true for the default recipient, {privateFor} or {privacyGroup}
+   * @param {number} validUntil - Expiry date (unix seconds), 0 for no expiry
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options
+   * @param {Function} options.onSubmitted - Called with the transaction hash once the node accepted it
+   * @param {boolean} options.dryRun - Only simulate the transaction (see sendTransaction)
    * @returns {Promise<Object>} - Transaction result
    */
-  async issueCertificate(fid, cid, email, isPrivate = false) {
+  async issueCertificate(
+    fid,
+    cid,
+    email,
+    privacy = false,
+    validUntil = 0,
+    signer = null,
+    { onSubmitted = null, dryRun = false } = {}
+  ) {
     try {
       if (!this.contract) {
         throw new Error("Contract not deployed or loaded");
       }
 
-      const fromPrivateKey = this.privateKeys.member1;
-      const fromPublicKey = this.tesseraKeys.member1;
-      const toPublicKey = this.tesseraKeys.member2;
+      const result = await this.sendTransaction(
+        this.contract.methods["issueCertificate(string,string,string,uint256)"](
+          fid,
+          cid,
+          email,
+          validUntil
+        ).encodeABI(),
+        {
+          privacy,
+          signer,
+          label: "issueCertificate",
+          onSubmitted,
+          simulate: true,
+          dryRun,
+        }
+      );
+      if (result.isPrivate && !dryRun) {
+        this.privacyRegistry.set(fid, result.privacy);
+      }
+      return result;
+    } catch (error) {
+      console.error("Error issuing certificate:", error);
+      throw this.wrapError("Failed to issue certificate", error);
+    }
+  }
 
-      if (isPrivate) {
-        // Private transaction
-        const txOptions = {
-          data: this.contract.methods
-            .issueCertificate(fid, cid, email)
-            .encodeABI(),
-          privateKey: fromPrivateKey,
-          privateFrom: fromPublicKey,
-          privateFor: [toPublicKey],
-        };
+  /**
+   * Issue several certificates in a single transaction
+   * @param {Array<Object>} certificates - Up to MAX_BATCH_SIZE {fid, cid, email} items
+   * @param {boolean|Object} privacy - false for public, true for the default recipient, {privateFor} or {privacyGroup}
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options
+   * @param {Function} options.onSubmitted - Called with the transaction hash once the node accepted it
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async issueCertificates(
+    certificates,
+    privacy = false,
+    signer = null,
+    { onSubmitted = null } = {}
+  ) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
 
-        const txHash = await this.web3quorum.priv.generateAndSendRawTransaction(
-          txOptions
-        );
-        const receipt = await this.web3quorum.priv.waitForTransactionReceipt(
-          txHash
-        );
+      if (certificates.length === 0 || certificates.length > MAX_BATCH_SIZE) {
+        throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
+      }
 
-        return {
-          transactionHash: txHash,
-          receipt: receipt,
-          isPrivate: true,
-        };
-      } else {
-        // Public transaction
-        const account =
-          this.web3.eth.accounts.privateKeyToAccount(fromPrivateKey);
-        this.web3.eth.accounts.wallet.add(account);
-
-        const tx = {
-          from: account.address,
-          to: this.contractAddress,
-          data: this.contract.methods
-            .issueCertificate(fid, cid, email)
-            .encodeABI(),
-          gas: 1000000, // Increased gas limit
-        };
+      const result = await this.sendTransaction(
+        this.contract.methods
+          .issueCertificates(
+            certificates.map((certificate) => certificate.fid),
+            certificates.map((certificate) => certificate.cid),
+            certificates.map((certificate) => certificate.email)
+          )
+          .encodeABI(),
+        {
+          privacy,
+          signer,
+          label: "issueCertificates",
+          onSubmitted,
+          privateGas:
+            BATCH_GAS_OVERHEAD + certificates.length * GAS_PER_BATCH_ITEM,
+        }
+      );
+      if (result.isPrivate) {
+        for (const certificate of certificates) {
+          this.privacyRegistry.set(certificate.fid, result.privacy);
+        }
+      }
+      return result;
+    } catch (error) {
+      console.error("Error issuing certificate batch:", error);
+      throw this.wrapError("Failed to issue certificate batch", error);
+    }
+  }
 
-        const signedTx = await this.web3.eth.accounts.signTransaction(
-          tx,
-          fromPrivateKey
-        );
-        const receipt = await this.web3.eth.sendSignedTransaction(
-          signedTx.rawTransaction
-        );
+  /**
+   * Issue several certificates that store only salted email commitments in a
+   * single transaction
+   * @param {Array<Object>} certificates - Up to MAX_BATCH_SIZE {fid, cid, emailCommitment} items
+   * @param {boolean|Object} privacy - false for public, true for the default recipient, {privateFor} or {privacyGroup}
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options, see issueCertificates
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async issueCertificatesWithCommitment(
+    certificates,
+    privacy = false,
+    signer = null,
+    { onSubmitted = null } = {}
+  ) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
 
-        return {
-          transactionHash: receipt.transactionHash,
-          receipt: receipt,
-          isPrivate: false,
-        };
+      if (certificates.length === 0 || certificates.length > MAX_BATCH_SIZE) {
+        throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
       }
+
+      const result = await this.sendTransaction(
+        this.contract.methods
+          .issueCertificatesWithCommitment(
+            certificates.map((certificate) => certificate.fid),
+            certificates.map((certificate) => certificate.cid),
+            certificates.map((certificate) => certificate.emailCommitment)
+          )
+          .encodeABI(),
+        {
+          privacy,
+          signer,
+          label: "issueCertificatesWithCommitment",
+          onSubmitted,
+          privateGas:
+            BATCH_GAS_OVERHEAD + certificates.length * GAS_PER_BATCH_ITEM,
+        }
+      );
+      if (result.isPrivate) {
+        for (const certificate of certificates) {
+          this.privacyRegistry.set(certificate.fid, result.privacy);
+        }
+      }
+      return result;
     } catch (error) {
-      console.error("Error issuing certificate:", error);
-      throw new Error(`Failed to issue certificate: ${error.message}`);
+      console.error("Error issuing certificate batch:", error);
+      throw this.wrapError("Failed to issue certificate batch", error);
     }
   }
 
   /**
-   * Update a certificate
+   * Issue a certificate that stores only a salted commitment of the email
    * @param {string} fid - File ID
-   * @param {string} newCid - New Content ID (IPFS hash)
-   * @param {boolean} isPrivate - Whether to use private transaction
+   * @param {string} cid - Content ID (IPFS hash)
+   * @param {string} emailCommitment - Commitment from createEmailCommitment
+   * @param {boolean|Object} privacy - false for public, true for the default recipient, {privateFor} or {privacyGroup}
+   * @param {number} validUntil - Expiry date (unix seconds), 0 for no expiry
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options
+   * @param {Function} options.onSubmitted - Called with the transaction hash once the node accepted it
+   * @param {boolean} options.dryRun - Only simulate the transaction (see sendTransaction)
    * @returns {Promise<Object>} - Transaction result
    */
-  async updateCertificate(fid, newCid, isPrivate = false) {
+  async issueCertificateWithCommitment(
+    fid,
+    cid,
+    emailCommitment,
+    privacy = false,
+    validUntil = 0,
+    signer = null,
+    { onSubmitted = null, dryRun = false } = {}
+  ) {
     try {
       if (!this.contract) {
         throw new Error("Contract not deployed or loaded");
       }
 
-      const fromPrivateKey = this.privateKeys.member1;
-      const fromPublicKey = this.tesseraKeys.member1;
-      const toPublicKey = this.tesseraKeys.member2;
+      const result = await this.sendTransaction(
+        this.contract.methods
+          .issueCertificateWithCommitment(fid, cid, emailCommitment, validUntil)
+          .encodeABI(),
+        {
+          privacy,
+          signer,
+          label: "issueCertificateWithCommitment",
+          onSubmitted,
+          simulate: true,
+          dryRun,
+        }
+      );
+      if (result.isPrivate && !dryRun) {
+        this.privacyRegistry.set(fid, result.privacy);
+      }
+      return result;
+    } catch (error) {
+      console.error("Error issuing certificate:", error);
+      throw this.wrapError("Failed to issue certificate", error);
+    }
+  }
 
-      if (isPrivate) {
-        // Private transaction
-        const txOptions = {
-          data: this.contract.methods
-            .updateCertificate(fid, newCid)
-            .encodeABI(),
-          privateKey: fromPrivateKey,
-          privateFrom: fromPublicKey,
-          privateFor: [toPublicKey],
-        };
+  /**
+   * Normalize an email before it is committed or verified
+   * @param {string} email - Email address
+   * @returns {string} - Trimmed, lower-cased email
+   */
+  normalizeEmail(email) {
+    return email.trim().toLowerCase();
+  }
 
-        const txHash = await this.web3quorum.priv.generateAndSendRawTransaction(
-          txOptions
-        );
-        const receipt = await this.web3quorum.priv.waitForTransactionReceipt(
-          txHash
-        );
+  /**
+   * Create a salted commitment of an email
+   * @param {string} email - Email address
+   * @param {string} salt - 32-byte hex salt, generated when omitted
+   * @returns {Object} - The commitment and the salt used
+   */
+  createEmailCommitment(email, salt = null) {
+    const emailSalt = salt || `0x${crypto.randomBytes(32).toString("hex")}`;
+    const commitment = this.web3.utils.soliditySha3(
+      { t: "string", v: this.normalizeEmail(email) },
+      { t: "bytes32", v: emailSalt }
+    );
 
-        return {
-          transactionHash: txHash,
-          receipt: receipt,
-          isPrivate: true,
-        };
-      } else {
-        // Public transaction
-        const account =
-          this.web3.eth.accounts.privateKeyToAccount(fromPrivateKey);
-        this.web3.eth.accounts.wallet.add(account);
-
-        const tx = {
-          from: account.address,
-          to: this.contractAddress,
-          data: this.contract.methods
-            .updateCertificate(fid, newCid)
-            .encodeABI(),
-          gas: 1000000, // Increased gas limit
-        };
+    return { commitment, salt: emailSalt };
+  }
 
-        const signedTx = await this.web3.eth.accounts.signTransaction(
-          tx,
-          fromPrivateKey
-        );
-        const receipt = await this.web3.eth.sendSignedTransaction(
-          signedTx.rawTransaction
-        );
+  /**
+   * Anchor the Merkle root of an off-chain certificate batch
+   * Roots are always anchored publicly, since verifyBatchProof reads public
+   * state.
+   * @param {string} root - Merkle root (bytes32 hex)
+   * @param {number} count - Number of certificates in the batch
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options, see issueCertificates
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async anchorBatch(root, count, signer = null, { onSubmitted = null } = {}) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
 
-        return {
-          transactionHash: receipt.transactionHash,
-          receipt: receipt,
-          isPrivate: false,
-        };
+      return await this.sendTransaction(
+        this.contract.methods.anchorBatch(root, count).encodeABI(),
+        { signer, label: "anchorBatch", onSubmitted }
+      );
+    } catch (error) {
+      console.error("Error anchoring batch:", error);
+      throw this.wrapError("Failed to anchor batch", error);
+    }
+  }
+
+  /**
+   * Get an anchored batch
+   * @param {string} root - Merkle root (bytes32 hex)
+   * @returns {Promise<Object|null>} - Batch details, or null if the root is not anchored
+   */
+  async getBatch(root) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      const batch = await this.contract.methods.getBatch(root).call();
+      if (!batch.anchored) {
+        return null;
+      }
+
+      return {
+        root,
+        count: parseInt(batch.count),
+        anchoredAt: parseInt(batch.anchoredAt),
+        issuer: batch.issuer,
+      };
+    } catch (error) {
+      console.error("Error getting batch:", error);
+      throw this.wrapError("Failed to get batch", error);
+    }
+  }
+
+  /**
+   * Verify a Merkle proof against an anchored root
+   * @param {Object} bundle - Proof bundle
+   * @param {string} bundle.root - Merkle root
+   * @param {string} bundle.fid - File ID
+   * @param {string} bundle.cid - Content ID (IPFS hash)
+   * @param {string} bundle.emailCommitment - Salted email commitment
+   * @param {Array<string>} bundle.proof - Sibling hashes from the leaf up
+   * @returns {Promise<boolean>} - Whether the root is anchored and the proof is valid
+   */
+  async verifyBatchProof({ root, fid, cid, emailCommitment, proof }) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      return await this.contract.methods
+        .verifyBatchProof(root, fid, cid, emailCommitment, proof)
+        .call();
+    } catch (error) {
+      console.error("Error verifying batch proof:", error);
+      throw this.wrapError("Failed to verify batch proof", error);
+    }
+  }
+
+  /**
+   * Update a certificate
+   * @param {string} fid - File ID
+   * @param {string} newCid - New Content ID (IPFS hash)
+   * @param {boolean|Object|null} privacy - Privacy of the certificate; null follows the privacy it was issued with
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options
+   * @param {Function} options.onSubmitted - Called with the transaction hash once the node accepted it
+   * @param {boolean} options.dryRun - Only simulate the transaction (see sendTransaction)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async updateCertificate(
+    fid,
+    newCid,
+    privacy = null,
+    signer = null,
+    { onSubmitted = null, dryRun = false } = {}
+  ) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
       }
+
+      return await this.sendTransaction(
+        this.contract.methods.updateCertificate(fid, newCid).encodeABI(),
+        {
+          privacy: await this.getCertificatePrivacy(fid, privacy),
+          signer,
+          label: "updateCertificate",
+          onSubmitted,
+          simulate: true,
+          dryRun,
+        }
+      );
     } catch (error) {
       console.error("Error updating certificate:", error);
-      throw new Error(`Failed to update certificate: ${error.message}`);
+      throw this.wrapError("Failed to update certificate", error);
+    }
+  }
+
+  /**
+   * Renew (extend the expiry of) a certificate
+   * @param {string} fid - File ID
+   * @param {number} validUntil - New expiry date (unix seconds)
+   * @param {boolean|Object|null} privacy - Privacy of the certificate; null follows the privacy it was issued with
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async renewCertificate(fid, validUntil, privacy = null, signer = null) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      return await this.sendTransaction(
+        this.contract.methods.renewCertificate(fid, validUntil).encodeABI(),
+        {
+          privacy: await this.getCertificatePrivacy(fid, privacy),
+          signer,
+          label: "renewCertificate",
+        }
+      );
+    } catch (error) {
+      console.error("Error renewing certificate:", error);
+      throw this.wrapError("Failed to renew certificate", error);
     }
   }
 
@@ -253,21 +1181,30 @@ class BlockchainService {
    * Verify a certificate
    * @param {string} fid - File ID
    * @param {string} email - Email address
-   * @returns {Promise<boolean>} - Verification result
+   * @param {string} salt - Email salt, required for certificates with an email commitment
+   * @returns {Promise<boolean>} - Verification result (false once expired)
    */
-  async verifyCertificate(fid, email) {
+  async verifyCertificate(fid, email, salt = null) {
     try {
       if (!this.contract) {
         throw new Error("Contract not deployed or loaded");
       }
 
-      const isValid = await this.contract.methods
-        .verifyCertificate(fid, email)
-        .call();
-      return isValid;
+      const method = salt
+        ? this.contract.methods["verifyCertificate(string,string,bytes32)"](
+            fid,
+            this.normalizeEmail(email),
+            salt
+          )
+        : this.contract.methods["verifyCertificate(string,string)"](fid, email);
+      const result = await this.callContract(
+        method,
+        await this.getCertificatePrivacy(fid)
+      );
+      return result.isValid;
     } catch (error) {
       console.error("Error verifying certificate:", error);
-      throw new Error(`Failed to verify certificate: ${error.message}`);
+      throw this.wrapError("Failed to verify certificate", error);
     }
   }
 
@@ -282,95 +1219,466 @@ class BlockchainService {
         throw new Error("Contract not deployed or loaded");
       }
 
-      const certificate = await this.contract.methods
-        .getCertificate(fid)
-        .call();
+      // Private certificates are read from their privacy group's state
+      const privacy = await this.getCertificatePrivacy(fid);
+      const certificate = await this.callContract(
+        this.contract.methods.getCertificate(fid),
+        privacy
+      );
+      const versionHistory = await this.callContract(
+        this.contract.methods.getCertificateVersionHistory(fid),
+        privacy
+      );
       return {
-        fid: certificate.fid,
-        cid: certificate.cid,
-        email: certificate.email,
-        issueDate: parseInt(certificate.issueDate),
-        lastModified: parseInt(certificate.lastModified),
-        issuer: certificate.issuer,
-        isActive: certificate.isActive,
-        versionHistory: certificate.versionHistory,
+        ...(await this.parseCertificate(certificate, privacy)),
+        versionHistory,
       };
     } catch (error) {
       console.error("Error getting certificate:", error);
-      throw new Error(`Failed to get certificate: ${error.message}`);
+      throw this.wrapError("Failed to get certificate", error);
     }
   }
 
   /**
-   * Delete a certificate
+   * Convert a raw contract Certificate struct into service format
+   * @param {Object} certificate - Result of the contract's getCertificate
+   * @param {Object|null} privacy - Privacy target the certificate was read from
+   * @returns {Promise<Object>} - Certificate details with derived status
+   */
+  async parseCertificate(certificate, privacy = null) {
+    const validUntil = parseInt(certificate.validUntil);
+    const isExpired = validUntil !== 0 && Date.now() / 1000 > validUntil;
+    const revocation = certificate.isActive
+      ? null
+      : await this.getRevocation(certificate.fid);
+
+    let status = "active";
+    if (revocation) {
+      status = "revoked";
+    } else if (!certificate.isActive) {
+      status = "inactive";
+    } else if (isExpired) {
+      status = "expired";
+    }
+
+    return {
+      fid: certificate.fid,
+      cid: certificate.cid,
+      email: certificate.email,
+      emailCommitment: /^0x0+$/.test(certificate.emailCommitment)
+        ? null
+        : certificate.emailCommitment,
+      issueDate: parseInt(certificate.issueDate),
+      lastModified: parseInt(certificate.lastModified),
+      issuer: certificate.issuer,
+      isActive: certificate.isActive,
+      validUntil,
+      isExpired,
+      revocation,
+      status,
+      isPrivate: privacy !== null,
+      privacyGroupId: privacy ? privacy.privacyGroupId : null,
+    };
+  }
+
+  /**
+   * List certificates with filters and pagination
+   * @param {Object} filters - Listing filters
+   * @param {string} [filters.email] - Holder email
+   * @param {string} [filters.issuer] - Issuer address
+   * @param {string} [filters.status] - active, expired, revoked or inactive
+   * @param {number} [filters.issuedAfter] - Minimum issue date (unix seconds)
+   * @param {number} [filters.issuedBefore] - Maximum issue date (unix seconds)
+   * @param {number} [filters.page] - Page number, starting at 1
+   * @param {number} [filters.pageSize] - Certificates per page
+   * @returns {Promise<Object>} - Total number of matches and the requested page
+   */
+  async listCertificates(filters = {}) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      // Matching these means reading every certificate of the base set;
+      // the event index (indexerService) answers them instead
+      if (filters.status || filters.issuedAfter || filters.issuedBefore) {
+        throw statusError(
+          503,
+          "Filtering by status or issue date needs the event index, which is not ready",
+          "INDEX_NOT_READY"
+        );
+      }
+
+      const page = filters.page || 1;
+      const pageSize = filters.pageSize || 20;
+      const start = (page - 1) * pageSize;
+
+      // Pick the narrowest on-chain index for the base set
+      const methods = this.contract.methods;
+      let count;
+      let fetchPage;
+      if (filters.email) {
+        count = () => methods.getEmailCertificateCount(filters.email).call();
+        fetchPage = (offset, limit) =>
+          methods["getCertificatesByEmail(string,uint256,uint256)"](
+            filters.email,
+            offset,
+            limit
+          ).call();
+      } else if (filters.issuer) {
+        count = () => methods.getIssuerCertificateCount(filters.issuer).call();
+        fetchPage = (offset, limit) =>
+          methods.getCertificatesByIssuer(filters.issuer, offset, limit).call();
+      } else {
+        count = () => methods.getTotalCertificates().call();
+        fetchPage = (offset, limit) => methods.getFIDs(offset, limit).call();
+      }
+
+      const baseTotal = parseInt(await count());
+
+      // With a single filter, read only the requested page
+      if (!(filters.email && filters.issuer)) {
+        const fids = start < baseTotal ? await fetchPage(start, pageSize) : [];
+        const certificates = [];
+        for (const fid of fids) {
+          certificates.push(
+            await this.parseCertificate(
+              await methods.getCertificate(fid).call()
+            )
+          );
+        }
+        return { total: baseTotal, certificates };
+      }
+
+      // Otherwise scan the holder's certificates for the issuer's
+      let total = 0;
+      const certificates = [];
+      for (let offset = 0; offset < baseTotal; offset += MAX_PAGE_SIZE) {
+        const fids = await fetchPage(offset, MAX_PAGE_SIZE);
+        for (const fid of fids) {
+          const certificate = await this.parseCertificate(
+            await methods.getCertificate(fid).call()
+          );
+          if (
+            certificate.issuer.toLowerCase() !== filters.issuer.toLowerCase()
+          ) {
+            continue;
+          }
+          if (total >= start && certificates.length < pageSize) {
+            certificates.push(certificate);
+          }
+          total++;
+        }
+      }
+
+      return { total, certificates };
+    } catch (error) {
+      console.error("Error listing certificates:", error);
+      throw this.wrapError("Failed to list certificates", error);
+    }
+  }
+
+  /**
+   * Revoke a certificate with a reason (the file stays pinned as evidence)
    * @param {string} fid - File ID
-   * @param {boolean} isPrivate - Whether to use private transaction
+   * @param {string} reason - One of REVOCATION_REASONS
+   * @param {string} note - Free-text explanation
+   * @param {boolean|Object|null} privacy - Privacy of the certificate; null follows the privacy it was issued with
+   * @param {string} signer - Signer name, the default signer when omitted
    * @returns {Promise<Object>} - Transaction result
    */
-  async deleteCertificate(fid, isPrivate = false) {
+  async revokeCertificate(
+    fid,
+    reason,
+    note = "",
+    privacy = null,
+    signer = null
+  ) {
     try {
       if (!this.contract) {
         throw new Error("Contract not deployed or loaded");
       }
 
-      const fromPrivateKey = this.privateKeys.member1;
-      const fromPublicKey = this.tesseraKeys.member1;
-      const toPublicKey = this.tesseraKeys.member2;
+      const reasonCode = REVOCATION_REASONS.indexOf(reason);
+      if (reasonCode === -1) {
+        throw new Error(`Unknown revocation reason: ${reason}`);
+      }
 
-      if (isPrivate) {
-        // Private transaction
-        const txOptions = {
-          data: this.contract.methods.deleteCertificate(fid).encodeABI(),
-          privateKey: fromPrivateKey,
-          privateFrom: fromPublicKey,
-          privateFor: [toPublicKey],
-        };
+      return await this.sendTransaction(
+        this.contract.methods
+          .revokeCertificate(fid, reasonCode, note)
+          .encodeABI(),
+        {
+          privacy: await this.getCertificatePrivacy(fid, privacy),
+          signer,
+          label: "revokeCertificate",
+        }
+      );
+    } catch (error) {
+      console.error("Error revoking certificate:", error);
+      throw this.wrapError("Failed to revoke certificate", error);
+    }
+  }
 
-        const txHash = await this.web3quorum.priv.generateAndSendRawTransaction(
-          txOptions
-        );
-        const receipt = await this.web3quorum.priv.waitForTransactionReceipt(
-          txHash
-        );
+  /**
+   * Get revocation details of a certificate
+   * @param {string} fid - File ID
+   * @returns {Promise<Object|null>} - Revocation details, or null if not revoked
+   */
+  async getRevocation(fid) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
 
-        return {
-          transactionHash: txHash,
-          receipt: receipt,
-          isPrivate: true,
-        };
-      } else {
-        // Public transaction
-        const account =
-          this.web3.eth.accounts.privateKeyToAccount(fromPrivateKey);
-        this.web3.eth.accounts.wallet.add(account);
-
-        const tx = {
-          from: account.address,
-          to: this.contractAddress,
-          data: this.contract.methods.deleteCertificate(fid).encodeABI(),
-          gas: 1000000, // Increased gas limit
-        };
+      const revocation = await this.callContract(
+        this.contract.methods.getRevocation(fid),
+        await this.getCertificatePrivacy(fid)
+      );
+      if (!revocation.revoked) {
+        return null;
+      }
 
-        const signedTx = await this.web3.eth.accounts.signTransaction(
-          tx,
-          fromPrivateKey
-        );
-        const receipt = await this.web3.eth.sendSignedTransaction(
-          signedTx.rawTransaction
+      const reasonCode = parseInt(revocation.reasonCode);
+      return {
+        reason: REVOCATION_REASONS[reasonCode],
+        reasonCode,
+        note: revocation.note,
+        revokedAt: parseInt(revocation.revokedAt),
+        revokedBy: revocation.revokedBy,
+      };
+    } catch (error) {
+      console.error("Error getting revocation:", error);
+      throw this.wrapError("Failed to get revocation", error);
+    }
+  }
+
+  /**
+   * Get certificate status as reported by the contract
+   * @param {string} fid - File ID
+   * @param {Object|null} privacy - Privacy target to read from, defaults to the one the certificate was issued with
+   * @returns {Promise<Object>} - Whether the certificate exists, is active, has expired or was revoked
+   */
+  async getCertificateStatus(fid, privacy = null) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      const status = await this.callContract(
+        this.contract.methods.certificateStatus(fid),
+        privacy || (await this.getCertificatePrivacy(fid))
+      );
+      return {
+        exists: status.exists,
+        active: status.active,
+        expired: status.expired,
+        revoked: status.revoked,
+      };
+    } catch (error) {
+      console.error("Error getting certificate status:", error);
+      throw this.wrapError("Failed to get certificate status", error);
+    }
+  }
+
+  /**
+   * Get the version history of a certificate
+   * @param {string} fid - File ID
+   * @returns {Promise<Array<Object>>} - Versions, oldest first
+   */
+  async getVersionHistory(fid) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      const privacy = await this.getCertificatePrivacy(fid);
+      const count = parseInt(
+        await this.callContract(
+          this.contract.methods.getVersionCount(fid),
+          privacy
+        )
+      );
+
+      const versions = [];
+      for (let index = 0; index < count; index++) {
+        const version = await this.callContract(
+          this.contract.methods.getVersion(fid, index),
+          privacy
         );
+        versions.push({
+          index,
+          cid: version.cid,
+          timestamp: parseInt(version.timestamp),
+          modifiedBy: version.modifiedBy,
+        });
+      }
 
-        return {
-          transactionHash: receipt.transactionHash,
-          receipt: receipt,
-          isPrivate: false,
-        };
+      return versions;
+    } catch (error) {
+      console.error("Error getting version history:", error);
+      throw this.wrapError("Failed to get version history", error);
+    }
+  }
+
+  /**
+   * Delete a certificate
+   * @param {string} fid - File ID
+   * @param {boolean|Object|null} privacy - Privacy of the certificate; null follows the privacy it was issued with
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @param {Object} options - Transaction options
+   * @param {Function} options.onSubmitted - Called with the transaction hash once the node accepted it
+   * @param {boolean} options.dryRun - Only simulate the transaction (see sendTransaction)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async deleteCertificate(
+    fid,
+    privacy = null,
+    signer = null,
+    { onSubmitted = null, dryRun = false } = {}
+  ) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
       }
+
+      return await this.sendTransaction(
+        this.contract.methods.deleteCertificate(fid).encodeABI(),
+        {
+          privacy: await this.getCertificatePrivacy(fid, privacy),
+          signer,
+          label: "deleteCertificate",
+          onSubmitted,
+          simulate: true,
+          dryRun,
+        }
+      );
     } catch (error) {
       console.error("Error deleting certificate:", error);
-      throw new Error(`Failed to delete certificate: ${error.message}`);
+      throw this.wrapError("Failed to delete certificate", error);
+    }
+  }
+
+  /**
+   * List all registered issuers
+   * @returns {Promise<Array<Object>>} - Issuer registry entries
+   */
+  async listIssuers() {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      const addresses = await this.contract.methods.getIssuers().call();
+
+      const issuers = [];
+      for (const address of addresses) {
+        issuers.push(await this.getIssuer(address));
+      }
+
+      return issuers;
+    } catch (error) {
+      console.error("Error listing issuers:", error);
+      throw this.wrapError("Failed to list issuers", error);
+    }
+  }
+
+  /**
+   * Get an issuer registry entry
+   * @param {string} address - Issuer address
+   * @returns {Promise<Object>} - Issuer details
+   */
+  async getIssuer(address) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      const issuer = await this.contract.methods.getIssuer(address).call();
+      return {
+        address: this.web3.utils.toChecksumAddress(address),
+        name: issuer.name,
+        isActive: issuer.isActive,
+        registeredAt: parseInt(issuer.registeredAt),
+        updatedAt: parseInt(issuer.updatedAt),
+      };
+    } catch (error) {
+      console.error("Error getting issuer:", error);
+      throw this.wrapError("Failed to get issuer", error);
     }
   }
 
+  /**
+   * Grant the issuer role (registers or re-activates the issuer)
+   * @param {string} address - Issuer address
+   * @param {string} name - Issuer display name
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async grantIssuer(address, name, signer = null) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      return await this.sendTransaction(
+        this.contract.methods.grantIssuer(address, name).encodeABI(),
+        { signer, label: "grantIssuer" }
+      );
+    } catch (error) {
+      console.error("Error granting issuer role:", error);
+      throw this.wrapError("Failed to grant issuer role", error);
+    }
+  }
+
+  /**
+   * Revoke the issuer role
+   * @param {string} address - Issuer address
+   * @param {string} signer - Signer name, the default signer when omitted
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async revokeIssuer(address, signer = null) {
+    try {
+      if (!this.contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      return await this.sendTransaction(
+        this.contract.methods.revokeIssuer(address).encodeABI(),
+        { signer, label: "revokeIssuer" }
+      );
+    } catch (error) {
+      console.error("Error revoking issuer role:", error);
+      throw this.wrapError("Failed to revoke issuer role", error);
+    }
+  }
+
+  /**
+   * Wrap an error for the caller, decoding contract reverts
+   * Reverts get the HTTP status and code of their reason (e.g. 409
+   * CERTIFICATE_EXISTS); errors that already carry a status keep it.
+   * @param {string} action - Message prefix, e.g. "Failed to issue certificate"
+   * @param {Error} error - Original error
+   * @returns {Error} - Error with status, code and revert reason when known
+   */
+  wrapError(action, error) {
+    const revert = error.status ? null : this.revertDecoder.decode(error);
+    const wrapped = new Error(
+      `${action}: ${(revert && revert.reason) || error.message}`
+    );
+    if (revert) {
+      wrapped.status = revert.status;
+      wrapped.code = revert.code;
+      wrapped.reason = revert.reason;
+      wrapped.args = revert.args;
+    } else if (error.status) {
+      wrapped.status = error.status;
+      wrapped.code = error.code;
+      wrapped.reason = error.reason;
+    }
+    return wrapped;
+  }
+
   /**
    * Test blockchain connection
    * @returns {Promise<boolean>} - Whether connection is successful
@@ -389,6 +1697,14 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Probe the RPC endpoints
+   * @returns {Promise<Array<Object>>} - Circuit breaker state, latency and block number of each endpoint
+   */
+  async getRpcStatus() {
+    return this.rpcProvider.checkEndpoints();
+  }
+
   /**
    * Get network info
    * @returns {Promise<Object>} - Network information
@@ -404,13 +1720,16 @@ class BlockchainService {
         chainId,
         isListening,
         contractAddress: this.contractAddress,
-        rpcUrl: process.env.QUORUM_RPC_URL || "http://127.0.0.1:8545",
+        rpcUrl: this.rpcProvider.getPreferredUrl(),
       };
     } catch (error) {
       console.error("Error getting network info:", error);
-      throw new Error(`Failed to get network info: ${error.message}`);
+      throw this.wrapError("Failed to get network info", error);
     }
   }
 }
 
+BlockchainService.REVOCATION_REASONS = REVOCATION_REASONS;
+BlockchainService.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
 module.exports = BlockchainService;
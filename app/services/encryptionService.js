@@ -1,49 +1,542 @@
 const crypto = require("crypto");
+const { Transform } = require("stream");
+
+// Stream format (version 2): magic, version, header length (uint32), key ID
+// (one length byte, then ASCII), IV and tag of the header, the JSON header
+// encrypted with AES-256-GCM, then the file as AES-256-GCM segments of
+// SEGMENT_SIZE bytes, each followed by its tag. Only the key ID is readable
+// without the key. The bytes before the IV are the AAD of the header, and
+// everything before the first segment the AAD of every segment; each
+// segment's nonce is the header's random prefix, the segment index and a
+// last-segment flag, so reordered, dropped or truncated segments fail
+// authentication.
+const STREAM_MAGIC = Buffer.from("VLTS", "ascii");
+const STREAM_VERSION = 2;
+const STREAM_PREFIX_LENGTH = STREAM_MAGIC.length + 1 + 4;
+const MAX_HEADER_LENGTH = 64 * 1024;
+const SEGMENT_SIZE = 64 * 1024;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;
+const MAX_SEGMENTS = 2 ** 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Generated once per process, so every service instance shares it
+let developmentKey = null;
+
+/**
+ * Build the nonce of a segment
+ * @param {Buffer} noncePrefix - Random per-file prefix
+ * @param {number} index - Segment index
+ * @param {boolean} last - Whether this is the final segment
+ * @returns {Buffer} 12-byte nonce
+ */
+function segmentNonce(noncePrefix, index, last) {
+  if (index >= MAX_SEGMENTS) {
+    throw new Error("File has too many segments");
+  }
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Encrypt one segment
+ * @param {Object} context - {key, headerBytes, noncePrefix}
+ * @param {number} index - Segment index
+ * @param {boolean} last - Whether this is the final segment
+ * @param {Buffer} plaintext - Segment data
+ * @returns {Buffer} Ciphertext followed by the tag
+ */
+function sealSegment(context, index, last, plaintext) {
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    context.key,
+    segmentNonce(context.noncePrefix, index, last)
+  );
+  cipher.setAAD(context.headerBytes);
+  return Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+}
+
+/**
+ * Decrypt and authenticate one segment
+ * @param {Object} context - {key, headerBytes, noncePrefix}
+ * @param {number} index - Segment index
+ * @param {boolean} last - Whether this is the final segment
+ * @param {Buffer} segment - Ciphertext followed by the tag
+ * @returns {Buffer} Segment data
+ */
+function openSegment(context, index, last, segment) {
+  if (segment.length < TAG_LENGTH) {
+    throw new Error("Encrypted file is truncated");
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    context.key,
+    segmentNonce(context.noncePrefix, index, last)
+  );
+  decipher.setAAD(context.headerBytes);
+  decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([
+      decipher.update(segment.subarray(0, segment.length - TAG_LENGTH)),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error(
+      `Segment ${index} failed authentication; the file is corrupted or truncated`
+    );
+  }
+}
+
+/**
+ * Build the envelope of a stream-format file: everything before the first
+ * segment
+ * @param {Buffer} key - Encryption key
+ * @param {string} keyId - ID of the key
+ * @param {Object} header - File header
+ * @returns {Buffer} Envelope bytes
+ */
+function sealHeader(key, keyId, header) {
+  const headerBytes = Buffer.from(JSON.stringify(header), "utf8");
+  const keyIdBytes = Buffer.from(keyId, "ascii");
+  if (keyIdBytes.length > 255) {
+    throw new Error("Key ID is too long");
+  }
+
+  const cleartext = Buffer.alloc(STREAM_PREFIX_LENGTH + 1 + keyIdBytes.length);
+  STREAM_MAGIC.copy(cleartext);
+  cleartext[STREAM_MAGIC.length] = STREAM_VERSION;
+  cleartext.writeUInt32BE(headerBytes.length, STREAM_MAGIC.length + 1);
+  cleartext[STREAM_PREFIX_LENGTH] = keyIdBytes.length;
+  keyIdBytes.copy(cleartext, STREAM_PREFIX_LENGTH + 1);
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(cleartext);
+  const encryptedHeader = Buffer.concat([
+    cipher.update(headerBytes),
+    cipher.final(),
+  ]);
+  return Buffer.concat([cleartext, iv, cipher.getAuthTag(), encryptedHeader]);
+}
+
+/**
+ * Parse the header of a stream-format file
+ * @param {Buffer} data - Beginning of the file
+ * @param {Function} keyFor - Returns the key of a key ID
+ * @returns {Object|null} {header, context, offset}, "legacy" for the JSON
+ *   format, or null if more data is needed
+ */
+function parseStreamHeader(data, keyFor) {
+  const magicLength = Math.min(data.length, STREAM_MAGIC.length);
+  if (
+    !data.subarray(0, magicLength).equals(STREAM_MAGIC.subarray(0, magicLength))
+  ) {
+    return "legacy";
+  }
+  if (data.length < STREAM_PREFIX_LENGTH) {
+    return null;
+  }
+
+  const version = data[STREAM_MAGIC.length];
+  if (version !== STREAM_VERSION) {
+    throw new Error(`Unsupported encrypted file version ${version}`);
+  }
+  const headerLength = data.readUInt32BE(STREAM_MAGIC.length + 1);
+  if (headerLength > MAX_HEADER_LENGTH) {
+    throw new Error("Encrypted file header is too large");
+  }
+
+  if (data.length <= STREAM_PREFIX_LENGTH) {
+    return null;
+  }
+  const ivOffset = STREAM_PREFIX_LENGTH + 1 + data[STREAM_PREFIX_LENGTH];
+  const headerOffset = ivOffset + IV_LENGTH + TAG_LENGTH;
+  const offset = headerOffset + headerLength;
+  if (data.length < offset) {
+    return null;
+  }
+
+  const keyId = data.toString("ascii", STREAM_PREFIX_LENGTH + 1, ivOffset);
+  const key = keyFor(keyId);
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    data.subarray(ivOffset, ivOffset + IV_LENGTH)
+  );
+  decipher.setAAD(data.subarray(0, ivOffset));
+  decipher.setAuthTag(data.subarray(ivOffset + IV_LENGTH, headerOffset));
+  let headerBytes;
+  try {
+    headerBytes = Buffer.concat([
+      decipher.update(data.subarray(headerOffset, offset)),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error(
+      "Encrypted file header failed authentication; the file is corrupted"
+    );
+  }
+
+  const header = JSON.parse(headerBytes.toString("utf8"));
+  return {
+    header: { ...header, keyId },
+    context: {
+      key,
+      // Copied, so the rest of the buffer it came from can be released
+      headerBytes: Buffer.from(data.subarray(0, offset)),
+      noncePrefix: Buffer.from(header.noncePrefix, "base64"),
+    },
+    offset,
+  };
+}
+
+/**
+ * Metadata of a stream-format file, as reported to callers
+ * @param {Object} header - Parsed header
+ * @param {number} offset - Length of the envelope before the first segment
+ * @returns {Object} File metadata
+ */
+function streamMetadata(header, offset) {
+  const segments = Math.max(
+    1,
+    Math.ceil(header.originalSize / header.segmentSize)
+  );
+  return {
+    fileName: header.fileName,
+    originalSize: header.originalSize,
+    encryptedSize: offset + header.originalSize + segments * TAG_LENGTH,
+    algorithm: header.algorithm,
+    timestamp: header.timestamp,
+    keyId: header.keyId,
+  };
+}
+
+/**
+ * Encrypts a file into the stream format, one segment at a time
+ */
+class EncryptStream extends Transform {
+  constructor(key, keyId, header) {
+    super();
+    this.header = header;
+    this.segmentSize = header.segmentSize;
+    const headerBytes = sealHeader(key, keyId, header);
+    this.context = {
+      key,
+      headerBytes,
+      noncePrefix: Buffer.from(header.noncePrefix, "base64"),
+    };
+    this.pending = Buffer.alloc(0);
+    this.index = 0;
+    this.bytesIn = 0;
+    this.push(headerBytes);
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.bytesIn += chunk.length;
+      this.pending = this.pending.length
+        ? Buffer.concat([this.pending, chunk])
+        : chunk;
+      // A full segment is only sealed once more data follows it, so the
+      // final segment can be flagged
+      while (this.pending.length > this.segmentSize) {
+        this.push(this.seal(this.pending.subarray(0, this.segmentSize), false));
+        this.pending = this.pending.subarray(this.segmentSize);
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (this.bytesIn !== this.header.originalSize) {
+        throw new Error(
+          `Expected ${this.header.originalSize} bytes, got ${this.bytesIn}`
+        );
+      }
+      this.push(this.seal(this.pending, true));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  seal(plaintext, last) {
+    return sealSegment(this.context, this.index++, last, plaintext);
+  }
+}
+
+/**
+ * Decrypts a stored file as it streams in. Files in the legacy JSON format
+ * are buffered and decrypted at the end. The metadata promise resolves
+ * once the header is read.
+ */
+class DecryptStream extends Transform {
+  constructor(keyFor, decryptLegacy) {
+    super();
+    this.keyFor = keyFor;
+    this.decryptLegacy = decryptLegacy;
+    this.buffered = Buffer.alloc(0);
+    this.parsed = null;
+    this.index = 0;
+    this.bytesOut = 0;
+    this.metadata = new Promise((resolve, reject) => {
+      this.resolveMetadata = resolve;
+      this.rejectMetadata = reject;
+    });
+    // Callers that only stream the content need not wait for it
+    this.metadata.catch(() => {});
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.buffered = this.buffered.length
+        ? Buffer.concat([this.buffered, chunk])
+        : chunk;
+      if (!this.parsed) {
+        this.readHeader();
+      }
+      if (this.parsed && this.parsed !== "legacy") {
+        // Keep the last segment back until the end of the file
+        const segmentLength = this.parsed.header.segmentSize + TAG_LENGTH;
+        while (this.buffered.length > segmentLength) {
+          this.open(this.buffered.subarray(0, segmentLength), false);
+          this.buffered = this.buffered.subarray(segmentLength);
+        }
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (!this.parsed) {
+        this.readHeader();
+      }
+      if (!this.parsed) {
+        throw new Error("Encrypted file is truncated");
+      }
+      if (this.parsed === "legacy") {
+        const { content, ...metadata } = this.decryptLegacy(this.buffered);
+        this.resolveMetadata(metadata);
+        this.push(content);
+      } else {
+        this.open(this.buffered, true);
+        if (this.bytesOut !== this.parsed.header.originalSize) {
+          throw new Error("Decrypted size does not match the file header");
+        }
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _destroy(error, callback) {
+    this.rejectMetadata(
+      error || new Error("Stream closed before the file header was read")
+    );
+    callback(error);
+  }
+
+  readHeader() {
+    this.parsed = parseStreamHeader(this.buffered, this.keyFor);
+    if (this.parsed && this.parsed !== "legacy") {
+      const { header, offset } = this.parsed;
+      this.buffered = this.buffered.subarray(offset);
+      this.resolveMetadata(streamMetadata(header, offset));
+    }
+  }
+
+  open(segment, last) {
+    const plaintext = openSegment(
+      this.parsed.context,
+      this.index++,
+      last,
+      segment
+    );
+    this.bytesOut += plaintext.length;
+    this.push(plaintext);
+  }
+}
 
 /**
  * File Encryption Service
- * Handles encryption and decryption of files before IPFS storage
+ * Handles encryption and decryption of files before storage. Files are
+ * written in the segmented stream format, a binary envelope whose header
+ * (file name, size, timestamp) is encrypted too, so they are encrypted and
+ * decrypted with bounded memory; files in the legacy JSON format (one
+ * AES-256-GCM message, base64 in JSON) are still read.
  */
 class EncryptionService {
   constructor() {
     this.algorithm = process.env.FILE_ENCRYPTION_ALGORITHM || "aes-256-gcm";
-    this.secretKey = this.getSecretKey();
+    this.keys = this.loadKeys();
+    this.keyId = this.getActiveKeyId();
+    this.secretKey = this.keys.get(this.keyId);
+    // Files written before key IDs used FILE_ENCRYPTION_KEY
+    this.legacyKey = process.env.FILE_ENCRYPTION_KEY
+      ? EncryptionService.parseKey(process.env.FILE_ENCRYPTION_KEY)
+      : this.secretKey;
   }
 
   /**
-   * Get or generate secret key
-   * @returns {Buffer} Secret key for encryption
+   * Derive the ID of a key, written in the envelope of every file so the
+   * key it was encrypted with can be told apart without decrypting it
+   * @param {Buffer} key - Encryption key
+   * @returns {string} First 8 bytes of the key's SHA-256, in hex
    */
-  getSecretKey() {
-    let key = process.env.FILE_ENCRYPTION_KEY;
+  static keyIdOf(key) {
+    return crypto
+      .createHash("sha256")
+      .update(key)
+      .digest()
+      .subarray(0, 8)
+      .toString("hex");
+  }
 
-    if (!key) {
-      console.warn(
-        "⚠️ FILE_ENCRYPTION_KEY not found in environment. Generating a new key..."
+  /**
+   * Turn a configured key into 32 key bytes
+   * @param {string} value - 64 hex characters, or a passphrase that is hashed
+   * @returns {Buffer} Key
+   */
+  static parseKey(value) {
+    if (/^[0-9a-fA-F]{64}$/.test(value)) {
+      return Buffer.from(value, "hex");
+    }
+    return crypto.createHash("sha256").update(value).digest();
+  }
+
+  /**
+   * Build the keyring: the keys of FILE_ENCRYPTION_KEYS ("id:key" pairs,
+   * newest first) and FILE_ENCRYPTION_KEY under its derived ID. Without
+   * any key, a random key is generated in development only; elsewhere files
+   * encrypted with it would be lost on restart, so this fails instead.
+   * @returns {Map<string, Buffer>} Keys by ID
+   */
+  loadKeys() {
+    const keys = new Map();
+    for (const entry of (process.env.FILE_ENCRYPTION_KEYS || "").split(",")) {
+      if (!entry.trim()) {
+        continue;
+      }
+      const separator = entry.indexOf(":");
+      const id = entry.slice(0, separator).trim();
+      if (separator < 0 || !KEY_ID_PATTERN.test(id)) {
+        throw new Error(
+          'FILE_ENCRYPTION_KEYS entries must be "id:key", with IDs of letters, digits, ".", "_" or "-"'
+        );
+      }
+      if (keys.has(id)) {
+        throw new Error(`Duplicate encryption key ID ${id}`);
+      }
+      keys.set(
+        id,
+        EncryptionService.parseKey(entry.slice(separator + 1).trim())
       );
-      key = crypto.randomBytes(32).toString("hex");
-      console.log(`🔑 Generated encryption key: ${key}`);
-      console.log("📝 Add this to your .env file: FILE_ENCRYPTION_KEY=" + key);
     }
 
-    // Convert hex string to buffer if needed
-    if (typeof key === "string" && key.length === 64) {
-      return Buffer.from(key, "hex");
-    } else if (typeof key === "string") {
-      // If it's not hex, use it as is and hash it to 32 bytes
-      return crypto.createHash("sha256").update(key).digest();
+    let key = process.env.FILE_ENCRYPTION_KEY;
+    if (!key && keys.size === 0) {
+      if ((process.env.NODE_ENV || "development") !== "development") {
+        throw new Error(
+          "FILE_ENCRYPTION_KEY is not set; refusing to start with a generated key, which would make stored files undecryptable after a restart"
+        );
+      }
+      if (!developmentKey) {
+        console.warn(
+          "⚠️ FILE_ENCRYPTION_KEY not found in environment. Generating a new key..."
+        );
+        developmentKey = crypto.randomBytes(32).toString("hex");
+        console.log(`🔑 Generated encryption key: ${developmentKey}`);
+        console.log(
+          "📝 Add this to your .env file: FILE_ENCRYPTION_KEY=" + developmentKey
+        );
+      }
+      key = developmentKey;
+    }
+    if (key) {
+      const secretKey = EncryptionService.parseKey(key);
+      keys.set(EncryptionService.keyIdOf(secretKey), secretKey);
     }
+    return keys;
+  }
 
-    return Buffer.from(key);
+  /**
+   * Pick the key new files are encrypted with: FILE_ENCRYPTION_ACTIVE_KEY,
+   * else the first key of FILE_ENCRYPTION_KEYS, else FILE_ENCRYPTION_KEY
+   * @returns {string} Key ID
+   */
+  getActiveKeyId() {
+    const keyId = process.env.FILE_ENCRYPTION_ACTIVE_KEY;
+    if (keyId) {
+      if (!this.keys.has(keyId)) {
+        throw new Error(
+          `FILE_ENCRYPTION_ACTIVE_KEY ${keyId} is not in the keyring`
+        );
+      }
+      return keyId;
+    }
+    return this.keys.keys().next().value;
+  }
+
+  /**
+   * Get the key a stored file was encrypted with
+   * @param {string|null} keyId - Key ID from the envelope, or null for files
+   *   written before key IDs
+   * @returns {Buffer} Key
+   */
+  keyFor(keyId) {
+    if (keyId === null) {
+      return this.legacyKey;
+    }
+    if (this.keys.has(keyId)) {
+      return this.keys.get(keyId);
+    }
+    // Files encrypted with FILE_ENCRYPTION_KEY carry its derived ID, which
+    // still finds it after it moved to FILE_ENCRYPTION_KEYS under a name
+    for (const key of this.keys.values()) {
+      if (EncryptionService.keyIdOf(key) === keyId) {
+        return key;
+      }
+    }
+    throw new Error(`File is encrypted with unknown key ${keyId}`);
+  }
+
+  /**
+   * Check whether a stored file is encrypted with the active key and in the
+   * current format, so re-encrypting it would change nothing
+   * @param {string|null} keyId - Key ID from the file's metadata
+   * @returns {boolean} True if the file is up to date
+   */
+  isActiveKey(keyId) {
+    try {
+      return keyId !== null && this.keyFor(keyId).equals(this.secretKey);
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
    * Encrypt file data
    * @param {Buffer} fileData - File data to encrypt
    * @param {string} fileName - Original file name
+   * @param {Buffer} key - Encryption key (default: the active key)
    * @returns {Object} Encrypted data with metadata
    */
-  encryptFile(fileData, fileName) {
+  encryptFile(fileData, fileName, key = this.secretKey) {
     try {
       console.log(`Encrypting file: ${fileName}`);
 
@@ -51,7 +544,7 @@ class EncryptionService {
       const iv = crypto.randomBytes(16);
 
       // Create cipher with IV
-      const cipher = crypto.createCipheriv("aes-256-gcm", this.secretKey, iv);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
       cipher.setAAD(Buffer.from(fileName, "utf8")); // Use filename as additional authenticated data
 
       // Encrypt the file data
@@ -88,16 +581,17 @@ class EncryptionService {
   /**
    * Decrypt file data
    * @param {Object} encryptedData - Encrypted data object
+   * @param {Buffer} key - Key the data was encrypted with (default: the active key)
    * @returns {Buffer} Decrypted file data
    */
-  decryptFile(encryptedData) {
+  decryptFile(encryptedData, key = this.secretKey) {
     try {
       console.log(`Decrypting file: ${encryptedData.fileName}`);
 
       // Create decipher
       const decipher = crypto.createDecipheriv(
         "aes-256-gcm",
-        this.secretKey,
+        key,
         encryptedData.iv
       );
       decipher.setAAD(Buffer.from(encryptedData.fileName, "utf8")); // Use filename as AAD
@@ -119,37 +613,92 @@ class EncryptionService {
   }
 
   /**
-   * Encrypt file and prepare for IPFS upload
-   * @param {Buffer} fileData - File data to encrypt
+   * Create a stream that encrypts a file into the stream format
    * @param {string} fileName - Original file name
-   * @returns {Buffer} Encrypted data ready for IPFS
+   * @param {number} originalSize - File size in bytes, checked at the end
+   * @returns {Transform} Stream of plaintext in, encrypted file out
    */
-  encryptForIPFS(fileData, fileName) {
-    const encryptedData = this.encryptFile(fileData, fileName);
-
-    // Convert Buffer objects to base64 strings for JSON serialization
-    const serializableData = {
-      encryptedContent: encryptedData.encryptedContent.toString("base64"),
-      iv: encryptedData.iv.toString("base64"),
-      authTag: encryptedData.authTag.toString("base64"),
-      algorithm: encryptedData.algorithm,
-      fileName: encryptedData.fileName,
-      originalSize: encryptedData.originalSize,
-      encryptedSize: encryptedData.encryptedSize,
-      timestamp: encryptedData.timestamp,
-    };
+  createEncryptStream(fileName, originalSize) {
+    return new EncryptStream(this.secretKey, this.keyId, {
+      algorithm: this.algorithm,
+      fileName,
+      originalSize,
+      segmentSize: SEGMENT_SIZE,
+      noncePrefix: crypto.randomBytes(NONCE_PREFIX_LENGTH).toString("base64"),
+      timestamp: Date.now(),
+    });
+  }
 
-    // Serialize encrypted data to JSON and convert to buffer
-    const serializedData = JSON.stringify(serializableData);
-    return Buffer.from(serializedData, "utf8");
+  /**
+   * Create a stream that decrypts a stored file (stream or legacy format)
+   * Its metadata property resolves to {fileName, originalSize,
+   * encryptedSize, algorithm, timestamp, keyId} once the header is read.
+   * @returns {Transform} Stream of encrypted file in, plaintext out
+   */
+  createDecryptStream() {
+    return new DecryptStream(
+      (keyId) => this.keyFor(keyId),
+      (buffer) => this.decryptLegacy(buffer)
+    );
+  }
+
+  /**
+   * Decrypt a whole file retrieved from storage (stream or legacy format)
+   * @param {Buffer} encryptedBuffer - Encrypted data from the storage provider
+   * @returns {Object} Decrypted file data and metadata
+   */
+  decryptFromStorage(encryptedBuffer) {
+    try {
+      const parsed = parseStreamHeader(encryptedBuffer, (keyId) =>
+        this.keyFor(keyId)
+      );
+      if (parsed === "legacy") {
+        return this.decryptLegacy(encryptedBuffer);
+      }
+      if (!parsed) {
+        throw new Error("Encrypted file is truncated");
+      }
+
+      const { header, context, offset } = parsed;
+      const segmentLength = header.segmentSize + TAG_LENGTH;
+      const segments = [];
+      let position = offset;
+      do {
+        const end = position + segmentLength;
+        const last = end >= encryptedBuffer.length;
+        segments.push(
+          openSegment(
+            context,
+            segments.length,
+            last,
+            encryptedBuffer.subarray(position, end)
+          )
+        );
+        position = end;
+      } while (position < encryptedBuffer.length);
+
+      const content = Buffer.concat(segments);
+      if (content.length !== header.originalSize) {
+        throw new Error("Decrypted size does not match the file header");
+      }
+      return {
+        content,
+        ...streamMetadata(header, offset),
+      };
+    } catch (error) {
+      console.error("❌ Error decrypting from storage:", error);
+      throw new Error(`Failed to decrypt stored file: ${error.message}`);
+    }
   }
 
   /**
-   * Decrypt file retrieved from IPFS
-   * @param {Buffer} encryptedBuffer - Encrypted data from IPFS
+   * Decrypt a file stored in the legacy JSON format
+   * Legacy files carry no key ID; they are decrypted with the key of files
+   * written before key IDs, not with the active key.
+   * @param {Buffer} encryptedBuffer - JSON with base64 content, IV and tag
    * @returns {Object} Decrypted file data and metadata
    */
-  decryptFromIPFS(encryptedBuffer) {
+  decryptLegacy(encryptedBuffer) {
     try {
       // Parse the encrypted data
       const serializableData = JSON.parse(encryptedBuffer.toString("utf8"));
@@ -170,7 +719,10 @@ class EncryptionService {
       };
 
       // Decrypt the file content
-      const decryptedContent = this.decryptFile(encryptedData);
+      const decryptedContent = this.decryptFile(
+        encryptedData,
+        this.keyFor(null)
+      );
 
       return {
         content: decryptedContent,
@@ -181,8 +733,8 @@ class EncryptionService {
         timestamp: encryptedData.timestamp,
       };
     } catch (error) {
-      console.error("❌ Error decrypting from IPFS:", error);
-      throw new Error(`Failed to decrypt file from IPFS: ${error.message}`);
+      console.error("❌ Error decrypting legacy file:", error);
+      throw new Error(`Failed to decrypt legacy file: ${error.message}`);
     }
   }
 
@@ -230,9 +782,14 @@ class EncryptionService {
     return {
       algorithm: this.algorithm,
       keyLength: this.secretKey.length,
+      keyId: this.keyId,
+      keyIds: [...this.keys.keys()],
       keyType: "AES-256-GCM",
-      hasKey: !!process.env.FILE_ENCRYPTION_KEY,
-      keySource: process.env.FILE_ENCRYPTION_KEY ? "environment" : "generated",
+      hasKey: this.secretKey.toString("hex") !== developmentKey,
+      keySource:
+        this.secretKey.toString("hex") === developmentKey
+          ? "generated"
+          : "environment",
     };
   }
 }
@@ -0,0 +1,264 @@
+const Web3 = require("web3");
+const Utils = require("../../utils");
+
+// JSON-RPC methods that change state: never resent once they may have
+// reached a node
+const WRITE_METHODS =
+  /^(eth_sendRawTransaction|eth_sendTransaction|eea_sendRawTransaction|priv_distributeRawTransaction|priv_createPrivacyGroup|priv_deletePrivacyGroup|personal_|eth_sign)/;
+
+// Connection errors raised before a request reached the node
+const UNREACHED_ERRORS = [
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+];
+
+/**
+ * Failover Provider
+ * Web3 provider over several RPC endpoints of the same network. Requests
+ * go to the first available endpoint in configured order; each endpoint has a
+ * circuit breaker that opens after repeated connection failures, skips the
+ * endpoint for a cooldown, then lets a single trial request through.
+ * Reads fail over to the next endpoint and are retried with Utils.retry.
+ */
+class FailoverProvider {
+  constructor(
+    urls,
+    {
+      failureThreshold = 3,
+      cooldown = 30000,
+      timeout = 10000,
+      readRetries = 2,
+      retryDelay = 200,
+    } = {}
+  ) {
+    if (urls.length === 0) {
+      throw new Error("At least one RPC endpoint is required");
+    }
+
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.readRetries = readRetries;
+    this.retryDelay = retryDelay;
+    this.endpoints = urls.map((url, priority) => ({
+      url,
+      priority,
+      provider: new Web3.providers.HttpProvider(url, { timeout }),
+      state: "closed",
+      failures: 0,
+      probing: false,
+      openedAt: null,
+      latency: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+    }));
+  }
+
+  /**
+   * Web3 provider entry point
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @param {Function} callback - (error, response)
+   */
+  send(payload, callback) {
+    // Block bodies: web3 callbacks return a promise that rejects on errors,
+    // which must not be adopted by this chain as an unhandled rejection
+    this.dispatch(payload).then(
+      (response) => {
+        callback(null, response);
+      },
+      (error) => {
+        callback(error);
+      }
+    );
+  }
+
+  supportsSubscriptions() {
+    return false;
+  }
+
+  disconnect() {}
+
+  /**
+   * Route a request: reads are retried, writes are sent at most once
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @returns {Promise<Object|Array<Object>>} - JSON-RPC response
+   */
+  async dispatch(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    if (requests.some((request) => WRITE_METHODS.test(request.method))) {
+      return this.sendToAvailable(payload, true);
+    }
+    return Utils.retry(
+      () => this.sendToAvailable(payload, false),
+      this.readRetries,
+      this.retryDelay
+    );
+  }
+
+  /**
+   * Send a payload to the best available endpoint, failing over in order
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @param {boolean} isWrite - Whether the payload changes state
+   * @returns {Promise<Object|Array<Object>>} - JSON-RPC response
+   */
+  async sendToAvailable(payload, isWrite) {
+    const endpoints = this.getAvailable();
+    if (endpoints.length === 0) {
+      throw new Error(
+        `CONNECTION ERROR: no RPC endpoint available (${this.endpoints
+          .map((endpoint) => `${endpoint.url}: ${endpoint.lastError}`)
+          .join("; ")})`
+      );
+    }
+
+    let lastError;
+    for (const endpoint of endpoints) {
+      try {
+        return await this.sendTo(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+        // A write that may have reached the node must not be sent twice
+        if (isWrite && !UNREACHED_ERRORS.includes(error.code)) {
+          throw error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send a payload to one endpoint and record the outcome
+   * @param {Object} endpoint - Endpoint
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @returns {Promise<Object|Array<Object>>} - JSON-RPC response
+   */
+  sendTo(endpoint, payload) {
+    const started = Date.now();
+    if (endpoint.state === "half-open") {
+      endpoint.probing = true;
+    }
+
+    return new Promise((resolve, reject) => {
+      endpoint.provider.send(payload, (error, response) => {
+        endpoint.probing = false;
+        // JSON-RPC errors (reverts, bad params) still mean the node is up
+        if (error) {
+          this.recordFailure(endpoint, error);
+          reject(error);
+        } else {
+          this.recordSuccess(endpoint, Date.now() - started);
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  /**
+   * Endpoints that may take a request, in configured order
+   * An open circuit turns half-open after the cooldown, so the next request
+   * to reach it is its trial.
+   * @returns {Array<Object>} - Closed endpoints and half-open ones due for a trial
+   */
+  getAvailable() {
+    const now = Date.now();
+    for (const endpoint of this.endpoints) {
+      if (
+        endpoint.state === "open" &&
+        now - endpoint.openedAt >= this.cooldown
+      ) {
+        endpoint.state = "half-open";
+      }
+    }
+
+    return this.endpoints
+      .filter(
+        (endpoint) =>
+          endpoint.state === "closed" ||
+          (endpoint.state === "half-open" && !endpoint.probing)
+      )
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  recordSuccess(endpoint, latency) {
+    if (endpoint.state !== "closed") {
+      console.log(`RPC endpoint ${endpoint.url} recovered`);
+    }
+    endpoint.state = "closed";
+    endpoint.failures = 0;
+    endpoint.openedAt = null;
+    endpoint.latency = latency;
+    endpoint.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.lastError = error.message;
+    endpoint.lastFailureAt = new Date().toISOString();
+
+    if (
+      endpoint.state === "half-open" ||
+      (endpoint.state === "closed" &&
+        endpoint.failures >= this.failureThreshold)
+    ) {
+      console.warn(
+        `RPC endpoint ${endpoint.url} unavailable, skipping it for ${this.cooldown}ms: ${error.message}`
+      );
+      endpoint.state = "open";
+      endpoint.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * URL of the endpoint the next request goes to
+   * @returns {string|null} - URL, or null if every circuit is open
+   */
+  getPreferredUrl() {
+    const [endpoint] = this.getAvailable();
+    return endpoint ? endpoint.url : null;
+  }
+
+  /**
+   * Probe every endpoint that is not cooling down
+   * @returns {Promise<Array<Object>>} - Circuit state, latency, block number and last error per endpoint
+   */
+  async checkEndpoints() {
+    this.getAvailable();
+    return Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        let blockNumber = null;
+        if (endpoint.state !== "open" && !endpoint.probing) {
+          try {
+            const response = await this.sendTo(endpoint, {
+              jsonrpc: "2.0",
+              id: Date.now(),
+              method: "eth_blockNumber",
+              params: [],
+            });
+            blockNumber = parseInt(response.result);
+          } catch (error) {
+            // Recorded on the endpoint
+          }
+        }
+
+        return {
+          url: endpoint.url,
+          state: endpoint.state,
+          blockNumber,
+          latency: endpoint.latency,
+          failures: endpoint.failures,
+          lastError: endpoint.lastError,
+          lastFailureAt: endpoint.lastFailureAt,
+          lastSuccessAt: endpoint.lastSuccessAt,
+          retryAt: endpoint.openedAt
+            ? new Date(endpoint.openedAt + this.cooldown).toISOString()
+            : null,
+        };
+      })
+    );
+  }
+}
+
+module.exports = FailoverProvider;
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const StorageProvider = require("./storageProvider");
+
+/**
+ * Filesystem Storage Provider
+ * Stores files in a local directory (STORAGE_PATH, default data/storage),
+ * one file per CID, for deployments without an IPFS daemon. Removed files
+ * are moved to a .removed subdirectory so they can be restored.
+ */
+class FilesystemStorageProvider extends StorageProvider {
+  constructor(
+    directory = process.env.STORAGE_PATH ||
+      path.join(__dirname, "../../data/storage")
+  ) {
+    super("filesystem");
+    this.directory = path.resolve(directory);
+    this.removedDirectory = path.join(this.directory, ".removed");
+  }
+
+  pathOf(cid, directory = this.directory) {
+    return path.join(directory, StorageProvider.assertCid(cid));
+  }
+
+  /**
+   * Copy a file in under its CID
+   * @param {string} sourcePath - Local file with the contents
+   * @param {string} fileName - File name (not kept; files are named by CID)
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only compute the CID; nothing is written
+   * @returns {Promise<string>} CID
+   */
+  async put(sourcePath, fileName, { dryRun = false } = {}) {
+    const cid = StorageProvider.cidFromDigest(
+      await StorageProvider.hashFile(sourcePath)
+    );
+    if (dryRun) {
+      return cid;
+    }
+
+    const filePath = this.pathOf(cid);
+    if (!fs.existsSync(filePath)) {
+      // Written aside and renamed, so a crash never leaves a partial file
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.copyFile(sourcePath, tempPath);
+      await fs.promises.rename(tempPath, filePath);
+    }
+    return cid;
+  }
+
+  /**
+   * Read a file, checking it against its CID
+   * @param {string} cid - Content ID
+   * @returns {Promise<Readable>} File contents
+   */
+  async get(cid) {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.pathOf(cid), "r");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`File ${cid} not found in ${this.directory}`);
+      }
+      throw error;
+    }
+    return StorageProvider.verified(cid, handle.createReadStream());
+  }
+
+  /**
+   * Move a file to the removed files
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether removal was successful
+   */
+  async remove(cid) {
+    await fs.promises.mkdir(this.removedDirectory, { recursive: true });
+    await fs.promises.rename(
+      this.pathOf(cid),
+      this.pathOf(cid, this.removedDirectory)
+    );
+    return true;
+  }
+
+  /**
+   * Move a removed file back
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether the file is stored again
+   */
+  async restore(cid) {
+    if (await this.exists(cid)) {
+      return true;
+    }
+    await fs.promises.rename(
+      this.pathOf(cid, this.removedDirectory),
+      this.pathOf(cid)
+    );
+    return true;
+  }
+
+  async exists(cid) {
+    return fs.existsSync(this.pathOf(cid));
+  }
+
+  getLocation() {
+    return this.directory;
+  }
+
+  async testConnection() {
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.access(this.directory, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      console.error(
+        `Storage directory ${this.directory} is not writable:`,
+        error
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = FilesystemStorageProvider;
@@ -0,0 +1,703 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const Web3 = require("web3");
+
+// Contract events kept in the read model
+const INDEXED_EVENTS = [
+  "CertificateIssued",
+  "CertificateUpdated",
+  "CertificateVerified",
+  "CertificateDeleted",
+  "CertificateRevoked",
+  "CertificateRenewed",
+];
+
+// Events after which the certificate row is re-read from the chain
+const STATE_EVENTS = [
+  "CertificateIssued",
+  "CertificateUpdated",
+  "CertificateDeleted",
+  "CertificateRevoked",
+  "CertificateRenewed",
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS certificates (
+    fid TEXT PRIMARY KEY,
+    cid TEXT NOT NULL,
+    email TEXT,
+    email_commitment TEXT,
+    issuer TEXT NOT NULL,
+    issue_date INTEGER NOT NULL,
+    last_modified INTEGER NOT NULL,
+    is_active INTEGER NOT NULL,
+    valid_until INTEGER NOT NULL,
+    revocation TEXT,
+    issued_block INTEGER NOT NULL,
+    issued_log_index INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS certificates_email ON certificates (email);
+  CREATE INDEX IF NOT EXISTS certificates_issuer ON certificates (issuer);
+  CREATE TABLE IF NOT EXISTS versions (
+    fid TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    cid TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    modified_by TEXT NOT NULL,
+    PRIMARY KEY (fid, version)
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    event TEXT NOT NULL,
+    fid TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_fid ON events (fid);
+`;
+
+// Certificate status, derived at query time like parseCertificate
+const STATUS_SQL = `
+  CASE
+    WHEN revocation IS NOT NULL THEN 'revoked'
+    WHEN is_active = 0 THEN 'inactive'
+    WHEN valid_until != 0 AND valid_until < :now THEN 'expired'
+    ELSE 'active'
+  END
+`;
+
+/**
+ * Whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: running, but owned by another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Indexer Service
+ * Follows the contract's certificate events into an embedded SQLite read
+ * model (sql.js, persisted to INDEXER_DB_PATH) that backs listing and
+ * version history without a chain round trip per certificate. Only public
+ * state is indexed; private certificates are always read from the chain.
+ */
+class IndexerService {
+  constructor(
+    blockchainService,
+    {
+      dbPath = process.env.INDEXER_DB_PATH ||
+        path.join(__dirname, "../../data/indexer.sqlite"),
+      pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || "5000"),
+      batchSize = parseInt(process.env.INDEXER_BATCH_SIZE || "1000"),
+      startBlock = parseInt(process.env.INDEXER_START_BLOCK || "0"),
+    } = {}
+  ) {
+    this.blockchainService = blockchainService;
+    this.dbPath = dbPath;
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.startBlock = startBlock;
+    this.db = null;
+    this.timer = null;
+    this.syncing = null;
+    this.caughtUp = false;
+    this.lastBlock = null;
+    this.lastError = null;
+    this.lockPath = null;
+  }
+
+  /**
+   * Open the database file, creating it on first run
+   */
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    const SQL = await initSqlJs();
+    this.db = fs.existsSync(this.dbPath)
+      ? new SQL.Database(fs.readFileSync(this.dbPath))
+      : new SQL.Database();
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Write the database file atomically
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    const tempPath = `${this.dbPath}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(this.db.export()));
+    fs.renameSync(tempPath, this.dbPath);
+  }
+
+  /**
+   * Take the lock file next to the database, so a running server and a
+   * resync never write the same file
+   * @throws {Error} - If another live process holds the lock
+   */
+  acquireLock() {
+    const lockPath = `${this.dbPath}.lock`;
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      const holder = parseInt(fs.readFileSync(lockPath, "utf8"));
+      if (holder !== process.pid && isRunning(holder)) {
+        throw new Error(
+          `Index database ${this.dbPath} is in use by process ${holder}`
+        );
+      }
+      // Left behind by a process that did not shut down cleanly
+      fs.writeFileSync(lockPath, String(process.pid));
+    }
+    this.lockPath = lockPath;
+    process.once("exit", () => this.releaseLock());
+  }
+
+  /**
+   * Remove the lock file taken by acquireLock
+   */
+  releaseLock() {
+    if (!this.lockPath) {
+      return;
+    }
+    try {
+      if (parseInt(fs.readFileSync(this.lockPath, "utf8")) === process.pid) {
+        fs.unlinkSync(this.lockPath);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    this.lockPath = null;
+  }
+
+  /**
+   * Start following the chain in the background
+   */
+  async start() {
+    try {
+      this.acquireLock();
+      await this.init();
+    } catch (error) {
+      this.lastError = error.message;
+      console.error("Error starting indexer:", error);
+      return;
+    }
+
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        console.error("Error syncing indexer:", error.message);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(poll, this.pollInterval);
+        this.timer.unref();
+      }
+    };
+
+    this.timer = setTimeout(poll, 0);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop following the chain
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.releaseLock();
+  }
+
+  /**
+   * Whether queries can be answered from the index
+   * @returns {boolean} - True once the index has caught up with the chain
+   * and has processed the latest transaction this process sent, so a read
+   * that follows a write does not see the state before it
+   */
+  isReady() {
+    return (
+      this.db !== null &&
+      this.caughtUp &&
+      this.lastBlock >= this.blockchainService.getLastWriteBlock()
+    );
+  }
+
+  /**
+   * Process new blocks up to the chain head
+   * @returns {Promise<number>} - Last processed block
+   */
+  async sync() {
+    // A poll and a resync must not interleave
+    if (!this.syncing) {
+      this.syncing = this.syncToHead().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async syncToHead() {
+    try {
+      const { contract, contractAddress, web3 } = this.blockchainService;
+      if (!contract) {
+        throw new Error("Contract not deployed or loaded");
+      }
+
+      const head = await web3.eth.getBlockNumber();
+      await this.checkChain(web3, contractAddress, head);
+
+      let lastBlock = this.getMeta("last_block");
+      lastBlock = lastBlock === null ? this.startBlock - 1 : Number(lastBlock);
+
+      while (lastBlock < head) {
+        const fromBlock = lastBlock + 1;
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+        await this.processBlocks(fromBlock, toBlock);
+        lastBlock = toBlock;
+      }
+
+      this.lastBlock = lastBlock;
+      this.caughtUp = true;
+      this.lastError = null;
+      return lastBlock;
+    } catch (error) {
+      this.lastError = error.message;
+      throw new Error(`Failed to sync index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reset the index when the contract address or the chain has changed
+   * @param {Object} web3 - Web3 instance
+   * @param {string} contractAddress - Contract address
+   * @param {number} head - Current block number
+   */
+  async checkChain(web3, contractAddress, head) {
+    const genesis = await web3.eth.getBlock(0);
+    const address = contractAddress.toLowerCase();
+    const lastBlock = this.getMeta("last_block");
+
+    if (
+      this.getMeta("contract_address") !== address ||
+      this.getMeta("genesis_hash") !== genesis.hash ||
+      (lastBlock !== null && Number(lastBlock) > head)
+    ) {
+      if (lastBlock !== null) {
+        console.warn("Contract or chain changed, rebuilding the index");
+      }
+      this.clear();
+      this.setMeta("contract_address", address);
+      this.setMeta("genesis_hash", genesis.hash);
+      this.save();
+    }
+  }
+
+  /**
+   * Drop the read model and rebuild it from INDEXER_START_BLOCK
+   * @returns {Promise<number>} - Last processed block
+   */
+  async resync() {
+    await this.init();
+    // Let a running poll finish before wiping its tables
+    if (this.syncing) {
+      await this.syncing.catch(() => {});
+    }
+    this.clear();
+    this.save();
+    return this.sync();
+  }
+
+  /**
+   * Empty every table, including the last processed block
+   */
+  clear() {
+    this.db.exec(
+      "DELETE FROM certificates; DELETE FROM versions; DELETE FROM events; DELETE FROM meta;"
+    );
+    this.caughtUp = false;
+    this.lastBlock = null;
+  }
+
+  /**
+   * Index the contract events of a block range and persist the result
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   */
+  async processBlocks(fromBlock, toBlock) {
+    const { contract } = this.blockchainService;
+    const events = (
+      await contract.getPastEvents("allEvents", { fromBlock, toBlock })
+    ).filter((event) => INDEXED_EVENTS.includes(event.event));
+
+    // Resolve FIDs and read current state before touching the database, so
+    // a failing RPC call leaves the block range for the next poll
+    const fids = await this.resolveFids(events);
+    const changed = new Map();
+    for (const event of events) {
+      event.fid = fids.get(event.returnValues.fid) || null;
+      if (!event.fid) {
+        console.warn(
+          `Unknown FID for ${event.event} in ${event.transactionHash}, skipping`
+        );
+      }
+      if (event.fid && STATE_EVENTS.includes(event.event)) {
+        changed.set(event.fid, event);
+      }
+    }
+    const certificates = [];
+    for (const fid of changed.keys()) {
+      certificates.push(
+        await this.blockchainService.parseCertificate(
+          await contract.methods.getCertificate(fid).call()
+        )
+      );
+    }
+
+    this.db.exec("BEGIN");
+    try {
+      for (const event of events) {
+        this.recordEvent(event);
+      }
+      for (const certificate of certificates) {
+        this.upsertCertificate(certificate);
+      }
+      this.setMeta("last_block", String(toBlock));
+      this.db.exec("COMMIT");
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+
+    this.save();
+  }
+
+  /**
+   * Recover the FIDs of a block range's events; indexed strings only carry
+   * their hash. Only the hashes of these events are kept, so memory stays
+   * bounded by the block range.
+   * @param {Array<Object>} events - Contract events
+   * @returns {Promise<Map<string, string>>} - FID by hash
+   */
+  async resolveFids(events) {
+    const wanted = new Set(events.map((event) => event.returnValues.fid));
+    const fids = new Map();
+    const remember = (value) => {
+      const hash = Web3.utils.soliditySha3({ t: "string", v: value });
+      if (wanted.has(hash)) {
+        fids.set(hash, value);
+      }
+    };
+
+    const transactions = new Set(events.map((event) => event.transactionHash));
+    for (const transactionHash of transactions) {
+      await this.loadTransactionStrings(transactionHash, remember);
+    }
+    if (fids.size < wanted.size) {
+      // Called through another contract; fall back to the full FID list
+      await this.loadAllFids(remember);
+    }
+    return fids;
+  }
+
+  /**
+   * Decode the string arguments of a transaction
+   * @param {string} transactionHash - Transaction hash
+   * @param {Function} remember - Called with every string argument
+   */
+  async loadTransactionStrings(transactionHash, remember) {
+    const { contract, web3 } = this.blockchainService;
+    const transaction = await web3.eth.getTransaction(transactionHash);
+    const input = transaction && transaction.input;
+    const method = input
+      ? contract.options.jsonInterface.find(
+          (item) => item.type === "function" && input.startsWith(item.signature)
+        )
+      : null;
+    if (!method) {
+      return;
+    }
+
+    const decoded = web3.eth.abi.decodeParameters(
+      method.inputs,
+      `0x${input.slice(10)}`
+    );
+    method.inputs.forEach((parameter, index) => {
+      if (parameter.type === "string") {
+        remember(decoded[index]);
+      } else if (parameter.type === "string[]") {
+        decoded[index].forEach(remember);
+      }
+    });
+  }
+
+  /**
+   * Walk every FID registered in the contract
+   * @param {Function} remember - Called with every FID
+   */
+  async loadAllFids(remember) {
+    const { contract } = this.blockchainService;
+    const total = parseInt(
+      await contract.methods.getTotalCertificates().call()
+    );
+    for (let offset = 0; offset < total; offset += 100) {
+      const fids = await contract.methods.getFIDs(offset, 100).call();
+      fids.forEach(remember);
+    }
+  }
+
+  /**
+   * Store an event and the version it creates
+   * @param {Object} event - Contract event with its resolved FID
+   */
+  recordEvent(event) {
+    const data = {};
+    for (const [key, value] of Object.entries(event.returnValues)) {
+      if (isNaN(key) && key !== "fid") {
+        data[key] = value;
+      }
+    }
+
+    this.run(
+      `INSERT OR IGNORE INTO events
+        (block_number, log_index, transaction_hash, event, fid, data)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        event.blockNumber,
+        event.logIndex,
+        event.transactionHash,
+        event.event,
+        event.fid,
+        JSON.stringify(data),
+      ]
+    );
+
+    if (!event.fid) {
+      return;
+    }
+    if (event.event === "CertificateIssued") {
+      this.addVersion(event.fid, data.cid, data.issueDate, data.issuer);
+    } else if (event.event === "CertificateUpdated") {
+      this.addVersion(
+        event.fid,
+        data.newCid,
+        data.modificationDate,
+        data.modifierAddress
+      );
+    }
+  }
+
+  addVersion(fid, cid, timestamp, modifiedBy) {
+    this.run(
+      `INSERT INTO versions (fid, version, cid, timestamp, modified_by)
+        VALUES (?, (SELECT COUNT(*) FROM versions WHERE fid = ?), ?, ?, ?)`,
+      [fid, fid, cid, parseInt(timestamp), modifiedBy]
+    );
+  }
+
+  /**
+   * Write the current state of a certificate
+   * @param {Object} certificate - Parsed certificate
+   */
+  upsertCertificate(certificate) {
+    // Listing keeps on-chain issuance order
+    const [issued] = this.query(
+      `SELECT block_number, log_index FROM events
+        WHERE fid = :fid AND event = 'CertificateIssued'`,
+      { ":fid": certificate.fid }
+    );
+
+    this.run(
+      `INSERT OR REPLACE INTO certificates
+        (fid, cid, email, email_commitment, issuer, issue_date, last_modified,
+         is_active, valid_until, revocation, issued_block, issued_log_index)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        certificate.fid,
+        certificate.cid,
+        certificate.email || null,
+        certificate.emailCommitment,
+        certificate.issuer,
+        certificate.issueDate,
+        certificate.lastModified,
+        certificate.isActive ? 1 : 0,
+        certificate.validUntil,
+        certificate.revocation ? JSON.stringify(certificate.revocation) : null,
+        issued ? issued.block_number : 0,
+        issued ? issued.log_index : 0,
+      ]
+    );
+  }
+
+  /**
+   * List certificates with filters and pagination
+   * @param {Object} filters - Same filters as BlockchainService.listCertificates
+   * @returns {Object} - Total number of matches and the requested page
+   */
+  listCertificates(filters = {}) {
+    const page = filters.page || 1;
+    const pageSize = filters.pageSize || 20;
+
+    const conditions = [];
+    const params = { ":now": Math.floor(Date.now() / 1000) };
+    if (filters.email) {
+      conditions.push("email = :email");
+      params[":email"] = filters.email;
+    }
+    if (filters.issuer) {
+      conditions.push("lower(issuer) = lower(:issuer)");
+      params[":issuer"] = filters.issuer;
+    }
+    if (filters.status) {
+      conditions.push(`${STATUS_SQL} = :status`);
+      params[":status"] = filters.status;
+    }
+    if (filters.issuedAfter) {
+      conditions.push("issue_date >= :issuedAfter");
+      params[":issuedAfter"] = filters.issuedAfter;
+    }
+    if (filters.issuedBefore) {
+      conditions.push("issue_date <= :issuedBefore");
+      params[":issuedBefore"] = filters.issuedBefore;
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const [{ total }] = this.query(
+      `SELECT COUNT(*) AS total FROM certificates ${where}`,
+      params
+    );
+    const rows = this.query(
+      `SELECT *, ${STATUS_SQL} AS status FROM certificates ${where}
+        ORDER BY issued_block, issued_log_index
+        LIMIT :limit OFFSET :offset`,
+      { ...params, ":limit": pageSize, ":offset": (page - 1) * pageSize }
+    );
+
+    return { total, certificates: rows.map((row) => this.toCertificate(row)) };
+  }
+
+  /**
+   * Get an indexed certificate
+   * @param {string} fid - File ID
+   * @returns {Object|null} - Certificate, or null if it is not indexed
+   */
+  getCertificate(fid) {
+    const [row] = this.query(
+      `SELECT *, ${STATUS_SQL} AS status FROM certificates WHERE fid = :fid`,
+      { ":fid": fid, ":now": Math.floor(Date.now() / 1000) }
+    );
+    return row ? this.toCertificate(row) : null;
+  }
+
+  /**
+   * Get the version history of an indexed certificate
+   * @param {string} fid - File ID
+   * @returns {Array<Object>} - Versions, oldest first
+   */
+  getVersionHistory(fid) {
+    return this.query(
+      "SELECT * FROM versions WHERE fid = :fid ORDER BY version",
+      { ":fid": fid }
+    ).map((row) => ({
+      index: row.version,
+      cid: row.cid,
+      timestamp: row.timestamp,
+      modifiedBy: row.modified_by,
+    }));
+  }
+
+  /**
+   * Get indexer progress
+   * @returns {Object} - Readiness, last processed block and indexed counts
+   */
+  getStatus() {
+    const count = (table) =>
+      this.db ? this.query(`SELECT COUNT(*) AS n FROM ${table}`)[0].n : 0;
+    const lastBlock = this.db ? this.getMeta("last_block") : null;
+
+    return {
+      ready: this.isReady(),
+      lastBlock: lastBlock === null ? null : Number(lastBlock),
+      certificates: count("certificates"),
+      events: count("events"),
+      lastError: this.lastError,
+    };
+  }
+
+  toCertificate(row) {
+    const validUntil = row.valid_until;
+    return {
+      fid: row.fid,
+      cid: row.cid,
+      email: row.email || "",
+      emailCommitment: row.email_commitment,
+      issueDate: row.issue_date,
+      lastModified: row.last_modified,
+      issuer: row.issuer,
+      isActive: row.is_active === 1,
+      validUntil,
+      isExpired: validUntil !== 0 && Date.now() / 1000 > validUntil,
+      revocation: row.revocation ? JSON.parse(row.revocation) : null,
+      status: row.status,
+      isPrivate: false,
+      privacyGroupId: null,
+    };
+  }
+
+  getMeta(key) {
+    const [row] = this.query("SELECT value FROM meta WHERE key = :key", {
+      ":key": key,
+    });
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [
+      key,
+      value,
+    ]);
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+  }
+
+  query(sql, params = {}) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+}
+
+module.exports = IndexerService;
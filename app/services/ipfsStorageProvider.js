@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { Readable } = require("stream");
+const StorageProvider = require("./storageProvider");
+
+/**
+ * Stream a file as a multipart/form-data body, which FormData cannot do
+ * without reading the file into memory first
+ * @param {string} filePath - File to send
+ * @param {string} fileName - File name of the part
+ * @param {string} boundary - Multipart boundary
+ */
+async function* multipartBody(filePath, fileName, boundary) {
+  yield Buffer.from(
+    `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${encodeURIComponent(
+        fileName
+      )}"\r\n` +
+      "Content-Type: application/octet-stream\r\n\r\n"
+  );
+  yield* fs.createReadStream(filePath);
+  yield Buffer.from(`\r\n--${boundary}--\r\n`);
+}
+
+/**
+ * IPFS Storage Provider
+ * Stores files on an IPFS (Kubo) node through its HTTP API. Files are pinned
+ * on upload; removal unpins them, leaving them to the node's garbage
+ * collection, so restore() only has to pin them again.
+ */
+class IpfsStorageProvider extends StorageProvider {
+  constructor(
+    apiUrl = process.env.IPFS_API_URL || "http://127.0.0.1:5001",
+    gatewayUrl = process.env.IPFS_GATEWAY_URL || "http://127.0.0.1:8080"
+  ) {
+    super("ipfs");
+    this.apiUrl = apiUrl;
+    this.gatewayUrl = gatewayUrl;
+  }
+
+  /**
+   * Call the Kubo HTTP API (every endpoint takes POST)
+   * @param {string} command - API command with query, e.g. pin/rm?arg=<cid>
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Successful response
+   */
+  async call(command, options = {}) {
+    const response = await fetch(`${this.apiUrl}/api/v0/${command}`, {
+      method: "POST",
+      ...options,
+    });
+    if (!response.ok) {
+      throw new Error(
+        `IPFS ${command.split("?")[0]} failed: ${response.status} ${
+          response.statusText
+        }`
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Add and pin a file
+   * @param {string} filePath - Local file with the contents
+   * @param {string} fileName - File name
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only compute the CID; nothing is stored or pinned
+   * @returns {Promise<string>} IPFS CID
+   */
+  async put(filePath, fileName, { dryRun = false } = {}) {
+    const boundary = `----vault${crypto.randomBytes(12).toString("hex")}`;
+    const query = dryRun ? "only-hash=true&pin=false" : "pin=true";
+    const response = await this.call(`add?${query}`, {
+      headers: { "content-type": `multipart/form-data; boundary=${boundary}` },
+      body: Readable.from(multipartBody(filePath, fileName, boundary)),
+      duplex: "half",
+    });
+
+    // Kubo answers with newline-separated JSON, the file last
+    const lines = (await response.text()).trim().split("\n");
+    return JSON.parse(lines[lines.length - 1]).Hash;
+  }
+
+  /**
+   * Read a file
+   * @param {string} cid - IPFS CID
+   * @returns {Promise<Readable>} File contents
+   */
+  async get(cid) {
+    const response = await this.call(
+      `cat?arg=${StorageProvider.assertCid(cid)}`
+    );
+    return Readable.fromWeb(response.body);
+  }
+
+  /**
+   * Unpin a file
+   * @param {string} cid - IPFS CID
+   * @returns {Promise<boolean>} Whether unpinning was successful
+   */
+  async remove(cid) {
+    await this.call(`pin/rm?arg=${StorageProvider.assertCid(cid)}`);
+    return true;
+  }
+
+  /**
+   * Pin a file again
+   * @param {string} cid - IPFS CID
+   * @returns {Promise<boolean>} Whether pinning was successful
+   */
+  async restore(cid) {
+    await this.call(`pin/add?arg=${StorageProvider.assertCid(cid)}`);
+    return true;
+  }
+
+  /**
+   * Check if the node has a file
+   * @param {string} cid - IPFS CID
+   * @returns {Promise<boolean>} Whether the file exists
+   */
+  async exists(cid) {
+    try {
+      // Offline, so a missing block is not searched for on the network
+      await this.call(
+        `block/stat?arg=${StorageProvider.assertCid(cid)}&offline=true`
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getPublicUrl(cid) {
+    return `${this.gatewayUrl}/ipfs/${cid}`;
+  }
+
+  getLocation() {
+    return this.apiUrl;
+  }
+
+  async testConnection() {
+    try {
+      const response = await this.call("version");
+      const version = await response.json();
+      console.log("IPFS connection successful. Version:", version.Version);
+      return true;
+    } catch (error) {
+      console.error(`IPFS connection to ${this.apiUrl} failed:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = IpfsStorageProvider;
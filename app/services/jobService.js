@@ -0,0 +1,440 @@
+const fs = require("fs");
+const { v4: uuidv4 } = require("uuid");
+const JobStore = require("./jobStore");
+const SagaService = require("./sagaService");
+const Utils = require("../../utils");
+
+// Shared by every JobService instance, so the jobs routes see the jobs
+// started by the certificate routes
+const jobStore = new JobStore();
+
+// Certificates are read from the contract in pages of this size
+const PAGE_SIZE = 100;
+
+function statusError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Job Service
+ * Runs certificate issuance in the background and records each stage:
+ * queued → uploaded (storage) → submitted (tx hash) → mined (receipt) →
+ * confirmed (read back from the contract), or failed.
+ * Jobs interrupted by a restart resume from their last recorded stage.
+ * Each job runs an issue saga, so a failed job removes its upload. The job
+ * takes over the uploaded temp file and removes it once it has finished.
+ * Re-encryption jobs move every certificate file to the active encryption
+ * key after a key rotation: queued → reencrypting → completed, or failed.
+ */
+class JobService {
+  constructor(
+    storageService,
+    blockchainService,
+    sagaService = new SagaService(storageService, blockchainService)
+  ) {
+    this.storageService = storageService;
+    this.blockchainService = blockchainService;
+    this.sagaService = sagaService;
+    this.jobStore = jobStore;
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null if unknown or expired
+   */
+  getJob(id) {
+    return this.jobStore.get(id);
+  }
+
+  /**
+   * Queue a certificate issuance and run it in the background
+   * @param {Object} params - Issuance parameters
+   * @param {string} params.fid - File ID
+   * @param {string} params.email - Holder email
+   * @param {Object|null} params.emailCommitment - {commitment, salt} when only the commitment goes on-chain;
+   *   the job keeps the commitment but not the salt, and not the email
+   * @param {Object|null} params.privacy - Resolved privacy target, null for public
+   * @param {number} params.validUntil - Expiry date (unix seconds), 0 for no expiry
+   * @param {string|null} params.signer - Signer name
+   * @param {Object} file - Uploaded file ({path, originalname})
+   * @returns {Object} Queued job
+   */
+  startIssueJob(params, file) {
+    const id = `job_${uuidv4()}`;
+    // Moved aside so the request's temp file cleanup leaves it to the job
+    const filePath = `${file.path}.${id}`;
+    fs.renameSync(file.path, filePath);
+    const saga = this.sagaService.begin("issue", params.fid, {
+      privacy: params.privacy,
+      jobId: id,
+    });
+    // The job file holds no more than the chain will: no salt, and no
+    // email when only its commitment goes on-chain
+    const { emailCommitment } = params;
+    const job = this.jobStore.create({
+      id,
+      type: "issue",
+      params: {
+        ...params,
+        email: emailCommitment ? null : params.email,
+        emailCommitment: emailCommitment
+          ? { commitment: emailCommitment.commitment }
+          : null,
+        fileName: file.originalname,
+        filePath,
+        sagaId: saga.id,
+      },
+    });
+    this.runIssueJob(job, false);
+    return job;
+  }
+
+  /**
+   * Resume the jobs a previous server process left unfinished
+   * @returns {number} Number of resumed jobs
+   */
+  resumeUnfinished() {
+    const jobs = this.jobStore.listUnfinished();
+    for (const job of jobs) {
+      console.log(`Resuming job ${job.id} from stage ${job.status}`);
+      // Files already under the active key are skipped, so the walk restarts
+      if (job.type === "reencrypt") {
+        this.runReencryptionJob(job);
+        continue;
+      }
+      if (!job.params.sagaId) {
+        this.jobStore.advance(job.id, "failed", {}, "Invalid job: no saga ID");
+        continue;
+      }
+      this.runIssueJob(job, true);
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Run an issuance job, recording failure on the job instead of throwing
+   * and compensating its saga
+   * @param {Object} job - Job
+   * @param {boolean} resumed - Whether the job was interrupted by a restart
+   * @returns {Promise<void>}
+   */
+  async runIssueJob(job, resumed) {
+    try {
+      await this.executeIssueJob(job, resumed);
+    } catch (error) {
+      console.error(`Error running job ${job.id}:`, error);
+      await this.sagaService.fail(job.params.sagaId, error);
+      this.jobStore.advance(job.id, "failed", {}, error.message);
+    } finally {
+      if (job.params.filePath) {
+        fs.rmSync(job.params.filePath, { force: true });
+      }
+    }
+  }
+
+  async executeIssueJob(job, resumed) {
+    const { params } = job;
+    const { fid, privacy } = params;
+    let { cid, transactionHash } = job.result;
+
+    if (!cid) {
+      // The temp file may not survive a restart
+      if (!fs.existsSync(params.filePath)) {
+        throw new Error(
+          "Interrupted by a server restart before the file was uploaded; issue the certificate again"
+        );
+      }
+      cid = await this.storageService.uploadFileFromPath(
+        params.filePath,
+        params.fileName
+      );
+      this.sagaService.record(params.sagaId, "uploaded", { cid });
+      this.jobStore.advance(job.id, "uploaded", { fid, cid });
+    }
+
+    let mined = {};
+    if (transactionHash) {
+      mined = await this.waitForIssuance(fid, transactionHash, privacy);
+    } else if (
+      resumed &&
+      (await this.blockchainService.getCertificateStatus(fid, privacy)).exists
+    ) {
+      // Submitted just before a restart, without the hash being recorded
+      this.recordPrivacy(fid, privacy);
+    } else {
+      const onSubmitted = (hash) => {
+        this.sagaService.record(params.sagaId, "submitted", {
+          transactionHash: hash,
+        });
+        this.jobStore.advance(job.id, "submitted", {
+          transactionHash: hash,
+        });
+      };
+      const txResult = params.emailCommitment
+        ? await this.blockchainService.issueCertificateWithCommitment(
+            fid,
+            cid,
+            params.emailCommitment.commitment,
+            privacy || false,
+            params.validUntil,
+            params.signer,
+            { onSubmitted }
+          )
+        : await this.blockchainService.issueCertificate(
+            fid,
+            cid,
+            params.email,
+            privacy || false,
+            params.validUntil,
+            params.signer,
+            { onSubmitted }
+          );
+      mined = {
+        transactionHash: txResult.transactionHash,
+        blockNumber: Number(txResult.receipt.blockNumber),
+        gas: txResult.gas,
+      };
+    }
+    this.jobStore.advance(job.id, "mined", mined);
+
+    // Read the certificate back so "confirmed" means it exists on-chain
+    const certificate = await this.blockchainService.getCertificate(fid);
+    if (certificate.cid !== cid) {
+      throw new Error(
+        `Certificate ${fid} on-chain has CID ${certificate.cid}, expected ${cid}`
+      );
+    }
+    this.sagaService.complete(params.sagaId);
+    this.jobStore.advance(job.id, "confirmed", this.formatResult(job));
+  }
+
+  /**
+   * Re-encrypt every certificate file under the active encryption key in the
+   * background. Each file is decrypted, encrypted again and stored, and the
+   * certificate updated on-chain with the new CID.
+   * @param {Object} options - Job options
+   * @param {boolean} options.dryRun - Re-encrypt and simulate the updates only; nothing is stored or sent
+   * @returns {Object} Queued job
+   */
+  startReencryptionJob({ dryRun = false } = {}) {
+    const running = this.jobStore
+      .listUnfinished()
+      .find((job) => job.type === "reencrypt");
+    if (running) {
+      throw statusError(
+        409,
+        `Re-encryption job ${running.id} is already running`,
+        "REENCRYPTION_RUNNING"
+      );
+    }
+
+    const job = this.jobStore.create({
+      id: `job_${uuidv4()}`,
+      type: "reencrypt",
+      params: { dryRun },
+    });
+    this.runReencryptionJob(job);
+    return job;
+  }
+
+  /**
+   * Run a re-encryption job, recording failure on the job instead of throwing.
+   * A certificate that fails is listed in the result and the walk goes on;
+   * running the job again retries it.
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  async runReencryptionJob(job) {
+    try {
+      const { encryptionService } = this.storageService;
+      this.jobStore.advance(job.id, "reencrypting", {
+        keyId: encryptionService.keyId,
+        dryRun: job.params.dryRun,
+      });
+
+      const fids = await this.listAllFids();
+      const progress = {
+        total: fids.length,
+        processed: 0,
+        reencrypted: 0,
+        upToDate: 0,
+        skipped: [],
+        failed: [],
+      };
+      for (const fid of fids) {
+        try {
+          const outcome = await this.reencryptCertificate(fid, job.params);
+          if (outcome.skipped) {
+            progress.skipped.push({ fid, reason: outcome.skipped });
+          } else {
+            progress[outcome.reencrypted ? "reencrypted" : "upToDate"]++;
+          }
+        } catch (error) {
+          console.error(`Error re-encrypting certificate ${fid}:`, error);
+          progress.failed.push({ fid, error: error.message });
+        }
+        progress.processed++;
+        this.jobStore.update(job.id, progress);
+      }
+
+      console.log(
+        `Re-encryption job ${job.id}: ${progress.reencrypted} re-encrypted, ${progress.upToDate} up to date, ${progress.skipped.length} skipped, ${progress.failed.length} failed`
+      );
+      this.jobStore.advance(job.id, "completed", progress);
+    } catch (error) {
+      console.error(`Error running job ${job.id}:`, error);
+      this.jobStore.advance(job.id, "failed", {}, error.message);
+    }
+  }
+
+  /**
+   * List the FIDs of all certificates: the public ones from the contract
+   * and the private ones from the privacy registry
+   * @returns {Promise<Array<string>>} File IDs
+   */
+  async listAllFids() {
+    const fids = new Set(this.blockchainService.privacyRegistry.list());
+    for (let page = 1; ; page++) {
+      const { total, certificates } =
+        await this.blockchainService.listCertificates({
+          page,
+          pageSize: PAGE_SIZE,
+        });
+      for (const certificate of certificates) {
+        fids.add(certificate.fid);
+      }
+      if (page * PAGE_SIZE >= total) {
+        return [...fids];
+      }
+    }
+  }
+
+  /**
+   * Re-encrypt the current file of a certificate under the active key
+   * Earlier versions keep their CIDs on-chain, so the keys they were
+   * encrypted with must stay in the keyring to download them.
+   * @param {string} fid - File ID
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Re-encrypt and simulate the update only
+   * @returns {Promise<Object>} {reencrypted}, or {skipped: reason}
+   */
+  async reencryptCertificate(fid, { dryRun = false } = {}) {
+    const certificate = await this.blockchainService.getCertificate(fid);
+    if (!certificate.isActive) {
+      return { skipped: "Certificate is not active" };
+    }
+    // Only the issuer may update a certificate
+    const signer =
+      await this.blockchainService.signerService.findSignerByAddress(
+        certificate.issuer
+      );
+    if (!signer) {
+      return {
+        skipped: `No signer configured for issuer ${certificate.issuer}`,
+      };
+    }
+    const privacy = await this.blockchainService.getCertificatePrivacy(fid);
+
+    const { stream, ...file } = await this.storageService.retrieveFileStream(
+      certificate.cid
+    );
+    if (this.storageService.encryptionService.isActiveKey(file.keyId)) {
+      stream.destroy();
+      return { reencrypted: false };
+    }
+
+    if (dryRun) {
+      const cid = await this.storageService.uploadStream(
+        stream,
+        file.fileName,
+        {
+          size: file.originalSize,
+          dryRun: true,
+        }
+      );
+      await this.blockchainService.updateCertificate(fid, cid, null, signer, {
+        dryRun: true,
+      });
+      return { reencrypted: true };
+    }
+
+    // As a saga, so a failed update removes the re-encrypted copy
+    await this.sagaService.run(
+      "update",
+      fid,
+      { privacy, previousCid: certificate.cid },
+      async (saga) => {
+        const cid = await this.storageService.uploadStream(
+          stream,
+          file.fileName,
+          { size: file.originalSize }
+        );
+        saga.record("uploaded", { cid });
+        await this.blockchainService.updateCertificate(fid, cid, null, signer, {
+          onSubmitted: saga.onSubmitted,
+        });
+      }
+    );
+    return { reencrypted: true };
+  }
+
+  /**
+   * Wait for the issuance transaction of a resumed job
+   * @param {string} fid - File ID
+   * @param {string} transactionHash - Transaction hash recorded before the restart
+   * @param {Object|null} privacy - Resolved privacy target, null for public
+   * @returns {Promise<Object>} Block number of the mined transaction
+   */
+  async waitForIssuance(fid, transactionHash, privacy) {
+    const receipt = await this.blockchainService.waitForTransaction(
+      transactionHash,
+      privacy
+    );
+    if (receipt.status === false || receipt.status === "0x0") {
+      throw new Error(`Transaction ${transactionHash} reverted`);
+    }
+    this.recordPrivacy(fid, privacy);
+    return { blockNumber: Number(receipt.blockNumber) };
+  }
+
+  /**
+   * Record the privacy group of a private certificate issued before a
+   * restart, as the issue methods would have after mining
+   * @param {string} fid - File ID
+   * @param {Object|null} privacy - Resolved privacy target
+   */
+  recordPrivacy(fid, privacy) {
+    if (privacy) {
+      this.blockchainService.privacyRegistry.set(fid, privacy);
+    }
+  }
+
+  /**
+   * Build the final result of an issuance job, the fields of a synchronous
+   * issuance except the email and its salt
+   * @param {Object} job - Job
+   * @returns {Object} Certificate data
+   */
+  formatResult(job) {
+    const { params, result } = job;
+    return {
+      emailHashed: Boolean(params.emailCommitment),
+      emailCommitment: params.emailCommitment
+        ? params.emailCommitment.commitment
+        : null,
+      validUntil: params.validUntil
+        ? new Date(params.validUntil * 1000).toISOString()
+        : null,
+      vaultUrl: Utils.getVaultUrl(params.fid, result.cid),
+      gatewayUrl: this.storageService.getGatewayUrl(result.cid),
+      isPrivate: Boolean(params.privacy),
+      privacyGroupId: params.privacy ? params.privacy.privacyGroupId : null,
+    };
+  }
+}
+
+module.exports = JobService;
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stages that end a job
+const FINAL_STAGES = ["confirmed", "completed", "failed"];
+
+/**
+ * Job Store
+ * Keeps asynchronous jobs and their stage history in a JSON file
+ * (JOBS_PATH, default data/jobs.json) so they survive a server restart.
+ * Finished jobs are dropped after JOB_RETENTION_HOURS.
+ */
+class JobStore {
+  constructor(
+    filePath = process.env.JOBS_PATH ||
+      path.join(__dirname, "../../data/jobs.json"),
+    retentionHours = parseInt(process.env.JOB_RETENTION_HOURS || "168")
+  ) {
+    this.filePath = filePath;
+    this.retention = retentionHours * 60 * 60 * 1000;
+    this.jobs = this.load();
+  }
+
+  /**
+   * Load the jobs file
+   * @returns {Object} Jobs keyed by ID
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  /**
+   * Write the jobs file, dropping expired finished jobs
+   */
+  save() {
+    const cutoff = Date.now() - this.retention;
+    for (const [id, job] of Object.entries(this.jobs)) {
+      if (
+        FINAL_STAGES.includes(job.status) &&
+        Date.parse(job.updatedAt) < cutoff
+      ) {
+        delete this.jobs[id];
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.jobs, null, 2));
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null if unknown or expired
+   */
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  /**
+   * Record a new job in the queued stage
+   * @param {Object} job - Job with id, type and params
+   * @returns {Object} Stored job
+   */
+  create(job) {
+    const now = new Date().toISOString();
+    this.jobs[job.id] = {
+      ...job,
+      status: "queued",
+      stages: [{ stage: "queued", at: now }],
+      result: {},
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.save();
+    return this.jobs[job.id];
+  }
+
+  /**
+   * Move a job to a new stage
+   * @param {string} id - Job ID
+   * @param {string} stage - New stage
+   * @param {Object} result - Fields to merge into the job result
+   * @param {string|null} error - Error message of a failed job
+   * @returns {Object} Updated job
+   */
+  advance(id, stage, result = {}, error = null) {
+    const job = this.jobs[id];
+    const now = new Date().toISOString();
+    job.status = stage;
+    job.stages.push({ stage, at: now });
+    job.result = { ...job.result, ...result };
+    job.error = error;
+    job.updatedAt = now;
+    this.save();
+    return job;
+  }
+
+  /**
+   * Record progress within the current stage
+   * @param {string} id - Job ID
+   * @param {Object} result - Fields to merge into the job result
+   * @returns {Object} Updated job
+   */
+  update(id, result) {
+    const job = this.jobs[id];
+    job.result = { ...job.result, ...result };
+    job.updatedAt = new Date().toISOString();
+    this.save();
+    return job;
+  }
+
+  /**
+   * List jobs that have not finished
+   * @returns {Array<Object>} Unfinished jobs, oldest first
+   */
+  listUnfinished() {
+    return Object.values(this.jobs)
+      .filter((job) => !FINAL_STAGES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+JobStore.FINAL_STAGES = FINAL_STAGES;
+
+module.exports = JobStore;
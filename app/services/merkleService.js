@@ -0,0 +1,103 @@
+const Web3 = require("web3");
+
+/**
+ * Merkle Tree Service
+ * Builds the trees whose roots are anchored with CertificateManager.anchorBatch
+ */
+class MerkleService {
+  constructor() {
+    this.abi = new Web3().eth.abi;
+  }
+
+  /**
+   * Compute the leaf of an anchored certificate (mirrors computeBatchLeaf)
+   * @param {string} fid - File ID
+   * @param {string} cid - Content ID (IPFS hash)
+   * @param {string} emailCommitment - Salted email commitment
+   * @returns {string} Leaf hash
+   */
+  computeLeaf(fid, cid, emailCommitment) {
+    return Web3.utils.keccak256(
+      this.abi.encodeParameters(
+        ["string", "string", "bytes32"],
+        [fid, cid, emailCommitment]
+      )
+    );
+  }
+
+  /**
+   * Hash two nodes in sorted order, so proofs need no left/right flags
+   * @param {string} a - Node hash
+   * @param {string} b - Node hash
+   * @returns {string} Parent hash
+   */
+  hashPair(a, b) {
+    const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return Web3.utils.soliditySha3(
+      { t: "bytes32", v: left },
+      { t: "bytes32", v: right }
+    );
+  }
+
+  /**
+   * Build a Merkle tree; an unpaired node is promoted to the next level
+   * @param {Array<string>} leaves - Leaf hashes
+   * @returns {Object} Tree with root and layers (layers[0] are the leaves)
+   */
+  buildTree(leaves) {
+    if (leaves.length === 0) {
+      throw new Error("Cannot build a Merkle tree without leaves");
+    }
+
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+      const level = layers[layers.length - 1];
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(
+          i + 1 < level.length
+            ? this.hashPair(level[i], level[i + 1])
+            : level[i]
+        );
+      }
+      layers.push(next);
+    }
+
+    return { root: layers[layers.length - 1][0], layers };
+  }
+
+  /**
+   * Get the proof for a leaf
+   * @param {Object} tree - Tree from buildTree
+   * @param {number} index - Leaf index
+   * @returns {Array<string>} Sibling hashes from the leaf up to the root
+   */
+  getProof(tree, index) {
+    const proof = [];
+    for (const level of tree.layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < level.length) {
+        proof.push(level[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  /**
+   * Verify a proof locally (the contract's verifyBatchProof is authoritative)
+   * @param {string} leaf - Leaf hash
+   * @param {Array<string>} proof - Sibling hashes
+   * @param {string} root - Merkle root
+   * @returns {boolean} Whether the proof leads to the root
+   */
+  verifyProof(leaf, proof, root) {
+    const computed = proof.reduce(
+      (node, sibling) => this.hashPair(node, sibling),
+      leaf
+    );
+    return computed.toLowerCase() === root.toLowerCase();
+  }
+}
+
+module.exports = MerkleService;
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Privacy Registry
+ * Remembers which certificates were issued privately and to which privacy
+ * group, so later transactions and reads on them use the same group.
+ * Entries outlive deletion, since a deleted certificate stays in its group's
+ * state as inactive. Persisted as a JSON file (PRIVACY_REGISTRY_PATH,
+ * default data/privacy-registry.json).
+ */
+class PrivacyRegistry {
+  constructor(
+    filePath = process.env.PRIVACY_REGISTRY_PATH ||
+      path.join(__dirname, "../../data/privacy-registry.json")
+  ) {
+    this.filePath = filePath;
+    this.entries = this.load();
+  }
+
+  /**
+   * Load the registry file
+   * @returns {Object} Entries keyed by FID
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  /**
+   * Write the registry file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+  }
+
+  /**
+   * Get the privacy setting of a certificate
+   * @param {string} fid - File ID
+   * @returns {Object|null} {privacyGroupId, privateFor}, or null for public certificates
+   */
+  get(fid) {
+    return this.entries[fid] || null;
+  }
+
+  /**
+   * List the privately issued certificates
+   * @returns {Array<string>} File IDs
+   */
+  list() {
+    return Object.keys(this.entries);
+  }
+
+  /**
+   * Record a privately issued certificate
+   * @param {string} fid - File ID
+   * @param {Object} privacy - Resolved privacy target ({privacyGroupId, privateFor})
+   */
+  set(fid, { privacyGroupId, privateFor = null }) {
+    this.entries[fid] = {
+      privacyGroupId,
+      privateFor,
+      recordedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+}
+
+module.exports = PrivacyRegistry;
@@ -0,0 +1,187 @@
+// Selectors of the revert payloads built into Solidity
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string), from require/revert
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256), from assert/overflow
+
+// CertificateManager revert reasons and the error they stand for
+const REVERT_REASONS = {
+  "Certificate does not exist": { code: "CERTIFICATE_NOT_FOUND", status: 404 },
+  "Issuer does not exist": { code: "ISSUER_NOT_FOUND", status: 404 },
+  "Version index out of range": { code: "VERSION_NOT_FOUND", status: 404 },
+  "Caller is not an admin": { code: "NOT_ADMIN", status: 403 },
+  "Caller is not an active issuer": { code: "NOT_ACTIVE_ISSUER", status: 403 },
+  "Only issuer can modify certificate": {
+    code: "NOT_CERTIFICATE_ISSUER",
+    status: 403,
+  },
+  "Certificate with this FID already exists": {
+    code: "CERTIFICATE_EXISTS",
+    status: 409,
+  },
+  "Certificate is not active": { code: "CERTIFICATE_INACTIVE", status: 409 },
+  "Certificate does not expire": {
+    code: "CERTIFICATE_DOES_NOT_EXPIRE",
+    status: 409,
+  },
+  "Certificate requires salted verification": {
+    code: "SALT_REQUIRED",
+    status: 409,
+  },
+  "Certificate does not use an email commitment": {
+    code: "SALT_NOT_APPLICABLE",
+    status: 409,
+  },
+  "Account is not an active issuer": {
+    code: "ISSUER_NOT_ACTIVE",
+    status: 409,
+  },
+  "Admin cannot revoke own role": { code: "ADMIN_SELF_REVOKE", status: 409 },
+  "Batch already anchored": { code: "BATCH_EXISTS", status: 409 },
+  "Expiry must be in the future": { code: "INVALID_EXPIRY", status: 400 },
+  "New expiry must extend current expiry": {
+    code: "INVALID_EXPIRY",
+    status: 400,
+  },
+  "Invalid revocation reason": {
+    code: "INVALID_REVOCATION_REASON",
+    status: 400,
+  },
+};
+
+// Reasons without an entry: argument checks such as "CID cannot be empty"
+const DEFAULT_REVERT = { code: "CONTRACT_REVERTED", status: 400 };
+
+// Status of custom Solidity errors, by error name
+const CUSTOM_ERROR_STATUS = [
+  [/NotFound$|DoesNotExist$/, 404],
+  [/^Unauthorized|^NotAuthorized|^Not(?:[A-Z]\w*)?(Admin|Issuer|Owner)$/, 403],
+  [/Exists$|^Already/, 409],
+];
+
+/**
+ * Revert Decoder
+ * Turns contract reverts into structured errors: {code, status, reason}.
+ * Reads the revert payload from web3 errors (node error data, private
+ * receipts' revertReason) and decodes Error(string), Panic(uint256) and the
+ * custom errors declared in the contract ABI. Falls back to the reason
+ * string in the node's error message.
+ */
+class RevertDecoder {
+  constructor(abi = [], abiCoder) {
+    this.abiCoder = abiCoder;
+    this.customErrors = new Map(
+      abi
+        .filter((entry) => entry.type === "error")
+        .map((entry) => [abiCoder.encodeFunctionSignature(entry), entry])
+    );
+  }
+
+  /**
+   * Decode the revert behind an error
+   * @param {Error} error - Error from a call, gas estimate or transaction
+   * @returns {Object|null} - {code, status, reason}, or null if the error is not a revert
+   */
+  decode(error) {
+    if (typeof error.reason === "string" && error.reason) {
+      return this.fromReason(error.reason);
+    }
+
+    const data = this.findRevertData(error);
+    if (data) {
+      return this.decodeData(data);
+    }
+
+    const message = error.message || "";
+    const match =
+      message.match(/reverted with reason string '(.*)'/) ||
+      message.match(/execution reverted: (.+)$/im);
+    if (match) {
+      return this.fromReason(match[1]);
+    }
+    if (/revert/i.test(message)) {
+      return { ...DEFAULT_REVERT, reason: null };
+    }
+    return null;
+  }
+
+  /**
+   * Find the ABI-encoded revert payload of an error
+   * @param {Error} error - Error
+   * @returns {string|null} - 0x-prefixed payload
+   */
+  findRevertData(error) {
+    const candidates = [
+      error.data,
+      error.data && error.data.data,
+      error.data && error.data.originalError && error.data.originalError.data,
+      error.receipt && error.receipt.revertReason,
+    ];
+    return (
+      candidates.find(
+        (candidate) =>
+          typeof candidate === "string" && /^0x[0-9a-f]{8}/i.test(candidate)
+      ) || null
+    );
+  }
+
+  /**
+   * Decode an ABI-encoded revert payload
+   * @param {string} data - 0x-prefixed payload
+   * @returns {Object} - {code, status, reason}, plus args for custom errors
+   */
+  decodeData(data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    const encoded = `0x${data.slice(10)}`;
+
+    if (selector === ERROR_SELECTOR) {
+      return this.fromReason(this.abiCoder.decodeParameter("string", encoded));
+    }
+    if (selector === PANIC_SELECTOR) {
+      const panicCode = this.abiCoder.decodeParameter("uint256", encoded);
+      return {
+        code: "CONTRACT_PANIC",
+        status: 500,
+        reason: `Panic 0x${parseInt(panicCode).toString(16)}`,
+      };
+    }
+
+    const customError = this.customErrors.get(selector);
+    if (customError) {
+      const decoded = this.abiCoder.decodeParameters(
+        customError.inputs,
+        encoded
+      );
+      const args = Object.fromEntries(
+        customError.inputs.map((input, index) => [
+          input.name || index,
+          decoded[index],
+        ])
+      );
+      const [, status] = CUSTOM_ERROR_STATUS.find(([pattern]) =>
+        pattern.test(customError.name)
+      ) || [null, DEFAULT_REVERT.status];
+      return {
+        code: customError.name
+          .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+          .toUpperCase(),
+        status,
+        reason: customError.name,
+        args,
+      };
+    }
+
+    return { ...DEFAULT_REVERT, reason: null };
+  }
+
+  /**
+   * Map a revert reason string to its error
+   * @param {string} reason - Reason given to require/revert
+   * @returns {Object} - {code, status, reason}
+   */
+  fromReason(reason) {
+    return { ...(REVERT_REASONS[reason] || DEFAULT_REVERT), reason };
+  }
+}
+
+RevertDecoder.REVERT_REASONS = REVERT_REASONS;
+
+module.exports = RevertDecoder;
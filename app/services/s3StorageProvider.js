@@ -0,0 +1,375 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { Readable } = require("stream");
+const StorageProvider = require("./storageProvider");
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+// S3 allows at most 10,000 parts of at least 5 MiB per multipart upload
+const MAX_PARTS = 10000;
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Tag marking removed objects, for a lifecycle rule to expire
+const REMOVED_TAG = "vault-removed";
+
+/**
+ * Percent-encode a URI component the way AWS Signature V4 expects (RFC 3986)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * S3 Storage Provider
+ * Stores files as objects of an S3-compatible bucket (AWS S3, MinIO, Ceph)
+ * under their CID. Requests are signed with AWS Signature V4 and use
+ * path-style URLs, which every S3-compatible server accepts. Files larger than
+ * S3_PART_SIZE are sent as multipart uploads, one part in memory at a time.
+ * Removed objects are tagged vault-removed=true rather than deleted, like an
+ * IPFS unpin: a bucket lifecycle rule on the tag expires them, and restore()
+ * removes the tag.
+ */
+class S3StorageProvider extends StorageProvider {
+  constructor({
+    endpoint = process.env.S3_ENDPOINT || "https://s3.amazonaws.com",
+    region = process.env.S3_REGION || "us-east-1",
+    bucket = process.env.S3_BUCKET,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    prefix = process.env.S3_PREFIX || "",
+    publicUrl = process.env.S3_PUBLIC_URL || null,
+    partSize = parseInt(process.env.S3_PART_SIZE || String(16 * 1024 * 1024)),
+  } = {}) {
+    super("s3");
+    if (!bucket) {
+      throw new Error("S3 storage requires S3_BUCKET");
+    }
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error(
+        "S3 storage requires S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY"
+      );
+    }
+
+    this.endpoint = endpoint.replace(/\/+$/, "");
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, "") : null;
+    this.partSize = Math.max(partSize, MIN_PART_SIZE);
+  }
+
+  keyOf(cid) {
+    return `${this.prefix}${StorageProvider.assertCid(cid)}`;
+  }
+
+  /**
+   * Path of an object, or of the bucket when no key is given
+   * @param {string|null} key - Object key
+   * @returns {string} URL-encoded path
+   */
+  pathOf(key = null) {
+    const segments = [this.bucket, ...(key ? key.split("/") : [])];
+    return `/${segments.map(encodeRfc3986).join("/")}`;
+  }
+
+  /**
+   * Compute the AWS Signature V4 headers of a request
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL
+   * @param {Object} headers - Headers to sign, lowercase names
+   * @param {string} payloadHash - Hex SHA-256 of the body
+   * @param {Date} date - Signing time
+   * @returns {Object} Headers to send, including Authorization
+   */
+  sign(method, url, headers, payloadHash, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const day = amzDate.slice(0, 8);
+    const signed = {
+      ...headers,
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+
+    const names = Object.keys(signed).sort();
+    const signedHeaders = names.join(";");
+    const canonicalHeaders = names
+      .map((name) => `${name}:${String(signed[name]).trim()}\n`)
+      .join("");
+    const canonicalQuery = [...url.searchParams]
+      .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+      .sort()
+      .join("&");
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      sha256Hex(canonicalRequest),
+    ].join("\n");
+    const signingKey = [day, this.region, "s3", "aws4_request"].reduce(
+      hmac,
+      `AWS4${this.secretAccessKey}`
+    );
+    const signature = crypto
+      .createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex");
+
+    // fetch sets Host itself
+    delete signed.host;
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope},SignedHeaders=${signedHeaders},Signature=${signature}`,
+    };
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string|null} key - Object key, null for the bucket
+   * @param {Object} options - Options
+   * @param {Object} options.query - Query parameters
+   * @param {Buffer|string|Readable} options.body - Request body
+   * @param {string} options.payloadHash - Hex SHA-256 of a stream body
+   * @param {Object} options.headers - Extra headers, lowercase names
+   * @param {Array<number>} options.allow - Error statuses returned instead of thrown
+   * @returns {Promise<Response>} Response
+   */
+  async request(
+    method,
+    key,
+    { query = {}, body = null, payloadHash, headers = {}, allow = [] } = {}
+  ) {
+    const url = new URL(`${this.endpoint}${this.pathOf(key)}`);
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value);
+    }
+    const hash = payloadHash || (body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH);
+    const response = await fetch(url, {
+      method,
+      headers: this.sign(method, url, headers, hash),
+      body,
+      duplex: "half",
+    });
+
+    if (!response.ok && !allow.includes(response.status)) {
+      const text = method === "HEAD" ? "" : await response.text();
+      const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+      throw new Error(
+        `S3 ${method} ${key || this.bucket} failed: ${response.status} ${
+          code || response.statusText
+        }`
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Upload a file in parts, aborting the upload if a part fails
+   * @param {string} key - Object key
+   * @param {string} filePath - Local file
+   * @param {number} size - File size in bytes
+   */
+  async putMultipart(key, filePath, size) {
+    const partSize = Math.max(this.partSize, Math.ceil(size / MAX_PARTS));
+    const created = await this.request("POST", key, {
+      query: { uploads: "" },
+      headers: { "content-type": "application/octet-stream" },
+    });
+    const uploadId = ((await created.text()).match(
+      /<UploadId>([^<]+)<\/UploadId>/
+    ) || [])[1];
+    if (!uploadId) {
+      throw new Error(`S3 did not start a multipart upload of ${key}`);
+    }
+
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const etags = [];
+      const buffer = Buffer.alloc(Math.min(partSize, size));
+      for (let offset = 0; offset < size; offset += partSize) {
+        const { bytesRead } = await handle.read(
+          buffer,
+          0,
+          Math.min(partSize, size - offset),
+          offset
+        );
+        const part = buffer.subarray(0, bytesRead);
+        const response = await this.request("PUT", key, {
+          query: { partNumber: String(etags.length + 1), uploadId },
+          body: part,
+        });
+        etags.push(response.headers.get("etag"));
+      }
+
+      const parts = etags
+        .map(
+          (etag, index) =>
+            `<Part><PartNumber>${
+              index + 1
+            }</PartNumber><ETag>${etag}</ETag></Part>`
+        )
+        .join("");
+      const completed = await this.request("POST", key, {
+        query: { uploadId },
+        body: `<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`,
+      });
+      // Completion can fail after a 200 status; the error is in the body
+      const text = await completed.text();
+      if (text.includes("<Error>")) {
+        const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+        throw new Error(`S3 multipart upload of ${key} failed: ${code}`);
+      }
+    } catch (error) {
+      await this.request("DELETE", key, { query: { uploadId } }).catch(
+        () => {}
+      );
+      throw error;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Upload a file as an object named by its CID
+   * @param {string} filePath - Local file with the contents
+   * @param {string} fileName - File name (not kept; objects are named by CID)
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only compute the CID; nothing is uploaded
+   * @returns {Promise<string>} CID
+   */
+  async put(filePath, fileName, { dryRun = false } = {}) {
+    const digest = await StorageProvider.hashFile(filePath);
+    const cid = StorageProvider.cidFromDigest(digest);
+    if (dryRun) {
+      return cid;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    if (size > this.partSize) {
+      await this.putMultipart(this.keyOf(cid), filePath, size);
+    } else {
+      await this.request("PUT", this.keyOf(cid), {
+        body: fs.createReadStream(filePath),
+        payloadHash: digest.toString("hex"),
+        headers: {
+          "content-type": "application/octet-stream",
+          "content-length": String(size),
+        },
+      });
+    }
+    return cid;
+  }
+
+  /**
+   * Download an object, checking it against its CID
+   * @param {string} cid - Content ID
+   * @returns {Promise<Readable>} File contents
+   */
+  async get(cid) {
+    const response = await this.request("GET", this.keyOf(cid), {
+      allow: [404],
+    });
+    if (response.status === 404) {
+      throw new Error(`File ${cid} not found in bucket ${this.bucket}`);
+    }
+    return StorageProvider.verified(cid, Readable.fromWeb(response.body));
+  }
+
+  /**
+   * Replace the tags of an object
+   * @param {string} cid - Content ID
+   * @param {string} tags - Tag elements of the TagSet
+   */
+  async setTags(cid, tags) {
+    const body = `<Tagging><TagSet>${tags}</TagSet></Tagging>`;
+    await this.request("PUT", this.keyOf(cid), {
+      query: { tagging: "" },
+      body,
+      headers: {
+        "content-md5": crypto.createHash("md5").update(body).digest("base64"),
+      },
+    });
+  }
+
+  /**
+   * Tag an object as removed
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether removal was successful
+   */
+  async remove(cid) {
+    await this.setTags(
+      cid,
+      `<Tag><Key>${REMOVED_TAG}</Key><Value>true</Value></Tag>`
+    );
+    return true;
+  }
+
+  /**
+   * Clear the removed tag of an object
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether the object is stored again
+   */
+  async restore(cid) {
+    // An empty tag set rather than DeleteObjectTagging, which fewer
+    // S3-compatible servers implement
+    await this.setTags(cid, "");
+    return true;
+  }
+
+  async exists(cid) {
+    const response = await this.request("GET", this.keyOf(cid), {
+      query: { tagging: "" },
+      allow: [404],
+    });
+    if (!response.ok) {
+      return false;
+    }
+    return !(await response.text()).includes(`<Key>${REMOVED_TAG}</Key>`);
+  }
+
+  getPublicUrl(cid) {
+    return this.publicUrl ? `${this.publicUrl}/${this.keyOf(cid)}` : null;
+  }
+
+  getLocation() {
+    return `${this.endpoint}/${this.bucket}`;
+  }
+
+  async testConnection() {
+    try {
+      await this.request("HEAD", null);
+      return true;
+    } catch (error) {
+      console.error(`S3 bucket ${this.getLocation()} unreachable:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = S3StorageProvider;
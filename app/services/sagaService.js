@@ -0,0 +1,286 @@
+const { v4: uuidv4 } = require("uuid");
+const SagaStore = require("./sagaStore");
+
+// Shared by every SagaService instance, so the admin routes see the sagas
+// started by the certificate routes
+const sagaStore = new SagaStore();
+
+/**
+ * Saga Service
+ * Runs certificate operations that span file storage and the chain as sagas
+ * and compensates the ones that fail half-way:
+ * - issue / update: the uploaded file is removed if the transaction failed
+ * - anchor: same as issue for an item of an anchored batch, which has no
+ *   certificate on-chain to check
+ * - delete: the removed file is restored if the transaction failed
+ * Step names keep their IPFS wording (unpinned, repinned) for every storage
+ * provider, so recorded sagas stay readable.
+ * A chain step that went through despite the error (e.g. a receipt timeout)
+ * completes the saga instead. Sagas whose compensation failed are "stuck"
+ * until retried.
+ */
+class SagaService {
+  constructor(
+    storageService,
+    blockchainService,
+    stuckAfterMinutes = parseInt(process.env.SAGA_STUCK_AFTER_MINUTES || "15"),
+    receiptTimeoutSeconds = parseInt(
+      process.env.SAGA_RECEIPT_TIMEOUT_SECONDS || "15"
+    )
+  ) {
+    this.storageService = storageService;
+    this.blockchainService = blockchainService;
+    this.sagaStore = sagaStore;
+    this.stuckAfter = stuckAfterMinutes * 60 * 1000;
+    this.receiptTimeout = receiptTimeoutSeconds * 1000;
+  }
+
+  /**
+   * Get a saga
+   * @param {string} id - Saga ID
+   * @returns {Object|null} Saga, or null if unknown or expired
+   */
+  getSaga(id) {
+    return this.sagaStore.get(id);
+  }
+
+  /**
+   * Start a saga
+   * @param {string} type - issue, anchor, update or delete
+   * @param {string} fid - File ID
+   * @param {Object} options - Saga data
+   * @param {Object|null} options.privacy - Resolved privacy target of the transaction
+   * @param {string|null} options.jobId - Async job that owns the saga and settles it on resume
+   * @returns {Object} Running saga
+   */
+  begin(type, fid, { privacy = null, jobId = null, ...data } = {}) {
+    return this.sagaStore.create({
+      id: `saga_${uuidv4()}`,
+      type,
+      fid,
+      jobId,
+      data: { ...data, privacy },
+    });
+  }
+
+  /**
+   * Record a completed step
+   * @param {string} id - Saga ID
+   * @param {string} step - uploaded, unpinned or submitted
+   * @param {Object} data - Step data (cid, transactionHash)
+   */
+  record(id, step, data = {}) {
+    this.sagaStore.record(id, step, data);
+  }
+
+  /**
+   * Mark a saga as completed
+   * @param {string} id - Saga ID
+   */
+  complete(id) {
+    this.sagaStore.record(id, "completed", {}, { status: "completed" });
+  }
+
+  /**
+   * Record the error of a saga and compensate it
+   * @param {string} id - Saga ID
+   * @param {Error} error - Error that stopped the operation
+   * @returns {Promise<Object>} Saga after compensation
+   */
+  async fail(id, error) {
+    this.sagaStore.record(id, "failed", {}, { error: error.message });
+    return this.compensate(id);
+  }
+
+  /**
+   * Run an operation as a saga, compensating it if it throws
+   * @param {string} type - issue, anchor, update or delete
+   * @param {string} fid - File ID
+   * @param {Object} options - Saga data, see begin()
+   * @param {Function} steps - async ({record, onSubmitted}) => result
+   * @returns {Promise<*>} Result of steps
+   */
+  async run(type, fid, options, steps) {
+    const saga = this.begin(type, fid, options);
+    try {
+      const result = await steps({
+        record: (step, data) => this.record(saga.id, step, data),
+        onSubmitted: (transactionHash) =>
+          this.record(saga.id, "submitted", { transactionHash }),
+      });
+      this.complete(saga.id);
+      return result;
+    } catch (error) {
+      await this.fail(saga.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the completed steps of a saga, unless its chain step went through
+   * @param {string} id - Saga ID
+   * @returns {Promise<Object>} Completed, compensated or stuck saga
+   */
+  async compensate(id) {
+    const saga = this.sagaStore.get(id);
+    try {
+      if (await this.isApplied(saga)) {
+        this.recordApplied(saga);
+        return this.sagaStore.record(
+          id,
+          "completed",
+          {},
+          { status: "completed", compensationError: null }
+        );
+      }
+
+      if (
+        saga.type === "delete" &&
+        this.hasStep(saga, "unpinned") &&
+        !this.hasStep(saga, "repinned")
+      ) {
+        await this.storageService.restoreFile(saga.data.cid);
+        this.sagaStore.record(id, "repinned");
+      } else if (
+        saga.type !== "delete" &&
+        this.hasStep(saga, "uploaded") &&
+        !this.hasStep(saga, "unpinned") &&
+        // Re-uploading the current content yields its CID, which must stay stored
+        saga.data.cid !== saga.data.previousCid
+      ) {
+        await this.storageService.removeFile(saga.data.cid);
+        this.sagaStore.record(id, "unpinned");
+      }
+
+      return this.sagaStore.record(
+        id,
+        "compensated",
+        {},
+        { status: "compensated", compensationError: null }
+      );
+    } catch (error) {
+      console.error(`Error compensating saga ${id}:`, error);
+      return this.sagaStore.record(
+        id,
+        "compensation_failed",
+        {},
+        { status: "stuck", compensationError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Whether the chain step of a saga took effect
+   * A recorded transaction is only awaited for SAGA_RECEIPT_TIMEOUT_SECONDS,
+   * since compensation runs within the failed request; if it is still not
+   * mined, compensation fails and the saga is stuck until retried.
+   * @param {Object} saga - Saga
+   * @returns {Promise<boolean>} True if the transaction was mined successfully
+   */
+  async isApplied(saga) {
+    const { type, fid, data } = saga;
+    if (data.transactionHash) {
+      const receipt = await this.blockchainService.waitForTransaction(
+        data.transactionHash,
+        data.privacy,
+        this.receiptTimeout
+      );
+      return receipt.status !== false && receipt.status !== "0x0";
+    }
+
+    // The transaction is only sent once the storage step is done
+    const storageStep = type === "delete" ? "unpinned" : "uploaded";
+    if (!this.hasStep(saga, storageStep)) {
+      return false;
+    }
+
+    const { contract } = this.blockchainService;
+    const status = await this.blockchainService.getCertificateStatus(
+      fid,
+      data.privacy
+    );
+    if (!status.exists) {
+      return false;
+    }
+    if (type === "delete") {
+      return data.wasActive && !status.active;
+    }
+    // Read from the saga's privacy target: a private issuance that reported
+    // an error is not in the privacy registry yet
+    const certificate = await this.blockchainService.callContract(
+      contract.methods.getCertificate(fid),
+      data.privacy
+    );
+    return certificate.cid === data.cid;
+  }
+
+  /**
+   * Update the privacy registry for a chain step that took effect although
+   * the operation reported an error
+   * @param {Object} saga - Saga
+   */
+  recordApplied({ type, fid, data }) {
+    const { privacyRegistry } = this.blockchainService;
+    if (type === "issue" && data.privacy) {
+      privacyRegistry.set(fid, data.privacy);
+    }
+  }
+
+  /**
+   * Whether a saga recorded a step
+   * @param {Object} saga - Saga
+   * @param {string} name - Step name
+   * @returns {boolean} True if recorded
+   */
+  hasStep(saga, name) {
+    return saga.steps.some(({ step }) => step === name);
+  }
+
+  /**
+   * Whether a saga needs attention: its compensation failed, or it has been
+   * running for longer than SAGA_STUCK_AFTER_MINUTES
+   * @param {Object} saga - Saga
+   * @returns {boolean} True if stuck
+   */
+  isStuck(saga) {
+    return (
+      saga.status === "stuck" ||
+      (saga.status === "running" &&
+        Date.now() - Date.parse(saga.updatedAt) > this.stuckAfter)
+    );
+  }
+
+  /**
+   * List sagas
+   * @param {string} status - stuck, running, completed, compensated or all
+   * @returns {Array<Object>} Sagas, newest first
+   */
+  listSagas(status = "stuck") {
+    if (status === "all") {
+      return this.sagaStore.list();
+    }
+    if (status === "stuck") {
+      return this.sagaStore.list((saga) => this.isStuck(saga));
+    }
+    return this.sagaStore.list((saga) => saga.status === status);
+  }
+
+  /**
+   * Compensate the sagas a previous server process left running, and retry
+   * the stuck ones. Sagas owned by an async job are settled by the job.
+   * @returns {Promise<number>} Number of sagas processed
+   */
+  async recoverPending() {
+    const sagas = this.sagaStore.list(
+      (saga) =>
+        saga.status === "stuck" || (saga.status === "running" && !saga.jobId)
+    );
+    for (const saga of sagas) {
+      console.log(`Recovering saga ${saga.id} (${saga.type} ${saga.fid})`);
+      await this.compensate(saga.id);
+    }
+    return sagas.length;
+  }
+}
+
+module.exports = SagaService;
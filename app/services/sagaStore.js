@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+
+// Statuses of sagas that need no further action
+const SETTLED_STATUSES = ["completed", "compensated"];
+
+/**
+ * Saga Store
+ * Outbox of multi-step certificate operations (storage + chain). Every step is
+ * written to a JSON file (SAGAS_PATH, default data/sagas.json) before the
+ * next one starts, so a failed or interrupted operation can be compensated.
+ * Settled sagas are dropped after SAGA_RETENTION_HOURS.
+ */
+class SagaStore {
+  constructor(
+    filePath = process.env.SAGAS_PATH ||
+      path.join(__dirname, "../../data/sagas.json"),
+    retentionHours = parseInt(process.env.SAGA_RETENTION_HOURS || "168")
+  ) {
+    this.filePath = filePath;
+    this.retention = retentionHours * 60 * 60 * 1000;
+    this.sagas = this.load();
+  }
+
+  /**
+   * Load the sagas file
+   * @returns {Object} Sagas keyed by ID
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  /**
+   * Write the sagas file, dropping expired settled sagas
+   */
+  save() {
+    const cutoff = Date.now() - this.retention;
+    for (const [id, saga] of Object.entries(this.sagas)) {
+      if (
+        SETTLED_STATUSES.includes(saga.status) &&
+        Date.parse(saga.updatedAt) < cutoff
+      ) {
+        delete this.sagas[id];
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.sagas, null, 2));
+  }
+
+  /**
+   * Get a saga
+   * @param {string} id - Saga ID
+   * @returns {Object|null} Saga, or null if unknown or expired
+   */
+  get(id) {
+    return this.sagas[id] || null;
+  }
+
+  /**
+   * Record a new running saga
+   * @param {Object} saga - Saga with id, type, fid, jobId and data
+   * @returns {Object} Stored saga
+   */
+  create(saga) {
+    const now = new Date().toISOString();
+    this.sagas[saga.id] = {
+      ...saga,
+      status: "running",
+      steps: [{ step: "started", at: now }],
+      error: null,
+      compensationError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.save();
+    return this.sagas[saga.id];
+  }
+
+  /**
+   * Append a step to a saga
+   * @param {string} id - Saga ID
+   * @param {string} step - Step name
+   * @param {Object} data - Fields to merge into the saga data
+   * @param {Object} fields - Top-level fields to set (status, error, compensationError)
+   * @returns {Object} Updated saga
+   */
+  record(id, step, data = {}, fields = {}) {
+    const saga = this.sagas[id];
+    const now = new Date().toISOString();
+    saga.steps.push({ step, at: now });
+    saga.data = { ...saga.data, ...data };
+    Object.assign(saga, fields);
+    saga.updatedAt = now;
+    this.save();
+    return saga;
+  }
+
+  /**
+   * List sagas, newest first
+   * @param {Function} predicate - Filter applied to each saga
+   * @returns {Array<Object>} Matching sagas
+   */
+  list(predicate = () => true) {
+    return Object.values(this.sagas)
+      .filter(predicate)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+}
+
+SagaStore.SETTLED_STATUSES = SETTLED_STATUSES;
+
+module.exports = SagaStore;
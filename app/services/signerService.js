@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const Web3 = require("web3");
+
+// Keys of the quorum-test-network member accounts (development only)
+const DEVELOPMENT_KEYS = [
+  "0x8f2a55949038a9610f50fb23b5883af3b4ecb3c3bb792cbcefbd1542c692be63",
+  "0xc87509a1c067bbde78beb793e6fa76530b6382a4c0241e5e4a9ec0a0f44dc0d3",
+  "0xae6ae8e5ccbfb04590405997ee2d52d2b330726137b875053c36d94e974d162f",
+];
+
+/**
+ * Split a web3 PromiEvent into the submission and the mining result
+ * @param {PromiEvent} promiEvent - Result of a web3 send call
+ * @returns {Promise<Object>} Resolves once the node accepted the transaction
+ *   with {transactionHash, receipt}, where receipt is a promise
+ */
+function toSubmission(promiEvent) {
+  const receipt = Promise.resolve(promiEvent);
+  // Errors are reported through the submission until the hash is known
+  receipt.catch(() => {});
+
+  return new Promise((resolve, reject) => {
+    promiEvent.once("transactionHash", (transactionHash) =>
+      resolve({ transactionHash, receipt })
+    );
+    receipt.catch(reject);
+  });
+}
+
+/**
+ * Signs transactions locally with a raw private key
+ */
+class RawKeySigner {
+  constructor(privateKey) {
+    this.type = "raw";
+    this.privateKey = privateKey;
+  }
+
+  /**
+   * Get the signing key (needed for Tessera private transactions)
+   * @returns {Promise<string|null>} Private key, or null if the key never leaves the signer
+   */
+  async getPrivateKey() {
+    return this.privateKey;
+  }
+
+  /**
+   * Get the signer's account address
+   * @returns {Promise<string>} Address
+   */
+  async getAddress() {
+    const privateKey = await this.getPrivateKey();
+    return new Web3().eth.accounts.privateKeyToAccount(privateKey).address;
+  }
+
+  /**
+   * Sign a transaction without submitting it
+   * @param {Web3} web3 - Web3 instance connected to the node
+   * @param {Object} tx - Transaction ({to, data, gas, nonce})
+   * @returns {Promise<Object|null>} Signed transaction ({rawTransaction, transactionHash}),
+   *   or null if the signer only signs on submission
+   */
+  async signTransaction(web3, tx) {
+    const privateKey = await this.getPrivateKey();
+    const signedTx = await web3.eth.accounts.signTransaction(
+      { ...tx, from: await this.getAddress() },
+      privateKey
+    );
+    return {
+      rawTransaction: signedTx.rawTransaction,
+      transactionHash: signedTx.transactionHash,
+    };
+  }
+
+  /**
+   * Submit a transaction signed earlier, e.g. again after a dropped connection
+   * @param {Web3} web3 - Web3 instance connected to the node
+   * @param {string} rawTransaction - Signed transaction from signTransaction
+   * @returns {Promise<Object>} Transaction hash and receipt promise
+   */
+  async sendSignedTransaction(web3, rawTransaction) {
+    return toSubmission(web3.eth.sendSignedTransaction(rawTransaction));
+  }
+
+  /**
+   * Sign a transaction and submit it through the given node
+   * @param {Web3} web3 - Web3 instance connected to the node
+   * @param {Object} tx - Transaction ({to, data, gas, nonce})
+   * @returns {Promise<Object>} Transaction hash and receipt promise
+   */
+  async submitTransaction(web3, tx) {
+    const { rawTransaction } = await this.signTransaction(web3, tx);
+    return this.sendSignedTransaction(web3, rawTransaction);
+  }
+}
+
+/**
+ * Signs transactions with a key from an encrypted JSON keystore file
+ * The keystore is decrypted on first use.
+ */
+class KeystoreSigner extends RawKeySigner {
+  constructor(keystorePath, password) {
+    super(null);
+    this.type = "keystore";
+    this.keystorePath = keystorePath;
+    this.password = password;
+  }
+
+  async getPrivateKey() {
+    if (!this.privateKey) {
+      const keystore = JSON.parse(fs.readFileSync(this.keystorePath, "utf8"));
+      this.privateKey = new Web3().eth.accounts.decrypt(
+        keystore,
+        this.password
+      ).privateKey;
+    }
+    return this.privateKey;
+  }
+}
+
+/**
+ * Sends transactions through a remote JSON-RPC signer (EthSigner-style)
+ * The signer holds the key, signs eth_sendTransaction and forwards it to the node.
+ */
+class RemoteSigner {
+  constructor(url, address = null) {
+    this.type = "remote";
+    this.url = url;
+    this.address = address;
+    this.web3 = new Web3(url);
+  }
+
+  async getPrivateKey() {
+    return null;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const [account] = await this.web3.eth.getAccounts();
+      if (!account) {
+        throw new Error(`Remote signer at ${this.url} exposes no accounts`);
+      }
+      this.address = account;
+    }
+    return this.address;
+  }
+
+  async signTransaction() {
+    return null;
+  }
+
+  async submitTransaction(web3, tx) {
+    return toSubmission(
+      this.web3.eth.sendTransaction({ ...tx, from: await this.getAddress() })
+    );
+  }
+}
+
+/**
+ * Transaction Signer Service
+ * Holds the configured signers and picks one per request or per issuer API key
+ */
+class SignerService {
+  constructor() {
+    this.isProduction = process.env.NODE_ENV === "production";
+    this.signers = new Map();
+    this.apiKeys = new Map();
+
+    const config = this.loadConfig();
+    for (const [name, signerConfig] of Object.entries(config.signers)) {
+      this.signers.set(name, this.createSigner(name, signerConfig));
+
+      const apiKey = signerConfig.apiKeyEnv
+        ? process.env[signerConfig.apiKeyEnv]
+        : null;
+      if (apiKey) {
+        this.apiKeys.set(apiKey, name);
+      }
+    }
+
+    this.defaultSigner = config.default;
+    if (!this.signers.has(this.defaultSigner)) {
+      throw new Error(
+        `Default signer "${this.defaultSigner}" is not configured`
+      );
+    }
+  }
+
+  /**
+   * Load signer configuration from SIGNERS_CONFIG, or build a single
+   * default signer from SIGNER_* environment variables
+   * @returns {Object} Configuration ({default, signers})
+   */
+  loadConfig() {
+    const configPath = process.env.SIGNERS_CONFIG;
+    if (configPath) {
+      const config = JSON.parse(
+        fs.readFileSync(path.resolve(configPath), "utf8")
+      );
+      return {
+        default: config.default || "default",
+        signers: config.signers || {},
+      };
+    }
+
+    return {
+      default: "default",
+      signers: {
+        default: {
+          type: process.env.SIGNER_TYPE || "raw",
+          privateKey:
+            process.env.SIGNER_PRIVATE_KEY || process.env.PRIVATE_KEY_1,
+          path: process.env.SIGNER_KEYSTORE_PATH,
+          password: process.env.SIGNER_KEYSTORE_PASSWORD,
+          url: process.env.SIGNER_RPC_URL,
+          address: process.env.SIGNER_ADDRESS,
+        },
+      },
+    };
+  }
+
+  /**
+   * Create a signer from its configuration
+   * Secrets can be given directly or as the name of an environment variable
+   * (privateKeyEnv, passwordEnv).
+   * @param {string} name - Signer name
+   * @param {Object} config - Signer configuration
+   * @returns {Object} Signer
+   */
+  createSigner(name, config) {
+    const secret = (key) =>
+      config[`${key}Env`] ? process.env[config[`${key}Env`]] : config[key];
+
+    switch (config.type) {
+      case "raw": {
+        let privateKey = secret("privateKey");
+        if (!privateKey) {
+          if (this.isProduction) {
+            throw new Error(
+              `Signer "${name}" has no private key; refusing to fall back to the development key in production`
+            );
+          }
+          console.warn(
+            `⚠️ Signer "${name}" has no private key. Using the development key...`
+          );
+          privateKey = DEVELOPMENT_KEYS[0];
+        }
+        if (
+          this.isProduction &&
+          DEVELOPMENT_KEYS.includes(privateKey.toLowerCase())
+        ) {
+          throw new Error(
+            `Signer "${name}" uses a built-in development key; refusing to start in production`
+          );
+        }
+        return new RawKeySigner(privateKey);
+      }
+
+      case "keystore": {
+        const password = secret("password");
+        if (!config.path || !fs.existsSync(config.path)) {
+          throw new Error(`Keystore for signer "${name}" not found`);
+        }
+        if (password === undefined) {
+          throw new Error(`Keystore password for signer "${name}" is not set`);
+        }
+        return new KeystoreSigner(config.path, password);
+      }
+
+      case "remote":
+        if (!config.url) {
+          throw new Error(`Remote signer "${name}" has no url`);
+        }
+        return new RemoteSigner(config.url, config.address || null);
+
+      default:
+        throw new Error(
+          `Unknown signer type "${config.type}" for signer "${name}"`
+        );
+    }
+  }
+
+  /**
+   * Check whether a signer is configured
+   * @param {string} name - Signer name
+   * @returns {boolean} True if configured
+   */
+  hasSigner(name) {
+    return this.signers.has(name);
+  }
+
+  /**
+   * Get a signer by name
+   * @param {string} name - Signer name, the default signer when omitted
+   * @returns {Object} Signer
+   */
+  getSigner(name = null) {
+    const signer = this.signers.get(name || this.defaultSigner);
+    if (!signer) {
+      throw new Error(`Unknown signer "${name}"`);
+    }
+    return signer;
+  }
+
+  /**
+   * Find the signer of an account
+   * @param {string} address - Account address
+   * @returns {Promise<string|null>} Signer name, or null if no signer holds the account
+   */
+  async findSignerByAddress(address) {
+    for (const [name, signer] of this.signers) {
+      if ((await signer.getAddress()).toLowerCase() === address.toLowerCase()) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the signer bound to an issuer API key
+   * @param {string} apiKey - API key from the request
+   * @returns {string|null} Signer name, or null if the key is unknown
+   */
+  getSignerNameForApiKey(apiKey) {
+    return this.apiKeys.get(apiKey) || null;
+  }
+}
+
+SignerService.RawKeySigner = RawKeySigner;
+SignerService.KeystoreSigner = KeystoreSigner;
+SignerService.RemoteSigner = RemoteSigner;
+
+module.exports = SignerService;
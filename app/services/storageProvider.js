@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { Transform, pipeline } = require("stream");
+
+// CIDv1 header of a raw block addressed by its sha2-256 digest:
+// version 1, codec raw (0x55), multihash sha2-256 (0x12) of 32 bytes
+const RAW_SHA256_CID_HEADER = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// CIDs are multibase strings: letters and digits only, never a path
+const CID_PATTERN = /^[A-Za-z0-9]{10,128}$/;
+
+/**
+ * Encode bytes as lowercase RFC 4648 base32, without padding
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function toBase32(bytes) {
+  let output = "";
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Storage Provider
+ * Interface of the backends that hold the encrypted certificate files
+ * (IPFS, local filesystem, S3). Files are addressed by the content ID (CID)
+ * recorded on-chain. Providers only move bytes: encryption is layered on top
+ * by StorageService. Files go in from a local (spooled) file and come out as
+ * streams, so their size is not bounded by memory.
+ * Backends that cannot derive a CID themselves use computeCid(), the CIDv1 of
+ * the stored bytes as a single raw block (bafkrei...), so that the on-chain
+ * CID still proves the file's integrity.
+ */
+class StorageProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file
+   * @param {string} filePath - Local file with the contents to store
+   * @param {string} fileName - File name, for backends that keep one
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Compute the CID only; nothing is stored
+   * @returns {Promise<string>} CID of the stored file
+   */
+  async put(filePath, fileName, options = {}) {
+    throw this.notSupported("put");
+  }
+
+  /**
+   * Read a file
+   * Resolves once the file is known to exist; read errors and content that
+   * does not match the CID surface as stream errors.
+   * @param {string} cid - Content ID
+   * @returns {Promise<Readable>} File contents
+   */
+  async get(cid) {
+    throw this.notSupported("get");
+  }
+
+  /**
+   * Remove a file, reversibly until the backend collects it (IPFS unpin,
+   * move to the trash of the filesystem and S3 backends)
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether removal was successful
+   */
+  async remove(cid) {
+    throw this.notSupported("remove");
+  }
+
+  /**
+   * Undo remove(), e.g. after the deletion transaction failed
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether the file is stored again
+   */
+  async restore(cid) {
+    throw this.notSupported("restore");
+  }
+
+  /**
+   * Check if a file is stored
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} Whether the file exists
+   */
+  async exists(cid) {
+    throw this.notSupported("exists");
+  }
+
+  /**
+   * Get a public URL of the (encrypted) file
+   * @param {string} cid - Content ID
+   * @returns {string|null} URL, or null if the backend serves no public URL
+   */
+  getPublicUrl(cid) {
+    return null;
+  }
+
+  /**
+   * Describe where files are stored, for health checks
+   * @returns {string} API URL, directory or bucket
+   */
+  getLocation() {
+    return this.name;
+  }
+
+  /**
+   * Test the connection to the backend
+   * @returns {Promise<boolean>} Whether the backend is usable
+   */
+  async testConnection() {
+    return false;
+  }
+
+  notSupported(operation) {
+    return new Error(`${this.name} storage does not support ${operation}`);
+  }
+
+  /**
+   * Check that a CID is safe to use as a file name or object key
+   * @param {string} cid - Content ID
+   * @returns {string} The CID
+   */
+  static assertCid(cid) {
+    if (typeof cid !== "string" || !CID_PATTERN.test(cid)) {
+      throw new Error(`Invalid content ID: ${cid}`);
+    }
+    return cid;
+  }
+
+  /**
+   * Compute the CIDv1 of bytes stored as a single raw block
+   * @param {Buffer} data - File contents
+   * @returns {string} Base32 CID (bafkrei...)
+   */
+  static computeCid(data) {
+    return StorageProvider.cidFromDigest(
+      crypto.createHash("sha256").update(data).digest()
+    );
+  }
+
+  /**
+   * Build the raw-block CIDv1 of a sha2-256 digest
+   * @param {Buffer} digest - SHA-256 digest of the contents
+   * @returns {string} Base32 CID (bafkrei...)
+   */
+  static cidFromDigest(digest) {
+    return `b${toBase32(Buffer.concat([RAW_SHA256_CID_HEADER, digest]))}`;
+  }
+
+  /**
+   * Hash a local file without reading it into memory
+   * @param {string} filePath - File path
+   * @returns {Promise<Buffer>} SHA-256 digest
+   */
+  static async hashFile(filePath) {
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest();
+  }
+
+  /**
+   * Pass a stream through, failing it at the end if its contents do not
+   * match a CID from computeCid()
+   * @param {string} cid - Content ID
+   * @param {Readable} source - File contents
+   * @returns {Readable} Checked contents
+   */
+  static verified(cid, source) {
+    const hash = crypto.createHash("sha256");
+    const check = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        callback(
+          StorageProvider.cidFromDigest(hash.digest()) === cid
+            ? null
+            : new Error(`Stored content does not match CID ${cid}`)
+        );
+      },
+    });
+    // Errors reach the consumer through the returned stream
+    return pipeline(source, check, () => {});
+  }
+}
+
+module.exports = StorageProvider;
@@ -0,0 +1,281 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { Readable, pipeline } = require("stream");
+const { pipeline: pipelineAsync } = require("stream/promises");
+const { buffer: readAll } = require("stream/consumers");
+const EncryptionService = require("./encryptionService");
+const IpfsStorageProvider = require("./ipfsStorageProvider");
+const FilesystemStorageProvider = require("./filesystemStorageProvider");
+const S3StorageProvider = require("./s3StorageProvider");
+
+/**
+ * Storage Service
+ * Encrypts certificate files and stores them with the storage provider
+ * selected by STORAGE_PROVIDER: ipfs (default), filesystem or s3. The
+ * provider only ever sees encrypted bytes; the CID it returns is what goes
+ * on-chain. Files are encrypted as a stream into a spool file in
+ * UPLOAD_TMP_DIR and read back as a stream, so memory use does not grow with
+ * the file size.
+ */
+class StorageService {
+  constructor(
+    provider = StorageService.createProvider(
+      process.env.STORAGE_PROVIDER || "ipfs"
+    ),
+    encryptionService = new EncryptionService(),
+    spoolDirectory = process.env.UPLOAD_TMP_DIR ||
+      path.join(os.tmpdir(), "vault-uploads")
+  ) {
+    this.provider = provider;
+    this.encryptionService = encryptionService;
+    this.spoolDirectory = spoolDirectory;
+  }
+
+  /**
+   * Create a storage provider from its type
+   * @param {string} type - ipfs, filesystem or s3
+   * @returns {StorageProvider} Provider configured from the environment
+   */
+  static createProvider(type) {
+    switch (type) {
+      case "ipfs":
+        return new IpfsStorageProvider();
+      case "filesystem":
+        return new FilesystemStorageProvider();
+      case "s3":
+        return new S3StorageProvider();
+      default:
+        throw new Error(`Unknown storage provider: ${type}`);
+    }
+  }
+
+  /**
+   * Name of the storage provider
+   * @returns {string} ipfs, filesystem or s3
+   */
+  get providerName() {
+    return this.provider.name;
+  }
+
+  /**
+   * Encrypt a stream into a spool file and store it
+   * @param {Readable} source - File contents
+   * @param {string} fileName - Name of the file
+   * @param {Object} options - Upload options
+   * @param {number} options.size - Size of the contents in bytes
+   * @param {boolean} options.dryRun - Encrypt and hash only; nothing is stored
+   * @returns {Promise<string>} - CID (Content ID)
+   */
+  async uploadStream(source, fileName, { size, dryRun = false } = {}) {
+    const spoolPath = path.join(this.spoolDirectory, `spool_${uuidv4()}`);
+    try {
+      console.log(
+        `Uploading file to ${this.providerName} storage: ${fileName}`
+      );
+
+      await fs.promises.mkdir(this.spoolDirectory, { recursive: true });
+      await pipelineAsync(
+        source,
+        this.encryptionService.createEncryptStream(fileName, size),
+        fs.createWriteStream(spoolPath)
+      );
+      const { size: encryptedSize } = await fs.promises.stat(spoolPath);
+
+      const cid = await this.provider.put(spoolPath, `encrypted_${fileName}`, {
+        dryRun,
+      });
+
+      console.log(
+        dryRun
+          ? `File hashed (dry run, not stored). CID: ${cid}`
+          : `File uploaded successfully. CID: ${cid}`
+      );
+      console.log(`   Original size: ${size} bytes`);
+      console.log(`   Encrypted size: ${encryptedSize} bytes`);
+
+      return cid;
+    } catch (error) {
+      console.error("Error uploading file:", error);
+      throw new Error(
+        `Failed to upload file to ${this.providerName} storage: ${error.message}`
+      );
+    } finally {
+      await fs.promises.rm(spoolPath, { force: true });
+    }
+  }
+
+  /**
+   * Encrypt and store a file held in memory
+   * @param {Buffer|string} fileData - File data to upload
+   * @param {string} fileName - Name of the file
+   * @param {Object} options - Upload options
+   * @param {boolean} options.dryRun - Encrypt and hash only; nothing is stored
+   * @returns {Promise<string>} - CID (Content ID)
+   */
+  async uploadFile(fileData, fileName, options = {}) {
+    const bufferData = Buffer.isBuffer(fileData)
+      ? fileData
+      : Buffer.from(fileData);
+    return this.uploadStream(Readable.from([bufferData]), fileName, {
+      ...options,
+      size: bufferData.length,
+    });
+  }
+
+  /**
+   * Encrypt and store a file from disk, streaming it
+   * @param {string} filePath - Path to the file
+   * @param {string} fileName - Name of the file (default: its base name)
+   * @param {Object} options - Upload options
+   * @param {boolean} options.dryRun - Encrypt and hash only; nothing is stored
+   * @returns {Promise<string>} - CID (Content ID)
+   */
+  async uploadFileFromPath(
+    filePath,
+    fileName = path.basename(filePath),
+    options = {}
+  ) {
+    let size;
+    try {
+      ({ size } = await fs.promises.stat(filePath));
+    } catch (error) {
+      console.error("Error uploading file from path:", error);
+      throw new Error(`Failed to upload file from path: ${error.message}`);
+    }
+    return this.uploadStream(fs.createReadStream(filePath), fileName, {
+      ...options,
+      size,
+    });
+  }
+
+  /**
+   * Retrieve a file as a decrypting stream
+   * Resolves once the file's header has been read. The contents are
+   * authenticated segment by segment; a corrupted or truncated file fails the
+   * stream, so consumers must handle its errors.
+   * @param {string} cid - CID (Content ID)
+   * @returns {Promise<Object>} - File metadata and its decrypted stream
+   */
+  async retrieveFileStream(cid) {
+    try {
+      console.log(`Retrieving file from ${this.providerName} storage: ${cid}`);
+
+      const encrypted = await this.provider.get(cid);
+      const decrypt = this.encryptionService.createDecryptStream();
+      // Errors reach the consumer through the decrypted stream
+      pipeline(encrypted, decrypt, () => {});
+      const metadata = await decrypt.metadata;
+
+      console.log(`File retrieved: ${metadata.fileName}`);
+      console.log(`   Original size: ${metadata.originalSize} bytes`);
+
+      return { ...metadata, stream: decrypt };
+    } catch (error) {
+      console.error("Error retrieving file:", error);
+      throw new Error(
+        `Failed to retrieve file from ${this.providerName} storage: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Retrieve and decrypt a file into memory
+   * @param {string} cid - CID (Content ID)
+   * @returns {Promise<Object>} - Decrypted file data and metadata
+   */
+  async retrieveFile(cid) {
+    const { stream, ...metadata } = await this.retrieveFileStream(cid);
+    try {
+      return { ...metadata, content: await readAll(stream) };
+    } catch (error) {
+      console.error("Error retrieving file:", error);
+      throw new Error(
+        `Failed to retrieve file from ${this.providerName} storage: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Check if a file is stored
+   * @param {string} cid - CID (Content ID)
+   * @returns {Promise<boolean>} - Whether file exists
+   */
+  async fileExists(cid) {
+    try {
+      return await this.provider.exists(cid);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove a file (IPFS unpin, or move to the provider's trash)
+   * @param {string} cid - CID (Content ID)
+   * @returns {Promise<boolean>} - Whether removal was successful
+   */
+  async removeFile(cid) {
+    try {
+      console.log(`Removing file from ${this.providerName} storage: ${cid}`);
+      await this.provider.remove(cid);
+      console.log(`File removed successfully: ${cid}`);
+      return true;
+    } catch (error) {
+      console.error("Error removing file:", error);
+      throw new Error(
+        `Failed to remove file from ${this.providerName} storage: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Store a removed file again, e.g. after a removal had to be rolled back
+   * @param {string} cid - CID (Content ID)
+   * @returns {Promise<boolean>} - Whether the file is stored again
+   */
+  async restoreFile(cid) {
+    try {
+      console.log(`Restoring file in ${this.providerName} storage: ${cid}`);
+      await this.provider.restore(cid);
+      console.log(`File restored successfully: ${cid}`);
+      return true;
+    } catch (error) {
+      console.error("Error restoring file:", error);
+      throw new Error(
+        `Failed to restore file in ${this.providerName} storage: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the public URL of the encrypted file (IPFS gateway, S3_PUBLIC_URL)
+   * @param {string} cid - CID (Content ID)
+   * @returns {string|null} - URL, or null if the provider serves none
+   */
+  getGatewayUrl(cid) {
+    return this.provider.getPublicUrl(cid);
+  }
+
+  /**
+   * Describe where files are stored
+   * @returns {string} - API URL, directory or bucket
+   */
+  getLocation() {
+    return this.provider.getLocation();
+  }
+
+  /**
+   * Test the storage provider
+   * @returns {Promise<boolean>} - Whether the provider is usable
+   */
+  async testConnection() {
+    return this.provider.testConnection();
+  }
+}
+
+StorageService.IpfsStorageProvider = IpfsStorageProvider;
+StorageService.FilesystemStorageProvider = FilesystemStorageProvider;
+StorageService.S3StorageProvider = S3StorageProvider;
+
+module.exports = StorageService;
@@ -0,0 +1,191 @@
+const Utils = require("../../utils");
+
+// The local nonce is stale: another transaction already used it
+const NONCE_ERRORS = /nonce too low|replacement transaction underpriced/i;
+
+// Connection errors raised before the request reached the node
+const UNREACHED_ERRORS =
+  /ECONNREFUSED|ENOTFOUND|EHOSTUNREACH|ENETUNREACH|EAI_AGAIN/;
+
+// Dropped connections: the node may have accepted the transaction anyway
+const CONNECTION_ERRORS =
+  /CONNECTION ERROR|Invalid JSON RPC response|ECONNRESET|ETIMEDOUT|socket hang up/i;
+
+/**
+ * Transaction Queue
+ * Assigns nonces locally and pipelines submissions per signer account:
+ * each transaction is submitted only after the previous one from the same
+ * account was accepted by the node, while receipts are awaited in parallel.
+ */
+class TransactionQueue {
+  constructor({ maxRetries = 3, retryDelay = 500 } = {}) {
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.lanes = new Map();
+    this.entries = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Get the lane of a signer account
+   * @param {string} address - Signer address
+   * @returns {Object} Lane with the submission chain and next local nonce
+   */
+  getLane(address) {
+    const key = address.toLowerCase();
+    if (!this.lanes.has(key)) {
+      this.lanes.set(key, { address, tail: Promise.resolve(), nonce: null });
+    }
+    return this.lanes.get(key);
+  }
+
+  /**
+   * Queue a transaction for a signer account
+   * @param {string} address - Signer address
+   * @param {Function} submit - async (nonce) => ({transactionHash, receipt}), where receipt is a promise
+   * @param {Object} options - Queue options
+   * @param {string} options.label - Description shown in the queue status
+   * @param {Function} options.fetchNonce - async () => next nonce from the node; omit to let the sender pick nonces
+   * @param {boolean} options.idempotent - submit sends the same signed transaction again for the same nonce and
+   *   resolves if an earlier attempt already reached the node
+   * @returns {Promise<Object>} - Transaction hash and receipt once mined
+   */
+  async run(
+    address,
+    submit,
+    { label = "transaction", fetchNonce = null, idempotent = false } = {}
+  ) {
+    const lane = this.getLane(address);
+    const entry = {
+      id: this.nextId++,
+      address,
+      label,
+      status: "queued",
+      nonce: null,
+      transactionHash: null,
+      attempts: 0,
+      queuedAt: new Date().toISOString(),
+      submittedAt: null,
+    };
+    this.entries.set(entry.id, entry);
+
+    const submission = lane.tail.then(() =>
+      this.submitWithRetry(lane, entry, submit, { fetchNonce, idempotent })
+    );
+    lane.tail = submission.catch(() => {});
+
+    try {
+      const { transactionHash, receipt } = await submission;
+      return { transactionHash, receipt: await receipt };
+    } finally {
+      this.entries.delete(entry.id);
+    }
+  }
+
+  /**
+   * Submit a queued transaction, retrying transient RPC errors
+   * A dropped connection keeps the nonce, so the retry can only replace the
+   * same transaction; the nonce is resynced from the node only when it was
+   * taken, and never after an attempt that may have reached the node unless
+   * the submission can tell its own transaction apart (idempotent).
+   * @param {Object} lane - Signer lane
+   * @param {Object} entry - Queue entry
+   * @param {Function} submit - Submission function
+   * @param {Object} options - fetchNonce (null if the sender picks nonces) and idempotent, see run
+   * @returns {Promise<Object>} - Transaction hash and receipt promise
+   */
+  async submitWithRetry(lane, entry, submit, { fetchNonce, idempotent }) {
+    // Set once a submission may have reached the node without an answer
+    let inFlight = false;
+    for (let attempt = 1; ; attempt++) {
+      entry.attempts = attempt;
+      entry.status = "submitting";
+      let sent = false;
+
+      try {
+        if (fetchNonce) {
+          if (lane.nonce === null) {
+            lane.nonce = Number(await fetchNonce());
+          }
+          entry.nonce = lane.nonce;
+        }
+
+        sent = true;
+        const submitted = await submit(entry.nonce);
+
+        if (fetchNonce) {
+          lane.nonce++;
+        } else {
+          // The sender picked its own nonce; resync before the next local one
+          lane.nonce = null;
+        }
+        entry.status = "pending";
+        entry.transactionHash = submitted.transactionHash;
+        entry.submittedAt = new Date().toISOString();
+        return submitted;
+      } catch (error) {
+        const unreached = UNREACHED_ERRORS.test(error.message);
+        const dropped = !unreached && CONNECTION_ERRORS.test(error.message);
+        const nonceTaken = NONCE_ERRORS.test(error.message);
+        inFlight = inFlight || (sent && dropped);
+
+        let retryable = unreached;
+        if (dropped) {
+          // Only a local nonce pins the retry to the same transaction
+          retryable = !sent || Boolean(fetchNonce);
+        } else if (nonceTaken) {
+          retryable = !inFlight || idempotent;
+        }
+
+        if (!retryable || attempt > this.maxRetries) {
+          // Resync from the node, the local nonce may be stale or unused
+          lane.nonce = null;
+          entry.status = "failed";
+          if (nonceTaken && !retryable) {
+            throw new Error(
+              `${entry.label} may already have been submitted with nonce ${entry.nonce}, not sending it again: ${error.message}`
+            );
+          }
+          throw error;
+        }
+
+        if (nonceTaken) {
+          lane.nonce = null;
+        }
+        console.warn(
+          `Retrying ${entry.label} from ${entry.address} (attempt ${attempt}): ${error.message}`
+        );
+        await Utils.sleep(this.retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Get queue depth and pending transactions
+   * @returns {Object} - Per-signer depth and every queued or pending transaction
+   */
+  getStatus() {
+    const entries = [...this.entries.values()];
+    const signers = [...this.lanes.values()].map((lane) => {
+      const laneEntries = entries.filter(
+        (entry) => entry.address.toLowerCase() === lane.address.toLowerCase()
+      );
+      return {
+        address: lane.address,
+        depth: laneEntries.length,
+        queued: laneEntries.filter((entry) => entry.status === "queued").length,
+        pending: laneEntries.filter((entry) => entry.status === "pending")
+          .length,
+        nextNonce: lane.nonce,
+      };
+    });
+
+    return {
+      depth: entries.length,
+      signers,
+      transactions: entries.map((entry) => ({ ...entry })),
+    };
+  }
+}
+
+module.exports = TransactionQueue;
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { v4: uuidv4 } = require("uuid");
+
+// Upload IDs are UUIDs, never paths
+const UPLOAD_ID_PATTERN = /^upload_[0-9a-f-]{36}$/;
+
+// Sessions a chunk is being written to or a certificate is being issued
+// from, shared by every UploadService instance so the upload and
+// certificate routes see each other's locks
+const lockedUploads = new Set();
+
+function statusError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Upload Service
+ * Resumable uploads for large files over unreliable connections, following
+ * the tus protocol (core, creation, expiration and termination): a session
+ * is created with the file's size, chunks are appended at the current
+ * offset, and a dropped chunk is resumed from the offset the server reports.
+ * Each session is a data file and a JSON file in UPLOADS_PATH (default
+ * data/uploads), so sessions survive a restart. Sessions expire
+ * UPLOAD_SESSION_TTL_HOURS after their last chunk and are swept.
+ */
+class UploadService {
+  constructor(
+    directory = process.env.UPLOADS_PATH ||
+      path.join(__dirname, "../../data/uploads"),
+    ttlHours = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS || "24"),
+    maxSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024
+  ) {
+    this.directory = path.resolve(directory);
+    this.ttl = ttlHours * 60 * 60 * 1000;
+    this.maxSize = maxSize;
+    this.locked = lockedUploads;
+    this.sweeper = null;
+  }
+
+  pathsOf(id) {
+    if (typeof id !== "string" || !UPLOAD_ID_PATTERN.test(id)) {
+      throw statusError(404, `Upload ${id} not found`, "UPLOAD_NOT_FOUND");
+    }
+    return {
+      meta: path.join(this.directory, `${id}.json`),
+      data: path.join(this.directory, `${id}.part`),
+    };
+  }
+
+  /**
+   * Create an upload session
+   * @param {Object} params - Session parameters
+   * @param {number} params.size - Total file size in bytes
+   * @param {string} params.fileName - Original file name
+   * @param {string} params.fileType - MIME type
+   * @returns {Promise<Object>} Session with its offset and expiry
+   */
+  async createUpload({ size, fileName, fileType }) {
+    if (size > this.maxSize) {
+      throw statusError(
+        413,
+        `File of ${size} bytes exceeds the ${this.maxSize} byte limit`,
+        "FILE_TOO_LARGE"
+      );
+    }
+
+    const id = `upload_${uuidv4()}`;
+    const { meta, data } = this.pathsOf(id);
+    const upload = {
+      id,
+      size,
+      fileName,
+      fileType,
+      createdAt: new Date().toISOString(),
+    };
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(data, "");
+    await fs.promises.writeFile(meta, JSON.stringify(upload, null, 2));
+    return this.getUpload(id);
+  }
+
+  /**
+   * Get an upload session
+   * The offset is the size of the data received so far, so a chunk cut off
+   * half-way is resumed right after its last stored byte.
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object|null>} Session, or null if unknown or expired
+   */
+  async getUpload(id) {
+    let paths;
+    try {
+      paths = this.pathsOf(id);
+    } catch (error) {
+      return null;
+    }
+
+    let upload;
+    let stats;
+    try {
+      upload = JSON.parse(await fs.promises.readFile(paths.meta, "utf8"));
+      stats = await fs.promises.stat(paths.data);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+
+    const expiresAt = new Date(stats.mtimeMs + this.ttl);
+    if (expiresAt.getTime() <= Date.now()) {
+      return null;
+    }
+    return {
+      ...upload,
+      offset: stats.size,
+      isComplete: stats.size === upload.size,
+      expiresAt: expiresAt.toISOString(),
+      filePath: paths.data,
+    };
+  }
+
+  /**
+   * Append a chunk at the session's current offset
+   * @param {string} id - Upload ID
+   * @param {number} offset - Offset the client is writing at
+   * @param {Readable} chunk - Chunk contents
+   * @param {number|null} length - Chunk length, when known in advance
+   * @returns {Promise<Object>} Session with its new offset
+   */
+  async appendChunk(id, offset, chunk, length = null) {
+    const upload = await this.getUpload(id);
+    if (!upload) {
+      throw statusError(404, `Upload ${id} not found`, "UPLOAD_NOT_FOUND");
+    }
+    if (this.locked.has(id)) {
+      throw statusError(409, `Upload ${id} is in use`, "UPLOAD_LOCKED");
+    }
+    if (offset !== upload.offset) {
+      throw statusError(
+        409,
+        `Offset ${offset} does not match the upload offset ${upload.offset}`,
+        "OFFSET_MISMATCH"
+      );
+    }
+
+    // Bytes past the declared size are refused, not stored
+    let remaining = upload.size - upload.offset;
+    if (length !== null && length > remaining) {
+      throw statusError(
+        413,
+        `Chunk exceeds the upload size of ${upload.size} bytes`,
+        "CHUNK_TOO_LARGE"
+      );
+    }
+    const limit = new Transform({
+      transform(data, encoding, callback) {
+        if (data.length > remaining) {
+          return callback(
+            statusError(
+              413,
+              `Chunk exceeds the upload size of ${upload.size} bytes`,
+              "CHUNK_TOO_LARGE"
+            )
+          );
+        }
+        remaining -= data.length;
+        callback(null, data);
+      },
+    });
+
+    this.locked.add(id);
+    try {
+      await pipeline(
+        chunk,
+        limit,
+        fs.createWriteStream(upload.filePath, { flags: "a" })
+      );
+    } finally {
+      this.locked.delete(id);
+    }
+    return this.getUpload(id);
+  }
+
+  /**
+   * Lock a finished upload to issue or update a certificate with
+   * Call releaseUpload() once the request is done.
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object>} Complete session
+   */
+  async claimUpload(id) {
+    const upload = await this.getUpload(id);
+    if (!upload) {
+      throw statusError(404, `Upload ${id} not found`, "UPLOAD_NOT_FOUND");
+    }
+    if (this.locked.has(id)) {
+      throw statusError(409, `Upload ${id} is in use`, "UPLOAD_LOCKED");
+    }
+    if (!upload.isComplete) {
+      throw statusError(
+        409,
+        `Upload ${id} is incomplete: ${upload.offset} of ${upload.size} bytes received`,
+        "UPLOAD_INCOMPLETE"
+      );
+    }
+    this.locked.add(id);
+    return upload;
+  }
+
+  /**
+   * Unlock an upload claimed with claimUpload()
+   * @param {string} id - Upload ID
+   */
+  releaseUpload(id) {
+    this.locked.delete(id);
+  }
+
+  /**
+   * Delete an upload session and its data
+   * @param {string} id - Upload ID
+   * @returns {Promise<boolean>} Whether the session existed
+   */
+  async deleteUpload(id) {
+    const { meta, data } = this.pathsOf(id);
+    const existed = fs.existsSync(meta);
+    await fs.promises.rm(data, { force: true });
+    await fs.promises.rm(meta, { force: true });
+    return existed;
+  }
+
+  /**
+   * Delete the sessions whose last chunk is older than the TTL
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async sweepExpired() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+
+    let swept = 0;
+    for (const file of files) {
+      const id = path.basename(file, ".json");
+      if (!file.endsWith(".json") || !UPLOAD_ID_PATTERN.test(id)) {
+        continue;
+      }
+      if (!this.locked.has(id) && !(await this.getUpload(id))) {
+        await this.deleteUpload(id);
+        swept++;
+      }
+    }
+    if (swept > 0) {
+      console.log(`Swept ${swept} expired upload session(s)`);
+    }
+    return swept;
+  }
+
+  /**
+   * Sweep expired sessions now and then periodically
+   * @param {number} intervalMs - Time between sweeps
+   */
+  startSweeper(intervalMs = 15 * 60 * 1000) {
+    const sweep = () =>
+      this.sweepExpired().catch((error) =>
+        console.error("Error sweeping upload sessions:", error)
+      );
+    sweep();
+    this.sweeper = setInterval(sweep, intervalMs);
+    this.sweeper.unref();
+  }
+}
+
+module.exports = UploadService;
@@ -35,7 +35,7 @@ class Config {
         jwtSecret: process.env.JWT_SECRET || "your-super-secret-jwt-key",
       },
       upload: {
-        maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+        maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024, // 5GB
         allowedTypes: (
           process.env.ALLOWED_FILE_TYPES ||
           "image/png,image/jpeg,application/pdf,text/plain,text/html,application/json"
@@ -12,23 +12,96 @@ contract CertificateManager {
     struct Certificate {
         string fid;           // File ID - persistent logical identifier
         string cid;           // Content ID - IPFS hash for current version
-        string email;        // Certificate holder email
+        string email;        // Certificate holder email, empty if only a commitment is stored
         uint256 issueDate;   // Date of issue (timestamp)
         uint256 lastModified; // Last modification date
         address issuer;      // Address of the issuer
         bool isActive;       // Whether certificate is active
-        // Removed versionHistory to save gas - versions tracked via events
+        uint256 validUntil;  // Expiry date (timestamp), 0 if the certificate never expires
+        bytes32 emailCommitment; // keccak256(normalized email, salt), 0 for plaintext emails
     }
     
+    // Struct to store a single entry of a certificate's version history
+    struct CertificateVersion {
+        string cid;           // Content ID of this version
+        uint256 timestamp;    // When this version was recorded
+        address modifiedBy;   // Address that recorded this version
+    }
+    
+    // Standard reasons for revoking a certificate
+    enum RevocationReason {
+        Unspecified,
+        Superseded,
+        KeyCompromise,
+        Misconduct,
+        IssuerError,
+        AffiliationChanged,
+        CessationOfOperation
+    }
+    
+    // Struct to store revocation details
+    struct Revocation {
+        RevocationReason reason; // Standard reason code
+        string note;             // Free-text explanation
+        uint256 revokedAt;       // Revocation date (timestamp)
+        address revokedBy;       // Address that revoked the certificate
+    }
+    
+    // Struct to store issuer registry information
+    struct Issuer {
+        string name;          // Display name of the issuer
+        bool isActive;        // Whether the issuer may issue certificates
+        uint256 registeredAt; // When the issuer was first registered
+        uint256 updatedAt;    // Last change of name or status
+    }
+    
+    // Struct to store a Merkle root anchoring an off-chain batch of certificates
+    struct AnchoredBatch {
+        uint256 count;        // Number of certificates (leaves) in the batch
+        uint256 anchoredAt;   // When the root was anchored (timestamp)
+        address issuer;       // Address that anchored the root
+    }
+    
+    // Roles
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    
+    // Mapping from role to account to membership
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    
+    // Mapping from address to issuer registry entry
+    mapping(address => Issuer) public issuers;
+    
+    // Array to store all registered issuer addresses for enumeration
+    address[] private issuerAddresses;
+    
     // Mapping from FID to Certificate
     mapping(string => Certificate) public certificates;
     
+    // Mapping from FID to append-only list of versions (index 0 is the issued version)
+    mapping(string => CertificateVersion[]) private versionHistory;
+    
+    // Mapping from FID to revocation details (revokedAt is 0 if not revoked)
+    mapping(string => Revocation) private revocations;
+    
     // Mapping from email to array of FIDs
     mapping(string => string[]) public certificatesByEmail;
     
+    // Mapping from issuer address to array of FIDs
+    mapping(address => string[]) private certificatesByIssuer;
+    
     // Array to store all FIDs for enumeration
     string[] public allFIDs;
     
+    // Mapping from Merkle root to anchored batch (anchoredAt is 0 if not anchored)
+    mapping(bytes32 => AnchoredBatch) private anchoredBatches;
+    
+    // Maximum number of FIDs returned by a paginated view
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    
+    // Maximum number of certificates issued in a single batch (keeps a full batch under the block gas limit)
+    uint256 public constant MAX_BATCH_SIZE = 20;
+    
     // Events
     event CertificateIssued(
         string indexed fid,
@@ -57,9 +130,60 @@ contract CertificateManager {
         address indexed deleter
     );
     
+    event CertificateRevoked(
+        string indexed fid,
+        uint8 reasonCode,
+        string note,
+        uint256 revocationDate,
+        address indexed revoker
+    );
+    
+    event CertificateRenewed(
+        string indexed fid,
+        uint256 previousValidUntil,
+        uint256 newValidUntil,
+        address indexed renewer
+    );
+    
+    event BatchAnchored(
+        bytes32 indexed root,
+        uint256 count,
+        uint256 anchoredAt,
+        address indexed issuer
+    );
+    
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    
+    event IssuerRegistered(
+        address indexed issuer,
+        string name,
+        address indexed registeredBy
+    );
+    
     // Modifiers
+    modifier onlyAdmin() {
+        require(roles[ADMIN_ROLE][msg.sender], "Caller is not an admin");
+        _;
+    }
+    
+    modifier onlyActiveIssuer() {
+        require(roles[ISSUER_ROLE][msg.sender], "Caller is not an active issuer");
+        _;
+    }
+    
     modifier onlyIssuer(string memory fid) {
         require(certificates[fid].issuer == msg.sender, "Only issuer can modify certificate");
+        require(roles[ISSUER_ROLE][msg.sender], "Caller is not an active issuer");
         _;
     }
     
@@ -74,7 +198,86 @@ contract CertificateManager {
     }
     
     /**
-     * @dev Issue a new certificate
+     * @dev Deployer becomes the first admin and issuer
+     */
+    constructor() {
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _registerIssuer(msg.sender, "Contract Deployer");
+    }
+    
+    /**
+     * @dev Grant the admin role
+     * @param account Address to grant the role to
+     */
+    function grantAdmin(address account) external onlyAdmin {
+        require(account != address(0), "Admin address cannot be zero");
+        _grantRole(ADMIN_ROLE, account);
+    }
+    
+    /**
+     * @dev Revoke the admin role
+     * @param account Address to revoke the role from
+     */
+    function revokeAdmin(address account) external onlyAdmin {
+        require(account != msg.sender, "Admin cannot revoke own role");
+        _revokeRole(ADMIN_ROLE, account);
+    }
+    
+    /**
+     * @dev Register an issuer or re-activate an existing one
+     * @param account Issuer address
+     * @param name Display name of the issuer
+     */
+    function grantIssuer(address account, string memory name) external onlyAdmin {
+        require(account != address(0), "Issuer address cannot be zero");
+        require(bytes(name).length > 0, "Issuer name cannot be empty");
+        
+        _registerIssuer(account, name);
+    }
+    
+    /**
+     * @dev Revoke the issuer role (registry entry is kept as inactive)
+     * @param account Issuer address
+     */
+    function revokeIssuer(address account) external onlyAdmin {
+        require(roles[ISSUER_ROLE][account], "Account is not an active issuer");
+        
+        issuers[account].isActive = false;
+        issuers[account].updatedAt = block.timestamp;
+        
+        _revokeRole(ISSUER_ROLE, account);
+    }
+    
+    /**
+     * @dev Check if an account has a role
+     * @param role Role identifier
+     * @param account Address to check
+     * @return Whether the account has the role
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return roles[role][account];
+    }
+    
+    /**
+     * @dev Get issuer registry entry
+     * @param account Issuer address
+     * @return Issuer struct
+     */
+    function getIssuer(address account) external view returns (Issuer memory) {
+        require(issuers[account].registeredAt > 0, "Issuer does not exist");
+        return issuers[account];
+    }
+    
+    /**
+     * @dev Get all registered issuer addresses (active and revoked)
+     * @return Array of issuer addresses
+     */
+    function getIssuers() external view returns (address[] memory) {
+        return issuerAddresses;
+    }
+    
+    /**
+     * @dev Issue a new certificate that never expires
      * @param fid File ID - persistent identifier
      * @param cid Content ID - IPFS hash
      * @param email Certificate holder email
@@ -83,11 +286,132 @@ contract CertificateManager {
         string memory fid,
         string memory cid,
         string memory email
-    ) external {
+    ) external onlyActiveIssuer {
+        _issueCertificate(fid, cid, email, bytes32(0), 0);
+    }
+    
+    /**
+     * @dev Issue a new certificate with an expiry date
+     * @param fid File ID - persistent identifier
+     * @param cid Content ID - IPFS hash
+     * @param email Certificate holder email
+     * @param validUntil Expiry date (timestamp), 0 for no expiry
+     */
+    function issueCertificate(
+        string memory fid,
+        string memory cid,
+        string memory email,
+        uint256 validUntil
+    ) external onlyActiveIssuer {
+        _issueCertificate(fid, cid, email, bytes32(0), validUntil);
+    }
+    
+    /**
+     * @dev Issue several certificates that never expire in one transaction
+     * @notice Emits CertificateIssued per item; the whole batch reverts if any item is invalid
+     * @param fids File IDs
+     * @param cids Content IDs, same length as fids
+     * @param emails Certificate holder emails, same length as fids
+     */
+    function issueCertificates(
+        string[] calldata fids,
+        string[] calldata cids,
+        string[] calldata emails
+    ) external onlyActiveIssuer {
+        require(fids.length > 0 && fids.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        require(
+            cids.length == fids.length && emails.length == fids.length,
+            "Batch length mismatch"
+        );
+        
+        for (uint256 i = 0; i < fids.length; i++) {
+            _issueCertificate(fids[i], cids[i], emails[i], bytes32(0), 0);
+        }
+    }
+    
+    /**
+     * @dev Issue several certificates that store only salted email commitments in one transaction
+     * @notice Emits CertificateIssued per item; the whole batch reverts if any item is invalid
+     * @param fids File IDs
+     * @param cids Content IDs, same length as fids
+     * @param emailCommitments keccak256(abi.encodePacked(normalized email, salt)) per item, same length as fids
+     */
+    function issueCertificatesWithCommitment(
+        string[] calldata fids,
+        string[] calldata cids,
+        bytes32[] calldata emailCommitments
+    ) external onlyActiveIssuer {
+        require(fids.length > 0 && fids.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        require(
+            cids.length == fids.length && emailCommitments.length == fids.length,
+            "Batch length mismatch"
+        );
+        
+        for (uint256 i = 0; i < fids.length; i++) {
+            require(emailCommitments[i] != bytes32(0), "Email commitment cannot be empty");
+            _issueCertificate(fids[i], cids[i], "", emailCommitments[i], 0);
+        }
+    }
+    
+    /**
+     * @dev Issue a new certificate that stores only a salted commitment of the holder email
+     * @param fid File ID - persistent identifier
+     * @param cid Content ID - IPFS hash
+     * @param emailCommitment keccak256(abi.encodePacked(normalized email, salt))
+     * @param validUntil Expiry date (timestamp), 0 for no expiry
+     */
+    function issueCertificateWithCommitment(
+        string memory fid,
+        string memory cid,
+        bytes32 emailCommitment,
+        uint256 validUntil
+    ) external onlyActiveIssuer {
+        require(emailCommitment != bytes32(0), "Email commitment cannot be empty");
+        _issueCertificate(fid, cid, "", emailCommitment, validUntil);
+    }
+    
+    /**
+     * @dev Extend the expiry date of a certificate
+     * @param fid File ID
+     * @param newValidUntil New expiry date (timestamp)
+     */
+    function renewCertificate(
+        string memory fid,
+        uint256 newValidUntil
+    ) external certificateExists(fid) onlyIssuer(fid) certificateActive(fid) {
+        Certificate storage cert = certificates[fid];
+        require(cert.validUntil != 0, "Certificate does not expire");
+        require(
+            newValidUntil > cert.validUntil && newValidUntil > block.timestamp,
+            "New expiry must extend current expiry"
+        );
+        
+        uint256 previousValidUntil = cert.validUntil;
+        cert.validUntil = newValidUntil;
+        cert.lastModified = block.timestamp;
+        
+        emit CertificateRenewed(fid, previousValidUntil, newValidUntil, msg.sender);
+    }
+    
+    /**
+     * @dev Create a certificate record
+     * @param fid File ID - persistent identifier
+     * @param cid Content ID - IPFS hash
+     * @param email Certificate holder email
+     * @param validUntil Expiry date (timestamp), 0 for no expiry
+     */
+    function _issueCertificate(
+        string memory fid,
+        string memory cid,
+        string memory email,
+        bytes32 emailCommitment,
+        uint256 validUntil
+    ) private {
         require(bytes(fid).length > 0, "FID cannot be empty");
         require(bytes(cid).length > 0, "CID cannot be empty");
-        require(bytes(email).length > 0, "Email cannot be empty");
+        require(bytes(email).length > 0 || emailCommitment != bytes32(0), "Email cannot be empty");
         require(bytes(certificates[fid].fid).length == 0, "Certificate with this FID already exists");
+        require(validUntil == 0 || validUntil > block.timestamp, "Expiry must be in the future");
         
         // Create new certificate
         Certificate storage cert = certificates[fid];
@@ -98,10 +422,19 @@ contract CertificateManager {
         cert.lastModified = block.timestamp;
         cert.issuer = msg.sender;
         cert.isActive = true;
-        // Version history removed to save gas
+        cert.validUntil = validUntil;
+        cert.emailCommitment = emailCommitment;
+        
+        // Record the issued version
+        versionHistory[fid].push(CertificateVersion(cid, block.timestamp, msg.sender));
         
-        // Add to email mapping
-        certificatesByEmail[email].push(fid);
+        // Add to email mapping (committed emails are not indexed)
+        if (bytes(email).length > 0) {
+            certificatesByEmail[email].push(fid);
+        }
+        
+        // Add to issuer mapping
+        certificatesByIssuer[msg.sender].push(fid);
         
         // Add to all FIDs array
         allFIDs.push(fid);
@@ -123,7 +456,9 @@ contract CertificateManager {
         Certificate storage cert = certificates[fid];
         cert.cid = newCid;
         cert.lastModified = block.timestamp;
-        // Version history removed to save gas
+        
+        // Append the new version to the history
+        versionHistory[fid].push(CertificateVersion(newCid, block.timestamp, msg.sender));
         
         emit CertificateUpdated(fid, newCid, block.timestamp, msg.sender);
     }
@@ -132,20 +467,61 @@ contract CertificateManager {
      * @dev Verify a certificate
      * @param fid File ID
      * @param email Email to verify against
-     * @return isValid Whether the certificate is valid
+     * @return isValid Whether the email matches and the certificate has not expired
+     * @return expired Whether the certificate has expired
      */
     function verifyCertificate(
         string memory fid,
         string memory email
-    ) external certificateExists(fid) certificateActive(fid) returns (bool isValid) {
+    ) external certificateExists(fid) certificateActive(fid) returns (bool isValid, bool expired) {
         Certificate storage cert = certificates[fid];
+        require(cert.emailCommitment == bytes32(0), "Certificate requires salted verification");
+        
+        expired = _isExpired(cert);
         
         // Check if email matches
-        isValid = keccak256(bytes(cert.email)) == keccak256(bytes(email));
+        isValid = !expired && keccak256(bytes(cert.email)) == keccak256(bytes(email));
         
         emit CertificateVerified(fid, email, isValid, msg.sender);
         
-        return isValid;
+        return (isValid, expired);
+    }
+    
+    /**
+     * @dev Verify a certificate against its email commitment
+     * @param fid File ID
+     * @param email Normalized email to verify against
+     * @param salt Salt returned to the holder at issuance
+     * @return isValid Whether the commitment matches and the certificate has not expired
+     * @return expired Whether the certificate has expired
+     */
+    function verifyCertificate(
+        string memory fid,
+        string memory email,
+        bytes32 salt
+    ) external certificateExists(fid) certificateActive(fid) returns (bool isValid, bool expired) {
+        Certificate storage cert = certificates[fid];
+        require(cert.emailCommitment != bytes32(0), "Certificate does not use an email commitment");
+        
+        expired = _isExpired(cert);
+        
+        // Check if the commitment matches
+        isValid = !expired && computeEmailCommitment(email, salt) == cert.emailCommitment;
+        
+        // The plaintext email is not logged for committed certificates
+        emit CertificateVerified(fid, "", isValid, msg.sender);
+        
+        return (isValid, expired);
+    }
+    
+    /**
+     * @dev Compute the commitment stored for an email
+     * @param email Normalized email
+     * @param salt Per-certificate salt
+     * @return Email commitment
+     */
+    function computeEmailCommitment(string memory email, bytes32 salt) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(email, salt));
     }
     
     /**
@@ -173,6 +549,58 @@ contract CertificateManager {
         return certificatesByEmail[email];
     }
     
+    /**
+     * @dev Get number of versions recorded for a certificate
+     * @param fid File ID
+     * @return Number of versions (including the issued version)
+     */
+    function getVersionCount(string memory fid)
+        external
+        view
+        certificateExists(fid)
+        returns (uint256) {
+        return versionHistory[fid].length;
+    }
+    
+    /**
+     * @dev Get a single version of a certificate
+     * @param fid File ID
+     * @param index Version index (0 is the issued version)
+     * @return cid Content ID of the version
+     * @return timestamp When the version was recorded
+     * @return modifiedBy Address that recorded the version
+     */
+    function getVersion(string memory fid, uint256 index)
+        external
+        view
+        certificateExists(fid)
+        returns (string memory cid, uint256 timestamp, address modifiedBy) {
+        require(index < versionHistory[fid].length, "Version index out of range");
+        
+        CertificateVersion storage version = versionHistory[fid][index];
+        return (version.cid, version.timestamp, version.modifiedBy);
+    }
+    
+    /**
+     * @dev Get the CIDs of all versions of a certificate, oldest first
+     * @param fid File ID
+     * @return Array of CIDs
+     */
+    function getCertificateVersionHistory(string memory fid)
+        external
+        view
+        certificateExists(fid)
+        returns (string[] memory) {
+        CertificateVersion[] storage versions = versionHistory[fid];
+        string[] memory cids = new string[](versions.length);
+        
+        for (uint256 i = 0; i < versions.length; i++) {
+            cids[i] = versions[i].cid;
+        }
+        
+        return cids;
+    }
+    
     /**
      * @dev Delete a certificate (mark as inactive)
      * @param fid File ID
@@ -187,6 +615,64 @@ contract CertificateManager {
         emit CertificateDeleted(fid, msg.sender);
     }
     
+    /**
+     * @dev Revoke a certificate with a reason (content stays available as evidence)
+     * @param fid File ID
+     * @param reasonCode RevocationReason value
+     * @param note Free-text explanation
+     */
+    function revokeCertificate(
+        string memory fid,
+        uint8 reasonCode,
+        string memory note
+    ) external certificateExists(fid) onlyIssuer(fid) certificateActive(fid) {
+        require(
+            reasonCode <= uint8(type(RevocationReason).max),
+            "Invalid revocation reason"
+        );
+        
+        certificates[fid].isActive = false;
+        certificates[fid].lastModified = block.timestamp;
+        revocations[fid] = Revocation(
+            RevocationReason(reasonCode),
+            note,
+            block.timestamp,
+            msg.sender
+        );
+        
+        emit CertificateRevoked(fid, reasonCode, note, block.timestamp, msg.sender);
+    }
+    
+    /**
+     * @dev Get revocation details of a certificate
+     * @param fid File ID
+     * @return revoked Whether the certificate was revoked
+     * @return reasonCode RevocationReason value
+     * @return note Free-text explanation
+     * @return revokedAt Revocation date (timestamp)
+     * @return revokedBy Address that revoked the certificate
+     */
+    function getRevocation(string memory fid)
+        external
+        view
+        certificateExists(fid)
+        returns (
+            bool revoked,
+            uint8 reasonCode,
+            string memory note,
+            uint256 revokedAt,
+            address revokedBy
+        ) {
+        Revocation storage revocation = revocations[fid];
+        return (
+            revocation.revokedAt > 0,
+            uint8(revocation.reason),
+            revocation.note,
+            revocation.revokedAt,
+            revocation.revokedBy
+        );
+    }
+    
     /**
      * @dev Get total number of certificates
      * @return Number of certificates
@@ -197,6 +683,7 @@ contract CertificateManager {
     
     /**
      * @dev Get all FIDs (for enumeration)
+     * @notice Unbounded; prefer getFIDs for large registries
      * @return Array of all FIDs
      */
     function getAllFIDs() external view returns (string[] memory) {
@@ -204,16 +691,233 @@ contract CertificateManager {
     }
     
     /**
-     * @dev Check if certificate exists and is active
+     * @dev Get a page of all FIDs in issuance order
+     * @param offset Index of the first FID to return
+     * @param limit Maximum number of FIDs to return (1 to MAX_PAGE_SIZE)
+     * @return Array of FIDs
+     */
+    function getFIDs(uint256 offset, uint256 limit)
+        external
+        view
+        returns (string[] memory) {
+        return _paginate(allFIDs, offset, limit);
+    }
+    
+    /**
+     * @dev Get a page of FIDs issued to an email
+     * @param email Email address
+     * @param offset Index of the first FID to return
+     * @param limit Maximum number of FIDs to return (1 to MAX_PAGE_SIZE)
+     * @return Array of FIDs
+     */
+    function getCertificatesByEmail(string memory email, uint256 offset, uint256 limit)
+        external
+        view
+        returns (string[] memory) {
+        return _paginate(certificatesByEmail[email], offset, limit);
+    }
+    
+    /**
+     * @dev Get number of certificates issued to an email
+     * @param email Email address
+     * @return Number of certificates
+     */
+    function getEmailCertificateCount(string memory email) external view returns (uint256) {
+        return certificatesByEmail[email].length;
+    }
+    
+    /**
+     * @dev Get a page of FIDs issued by an issuer
+     * @param issuer Issuer address
+     * @param offset Index of the first FID to return
+     * @param limit Maximum number of FIDs to return (1 to MAX_PAGE_SIZE)
+     * @return Array of FIDs
+     */
+    function getCertificatesByIssuer(address issuer, uint256 offset, uint256 limit)
+        external
+        view
+        returns (string[] memory) {
+        return _paginate(certificatesByIssuer[issuer], offset, limit);
+    }
+    
+    /**
+     * @dev Get number of certificates issued by an issuer
+     * @param issuer Issuer address
+     * @return Number of certificates
+     */
+    function getIssuerCertificateCount(address issuer) external view returns (uint256) {
+        return certificatesByIssuer[issuer].length;
+    }
+    
+    /**
+     * @dev Check if certificate exists, is active, has expired or was revoked
      * @param fid File ID
      * @return exists Whether certificate exists
-     * @return active Whether certificate is active
+     * @return active Whether certificate is active (not deleted or revoked)
+     * @return expired Whether certificate has passed its expiry date
+     * @return revoked Whether certificate was revoked
      */
     function certificateStatus(string memory fid)
         external
         view
-        returns (bool exists, bool active) {
+        returns (bool exists, bool active, bool expired, bool revoked) {
         exists = bytes(certificates[fid].fid).length > 0;
         active = exists && certificates[fid].isActive;
+        expired = exists && _isExpired(certificates[fid]);
+        revoked = revocations[fid].revokedAt > 0;
+    }
+    
+    /**
+     * @dev Anchor the Merkle root of a batch of certificates kept off-chain
+     * @notice Leaves are computeBatchLeaf(fid, cid, emailCommitment); pairs are hashed in sorted order
+     * @param root Merkle root
+     * @param count Number of certificates in the batch
+     */
+    function anchorBatch(bytes32 root, uint256 count) external onlyActiveIssuer {
+        require(root != bytes32(0), "Root cannot be empty");
+        require(count > 0, "Batch cannot be empty");
+        require(anchoredBatches[root].anchoredAt == 0, "Batch already anchored");
+        
+        anchoredBatches[root] = AnchoredBatch(count, block.timestamp, msg.sender);
+        
+        emit BatchAnchored(root, count, block.timestamp, msg.sender);
+    }
+    
+    /**
+     * @dev Get an anchored batch
+     * @param root Merkle root
+     * @return anchored Whether the root has been anchored
+     * @return count Number of certificates in the batch
+     * @return anchoredAt When the root was anchored
+     * @return issuer Address that anchored the root
+     */
+    function getBatch(bytes32 root)
+        external
+        view
+        returns (bool anchored, uint256 count, uint256 anchoredAt, address issuer) {
+        AnchoredBatch storage batch = anchoredBatches[root];
+        return (batch.anchoredAt > 0, batch.count, batch.anchoredAt, batch.issuer);
+    }
+    
+    /**
+     * @dev Compute the Merkle leaf of an anchored certificate
+     * @param fid File ID
+     * @param cid Content ID - IPFS hash
+     * @param emailCommitment Salted email commitment, see computeEmailCommitment
+     * @return Leaf hash
+     */
+    function computeBatchLeaf(
+        string memory fid,
+        string memory cid,
+        bytes32 emailCommitment
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(fid, cid, emailCommitment));
+    }
+    
+    /**
+     * @dev Verify that a certificate belongs to an anchored batch
+     * @param root Merkle root
+     * @param fid File ID
+     * @param cid Content ID - IPFS hash
+     * @param emailCommitment Salted email commitment
+     * @param proof Sibling hashes from the leaf up to the root
+     * @return Whether the root is anchored and the proof is valid
+     */
+    function verifyBatchProof(
+        bytes32 root,
+        string memory fid,
+        string memory cid,
+        bytes32 emailCommitment,
+        bytes32[] memory proof
+    ) external view returns (bool) {
+        if (anchoredBatches[root].anchoredAt == 0) {
+            return false;
+        }
+        
+        bytes32 node = computeBatchLeaf(fid, cid, emailCommitment);
+        for (uint256 i = 0; i < proof.length; i++) {
+            node = node < proof[i]
+                ? keccak256(abi.encodePacked(node, proof[i]))
+                : keccak256(abi.encodePacked(proof[i], node));
+        }
+        
+        return node == root;
+    }
+    
+    /**
+     * @dev Copy a page of a FID list into memory
+     * @param list FID list
+     * @param offset Index of the first FID to return
+     * @param limit Maximum number of FIDs to return (1 to MAX_PAGE_SIZE)
+     * @return page Array of FIDs, empty if offset is past the end
+     */
+    function _paginate(string[] storage list, uint256 offset, uint256 limit)
+        private
+        view
+        returns (string[] memory page) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+        
+        if (offset >= list.length) {
+            return new string[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > list.length) {
+            end = list.length;
+        }
+        
+        page = new string[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = list[i];
+        }
+    }
+    
+    /**
+     * @dev Check if a certificate has passed its expiry date
+     */
+    function _isExpired(Certificate storage cert) private view returns (bool) {
+        return cert.validUntil != 0 && block.timestamp > cert.validUntil;
+    }
+    
+    /**
+     * @dev Create or re-activate an issuer registry entry and grant the issuer role
+     * @param account Issuer address
+     * @param name Display name of the issuer
+     */
+    function _registerIssuer(address account, string memory name) private {
+        Issuer storage issuer = issuers[account];
+        
+        if (issuer.registeredAt == 0) {
+            issuer.registeredAt = block.timestamp;
+            issuerAddresses.push(account);
+        }
+        
+        issuer.name = name;
+        issuer.isActive = true;
+        issuer.updatedAt = block.timestamp;
+        
+        emit IssuerRegistered(account, name, msg.sender);
+        
+        _grantRole(ISSUER_ROLE, account);
+    }
+    
+    /**
+     * @dev Grant a role if the account does not already have it
+     */
+    function _grantRole(bytes32 role, address account) private {
+        if (!roles[role][account]) {
+            roles[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Revoke a role if the account has it
+     */
+    function _revokeRole(bytes32 role, address account) private {
+        if (roles[role][account]) {
+            roles[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
     }
 }
@@ -14,7 +14,7 @@ class VaultStatusChecker {
     this.status = {
       contracts: false,
       blockchain: false,
-      ipfs: false,
+      storage: false,
       environment: false,
       deployment: false,
     };
@@ -27,7 +27,11 @@ class VaultStatusChecker {
     await this.checkEnvironment();
     await this.checkContracts();
     await this.checkBlockchain();
-    await this.checkIPFS();
+    if ((process.env.STORAGE_PROVIDER || "ipfs") === "ipfs") {
+      await this.checkIPFS();
+    } else {
+      await this.checkStorage();
+    }
     await this.checkDeployment();
 
     this.printSummary();
@@ -190,7 +194,7 @@ class VaultStatusChecker {
                     version.Version || version.version || "Unknown"
                   }`
                 );
-                this.status.ipfs = true;
+                this.status.storage = true;
                 connected = true;
                 break;
               }
@@ -208,7 +212,7 @@ class VaultStatusChecker {
                       version.Version || version.version || "Unknown"
                     }`
                   );
-                  this.status.ipfs = true;
+                  this.status.storage = true;
                   connected = true;
                   break;
                 }
@@ -245,7 +249,7 @@ class VaultStatusChecker {
               console.log(
                 `   Version: ${version.Version || version.version || "Unknown"}`
               );
-              this.status.ipfs = true;
+              this.status.storage = true;
               connected = true;
               break;
             }
@@ -269,6 +273,25 @@ class VaultStatusChecker {
     }
   }
 
+  async checkStorage() {
+    console.log("\n📁 Checking File Storage...");
+
+    try {
+      const StorageService = require("../app/services/storageService");
+      const storageService = new StorageService();
+      if (!(await storageService.testConnection())) {
+        throw new Error(`${storageService.getLocation()} is not usable`);
+      }
+      console.log(`✅ ${storageService.providerName} storage ready`);
+      console.log(`   Location: ${storageService.getLocation()}`);
+      this.status.storage = true;
+    } catch (error) {
+      console.log("❌ File storage check failed");
+      console.log("   Check the STORAGE_* settings in .env");
+      console.log(`   Error: ${error.message}`);
+    }
+  }
+
   async checkDeployment() {
     console.log("\n🚀 Checking Contract Deployment...");
 
@@ -312,7 +335,10 @@ class VaultStatusChecker {
       { name: "Environment", status: this.status.environment },
       { name: "Smart Contracts", status: this.status.contracts },
       { name: "Blockchain", status: this.status.blockchain },
-      { name: "IPFS", status: this.status.ipfs },
+      {
+        name: `Storage (${process.env.STORAGE_PROVIDER || "ipfs"})`,
+        status: this.status.storage,
+      },
       { name: "Deployment", status: this.status.deployment },
     ];
 
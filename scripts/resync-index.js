@@ -0,0 +1,50 @@
+// Load environment variables
+require("dotenv").config();
+
+const BlockchainService = require("../app/services/blockchainService");
+const IndexerService = require("../app/services/indexerService");
+
+/**
+ * VAULT Protocol Index Resync
+ * Drops the local event index and rebuilds it from INDEXER_START_BLOCK.
+ * Refuses to run while a server holds the index: it keeps its own copy in
+ * memory and would overwrite the rebuilt file.
+ */
+class IndexResync {
+  constructor() {
+    this.blockchainService = new BlockchainService();
+    this.indexerService = new IndexerService(this.blockchainService);
+  }
+
+  async run() {
+    console.log("🔄 VAULT Protocol Index Resync");
+    console.log("==============================");
+    console.log(`Database: ${this.indexerService.dbPath}`);
+
+    this.indexerService.acquireLock();
+    const started = Date.now();
+    let lastBlock;
+    let status;
+    try {
+      lastBlock = await this.indexerService.resync();
+      status = this.indexerService.getStatus();
+    } finally {
+      this.indexerService.releaseLock();
+    }
+
+    console.log(`✅ Indexed up to block ${lastBlock}`);
+    console.log(`   Certificates: ${status.certificates}`);
+    console.log(`   Events: ${status.events}`);
+    console.log(`   Took ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+}
+
+// Run resync if called directly
+if (require.main === module) {
+  new IndexResync().run().catch((error) => {
+    console.error("❌ Resync failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = IndexResync;
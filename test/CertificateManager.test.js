@@ -1,5 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  anyValue,
+} = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("CertificateManager", function () {
   let certificateManager;
@@ -191,6 +195,727 @@ describe("CertificateManager", function () {
     });
   });
 
+  describe("Certificate Version History", function () {
+    beforeEach(async function () {
+      const fid = "history-fid";
+      const cid = "QmHistoryCID1";
+      const email = "history@example.com";
+
+      await certificateManager.issueCertificate(fid, cid, email);
+    });
+
+    it("Should record the issued version", async function () {
+      const fid = "history-fid";
+
+      expect(await certificateManager.getVersionCount(fid)).to.equal(1);
+
+      const version = await certificateManager.getVersion(fid, 0);
+      expect(version.cid).to.equal("QmHistoryCID1");
+      expect(version.modifiedBy).to.equal(owner.address);
+      expect(version.timestamp).to.equal(await getCurrentTimestamp());
+    });
+
+    it("Should append a version on every update", async function () {
+      const fid = "history-fid";
+
+      await certificateManager.updateCertificate(fid, "QmHistoryCID2");
+      await certificateManager.updateCertificate(fid, "QmHistoryCID3");
+
+      expect(await certificateManager.getVersionCount(fid)).to.equal(3);
+
+      const version = await certificateManager.getVersion(fid, 1);
+      expect(version.cid).to.equal("QmHistoryCID2");
+      expect(version.modifiedBy).to.equal(owner.address);
+
+      const history = await certificateManager.getCertificateVersionHistory(
+        fid
+      );
+      expect(history).to.deep.equal([
+        "QmHistoryCID1",
+        "QmHistoryCID2",
+        "QmHistoryCID3",
+      ]);
+    });
+
+    it("Should reject out of range version index", async function () {
+      await expect(
+        certificateManager.getVersion("history-fid", 1)
+      ).to.be.revertedWith("Version index out of range");
+    });
+
+    it("Should not return history for non-existent certificate", async function () {
+      await expect(
+        certificateManager.getVersionCount("non-existent")
+      ).to.be.revertedWith("Certificate does not exist");
+    });
+  });
+
+  describe("Issuer Registry", function () {
+    it("Should register the deployer as admin and issuer", async function () {
+      const adminRole = await certificateManager.ADMIN_ROLE();
+      const issuerRole = await certificateManager.ISSUER_ROLE();
+
+      expect(await certificateManager.hasRole(adminRole, owner.address)).to.be
+        .true;
+      expect(await certificateManager.hasRole(issuerRole, owner.address)).to
+        .be.true;
+      expect(await certificateManager.getIssuers()).to.deep.equal([
+        owner.address,
+      ]);
+    });
+
+    it("Should grant the issuer role", async function () {
+      const issuerRole = await certificateManager.ISSUER_ROLE();
+
+      await expect(certificateManager.grantIssuer(addr1.address, "University"))
+        .to.emit(certificateManager, "RoleGranted")
+        .withArgs(issuerRole, addr1.address, owner.address)
+        .and.to.emit(certificateManager, "IssuerRegistered")
+        .withArgs(addr1.address, "University", owner.address);
+
+      const issuer = await certificateManager.getIssuer(addr1.address);
+      expect(issuer.name).to.equal("University");
+      expect(issuer.isActive).to.be.true;
+
+      await certificateManager
+        .connect(addr1)
+        .issueCertificate("issuer-fid", "QmIssuerCID", "issuer@example.com");
+      const certificate = await certificateManager.getCertificate("issuer-fid");
+      expect(certificate.issuer).to.equal(addr1.address);
+    });
+
+    it("Should revoke the issuer role", async function () {
+      const issuerRole = await certificateManager.ISSUER_ROLE();
+      await certificateManager.grantIssuer(addr1.address, "University");
+
+      await expect(certificateManager.revokeIssuer(addr1.address))
+        .to.emit(certificateManager, "RoleRevoked")
+        .withArgs(issuerRole, addr1.address, owner.address);
+
+      const issuer = await certificateManager.getIssuer(addr1.address);
+      expect(issuer.isActive).to.be.false;
+
+      await expect(
+        certificateManager
+          .connect(addr1)
+          .issueCertificate("revoked-fid", "QmCID", "issuer@example.com")
+      ).to.be.revertedWith("Caller is not an active issuer");
+    });
+
+    it("Should not allow a revoked issuer to modify its certificates", async function () {
+      await certificateManager.grantIssuer(addr1.address, "University");
+      await certificateManager
+        .connect(addr1)
+        .issueCertificate("revoked-fid", "QmCID", "issuer@example.com");
+      await certificateManager.revokeIssuer(addr1.address);
+
+      await expect(
+        certificateManager
+          .connect(addr1)
+          .updateCertificate("revoked-fid", "QmNewCID")
+      ).to.be.revertedWith("Caller is not an active issuer");
+
+      await expect(
+        certificateManager.connect(addr1).deleteCertificate("revoked-fid")
+      ).to.be.revertedWith("Caller is not an active issuer");
+    });
+
+    it("Should not allow non-issuer to issue", async function () {
+      await expect(
+        certificateManager
+          .connect(addr1)
+          .issueCertificate("fid", "QmCID", "test@example.com")
+      ).to.be.revertedWith("Caller is not an active issuer");
+    });
+
+    it("Should not allow non-admin to manage roles", async function () {
+      await expect(
+        certificateManager.connect(addr1).grantIssuer(addr2.address, "Issuer")
+      ).to.be.revertedWith("Caller is not an admin");
+
+      await expect(
+        certificateManager.connect(addr1).revokeIssuer(owner.address)
+      ).to.be.revertedWith("Caller is not an admin");
+
+      await expect(
+        certificateManager.connect(addr1).grantAdmin(addr1.address)
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should grant and revoke the admin role", async function () {
+      const adminRole = await certificateManager.ADMIN_ROLE();
+
+      await expect(certificateManager.grantAdmin(addr1.address))
+        .to.emit(certificateManager, "RoleGranted")
+        .withArgs(adminRole, addr1.address, owner.address);
+
+      await expect(certificateManager.connect(addr1).revokeAdmin(owner.address))
+        .to.emit(certificateManager, "RoleRevoked")
+        .withArgs(adminRole, owner.address, addr1.address);
+
+      await expect(
+        certificateManager.connect(addr1).revokeAdmin(addr1.address)
+      ).to.be.revertedWith("Admin cannot revoke own role");
+    });
+  });
+
+  describe("Certificate Expiry", function () {
+    const fid = "expiry-fid";
+    const email = "expiry@example.com";
+    let validUntil;
+
+    beforeEach(async function () {
+      validUntil = (await time.latest()) + 3600;
+
+      await certificateManager["issueCertificate(string,string,string,uint256)"](
+        fid,
+        "QmExpiryCID",
+        email,
+        validUntil
+      );
+    });
+
+    it("Should store the expiry date", async function () {
+      const certificate = await certificateManager.getCertificate(fid);
+      expect(certificate.validUntil).to.equal(validUntil);
+
+      const status = await certificateManager.certificateStatus(fid);
+      expect(status.active).to.be.true;
+      expect(status.expired).to.be.false;
+    });
+
+    it("Should not allow an expiry in the past", async function () {
+      await expect(
+        certificateManager["issueCertificate(string,string,string,uint256)"](
+          "past-fid",
+          "QmCID",
+          email,
+          (await time.latest()) - 1
+        )
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("Should report expired certificates distinctly from inactive", async function () {
+      await time.increaseTo(validUntil + 1);
+
+      const status = await certificateManager.certificateStatus(fid);
+      expect(status.exists).to.be.true;
+      expect(status.active).to.be.true;
+      expect(status.expired).to.be.true;
+
+      const result = await certificateManager.verifyCertificate.staticCall(
+        fid,
+        email
+      );
+      expect(result.isValid).to.be.false;
+      expect(result.expired).to.be.true;
+    });
+
+    it("Should renew an expiring certificate", async function () {
+      const newValidUntil = validUntil + 86400;
+
+      await expect(certificateManager.renewCertificate(fid, newValidUntil))
+        .to.emit(certificateManager, "CertificateRenewed")
+        .withArgs(fid, validUntil, newValidUntil, owner.address);
+
+      const certificate = await certificateManager.getCertificate(fid);
+      expect(certificate.validUntil).to.equal(newValidUntil);
+    });
+
+    it("Should renew an already expired certificate", async function () {
+      await time.increaseTo(validUntil + 1);
+      const newValidUntil = (await time.latest()) + 3600;
+
+      await certificateManager.renewCertificate(fid, newValidUntil);
+
+      const result = await certificateManager.verifyCertificate.staticCall(
+        fid,
+        email
+      );
+      expect(result.isValid).to.be.true;
+      expect(result.expired).to.be.false;
+    });
+
+    it("Should not allow renewal that shortens expiry", async function () {
+      await expect(
+        certificateManager.renewCertificate(fid, validUntil - 1)
+      ).to.be.revertedWith("New expiry must extend current expiry");
+    });
+
+    it("Should not renew a certificate without expiry", async function () {
+      await certificateManager.issueCertificate("no-expiry-fid", "QmCID", email);
+
+      await expect(
+        certificateManager.renewCertificate("no-expiry-fid", validUntil)
+      ).to.be.revertedWith("Certificate does not expire");
+    });
+
+    it("Should not allow non-issuer to renew", async function () {
+      await expect(
+        certificateManager.connect(addr1).renewCertificate(fid, validUntil + 1)
+      ).to.be.revertedWith("Only issuer can modify certificate");
+    });
+  });
+
+  describe("Certificate Revocation", function () {
+    const fid = "revoke-fid";
+    const MISCONDUCT = 3;
+
+    beforeEach(async function () {
+      await certificateManager.issueCertificate(
+        fid,
+        "QmRevokeCID",
+        "revoke@example.com"
+      );
+    });
+
+    it("Should revoke a certificate with a reason", async function () {
+      await expect(
+        certificateManager.revokeCertificate(fid, MISCONDUCT, "Plagiarism")
+      )
+        .to.emit(certificateManager, "CertificateRevoked")
+        .withArgs(fid, MISCONDUCT, "Plagiarism", anyValue, owner.address);
+
+      const revocation = await certificateManager.getRevocation(fid);
+      expect(revocation.revoked).to.be.true;
+      expect(revocation.revokedAt).to.equal(await getCurrentTimestamp());
+      expect(revocation.reasonCode).to.equal(MISCONDUCT);
+      expect(revocation.note).to.equal("Plagiarism");
+      expect(revocation.revokedBy).to.equal(owner.address);
+
+      const status = await certificateManager.certificateStatus(fid);
+      expect(status.active).to.be.false;
+      expect(status.revoked).to.be.true;
+    });
+
+    it("Should keep deletion distinct from revocation", async function () {
+      await certificateManager.deleteCertificate(fid);
+
+      const revocation = await certificateManager.getRevocation(fid);
+      expect(revocation.revoked).to.be.false;
+
+      const status = await certificateManager.certificateStatus(fid);
+      expect(status.active).to.be.false;
+      expect(status.revoked).to.be.false;
+    });
+
+    it("Should reject unknown reason codes", async function () {
+      await expect(
+        certificateManager.revokeCertificate(fid, 42, "")
+      ).to.be.revertedWith("Invalid revocation reason");
+    });
+
+    it("Should not revoke twice", async function () {
+      await certificateManager.revokeCertificate(fid, MISCONDUCT, "");
+
+      await expect(
+        certificateManager.revokeCertificate(fid, MISCONDUCT, "")
+      ).to.be.revertedWith("Certificate is not active");
+    });
+
+    it("Should not allow non-issuer to revoke", async function () {
+      await expect(
+        certificateManager.connect(addr1).revokeCertificate(fid, MISCONDUCT, "")
+      ).to.be.revertedWith("Only issuer can modify certificate");
+    });
+  });
+
+  describe("Certificate Enumeration", function () {
+    beforeEach(async function () {
+      await certificateManager.grantIssuer(addr1.address, "Second Issuer");
+
+      for (let i = 0; i < 5; i++) {
+        await certificateManager.issueCertificate(
+          `page-fid-${i}`,
+          `QmPageCID${i}`,
+          i % 2 === 0 ? "even@example.com" : "odd@example.com"
+        );
+      }
+      await certificateManager
+        .connect(addr1)
+        .issueCertificate("page-fid-5", "QmPageCID5", "odd@example.com");
+    });
+
+    it("Should page through all FIDs", async function () {
+      expect(await certificateManager.getTotalCertificates()).to.equal(6);
+      expect(await certificateManager.getFIDs(0, 2)).to.deep.equal([
+        "page-fid-0",
+        "page-fid-1",
+      ]);
+      expect(await certificateManager.getFIDs(4, 10)).to.deep.equal([
+        "page-fid-4",
+        "page-fid-5",
+      ]);
+      expect(await certificateManager.getFIDs(6, 10)).to.deep.equal([]);
+    });
+
+    it("Should page FIDs by email", async function () {
+      expect(
+        await certificateManager.getEmailCertificateCount("odd@example.com")
+      ).to.equal(3);
+      expect(
+        await certificateManager["getCertificatesByEmail(string,uint256,uint256)"](
+          "odd@example.com",
+          1,
+          5
+        )
+      ).to.deep.equal(["page-fid-3", "page-fid-5"]);
+    });
+
+    it("Should page FIDs by issuer", async function () {
+      expect(
+        await certificateManager.getIssuerCertificateCount(owner.address)
+      ).to.equal(5);
+      expect(
+        await certificateManager.getCertificatesByIssuer(addr1.address, 0, 5)
+      ).to.deep.equal(["page-fid-5"]);
+    });
+
+    it("Should reject invalid page sizes", async function () {
+      await expect(certificateManager.getFIDs(0, 0)).to.be.revertedWith(
+        "Invalid page size"
+      );
+      await expect(certificateManager.getFIDs(0, 101)).to.be.revertedWith(
+        "Invalid page size"
+      );
+    });
+  });
+
+  describe("Email Commitments", function () {
+    const fid = "commit-fid";
+    const email = "holder@example.com";
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    let commitment;
+
+    beforeEach(async function () {
+      commitment = ethers.solidityPackedKeccak256(
+        ["string", "bytes32"],
+        [email, salt]
+      );
+      await certificateManager.issueCertificateWithCommitment(
+        fid,
+        "QmCommitCID",
+        commitment,
+        0
+      );
+    });
+
+    it("Should store only the commitment", async function () {
+      const certificate = await certificateManager.getCertificate(fid);
+      expect(certificate.email).to.equal("");
+      expect(certificate.emailCommitment).to.equal(commitment);
+      expect(
+        await certificateManager.computeEmailCommitment(email, salt)
+      ).to.equal(commitment);
+      expect(
+        await certificateManager.getEmailCertificateCount("")
+      ).to.equal(0);
+    });
+
+    it("Should verify against the commitment", async function () {
+      const verify = certificateManager["verifyCertificate(string,string,bytes32)"];
+
+      const valid = await verify.staticCall(fid, email, salt);
+      expect(valid.isValid).to.be.true;
+
+      const wrongEmail = await verify.staticCall(fid, "other@example.com", salt);
+      expect(wrongEmail.isValid).to.be.false;
+
+      const wrongSalt = await verify.staticCall(fid, email, ethers.ZeroHash);
+      expect(wrongSalt.isValid).to.be.false;
+
+      await expect(verify(fid, email, salt))
+        .to.emit(certificateManager, "CertificateVerified")
+        .withArgs(fid, "", true, owner.address);
+    });
+
+    it("Should require salted verification for committed emails", async function () {
+      await expect(
+        certificateManager["verifyCertificate(string,string)"](fid, "")
+      ).to.be.revertedWith("Certificate requires salted verification");
+    });
+
+    it("Should reject salted verification for plaintext emails", async function () {
+      await certificateManager.issueCertificate("plain-fid", "QmPlainCID", email);
+
+      await expect(
+        certificateManager["verifyCertificate(string,string,bytes32)"](
+          "plain-fid",
+          email,
+          salt
+        )
+      ).to.be.revertedWith("Certificate does not use an email commitment");
+    });
+
+    it("Should reject an empty commitment", async function () {
+      await expect(
+        certificateManager.issueCertificateWithCommitment(
+          "empty-commit",
+          "QmCID",
+          ethers.ZeroHash,
+          0
+        )
+      ).to.be.revertedWith("Email commitment cannot be empty");
+    });
+  });
+
+  describe("Batch Issuance", function () {
+    function batch(size, prefix = "batch") {
+      const fids = [];
+      const cids = [];
+      const emails = [];
+      for (let i = 0; i < size; i++) {
+        fids.push(`${prefix}-fid-${i}`);
+        cids.push(`QmBatchCID${i}`);
+        emails.push(`student${i}@example.com`);
+      }
+      return [fids, cids, emails];
+    }
+
+    it("Should issue every certificate in the batch", async function () {
+      const [fids, cids, emails] = batch(3);
+
+      const tx = certificateManager.issueCertificates(fids, cids, emails);
+      for (let i = 0; i < fids.length; i++) {
+        await expect(tx)
+          .to.emit(certificateManager, "CertificateIssued")
+          .withArgs(fids[i], cids[i], emails[i], anyValue, owner.address);
+      }
+
+      expect(await certificateManager.getTotalCertificates()).to.equal(3);
+      const certificate = await certificateManager.getCertificate(fids[2]);
+      expect(certificate.cid).to.equal(cids[2]);
+      expect(certificate.email).to.equal(emails[2]);
+      expect(certificate.isActive).to.be.true;
+    });
+
+    it("Should accept the maximum batch size", async function () {
+      const size = Number(await certificateManager.MAX_BATCH_SIZE());
+      const [fids, cids, emails] = batch(size);
+
+      await certificateManager.issueCertificates(fids, cids, emails);
+
+      expect(await certificateManager.getTotalCertificates()).to.equal(size);
+    });
+
+    it("Should reject empty and oversized batches", async function () {
+      await expect(
+        certificateManager.issueCertificates([], [], [])
+      ).to.be.revertedWith("Invalid batch size");
+
+      const size = Number(await certificateManager.MAX_BATCH_SIZE());
+      const [fids, cids, emails] = batch(size + 1);
+      await expect(
+        certificateManager.issueCertificates(fids, cids, emails)
+      ).to.be.revertedWith("Invalid batch size");
+    });
+
+    it("Should reject mismatched arrays", async function () {
+      const [fids, cids, emails] = batch(2);
+
+      await expect(
+        certificateManager.issueCertificates(fids, cids.slice(1), emails)
+      ).to.be.revertedWith("Batch length mismatch");
+    });
+
+    it("Should revert the whole batch if one item is invalid", async function () {
+      const [fids, cids, emails] = batch(3);
+      await certificateManager.issueCertificate(fids[1], "QmExisting", emails[1]);
+
+      await expect(
+        certificateManager.issueCertificates(fids, cids, emails)
+      ).to.be.revertedWith("Certificate with this FID already exists");
+      expect(await certificateManager.getTotalCertificates()).to.equal(1);
+    });
+
+    it("Should not allow non-issuers to issue batches", async function () {
+      const [fids, cids, emails] = batch(1);
+
+      await expect(
+        certificateManager.connect(addr1).issueCertificates(fids, cids, emails)
+      ).to.be.revertedWith("Caller is not an active issuer");
+    });
+
+    it("Should issue a batch that stores only email commitments", async function () {
+      const [fids, cids, emails] = batch(2, "committed");
+      const salts = emails.map(() => ethers.hexlify(ethers.randomBytes(32)));
+      const commitments = emails.map((email, i) =>
+        ethers.solidityPackedKeccak256(["string", "bytes32"], [email, salts[i]])
+      );
+
+      const tx = certificateManager.issueCertificatesWithCommitment(
+        fids,
+        cids,
+        commitments
+      );
+      for (let i = 0; i < fids.length; i++) {
+        await expect(tx)
+          .to.emit(certificateManager, "CertificateIssued")
+          .withArgs(fids[i], cids[i], "", anyValue, owner.address);
+      }
+
+      const certificate = await certificateManager.getCertificate(fids[1]);
+      expect(certificate.email).to.equal("");
+      expect(certificate.emailCommitment).to.equal(commitments[1]);
+
+      const verify =
+        certificateManager["verifyCertificate(string,string,bytes32)"];
+      const result = await verify.staticCall(fids[1], emails[1], salts[1]);
+      expect(result.isValid).to.be.true;
+    });
+
+    it("Should reject empty commitments and mismatched commitment arrays", async function () {
+      const [fids, cids] = batch(2, "committed");
+      const commitment = ethers.id("commitment");
+
+      await expect(
+        certificateManager.issueCertificatesWithCommitment(fids, cids, [
+          commitment,
+          ethers.ZeroHash,
+        ])
+      ).to.be.revertedWith("Email commitment cannot be empty");
+
+      await expect(
+        certificateManager.issueCertificatesWithCommitment(fids, cids, [
+          commitment,
+        ])
+      ).to.be.revertedWith("Batch length mismatch");
+    });
+  });
+
+  describe("Merkle Batch Anchoring", function () {
+    const salt = ethers.ZeroHash.replace(/0$/, "1");
+    let items;
+    let leaves;
+    let root;
+
+    function hashPair(a, b) {
+      const [left, right] = a < b ? [a, b] : [b, a];
+      return ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [left, right]);
+    }
+
+    beforeEach(async function () {
+      items = [0, 1, 2].map((i) => ({
+        fid: `anchored-fid-${i}`,
+        cid: `QmAnchoredCID${i}`,
+        emailCommitment: ethers.solidityPackedKeccak256(
+          ["string", "bytes32"],
+          [`student${i}@example.com`, salt]
+        ),
+      }));
+      leaves = items.map(({ fid, cid, emailCommitment }) =>
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(
+            ["string", "string", "bytes32"],
+            [fid, cid, emailCommitment]
+          )
+        )
+      );
+      // The unpaired third leaf is promoted to the next level
+      root = hashPair(hashPair(leaves[0], leaves[1]), leaves[2]);
+    });
+
+    it("Should anchor a batch root", async function () {
+      await expect(certificateManager.anchorBatch(root, 3))
+        .to.emit(certificateManager, "BatchAnchored")
+        .withArgs(root, 3, anyValue, owner.address);
+
+      const batch = await certificateManager.getBatch(root);
+      expect(batch.anchored).to.be.true;
+      expect(batch.count).to.equal(3);
+      expect(batch.anchoredAt).to.equal(await getCurrentTimestamp());
+      expect(batch.issuer).to.equal(owner.address);
+    });
+
+    it("Should compute leaves like the off-chain tree", async function () {
+      const { fid, cid, emailCommitment } = items[0];
+      expect(
+        await certificateManager.computeBatchLeaf(fid, cid, emailCommitment)
+      ).to.equal(leaves[0]);
+    });
+
+    it("Should verify proofs against an anchored root", async function () {
+      await certificateManager.anchorBatch(root, 3);
+      const proofs = [
+        [leaves[1], leaves[2]],
+        [leaves[0], leaves[2]],
+        [hashPair(leaves[0], leaves[1])],
+      ];
+
+      for (let i = 0; i < items.length; i++) {
+        const { fid, cid, emailCommitment } = items[i];
+        expect(
+          await certificateManager.verifyBatchProof(
+            root,
+            fid,
+            cid,
+            emailCommitment,
+            proofs[i]
+          )
+        ).to.be.true;
+      }
+    });
+
+    it("Should reject tampered items and unanchored roots", async function () {
+      const { fid, cid, emailCommitment } = items[0];
+      const proof = [leaves[1], leaves[2]];
+
+      expect(
+        await certificateManager.verifyBatchProof(
+          root,
+          fid,
+          cid,
+          emailCommitment,
+          proof
+        )
+      ).to.be.false;
+
+      await certificateManager.anchorBatch(root, 3);
+
+      expect(
+        await certificateManager.verifyBatchProof(
+          root,
+          fid,
+          "QmTamperedCID",
+          emailCommitment,
+          proof
+        )
+      ).to.be.false;
+      expect(
+        await certificateManager.verifyBatchProof(
+          root,
+          fid,
+          cid,
+          emailCommitment,
+          [leaves[2], leaves[1]]
+        )
+      ).to.be.false;
+    });
+
+    it("Should not anchor the same root twice", async function () {
+      await certificateManager.anchorBatch(root, 3);
+
+      await expect(certificateManager.anchorBatch(root, 3)).to.be.revertedWith(
+        "Batch already anchored"
+      );
+    });
+
+    it("Should reject empty roots and batches", async function () {
+      await expect(
+        certificateManager.anchorBatch(ethers.ZeroHash, 3)
+      ).to.be.revertedWith("Root cannot be empty");
+      await expect(certificateManager.anchorBatch(root, 0)).to.be.revertedWith(
+        "Batch cannot be empty"
+      );
+    });
+
+    it("Should not allow non-issuers to anchor", async function () {
+      await expect(
+        certificateManager.connect(addr1).anchorBatch(root, 3)
+      ).to.be.revertedWith("Caller is not an active issuer");
+    });
+  });
+
   // Helper function to get current timestamp
   async function getCurrentTimestamp() {
     const block = await ethers.provider.getBlock("latest");
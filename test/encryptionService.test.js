@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { buffer } = require("stream/consumers");
+const EncryptionService = require("../app/services/encryptionService");
+
+const KEY_A = "a".repeat(64);
+const KEY_B = "b".repeat(64);
+
+/**
+ * Build an EncryptionService from the given environment, restoring the
+ * previous environment afterwards
+ */
+function createService(env) {
+  const names = [
+    "FILE_ENCRYPTION_KEY",
+    "FILE_ENCRYPTION_KEYS",
+    "FILE_ENCRYPTION_ACTIVE_KEY",
+    "NODE_ENV",
+  ];
+  const saved = Object.fromEntries(
+    names.map((name) => [name, process.env[name]])
+  );
+  try {
+    for (const name of names) {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    }
+    return new EncryptionService();
+  } finally {
+    for (const name of names) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  }
+}
+
+async function encrypt(service, data, fileName = "file.txt") {
+  return buffer(
+    Readable.from([data]).pipe(
+      service.createEncryptStream(fileName, data.length)
+    )
+  );
+}
+
+async function decrypt(service, encrypted) {
+  const stream = service.createDecryptStream();
+  const content = buffer(Readable.from([encrypted]).pipe(stream));
+  content.catch(() => {});
+  return { ...(await stream.metadata), content: await content };
+}
+
+/**
+ * Serialize a file the way files were stored before the stream format
+ */
+function legacyBlob(service, data, fileName, key) {
+  const encrypted = service.encryptFile(data, fileName, key);
+  return Buffer.from(
+    JSON.stringify({
+      ...encrypted,
+      encryptedContent: encrypted.encryptedContent.toString("base64"),
+      iv: encrypted.iv.toString("base64"),
+      authTag: encrypted.authTag.toString("base64"),
+    })
+  );
+}
+
+describe("EncryptionService", function () {
+  let service;
+  const data = crypto.randomBytes(200 * 1024 + 17);
+
+  beforeEach(function () {
+    service = createService({ FILE_ENCRYPTION_KEY: KEY_A });
+  });
+
+  describe("Stream Format", function () {
+    it("Should round-trip a file across several segments", async function () {
+      const encrypted = await encrypt(service, data, "report.pdf");
+      const file = await decrypt(service, encrypted);
+
+      expect(file.content.equals(data)).to.be.true;
+      expect(file.fileName).to.equal("report.pdf");
+      expect(file.originalSize).to.equal(data.length);
+      expect(file.encryptedSize).to.equal(encrypted.length);
+      expect(file.keyId).to.equal(service.keyId);
+    });
+
+    it("Should round-trip an empty file", async function () {
+      const encrypted = await encrypt(service, Buffer.alloc(0));
+      expect(service.decryptFromStorage(encrypted).content.length).to.equal(0);
+    });
+
+    it("Should write a version 2 envelope with an encrypted header", async function () {
+      const encrypted = await encrypt(service, data, "secret-name.pdf");
+
+      expect(encrypted.toString("ascii", 0, 4)).to.equal("VLTS");
+      expect(encrypted[4]).to.equal(2);
+      expect(encrypted.toString("ascii", 10, 10 + encrypted[9])).to.equal(
+        service.keyId
+      );
+      expect(encrypted.includes("secret-name")).to.be.false;
+    });
+
+    it("Should decrypt a whole file in memory", async function () {
+      const encrypted = await encrypt(service, data);
+      expect(service.decryptFromStorage(encrypted).content.equals(data)).to.be
+        .true;
+    });
+
+    it("Should reject a tampered header, key ID or segment", async function () {
+      const encrypted = await encrypt(service, data);
+      for (const [position, message] of [
+        [12, "unknown key"],
+        [40, "header failed authentication"],
+        [encrypted.length - 100, "failed authentication"],
+      ]) {
+        const tampered = Buffer.from(encrypted);
+        tampered[position] ^= 1;
+        expect(() => service.decryptFromStorage(tampered)).to.throw(message);
+      }
+    });
+
+    it("Should reject a truncated file", async function () {
+      const encrypted = await encrypt(service, data);
+      expect(() =>
+        service.decryptFromStorage(encrypted.subarray(0, 64 * 1024))
+      ).to.throw("failed authentication");
+    });
+
+    it("Should fail the encrypt stream on a size mismatch", async function () {
+      const stream = service.createEncryptStream("file.txt", data.length + 1);
+      let error;
+      try {
+        await buffer(Readable.from([data]).pipe(stream));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.contain("Expected");
+    });
+  });
+
+  describe("Legacy Format", function () {
+    it("Should decrypt a legacy JSON file", async function () {
+      const blob = legacyBlob(service, data, "old.txt");
+
+      const file = await decrypt(service, blob);
+      expect(file.content.equals(data)).to.be.true;
+      expect(file.fileName).to.equal("old.txt");
+      expect(service.decryptFromStorage(blob).content.equals(data)).to.be.true;
+    });
+  });
+
+  describe("Keyring", function () {
+    let rotated;
+
+    beforeEach(function () {
+      rotated = createService({
+        FILE_ENCRYPTION_KEY: KEY_A,
+        FILE_ENCRYPTION_KEYS: `k2:${KEY_B}`,
+      });
+    });
+
+    it("Should encrypt new files with the first key of FILE_ENCRYPTION_KEYS", async function () {
+      expect(rotated.keyId).to.equal("k2");
+      expect([...rotated.keys.keys()]).to.deep.equal(["k2", service.keyId]);
+
+      const file = await decrypt(rotated, await encrypt(rotated, data));
+      expect(file.keyId).to.equal("k2");
+      expect(file.content.equals(data)).to.be.true;
+    });
+
+    it("Should honour FILE_ENCRYPTION_ACTIVE_KEY", function () {
+      const keyId = EncryptionService.keyIdOf(Buffer.from(KEY_A, "hex"));
+      const active = createService({
+        FILE_ENCRYPTION_KEY: KEY_A,
+        FILE_ENCRYPTION_KEYS: `k2:${KEY_B}`,
+        FILE_ENCRYPTION_ACTIVE_KEY: keyId,
+      });
+      expect(active.keyId).to.equal(keyId);
+
+      expect(() =>
+        createService({
+          FILE_ENCRYPTION_KEY: KEY_A,
+          FILE_ENCRYPTION_ACTIVE_KEY: "missing",
+        })
+      ).to.throw("not in the keyring");
+    });
+
+    it("Should decrypt files written with the previous key after rotation", async function () {
+      const encrypted = await encrypt(service, data);
+
+      const file = await decrypt(rotated, encrypted);
+      expect(file.content.equals(data)).to.be.true;
+      expect(file.keyId).to.equal(service.keyId);
+      expect(rotated.isActiveKey(file.keyId)).to.be.false;
+    });
+
+    it("Should decrypt legacy JSON files with FILE_ENCRYPTION_KEY after rotation", async function () {
+      const blob = legacyBlob(service, data, "old.txt");
+
+      expect((await decrypt(rotated, blob)).content.equals(data)).to.be.true;
+      expect(rotated.decryptFromStorage(blob).content.equals(data)).to.be.true;
+    });
+
+    it("Should find a key by its derived ID after it was given a name", async function () {
+      const encrypted = await encrypt(service, data);
+      const renamed = createService({
+        FILE_ENCRYPTION_KEYS: `k2:${KEY_B},k1:${KEY_A}`,
+      });
+
+      expect((await decrypt(renamed, encrypted)).content.equals(data)).to.be
+        .true;
+    });
+
+    it("Should reject files encrypted with a key that is not configured", async function () {
+      const encrypted = await encrypt(rotated, data);
+      expect(() => service.decryptFromStorage(encrypted)).to.throw(
+        "unknown key k2"
+      );
+    });
+
+    it("Should tell files under the active key apart", function () {
+      expect(rotated.isActiveKey("k2")).to.be.true;
+      expect(rotated.isActiveKey(service.keyId)).to.be.false;
+      expect(rotated.isActiveKey(null)).to.be.false;
+      expect(rotated.isActiveKey("unknown")).to.be.false;
+    });
+
+    it("Should reject malformed and duplicate FILE_ENCRYPTION_KEYS entries", function () {
+      expect(() => createService({ FILE_ENCRYPTION_KEYS: KEY_B })).to.throw(
+        "must be"
+      );
+      expect(() =>
+        createService({ FILE_ENCRYPTION_KEYS: `k2:${KEY_A},k2:${KEY_B}` })
+      ).to.throw("Duplicate");
+    });
+
+    it("Should refuse to start without a key outside development", function () {
+      expect(() => createService({ NODE_ENV: "production" })).to.throw(
+        "FILE_ENCRYPTION_KEY is not set"
+      );
+    });
+
+    it("Should share one generated key per process in development", function () {
+      const first = createService({ NODE_ENV: "development" });
+      const second = createService({});
+
+      expect(first.secretKey.equals(second.secretKey)).to.be.true;
+      expect(first.getEncryptionInfo().keySource).to.equal("generated");
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const FailoverProvider = require("../app/services/failoverProvider");
+
+const READ = { jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] };
+const WRITE = {
+  jsonrpc: "2.0",
+  id: 2,
+  method: "eth_sendRawTransaction",
+  params: ["0xsigned"],
+};
+
+function connectionError(code) {
+  const error = new Error(`CONNECTION ERROR: ${code}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Endpoint stand-in that fails with the given errors in turn, then answers
+ */
+function stubEndpoint(endpoint, errors = []) {
+  endpoint.calls = [];
+  endpoint.provider = {
+    send(payload, callback) {
+      endpoint.calls.push(payload.method);
+      const error = errors.shift();
+      if (error) {
+        callback(error);
+      } else {
+        callback(null, { jsonrpc: "2.0", id: payload.id, result: "0x10" });
+      }
+    },
+  };
+}
+
+describe("FailoverProvider", function () {
+  let provider;
+  let primary;
+  let secondary;
+
+  function dispatch(payload) {
+    return new Promise((resolve, reject) => {
+      provider.send(payload, (error, response) =>
+        error ? reject(error) : resolve(response)
+      );
+    });
+  }
+
+  beforeEach(function () {
+    provider = new FailoverProvider(
+      ["http://primary:8545", "http://secondary:8545"],
+      { failureThreshold: 2, cooldown: 50, readRetries: 1, retryDelay: 1 }
+    );
+    [primary, secondary] = provider.endpoints;
+  });
+
+  it("Should send requests to the first endpoint", async function () {
+    stubEndpoint(primary);
+    stubEndpoint(secondary);
+
+    const { result } = await dispatch(READ);
+
+    expect(result).to.equal("0x10");
+    expect(primary.calls).to.deep.equal(["eth_blockNumber"]);
+    expect(secondary.calls).to.deep.equal([]);
+    expect(provider.getPreferredUrl()).to.equal("http://primary:8545");
+  });
+
+  it("Should fail reads over and open the circuit after repeated failures", async function () {
+    stubEndpoint(primary, [
+      connectionError("ECONNRESET"),
+      connectionError("ECONNRESET"),
+    ]);
+    stubEndpoint(secondary);
+
+    await dispatch(READ);
+    expect(primary.state).to.equal("closed");
+    await dispatch(READ);
+
+    expect(primary.state).to.equal("open");
+    expect(secondary.calls).to.have.length(2);
+    expect(provider.getPreferredUrl()).to.equal("http://secondary:8545");
+  });
+
+  it("Should let one trial request through after the cooldown", async function () {
+    stubEndpoint(primary, [
+      connectionError("ECONNREFUSED"),
+      connectionError("ECONNREFUSED"),
+    ]);
+    stubEndpoint(secondary);
+    await dispatch(READ);
+    await dispatch(READ);
+    expect(primary.state).to.equal("open");
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await dispatch(READ);
+
+    expect(primary.state).to.equal("closed");
+    expect(primary.calls).to.have.length(3);
+  });
+
+  it("Should send a write at most once if it may have reached the node", async function () {
+    stubEndpoint(primary, [connectionError("ETIMEDOUT")]);
+    stubEndpoint(secondary);
+
+    let error;
+    try {
+      await dispatch(WRITE);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.code).to.equal("ETIMEDOUT");
+    expect(primary.calls).to.deep.equal(["eth_sendRawTransaction"]);
+    expect(secondary.calls).to.deep.equal([]);
+  });
+
+  it("Should fail a write over when the endpoint was never reached", async function () {
+    stubEndpoint(primary, [connectionError("ECONNREFUSED")]);
+    stubEndpoint(secondary);
+
+    await dispatch(WRITE);
+
+    expect(secondary.calls).to.deep.equal(["eth_sendRawTransaction"]);
+  });
+
+  it("Should fail when every circuit is open", async function () {
+    for (const endpoint of provider.endpoints) {
+      stubEndpoint(endpoint);
+      endpoint.state = "open";
+      endpoint.openedAt = Date.now();
+      endpoint.lastError = "ECONNREFUSED";
+    }
+
+    let error;
+    try {
+      await dispatch(READ);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.contain("no RPC endpoint available");
+    expect(provider.getPreferredUrl()).to.be.null;
+  });
+
+  it("Should report the state of every endpoint", async function () {
+    stubEndpoint(primary);
+    stubEndpoint(secondary, [connectionError("ECONNREFUSED")]);
+
+    const [up, down] = await provider.checkEndpoints();
+
+    expect(up).to.include({ state: "closed", blockNumber: 16, failures: 0 });
+    expect(down).to.include({ blockNumber: null, failures: 1 });
+    expect(down.lastError).to.contain("ECONNREFUSED");
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FilesystemStorageProvider = require("../app/services/filesystemStorageProvider");
+
+// CIDv1 of "hello world" as a single raw block, as `ipfs add --cid-version 1 --raw-leaves` gives it
+const HELLO_CID = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+
+describe("FilesystemStorageProvider", function () {
+  let directory;
+  let sourcePath;
+  let provider;
+
+  async function read(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  }
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+    sourcePath = path.join(directory, "upload.txt");
+    fs.writeFileSync(sourcePath, "hello world");
+    provider = new FilesystemStorageProvider(path.join(directory, "storage"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should store files under their IPFS CID", async function () {
+    expect(await provider.put(sourcePath, "a.txt", { dryRun: true })).to.equal(
+      HELLO_CID
+    );
+    expect(await provider.exists(HELLO_CID)).to.be.false;
+
+    expect(await provider.put(sourcePath, "a.txt")).to.equal(HELLO_CID);
+    expect(await provider.exists(HELLO_CID)).to.be.true;
+    expect(await read(await provider.get(HELLO_CID))).to.equal("hello world");
+  });
+
+  it("Should fail reads of content that no longer matches its CID", async function () {
+    await provider.put(sourcePath, "a.txt");
+    fs.writeFileSync(provider.pathOf(HELLO_CID), "tampered");
+
+    let error;
+    try {
+      await read(await provider.get(HELLO_CID));
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.contain("does not match CID");
+  });
+
+  it("Should restore removed files", async function () {
+    await provider.put(sourcePath, "a.txt");
+
+    await provider.remove(HELLO_CID);
+    expect(await provider.exists(HELLO_CID)).to.be.false;
+    expect(fs.existsSync(provider.pathOf(HELLO_CID, provider.removedDirectory)))
+      .to.be.true;
+
+    await provider.restore(HELLO_CID);
+    expect(await read(await provider.get(HELLO_CID))).to.equal("hello world");
+  });
+
+  it("Should refuse CIDs that are not plain file names", async function () {
+    let error;
+    try {
+      await provider.get("../upload.txt");
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.contain("Invalid content ID");
+    expect(() => provider.pathOf("bafy/../../etc")).to.throw(
+      "Invalid content ID"
+    );
+  });
+});
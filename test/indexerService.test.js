@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const Web3 = require("web3");
+const IndexerService = require("../app/services/indexerService");
+const SignerService = require("../app/services/signerService");
+const BlockchainService = require("../app/services/blockchainService");
+
+// First default account of the Hardhat network, which deploys the contract
+const HARDHAT_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+describe("IndexerService", function () {
+  let directory;
+  let certificateManager;
+  let blockchainService;
+  let indexer;
+
+  beforeEach(async function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+
+    const CertificateManager = await ethers.getContractFactory(
+      "CertificateManager"
+    );
+    certificateManager = await CertificateManager.deploy();
+    await certificateManager.waitForDeployment();
+    const deployment = await certificateManager.deploymentTransaction().wait();
+
+    const signer = new SignerService.RawKeySigner(HARDHAT_KEY);
+    blockchainService = new BlockchainService({ getSigner: () => signer });
+    blockchainService.web3 = new Web3(network.provider);
+    blockchainService.contractAddress = await certificateManager.getAddress();
+    blockchainService.contract = new blockchainService.web3.eth.Contract(
+      blockchainService.contractABI,
+      blockchainService.contractAddress
+    );
+
+    indexer = new IndexerService(blockchainService, {
+      dbPath: path.join(directory, "indexer.sqlite"),
+      startBlock: deployment.blockNumber,
+    });
+    await indexer.init();
+  });
+
+  afterEach(function () {
+    indexer.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should index single and batch issuances with their versions", async function () {
+    await certificateManager.issueCertificate(
+      "cert-1",
+      "QmOne",
+      "one@example.com"
+    );
+    await certificateManager.issueCertificates(
+      ["cert-2", "cert-3"],
+      ["QmTwo", "QmThree"],
+      ["two@example.com", "three@example.com"]
+    );
+    await certificateManager.updateCertificate("cert-1", "QmOneUpdated");
+
+    await indexer.sync();
+
+    const { total, certificates } = indexer.listCertificates();
+    expect(total).to.equal(3);
+    expect(certificates.map(({ fid }) => fid)).to.deep.equal([
+      "cert-1",
+      "cert-2",
+      "cert-3",
+    ]);
+    expect(indexer.getCertificate("cert-1").cid).to.equal("QmOneUpdated");
+    expect(
+      indexer.getVersionHistory("cert-1").map(({ cid }) => cid)
+    ).to.deep.equal(["QmOne", "QmOneUpdated"]);
+  });
+
+  it("Should only resolve the FIDs of the events it is given", async function () {
+    await certificateManager.issueCertificates(
+      ["cert-a", "cert-b", "cert-c"],
+      ["QmA", "QmB", "QmC"],
+      ["a@example.com", "b@example.com", "c@example.com"]
+    );
+    const [event] = await blockchainService.contract.getPastEvents(
+      "CertificateIssued",
+      { fromBlock: indexer.startBlock }
+    );
+
+    const fids = await indexer.resolveFids([event]);
+
+    expect([...fids.values()]).to.deep.equal(["cert-a"]);
+  });
+
+  it("Should fall back to the chain until it has seen this process's latest write", async function () {
+    await certificateManager.issueCertificate(
+      "cert-1",
+      "QmOne",
+      "one@example.com"
+    );
+    await indexer.sync();
+    expect(indexer.isReady()).to.be.true;
+
+    await blockchainService.sendTransaction(
+      blockchainService.contract.methods
+        .updateCertificate("cert-1", "QmOneUpdated")
+        .encodeABI()
+    );
+    expect(indexer.isReady()).to.be.false;
+
+    await indexer.sync();
+    expect(indexer.isReady()).to.be.true;
+    expect(indexer.getVersionHistory("cert-1")).to.have.length(2);
+  });
+
+  it("Should leave status and date filters to the index", async function () {
+    await certificateManager.issueCertificate(
+      "cert-1",
+      "QmOne",
+      "one@example.com"
+    );
+    await certificateManager.issueCertificate(
+      "cert-2",
+      "QmTwo",
+      "two@example.com"
+    );
+    await certificateManager.deleteCertificate("cert-2");
+    await indexer.sync();
+
+    let error;
+    try {
+      await blockchainService.listCertificates({ status: "inactive" });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.status).to.equal(503);
+    expect(error.code).to.equal("INDEX_NOT_READY");
+
+    const { total, certificates } = indexer.listCertificates({
+      status: "inactive",
+    });
+    expect(total).to.equal(1);
+    expect(certificates[0].fid).to.equal("cert-2");
+
+    const [owner] = await ethers.getSigners();
+    const byHolder = await blockchainService.listCertificates({
+      email: "one@example.com",
+      issuer: owner.address,
+    });
+    expect(byHolder.total).to.equal(1);
+    expect(byHolder.certificates[0].fid).to.equal("cert-1");
+  });
+
+  describe("Lock File", function () {
+    let lockPath;
+
+    beforeEach(function () {
+      lockPath = `${indexer.dbPath}.lock`;
+    });
+
+    it("Should refuse the database while another process holds it", function () {
+      fs.writeFileSync(lockPath, String(process.ppid));
+
+      expect(() => indexer.acquireLock()).to.throw(
+        `in use by process ${process.ppid}`
+      );
+      expect(fs.readFileSync(lockPath, "utf8")).to.equal(String(process.ppid));
+    });
+
+    it("Should take over a lock left by a process that has exited", function () {
+      fs.writeFileSync(lockPath, "4194304");
+
+      indexer.acquireLock();
+      expect(fs.readFileSync(lockPath, "utf8")).to.equal(String(process.pid));
+
+      indexer.releaseLock();
+      expect(fs.existsSync(lockPath)).to.be.false;
+    });
+  });
+});
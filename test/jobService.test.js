@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobService = require("../app/services/jobService");
+const JobStore = require("../app/services/jobStore");
+const JobController = require("../app/controllers/jobController");
+
+const EMAIL = "holder@example.com";
+const COMMITMENT = `0x${"c".repeat(64)}`;
+const SALT = `0x${"5".repeat(64)}`;
+
+/**
+ * Storage, blockchain and saga stand-ins that issue every certificate at once
+ */
+function createService(directory) {
+  const issued = [];
+  const storageService = {
+    uploadFileFromPath: async () => "QmJobCID",
+    getGatewayUrl: (cid) => `https://gateway.example/${cid}`,
+  };
+  const issue = async (...args) => {
+    issued.push(args);
+    const { onSubmitted } = args[args.length - 1];
+    onSubmitted("0xjobtx");
+    return {
+      transactionHash: "0xjobtx",
+      receipt: { blockNumber: 7 },
+      gas: null,
+    };
+  };
+  const blockchainService = {
+    issueCertificate: issue,
+    issueCertificateWithCommitment: issue,
+    getCertificate: async () => ({ cid: "QmJobCID" }),
+  };
+  const sagaService = {
+    begin: () => ({ id: "saga_1" }),
+    record: () => {},
+    complete: () => {},
+    fail: async () => {},
+  };
+
+  const service = new JobService(
+    storageService,
+    blockchainService,
+    sagaService
+  );
+  service.jobStore = new JobStore(path.join(directory, "jobs.json"));
+  return { service, issued };
+}
+
+async function waitForJob(service, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = service.getJob(id);
+    if (JobStore.FINAL_STAGES.includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+describe("JobService", function () {
+  let directory;
+  let service;
+  let issued;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+    ({ service, issued } = createService(directory));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function upload() {
+    const filePath = path.join(directory, "upload");
+    fs.writeFileSync(filePath, "certificate");
+    return { path: filePath, originalname: "certificate.pdf" };
+  }
+
+  it("Should run an issuance through every stage", async function () {
+    const job = service.startIssueJob(
+      { fid: "cert_job", email: EMAIL, emailCommitment: null, validUntil: 0 },
+      upload()
+    );
+
+    const finished = await waitForJob(service, job.id);
+    expect(finished.error).to.be.null;
+    expect(finished.stages.map(({ stage }) => stage)).to.deep.equal([
+      "queued",
+      "uploaded",
+      "submitted",
+      "mined",
+      "confirmed",
+    ]);
+    expect(finished.result).to.include({
+      cid: "QmJobCID",
+      transactionHash: "0xjobtx",
+      emailHashed: false,
+    });
+    expect(issued[0][2]).to.equal(EMAIL);
+    expect(fs.existsSync(finished.params.filePath)).to.be.false;
+  });
+
+  it("Should keep neither the salt nor the email of a committed email", async function () {
+    const job = service.startIssueJob(
+      {
+        fid: "cert_committed",
+        email: EMAIL,
+        emailCommitment: { commitment: COMMITMENT, salt: SALT },
+        validUntil: 0,
+      },
+      upload()
+    );
+
+    const finished = await waitForJob(service, job.id);
+    expect(finished.status).to.equal("confirmed");
+    expect(issued[0][2]).to.equal(COMMITMENT);
+    expect(finished.result.emailCommitment).to.equal(COMMITMENT);
+
+    const stored = fs.readFileSync(path.join(directory, "jobs.json"), "utf8");
+    expect(stored).to.not.contain(SALT.slice(2));
+    expect(stored).to.not.contain(EMAIL);
+  });
+
+  it("Should fail unfinished issuance jobs without a saga on resume", function () {
+    const job = service.jobStore.create({
+      id: "job_no_saga",
+      type: "issue",
+      params: { fid: "cert_no_saga", fileName: "certificate.pdf" },
+    });
+
+    expect(service.resumeUnfinished()).to.equal(1);
+
+    const failed = service.getJob(job.id);
+    expect(failed.status).to.equal("failed");
+    expect(failed.error).to.equal("Invalid job: no saga ID");
+    expect(issued).to.be.empty;
+  });
+
+  describe("JobController", function () {
+    let controller;
+    let adminKey;
+
+    function request(id, signer) {
+      const req = { params: { id }, headers: {}, signer };
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        },
+      };
+      return { req, res };
+    }
+
+    beforeEach(function () {
+      controller = new JobController(service);
+      adminKey = process.env.ADMIN_API_KEY;
+      process.env.ADMIN_API_KEY = "test-admin-key";
+    });
+
+    afterEach(function () {
+      if (adminKey === undefined) {
+        delete process.env.ADMIN_API_KEY;
+      } else {
+        process.env.ADMIN_API_KEY = adminKey;
+      }
+    });
+
+    it("Should show a job only to the signer that started it", async function () {
+      const job = service.startIssueJob(
+        { fid: "cert_scoped", email: EMAIL, signer: "university" },
+        upload()
+      );
+      await waitForJob(service, job.id);
+
+      const owner = request(job.id, "university");
+      await controller.getJob(owner.req, owner.res);
+      expect(owner.res.body.data.fid).to.equal("cert_scoped");
+
+      for (const signer of [null, "college"]) {
+        const other = request(job.id, signer);
+        await controller.getJob(other.req, other.res);
+        expect(other.res.statusCode).to.equal(404);
+      }
+
+      const admin = request(job.id, null);
+      admin.req.headers.authorization = "Bearer test-admin-key";
+      await controller.getJob(admin.req, admin.res);
+      expect(admin.res.body.success).to.be.true;
+    });
+  });
+});
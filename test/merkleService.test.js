@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const MerkleService = require("../app/services/merkleService");
+
+describe("MerkleService", function () {
+  let certificateManager;
+  let merkleService;
+
+  function createItems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+      fid: `merkle-fid-${count}-${i}`,
+      cid: `QmMerkleCID${count}x${i}`,
+      emailCommitment: ethers.id(`student${i}@example.com`),
+    }));
+  }
+
+  beforeEach(async function () {
+    const CertificateManager = await ethers.getContractFactory(
+      "CertificateManager"
+    );
+    certificateManager = await CertificateManager.deploy();
+    await certificateManager.waitForDeployment();
+    merkleService = new MerkleService();
+  });
+
+  it("Should compute leaves like the contract", async function () {
+    for (const { fid, cid, emailCommitment } of createItems(3)) {
+      expect(merkleService.computeLeaf(fid, cid, emailCommitment)).to.equal(
+        await certificateManager.computeBatchLeaf(fid, cid, emailCommitment)
+      );
+    }
+  });
+
+  it("Should build proofs the contract accepts, for every tree shape", async function () {
+    for (let count = 1; count <= 7; count++) {
+      const items = createItems(count);
+      const tree = merkleService.buildTree(
+        items.map(({ fid, cid, emailCommitment }) =>
+          merkleService.computeLeaf(fid, cid, emailCommitment)
+        )
+      );
+      await certificateManager.anchorBatch(tree.root, count);
+
+      for (let i = 0; i < count; i++) {
+        const { fid, cid, emailCommitment } = items[i];
+        const proof = merkleService.getProof(tree, i);
+
+        expect(merkleService.verifyProof(tree.layers[0][i], proof, tree.root))
+          .to.be.true;
+        expect(
+          await certificateManager.verifyBatchProof(
+            tree.root,
+            fid,
+            cid,
+            emailCommitment,
+            proof
+          ),
+          `leaf ${i} of ${count}`
+        ).to.be.true;
+      }
+    }
+  });
+
+  it("Should reject a proof for another leaf", async function () {
+    const items = createItems(4);
+    const leaves = items.map(({ fid, cid, emailCommitment }) =>
+      merkleService.computeLeaf(fid, cid, emailCommitment)
+    );
+    const tree = merkleService.buildTree(leaves);
+    await certificateManager.anchorBatch(tree.root, items.length);
+
+    const { fid, cid, emailCommitment } = items[0];
+    const proof = merkleService.getProof(tree, 1);
+    expect(merkleService.verifyProof(leaves[0], proof, tree.root)).to.be.false;
+    expect(
+      await certificateManager.verifyBatchProof(
+        tree.root,
+        fid,
+        cid,
+        emailCommitment,
+        proof
+      )
+    ).to.be.false;
+  });
+
+  it("Should use the leaf of a single-item batch as its root", function () {
+    const tree = merkleService.buildTree([ethers.id("only")]);
+
+    expect(tree.root).to.equal(ethers.id("only"));
+    expect(merkleService.getProof(tree, 0)).to.deep.equal([]);
+    expect(() => merkleService.buildTree([])).to.throw("without leaves");
+  });
+});
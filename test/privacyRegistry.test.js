@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const Web3 = require("web3");
+const PrivacyRegistry = require("../app/services/privacyRegistry");
+const SignerService = require("../app/services/signerService");
+const BlockchainService = require("../app/services/blockchainService");
+
+const HARDHAT_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const GROUP_ID = "A1aVtMxLCUHmBVHXoZzzBgPbW/wj5axDpW9X8l91SGo=";
+
+describe("PrivacyRegistry", function () {
+  let directory;
+  let registryPath;
+  let blockchainService;
+
+  async function expectError(promise, status, code) {
+    let error;
+    try {
+      await promise;
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error, code).to.exist;
+    expect(error.status).to.equal(status);
+    expect(error.code).to.equal(code);
+  }
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "privacy-"));
+    registryPath = path.join(directory, "privacy-registry.json");
+
+    const signer = new SignerService.RawKeySigner(HARDHAT_KEY);
+    blockchainService = new BlockchainService({ getSigner: () => signer });
+    blockchainService.privacyRegistry = new PrivacyRegistry(registryPath);
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should persist privately issued certificates", function () {
+    const registry = new PrivacyRegistry(registryPath);
+    registry.set("cert-1", { privacyGroupId: GROUP_ID });
+    registry.set("cert-2", { privacyGroupId: GROUP_ID, privateFor: ["key"] });
+
+    const reloaded = new PrivacyRegistry(registryPath);
+    expect(reloaded.list()).to.deep.equal(["cert-1", "cert-2"]);
+    expect(reloaded.get("cert-1")).to.include({
+      privacyGroupId: GROUP_ID,
+      privateFor: null,
+    });
+    expect(reloaded.get("cert-3")).to.be.null;
+  });
+
+  it("Should resolve recipients and privacy group IDs", async function () {
+    const { member1, member2, member3 } = blockchainService.tesseraKeys;
+
+    expect(await blockchainService.resolvePrivacy(false)).to.be.null;
+    expect(await blockchainService.resolvePrivacy(true)).to.deep.include({
+      privateFrom: member1,
+      privateFor: [member2],
+    });
+
+    const named = await blockchainService.resolvePrivacy({
+      privateFor: ["member2", member3],
+    });
+    expect(named.privateFor).to.deep.equal([member2, member3]);
+    expect(named.privacyGroupId).to.equal(
+      blockchainService.web3.utils.generatePrivacyGroup({
+        privateFrom: member1,
+        privateFor: [member2, member3],
+      })
+    );
+
+    expect(
+      await blockchainService.resolvePrivacy({ privacyGroup: GROUP_ID })
+    ).to.deep.equal({
+      privateFrom: member1,
+      privateFor: null,
+      privacyGroupId: GROUP_ID,
+    });
+
+    await expectError(
+      blockchainService.resolvePrivacy({ privateFor: ["member9"] }),
+      400,
+      "UNKNOWN_RECIPIENT"
+    );
+    await expectError(
+      blockchainService.resolvePrivacy({ privateFor: [] }),
+      400,
+      "NO_RECIPIENTS"
+    );
+  });
+
+  it("Should keep certificates in the privacy group they were issued to", async function () {
+    const target = await blockchainService.resolvePrivacy(true);
+    blockchainService.privacyRegistry.set("private-cert", target);
+
+    expect(
+      await blockchainService.getCertificatePrivacy("private-cert")
+    ).to.include({ privacyGroupId: target.privacyGroupId });
+    expect(
+      await blockchainService.getCertificatePrivacy("private-cert", true)
+    ).to.include({ privacyGroupId: target.privacyGroupId });
+    expect(await blockchainService.getCertificatePrivacy("public-cert")).to.be
+      .null;
+
+    await expectError(
+      blockchainService.getCertificatePrivacy("private-cert", false),
+      409,
+      "PRIVACY_MISMATCH"
+    );
+    await expectError(
+      blockchainService.getCertificatePrivacy("private-cert", {
+        privacyGroup: GROUP_ID,
+      }),
+      409,
+      "PRIVACY_MISMATCH"
+    );
+    await expectError(
+      blockchainService.getCertificatePrivacy("public-cert", true),
+      409,
+      "PRIVACY_MISMATCH"
+    );
+  });
+
+  it("Should read a private certificate from its privacy group after deletion", async function () {
+    // Hardhat has no private state: a second deployment stands in for the
+    // contract's state in the privacy group
+    const CertificateManager = await ethers.getContractFactory(
+      "CertificateManager"
+    );
+    const publicContract = await CertificateManager.deploy();
+    const privateContract = await CertificateManager.deploy();
+    await publicContract.waitForDeployment();
+    await privateContract.waitForDeployment();
+    const privateAddress = await privateContract.getAddress();
+    const [deployer] = await ethers.getSigners();
+
+    const web3 = new Web3(network.provider);
+    const target = await blockchainService.resolvePrivacy(true);
+    blockchainService.web3 = web3;
+    blockchainService.contractAddress = await publicContract.getAddress();
+    blockchainService.contract = new web3.eth.Contract(
+      blockchainService.contractABI,
+      blockchainService.contractAddress
+    );
+    blockchainService.web3quorum = {
+      priv: {
+        call: async (privacyGroupId, { data }) =>
+          privacyGroupId === target.privacyGroupId
+            ? web3.eth.call({ to: privateAddress, data })
+            : "0x",
+      },
+    };
+    blockchainService.sendTransaction = async (data, { privacy }) => {
+      expect(privacy.privacyGroupId).to.equal(target.privacyGroupId);
+      const transaction = await deployer.sendTransaction({
+        to: privateAddress,
+        data,
+      });
+      await transaction.wait();
+      return { transactionHash: transaction.hash };
+    };
+
+    await privateContract.issueCertificate(
+      "private-cert",
+      "QmPrivateCID",
+      "student@example.com"
+    );
+    blockchainService.privacyRegistry.set("private-cert", target);
+
+    await blockchainService.deleteCertificate("private-cert");
+
+    expect(blockchainService.privacyRegistry.get("private-cert")).to.not.be
+      .null;
+    const certificate = await blockchainService.getCertificate("private-cert");
+    expect(certificate).to.include({
+      fid: "private-cert",
+      cid: "QmPrivateCID",
+      status: "inactive",
+    });
+    expect(
+      await blockchainService.getCertificateStatus("private-cert")
+    ).to.deep.equal({
+      exists: true,
+      active: false,
+      expired: false,
+      revoked: false,
+    });
+    expect(
+      await blockchainService.getVersionHistory("private-cert")
+    ).to.have.length(1);
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const Web3 = require("web3");
+const RevertDecoder = require("../app/services/revertDecoder");
+
+const web3 = new Web3();
+const abiCoder = web3.eth.abi;
+
+// Custom errors as a contract ABI would declare them
+const ERRORS_ABI = [
+  {
+    type: "error",
+    name: "CertificateNotFound",
+    inputs: [{ name: "fid", type: "string" }],
+  },
+  {
+    type: "error",
+    name: "NotIssuer",
+    inputs: [{ name: "account", type: "address" }],
+  },
+  { type: "error", name: "NotActiveAdmin", inputs: [] },
+  { type: "error", name: "QuotaExceeded", inputs: [] },
+];
+
+function errorData(reason) {
+  return `0x08c379a0${abiCoder.encodeParameter("string", reason).slice(2)}`;
+}
+
+describe("RevertDecoder", function () {
+  let decoder;
+
+  beforeEach(function () {
+    decoder = new RevertDecoder(ERRORS_ABI, abiCoder);
+  });
+
+  it("Should decode Error(string) payloads by reason", function () {
+    const decoded = decoder.decode({
+      message: "execution reverted",
+      data: errorData("Certificate does not exist"),
+    });
+
+    expect(decoded).to.deep.equal({
+      code: "CERTIFICATE_NOT_FOUND",
+      status: 404,
+      reason: "Certificate does not exist",
+    });
+  });
+
+  it("Should give unknown reasons the default error", function () {
+    expect(
+      decoder.decode({ data: errorData("CID cannot be empty") })
+    ).to.include({
+      code: "CONTRACT_REVERTED",
+      status: 400,
+      reason: "CID cannot be empty",
+    });
+  });
+
+  it("Should decode Panic(uint256) payloads", function () {
+    const data = `0x4e487b71${abiCoder
+      .encodeParameter("uint256", 0x11)
+      .slice(2)}`;
+
+    expect(decoder.decode({ data: { data } })).to.deep.equal({
+      code: "CONTRACT_PANIC",
+      status: 500,
+      reason: "Panic 0x11",
+    });
+  });
+
+  it("Should decode custom errors with their arguments", function () {
+    const encode = (name, types, values) =>
+      abiCoder.encodeFunctionSignature(
+        ERRORS_ABI.find((entry) => entry.name === name)
+      ) + abiCoder.encodeParameters(types, values).slice(2);
+
+    const notFound = decoder.decode({
+      data: encode("CertificateNotFound", ["string"], ["cert-1"]),
+    });
+    expect(notFound).to.deep.include({
+      code: "CERTIFICATE_NOT_FOUND",
+      status: 404,
+      reason: "CertificateNotFound",
+    });
+    expect(notFound.args.fid).to.equal("cert-1");
+
+    const account = "0x00000000000000000000000000000000000000AA";
+    const notIssuer = decoder.decode({
+      receipt: { revertReason: encode("NotIssuer", ["address"], [account]) },
+    });
+    expect(notIssuer).to.include({ code: "NOT_ISSUER", status: 403 });
+    expect(notIssuer.args.account).to.equal(account);
+
+    expect(
+      decoder.decode({ data: encode("NotActiveAdmin", [], []) })
+    ).to.include({ code: "NOT_ACTIVE_ADMIN", status: 403 });
+    expect(
+      decoder.decode({ data: encode("QuotaExceeded", [], []) })
+    ).to.include({ code: "QUOTA_EXCEEDED", status: 400 });
+  });
+
+  it("Should fall back to the reason in the error message", function () {
+    expect(
+      decoder.decode(
+        new Error(
+          "VM Exception while processing transaction: reverted with reason string 'Batch already anchored'"
+        )
+      )
+    ).to.include({ code: "BATCH_EXISTS", status: 409 });
+    expect(
+      decoder.decode(new Error("Transaction has been reverted by the EVM"))
+    ).to.deep.equal({ code: "CONTRACT_REVERTED", status: 400, reason: null });
+  });
+
+  it("Should not decode errors that are not reverts", function () {
+    expect(decoder.decode(new Error("connect ECONNREFUSED 127.0.0.1:8545"))).to
+      .be.null;
+    expect(decoder.decode(new Error("nonce too low"))).to.be.null;
+  });
+
+  it("Should only map reasons the contract uses", function () {
+    const source = fs.readFileSync(
+      path.join(__dirname, "../contracts/CertificateManager.sol"),
+      "utf8"
+    );
+    for (const reason of Object.keys(RevertDecoder.REVERT_REASONS)) {
+      expect(source, reason).to.contain(`"${reason}"`);
+    }
+  });
+
+  it("Should decode a revert from the contract", async function () {
+    const CertificateManager = await ethers.getContractFactory(
+      "CertificateManager"
+    );
+    const certificateManager = await CertificateManager.deploy();
+    await certificateManager.waitForDeployment();
+
+    const chain = new Web3(network.provider);
+    const contract = new chain.eth.Contract(
+      JSON.parse(CertificateManager.interface.formatJson()),
+      await certificateManager.getAddress()
+    );
+
+    let error;
+    try {
+      await contract.methods.getCertificate("missing").call();
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(decoder.decode(error)).to.include({
+      code: "CERTIFICATE_NOT_FOUND",
+      status: 404,
+    });
+  });
+});
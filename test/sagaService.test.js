@@ -0,0 +1,296 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SagaService = require("../app/services/sagaService");
+const SagaStore = require("../app/services/sagaStore");
+const CertificateController = require("../app/controllers/certificateController");
+
+/**
+ * Storage and blockchain stand-ins that record what was removed and restored
+ */
+function createServices() {
+  const storageService = {
+    removed: [],
+    restored: [],
+    failRemoval: false,
+    async removeFile(cid) {
+      if (this.failRemoval) {
+        throw new Error("storage unavailable");
+      }
+      this.removed.push(cid);
+    },
+    async restoreFile(cid) {
+      this.restored.push(cid);
+    },
+    getGatewayUrl: (cid) => `https://gateway.example/${cid}`,
+  };
+  const blockchainService = {
+    certificates: new Map(),
+    receipts: new Map(),
+    contract: {
+      methods: { getCertificate: (fid) => fid },
+    },
+    privacyRegistry: { set() {} },
+    async waitForTransaction(transactionHash) {
+      return this.receipts.get(transactionHash);
+    },
+    async getCertificateStatus(fid) {
+      const certificate = this.certificates.get(fid);
+      return {
+        exists: Boolean(certificate),
+        active: Boolean(certificate && certificate.isActive),
+      };
+    },
+    async callContract(fid) {
+      return this.certificates.get(fid);
+    },
+  };
+  return { storageService, blockchainService };
+}
+
+describe("SagaService", function () {
+  let directory;
+  let storageService;
+  let blockchainService;
+  let service;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "sagas-"));
+    ({ storageService, blockchainService } = createServices());
+    service = new SagaService(storageService, blockchainService);
+    service.sagaStore = new SagaStore(path.join(directory, "sagas.json"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should complete a saga whose steps succeed", async function () {
+    const result = await service.run("issue", "fid-1", {}, async (saga) => {
+      saga.record("uploaded", { cid: "QmOk" });
+      return "done";
+    });
+
+    expect(result).to.equal("done");
+    const [saga] = service.listSagas("all");
+    expect(saga.status).to.equal("completed");
+    expect(storageService.removed).to.deep.equal([]);
+  });
+
+  it("Should remove the upload of a failed issuance", async function () {
+    let error;
+    try {
+      await service.run("issue", "fid-1", {}, async (saga) => {
+        saga.record("uploaded", { cid: "QmOrphan" });
+        throw new Error("reverted");
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("reverted");
+    const [saga] = service.listSagas("all");
+    expect(saga.status).to.equal("compensated");
+    expect(saga.error).to.equal("reverted");
+    expect(storageService.removed).to.deep.equal(["QmOrphan"]);
+  });
+
+  it("Should keep the upload when the transaction went through after all", async function () {
+    blockchainService.receipts.set("0xmined", { status: true });
+
+    const saga = service.begin("issue", "fid-1");
+    service.record(saga.id, "uploaded", { cid: "QmKept" });
+    service.record(saga.id, "submitted", { transactionHash: "0xmined" });
+    const settled = await service.fail(saga.id, new Error("receipt timeout"));
+
+    expect(settled.status).to.equal("completed");
+    expect(storageService.removed).to.deep.equal([]);
+  });
+
+  it("Should only wait briefly for the receipt before marking a saga stuck", async function () {
+    const timeouts = [];
+    blockchainService.waitForTransaction = async (hash, privacy, timeout) => {
+      timeouts.push(timeout);
+      throw new Error(
+        `Transaction ${hash} was not mined within ${timeout / 1000}s`
+      );
+    };
+    service = new SagaService(storageService, blockchainService, 15, 2);
+    service.sagaStore = new SagaStore(path.join(directory, "sagas.json"));
+
+    const saga = service.begin("issue", "fid-1");
+    service.record(saga.id, "uploaded", { cid: "QmPending" });
+    service.record(saga.id, "submitted", { transactionHash: "0xpending" });
+    const settled = await service.fail(saga.id, new Error("receipt timeout"));
+
+    expect(timeouts).to.deep.equal([2000]);
+    expect(settled.status).to.equal("stuck");
+    expect(settled.compensationError).to.contain("not mined within 2s");
+    expect(storageService.removed).to.deep.equal([]);
+  });
+
+  it("Should restore the file of a failed deletion", async function () {
+    blockchainService.certificates.set("fid-1", { isActive: true });
+
+    const saga = service.begin("delete", "fid-1", { wasActive: true });
+    service.record(saga.id, "unpinned", { cid: "QmDeleted" });
+    const settled = await service.fail(saga.id, new Error("reverted"));
+
+    expect(settled.status).to.equal("compensated");
+    expect(storageService.restored).to.deep.equal(["QmDeleted"]);
+  });
+
+  it("Should mark a saga stuck when compensation fails, and retry it", async function () {
+    storageService.failRemoval = true;
+    const saga = service.begin("issue", "fid-1");
+    service.record(saga.id, "uploaded", { cid: "QmStuck" });
+
+    const stuck = await service.fail(saga.id, new Error("reverted"));
+    expect(stuck.status).to.equal("stuck");
+    expect(stuck.compensationError).to.equal("storage unavailable");
+    expect(service.listSagas()).to.have.length(1);
+
+    storageService.failRemoval = false;
+    expect(await service.recoverPending()).to.equal(1);
+    expect(service.getSaga(saga.id).status).to.equal("compensated");
+    expect(storageService.removed).to.deep.equal(["QmStuck"]);
+  });
+
+  it("Should compensate sagas left running, but not those owned by a job", async function () {
+    const orphan = service.begin("issue", "fid-1");
+    service.record(orphan.id, "uploaded", { cid: "QmOrphan" });
+    const owned = service.begin("issue", "fid-2", { jobId: "job_1" });
+    service.record(owned.id, "uploaded", { cid: "QmOwned" });
+
+    expect(await service.recoverPending()).to.equal(1);
+    expect(service.getSaga(orphan.id).status).to.equal("compensated");
+    expect(service.getSaga(owned.id).status).to.equal("running");
+    expect(storageService.removed).to.deep.equal(["QmOrphan"]);
+  });
+
+  describe("Batch Issuance", function () {
+    let controller;
+    let pending;
+
+    beforeEach(function () {
+      controller = new CertificateController(
+        storageService,
+        blockchainService,
+        { computeLeaf: (fid) => fid, buildTree: () => ({ root: "0xroot" }) },
+        null,
+        null,
+        service
+      );
+      blockchainService.createEmailCommitment = () => ({
+        commitment: "0xcommitment",
+        salt: "0xsalt",
+      });
+
+      pending = [1, 2, 3].map((i) => {
+        const fid = `batch-fid-${i}`;
+        const saga = service.begin("issue", fid);
+        service.record(saga.id, "uploaded", { cid: `QmBatch${i}` });
+        return {
+          fid,
+          cid: `QmBatch${i}`,
+          email: `student${i}@example.com`,
+          result: {},
+          sagaId: saga.id,
+        };
+      });
+    });
+
+    it("Should remove every upload of a failed batch transaction", async function () {
+      blockchainService.issueCertificates = async (
+        batch,
+        privacy,
+        signer,
+        { onSubmitted }
+      ) => {
+        onSubmitted("0xreverted");
+        throw new Error("Transaction has been reverted by the EVM");
+      };
+      blockchainService.receipts.set("0xreverted", { status: false });
+
+      await controller.issueBatch(pending, null, null);
+
+      expect(storageService.removed).to.deep.equal([
+        "QmBatch1",
+        "QmBatch2",
+        "QmBatch3",
+      ]);
+      for (const { sagaId, result } of pending) {
+        const saga = service.getSaga(sagaId);
+        expect(saga.status).to.equal("compensated");
+        expect(saga.data.transactionHash).to.equal("0xreverted");
+        expect(result.success).to.not.be.true;
+      }
+    });
+
+    it("Should complete the saga of every item of an issued batch", async function () {
+      blockchainService.issueCertificates = async (
+        batch,
+        privacy,
+        signer,
+        { onSubmitted }
+      ) => {
+        onSubmitted("0xbatch");
+        return { transactionHash: "0xbatch", gas: null };
+      };
+
+      await controller.issueBatch(pending, null, null);
+
+      expect(storageService.removed).to.deep.equal([]);
+      for (const { sagaId, result } of pending) {
+        expect(service.getSaga(sagaId).status).to.equal("completed");
+        expect(result.success).to.be.true;
+      }
+    });
+
+    it("Should remove every upload of a batch that failed to anchor", async function () {
+      blockchainService.anchorBatch = async () => {
+        throw new Error("Batch already anchored");
+      };
+      controller.merkleService.getProof = () => [];
+
+      const root = await controller.anchorBatch(pending, null);
+
+      expect(root).to.be.null;
+      expect(storageService.removed).to.have.length(3);
+    });
+
+    it("Should refuse private anchored batches before uploading anything", async function () {
+      let uploads = 0;
+      storageService.uploadFileFromPath = async () => {
+        uploads++;
+      };
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        },
+      };
+
+      await controller.batchIssueCertificates(
+        {
+          body: {
+            manifest: JSON.stringify([{ file: "a.pdf", email: "a@b.com" }]),
+            mode: "anchored",
+            isPrivate: "true",
+          },
+          files: [{ originalname: "a.pdf", path: "/nonexistent" }],
+        },
+        res
+      );
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Anchored batches cannot be private");
+      expect(uploads).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Web3 = require("web3");
+const SignerService = require("../app/services/signerService");
+const signerAuth = require("../app/middleware/signerAuth");
+
+// First default account of the Hardhat network
+const HARDHAT_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const HARDHAT_ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+// First quorum-test-network member key, the development fallback
+const DEVELOPMENT_KEY =
+  "0x8f2a55949038a9610f50fb23b5883af3b4ecb3c3bb792cbcefbd1542c692be63";
+const REMOTE_ADDRESS = "0x00000000000000000000000000000000000000AA";
+
+const ENV_NAMES = [
+  "SIGNERS_CONFIG",
+  "SIGNER_TYPE",
+  "SIGNER_PRIVATE_KEY",
+  "PRIVATE_KEY_1",
+  "UNIVERSITY_KEY",
+  "UNIVERSITY_API_KEY",
+  "ADMIN_API_KEY",
+  "NODE_ENV",
+];
+
+describe("SignerService", function () {
+  let directory;
+  let saved;
+
+  function setEnv(env) {
+    for (const name of ENV_NAMES) {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    }
+  }
+
+  function writeConfig(config) {
+    const configPath = path.join(directory, "signers.json");
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  }
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "signers-"));
+    saved = Object.fromEntries(
+      ENV_NAMES.map((name) => [name, process.env[name]])
+    );
+  });
+
+  afterEach(function () {
+    setEnv(saved);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should build a default signer from SIGNER_* variables", async function () {
+    setEnv({ SIGNER_PRIVATE_KEY: HARDHAT_KEY });
+
+    const service = new SignerService();
+
+    expect(service.getSigner().type).to.equal("raw");
+    expect(await service.getSigner().getAddress()).to.equal(HARDHAT_ADDRESS);
+  });
+
+  it("Should load named signers and their API keys from SIGNERS_CONFIG", async function () {
+    const keystorePath = path.join(directory, "keystore.json");
+    fs.writeFileSync(
+      keystorePath,
+      JSON.stringify(new Web3().eth.accounts.encrypt(HARDHAT_KEY, "secret"))
+    );
+    setEnv({
+      UNIVERSITY_KEY: HARDHAT_KEY,
+      UNIVERSITY_API_KEY: "university-key",
+      SIGNERS_CONFIG: writeConfig({
+        default: "university",
+        signers: {
+          university: {
+            type: "raw",
+            privateKeyEnv: "UNIVERSITY_KEY",
+            apiKeyEnv: "UNIVERSITY_API_KEY",
+          },
+          archive: { type: "keystore", path: keystorePath, password: "secret" },
+          vault: {
+            type: "remote",
+            url: "http://127.0.0.1:18545",
+            address: REMOTE_ADDRESS,
+          },
+        },
+      }),
+    });
+
+    const service = new SignerService();
+
+    expect(service.getSigner().type).to.equal("raw");
+    expect(await service.getSigner("archive").getAddress()).to.equal(
+      HARDHAT_ADDRESS
+    );
+    expect(service.getSigner("vault").type).to.equal("remote");
+    expect(await service.getSigner("vault").getPrivateKey()).to.be.null;
+    expect(service.getSignerNameForApiKey("university-key")).to.equal(
+      "university"
+    );
+    expect(service.getSignerNameForApiKey("other-key")).to.be.null;
+    expect(await service.findSignerByAddress(REMOTE_ADDRESS)).to.equal("vault");
+    expect(() => service.getSigner("missing")).to.throw(
+      'Unknown signer "missing"'
+    );
+  });
+
+  it("Should reject invalid signer configurations", function () {
+    const cases = [
+      [{ default: "missing", signers: {} }, "is not configured"],
+      [{ signers: { default: { type: "hsm" } } }, 'Unknown signer type "hsm"'],
+      [{ signers: { default: { type: "remote" } } }, "has no url"],
+      [
+        { signers: { default: { type: "keystore", path: "/nonexistent" } } },
+        "Keystore for signer",
+      ],
+    ];
+
+    for (const [config, message] of cases) {
+      setEnv({ SIGNERS_CONFIG: writeConfig(config) });
+      expect(() => new SignerService()).to.throw(message);
+    }
+  });
+
+  it("Should refuse development keys in production", function () {
+    setEnv({ NODE_ENV: "production" });
+    expect(() => new SignerService()).to.throw("has no private key");
+
+    setEnv({ NODE_ENV: "production", SIGNER_PRIVATE_KEY: DEVELOPMENT_KEY });
+    expect(() => new SignerService()).to.throw("built-in development key");
+
+    setEnv({ NODE_ENV: "production", SIGNER_PRIVATE_KEY: HARDHAT_KEY });
+    expect(() => new SignerService()).to.not.throw();
+  });
+
+  describe("signerAuth", function () {
+    let middleware;
+
+    function request(headers) {
+      const req = { headers };
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        },
+      };
+      let called = false;
+      middleware(req, res, () => {
+        called = true;
+      });
+      return { req, res, called };
+    }
+
+    beforeEach(function () {
+      setEnv({
+        UNIVERSITY_KEY: HARDHAT_KEY,
+        UNIVERSITY_API_KEY: "university-key",
+        ADMIN_API_KEY: "admin-key",
+        SIGNERS_CONFIG: writeConfig({
+          signers: {
+            default: { type: "raw", privateKey: HARDHAT_KEY },
+            university: {
+              type: "raw",
+              privateKeyEnv: "UNIVERSITY_KEY",
+              apiKeyEnv: "UNIVERSITY_API_KEY",
+            },
+          },
+        }),
+      });
+      middleware = signerAuth(new SignerService());
+    });
+
+    it("Should sign with the signer of an issuer API key", function () {
+      const { req, called } = request({
+        authorization: "Bearer university-key",
+      });
+
+      expect(called).to.be.true;
+      expect(req.signer).to.equal("university");
+    });
+
+    it("Should use the default signer without credentials", function () {
+      const { req, called } = request({});
+
+      expect(called).to.be.true;
+      expect(req.signer).to.be.null;
+    });
+
+    it("Should only let the admin key pick a signer by name", function () {
+      const admin = request({
+        authorization: "Bearer admin-key",
+        "x-signer": "university",
+      });
+      expect(admin.called).to.be.true;
+      expect(admin.req.signer).to.equal("university");
+
+      const anonymous = request({ "x-signer": "university" });
+      expect(anonymous.called).to.be.false;
+      expect(anonymous.res.statusCode).to.equal(401);
+
+      const issuer = request({
+        authorization: "Bearer university-key",
+        "x-signer": "default",
+      });
+      expect(issuer.called).to.be.false;
+      expect(issuer.res.statusCode).to.equal(403);
+
+      const unknown = request({
+        authorization: "Bearer admin-key",
+        "x-signer": "missing",
+      });
+      expect(unknown.res.statusCode).to.equal(400);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const { network } = require("hardhat");
+const Web3 = require("web3");
+const TransactionQueue = require("../app/services/transactionQueue");
+const SignerService = require("../app/services/signerService");
+const BlockchainService = require("../app/services/blockchainService");
+
+const ADDRESS = "0x00000000000000000000000000000000000000aa";
+
+// First default account of the Hardhat network
+const HARDHAT_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+/**
+ * Submission stub that fails with the given errors in turn, then succeeds
+ */
+function flakySubmit(errors) {
+  const nonces = [];
+  const submit = async (nonce) => {
+    nonces.push(nonce);
+    const error = errors.shift();
+    if (error) {
+      throw new Error(error);
+    }
+    return {
+      transactionHash: `0xhash${nonce}`,
+      receipt: Promise.resolve({ status: true }),
+    };
+  };
+  return { submit, nonces };
+}
+
+describe("TransactionQueue", function () {
+  let queue;
+  let nodeNonce;
+  let fetchNonce;
+
+  beforeEach(function () {
+    queue = new TransactionQueue({ maxRetries: 3, retryDelay: 1 });
+    nodeNonce = 5;
+    fetchNonce = async () => nodeNonce;
+  });
+
+  it("Should assign consecutive nonces to one signer", async function () {
+    const { submit, nonces } = flakySubmit([]);
+
+    await Promise.all([
+      queue.run(ADDRESS, submit, { fetchNonce }),
+      queue.run(ADDRESS, submit, { fetchNonce }),
+      queue.run(ADDRESS, submit, { fetchNonce }),
+    ]);
+
+    expect(nonces).to.deep.equal([5, 6, 7]);
+    expect(queue.getStatus().depth).to.equal(0);
+  });
+
+  it("Should keep the nonce when the connection drops", async function () {
+    const { submit, nonces } = flakySubmit([
+      "socket hang up",
+      "Invalid JSON RPC response: ''",
+    ]);
+
+    const { transactionHash } = await queue.run(ADDRESS, submit, {
+      fetchNonce,
+    });
+
+    expect(nonces).to.deep.equal([5, 5, 5]);
+    expect(transactionHash).to.equal("0xhash5");
+  });
+
+  it("Should resync the nonce when it was taken", async function () {
+    const { submit, nonces } = flakySubmit(["nonce too low"]);
+    fetchNonce = async () => nodeNonce++;
+
+    await queue.run(ADDRESS, submit, { fetchNonce });
+
+    expect(nonces).to.deep.equal([5, 6]);
+  });
+
+  it("Should not move to a new nonce after a dropped submission", async function () {
+    const { submit, nonces } = flakySubmit(["ETIMEDOUT", "nonce too low"]);
+    fetchNonce = async () => nodeNonce++;
+
+    let error;
+    try {
+      await queue.run(ADDRESS, submit, { label: "issue", fetchNonce });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.contain(
+      "issue may already have been submitted with nonce 5"
+    );
+    expect(nonces).to.deep.equal([5, 5]);
+    expect(queue.getStatus().signers[0].nextNonce).to.be.null;
+  });
+
+  it("Should move to a new nonce after a dropped submission if the sender checked its own transaction", async function () {
+    const { submit, nonces } = flakySubmit(["ETIMEDOUT", "nonce too low"]);
+    fetchNonce = async () => nodeNonce++;
+
+    await queue.run(ADDRESS, submit, { fetchNonce, idempotent: true });
+
+    expect(nonces).to.deep.equal([5, 5, 6]);
+  });
+
+  it("Should not retry a dropped submission when the sender picks the nonce", async function () {
+    const { submit, nonces } = flakySubmit(["socket hang up"]);
+
+    let error;
+    try {
+      await queue.run(ADDRESS, submit);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("socket hang up");
+    expect(nonces).to.deep.equal([null]);
+  });
+
+  it("Should retry requests that never reached the node", async function () {
+    const { submit, nonces } = flakySubmit(["connect ECONNREFUSED"]);
+
+    await queue.run(ADDRESS, submit);
+
+    expect(nonces).to.deep.equal([null, null]);
+  });
+
+  it("Should give up after the maximum number of retries", async function () {
+    const { submit, nonces } = flakySubmit(Array(5).fill("ECONNRESET"));
+
+    let error;
+    try {
+      await queue.run(ADDRESS, submit, { fetchNonce });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("ECONNRESET");
+    expect(nonces).to.have.length(4);
+  });
+
+  it("Should not retry other errors", async function () {
+    const { submit, nonces } = flakySubmit(["insufficient funds"]);
+
+    let error;
+    try {
+      await queue.run(ADDRESS, submit, { fetchNonce });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("insufficient funds");
+    expect(nonces).to.deep.equal([5]);
+  });
+
+  describe("Resending Signed Transactions", function () {
+    let web3;
+    let service;
+    let signer;
+    let tx;
+
+    beforeEach(async function () {
+      web3 = new Web3(network.provider);
+      signer = new SignerService.RawKeySigner(HARDHAT_KEY);
+      service = new BlockchainService();
+      service.web3 = web3;
+
+      const from = await signer.getAddress();
+      tx = {
+        to: from,
+        value: 1,
+        gas: 21000,
+        gasPrice: await web3.eth.getGasPrice(),
+        chainId: await web3.eth.getChainId(),
+        nonce: await web3.eth.getTransactionCount(from, "pending"),
+      };
+    });
+
+    it("Should count a resent transaction the node already has as submitted", async function () {
+      const signed = { tx, ...(await signer.signTransaction(web3, tx)) };
+      // The first attempt reached the node, but its answer was lost
+      await web3.eth.sendSignedTransaction(signed.rawTransaction);
+
+      const { transactionHash, receipt } =
+        await service.submitSignedTransaction(signer, signed);
+
+      expect(transactionHash).to.equal(signed.transactionHash);
+      expect((await receipt).status).to.be.true;
+      expect(
+        await web3.eth.getTransactionCount(await signer.getAddress())
+      ).to.equal(tx.nonce + 1);
+    });
+
+    it("Should fail if another transaction took the nonce", async function () {
+      await signer.submitTransaction(web3, tx);
+      const other = { ...tx, value: 2 };
+      const signed = {
+        tx: other,
+        ...(await signer.signTransaction(web3, other)),
+      };
+
+      let error;
+      try {
+        await service.submitSignedTransaction(signer, signed);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.match(/nonce too low/i);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const UploadService = require("../app/services/uploadService");
+
+describe("UploadService", function () {
+  let directory;
+  let service;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    service = new UploadService(directory, 1, 1024);
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function expectError(promise, status, code) {
+    let error;
+    try {
+      await promise;
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error, code).to.exist;
+    expect(error.status).to.equal(status);
+    expect(error.code).to.equal(code);
+  }
+
+  function chunk(text) {
+    return Readable.from([Buffer.from(text)]);
+  }
+
+  it("Should resume an upload from the offset it reports", async function () {
+    const { id, offset } = await service.createUpload({
+      size: 11,
+      fileName: "certificate.txt",
+      fileType: "text/plain",
+    });
+    expect(offset).to.equal(0);
+
+    const partial = await service.appendChunk(id, 0, chunk("hello"));
+    expect(partial.offset).to.equal(5);
+    expect(partial.isComplete).to.be.false;
+
+    await expectError(
+      service.appendChunk(id, 0, chunk("hello")),
+      409,
+      "OFFSET_MISMATCH"
+    );
+
+    const complete = await service.appendChunk(id, 5, chunk(" world"), 6);
+    expect(complete.isComplete).to.be.true;
+    expect(fs.readFileSync(complete.filePath, "utf8")).to.equal("hello world");
+  });
+
+  it("Should refuse bytes past the declared size", async function () {
+    const { id } = await service.createUpload({ size: 4, fileName: "a.txt" });
+
+    await expectError(
+      service.appendChunk(id, 0, chunk("too long"), 8),
+      413,
+      "CHUNK_TOO_LARGE"
+    );
+    await expectError(
+      service.appendChunk(id, 0, chunk("too long")),
+      413,
+      "CHUNK_TOO_LARGE"
+    );
+    expect((await service.getUpload(id)).offset).to.equal(0);
+
+    await expectError(
+      service.createUpload({ size: 2048, fileName: "big.bin" }),
+      413,
+      "FILE_TOO_LARGE"
+    );
+  });
+
+  it("Should lock a claimed upload until it is released", async function () {
+    const { id } = await service.createUpload({ size: 2, fileName: "a.txt" });
+    await expectError(service.claimUpload(id), 409, "UPLOAD_INCOMPLETE");
+    await service.appendChunk(id, 0, chunk("ok"));
+
+    const upload = await service.claimUpload(id);
+    expect(upload.isComplete).to.be.true;
+    await expectError(service.claimUpload(id), 409, "UPLOAD_LOCKED");
+    await expectError(
+      service.appendChunk(id, 2, chunk("")),
+      409,
+      "UPLOAD_LOCKED"
+    );
+
+    service.releaseUpload(id);
+    expect(await service.claimUpload(id)).to.include({ id });
+    service.releaseUpload(id);
+  });
+
+  it("Should expire and sweep sessions after the TTL", async function () {
+    const stale = await service.createUpload({ size: 2, fileName: "a.txt" });
+    const fresh = await service.createUpload({ size: 2, fileName: "b.txt" });
+    const past = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(stale.filePath, past, past);
+
+    expect(await service.getUpload(stale.id)).to.be.null;
+    expect(await service.sweepExpired()).to.equal(1);
+    expect(fs.existsSync(stale.filePath)).to.be.false;
+    expect(await service.getUpload(fresh.id)).to.not.be.null;
+  });
+
+  it("Should not treat upload IDs as paths", async function () {
+    expect(await service.getUpload("../../etc/passwd")).to.be.null;
+    await expectError(
+      service.appendChunk("../secret", 0, chunk("x")),
+      404,
+      "UPLOAD_NOT_FOUND"
+    );
+    expect(() => service.pathsOf("upload_../../x")).to.throw("not found");
+  });
+});
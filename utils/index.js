@@ -1,6 +1,18 @@
 const fs = require("fs");
 const path = require("path");
 
+// Generic error codes of HTTP statuses, for errors without a specific code
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  500: "INTERNAL_ERROR",
+  502: "BAD_GATEWAY",
+  503: "SERVICE_UNAVAILABLE",
+};
+
 /**
  * Utility functions for the VAULT Protocol
  */
@@ -52,6 +64,16 @@ class Utils {
     };
   }
 
+  /**
+   * Build the vault:// URL of a certificate file
+   * @param {string} fid - File ID
+   * @param {string} cid - Content ID
+   * @returns {string} - Vault URL
+   */
+  static getVaultUrl(fid, cid) {
+    return `vault://${fid}/${cid}`;
+  }
+
   /**
    * Format file size in human readable format
    * @param {number} bytes - Size in bytes
@@ -117,6 +139,44 @@ class Utils {
     return response;
   }
 
+  /**
+   * Get the error code of an error for API responses
+   * Errors that carry a status (contract reverts, validation of privacy
+   * targets) keep their code; others get the generic code of their status.
+   * @param {Error} error - Error, with optional status and code
+   * @returns {string} - Error code, e.g. CERTIFICATE_EXISTS or INTERNAL_ERROR
+   */
+  static getErrorCode(error) {
+    if (error.status && error.code) {
+      return error.code;
+    }
+    const status = error.status || 500;
+    return (
+      ERROR_CODES[status] || (status < 500 ? "BAD_REQUEST" : "INTERNAL_ERROR")
+    );
+  }
+
+  /**
+   * Create the API error response for a failed request
+   * @param {string} message - Response message
+   * @param {Error} error - Error, with optional status, code and reason
+   * @returns {Object} - {success: false, message, error, code, reason?}
+   */
+  static createErrorResponse(message, error) {
+    const response = {
+      success: false,
+      message,
+      error: error.message,
+      code: this.getErrorCode(error),
+    };
+
+    if (error.reason) {
+      response.reason = error.reason;
+    }
+
+    return response;
+  }
+
   /**
    * Log with timestamp
    * @param {string} level - Log level (info, warn, error)
@@ -174,4 +234,3 @@ class Utils {
 }
 
 module.exports = Utils;
-